@@ -3,13 +3,16 @@ const { body, validationResult } = require('express-validator');
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { resolverUbicacion, moverExistenciaInsumo, ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+const { aplicarDetalleAjuste, crearAjuste } = require('../servicios/ajustesService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 const router = express.Router();
 
 // ============================================
 // GET / - Listar ajustes con paginación y filtros
 // ============================================
 router.get('/', verifyToken, async (req, res) => {
-    const { page = 1, limit = 15, search = '', tipo_ajuste = '', fecha_desde = '', fecha_hasta = '' } = req.query;
+    const { page = 1, limit = 15, search = '', tipo_ajuste = '', fecha_desde = '', fecha_hasta = '', id_ubicacion = '' } = req.query;
 
     try {
         const params = [];
@@ -31,6 +34,10 @@ router.get('/', verifyToken, async (req, res) => {
             params.push(fecha_hasta + ' 23:59:59');
             whereClauses.push(`aim.fecha_ajuste <= $${params.length}::timestamp`);
         }
+        if (id_ubicacion) {
+            params.push(id_ubicacion);
+            whereClauses.push(`aim.id_ubicacion = $${params.length}`);
+        }
 
         const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
 
@@ -41,8 +48,10 @@ router.get('/', verifyToken, async (req, res) => {
         const offset = (page - 1) * limit;
         const dataQuery = `
             SELECT aim.id_ajuste, aim.id_empleado, aim.fecha_ajuste, aim.fecha_ajuste AS fecha_creacion, aim.tipo_ajuste, aim.motivo, e.nombre AS nombre_empleado,
+            aim.id_ubicacion, u.nombre_ubicacion,
             (SELECT COUNT(*) FROM ajuste_inventario_detalle WHERE id_ajuste = aim.id_ajuste) AS total_detalles
             FROM ajuste_inventario_maestro AS aim LEFT JOIN empleado AS e ON aim.id_empleado = e.id_empleado
+            LEFT JOIN ubicaciones AS u ON aim.id_ubicacion = u.id_ubicacion
             ${whereString} ORDER BY aim.fecha_ajuste DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}
         `.trim();
 
@@ -58,10 +67,12 @@ router.get('/', verifyToken, async (req, res) => {
 // GET /inventario-global - Obtener items
 // ============================================
 router.get('/inventario-global', verifyToken, async (req, res) => {
-    const { search = '', page = 1, limit = 10 } = req.query;
+    // Con id_ubicacion las existencias son las de ese almacén; sin él, las de toda la empresa
+    const { search = '', page = 1, limit = 10, id_ubicacion = '' } = req.query;
     
     try {
         const searchTerm = `%${search}%`;
+        const ubicacion = id_ubicacion || null;
         const offset = (page - 1) * limit;
 
         const baseQuery = `
@@ -72,7 +83,7 @@ router.get('/inventario-global', verifyToken, async (req, res) => {
                     r.nombre, 
                     COALESCE(r.marca, '') as marca, -- Blindaje contra nulos
                     'Refacción' as tipo, 
-                    COALESCE((SELECT SUM(l.cantidad_disponible) FROM lote_refaccion l WHERE l.id_refaccion = r.id_refaccion), 0) as stock_actual,
+                    COALESCE((SELECT SUM(l.cantidad_disponible) FROM lote_refaccion l WHERE l.id_refaccion = r.id_refaccion AND ($2::int IS NULL OR l.id_ubicacion = $2)), 0) as stock_actual,
                     r.unidad_medida as unidad, 
                     COALESCE(r.numero_parte, '') as numero_parte, -- Blindaje contra nulos
                     r.categoria,
@@ -87,7 +98,9 @@ router.get('/inventario-global', verifyToken, async (req, res) => {
                     nombre, 
                     COALESCE(marca, '') as marca, -- Blindaje contra nulos
                     'Insumo' as tipo, 
-                    stock_actual, 
+                    CASE WHEN $2::int IS NULL THEN stock_actual
+                         ELSE COALESCE((SELECT ei.cantidad FROM existencia_insumo ei WHERE ei.id_insumo = insumo.id_insumo AND ei.id_ubicacion = $2), 0)
+                    END as stock_actual, 
                     unidad_medida as unidad, 
                     '---' as numero_parte, 
                     tipo_insumo::text as categoria,
@@ -100,10 +113,10 @@ router.get('/inventario-global', verifyToken, async (req, res) => {
                OR numero_parte ILIKE $1
         `;
 
-        const countResult = await pool.query(`SELECT COUNT(*) FROM (${baseQuery}) as total`, [searchTerm]);
+        const countResult = await pool.query(`SELECT COUNT(*) FROM (${baseQuery}) as total`, [searchTerm, ubicacion]);
         const totalItems = parseInt(countResult.rows[0].count, 10);
         
-        const dataResult = await pool.query(`${baseQuery} ORDER BY nombre ASC LIMIT $2 OFFSET $3`, [searchTerm, limit, offset]);
+        const dataResult = await pool.query(`${baseQuery} ORDER BY nombre ASC LIMIT $3 OFFSET $4`, [searchTerm, ubicacion, limit, offset]);
 
         res.json({ data: dataResult.rows, total: totalItems });
         
@@ -117,70 +130,110 @@ router.get('/inventario-global', verifyToken, async (req, res) => {
 // POST /aplicar - Crear o modificar ajuste
 // ============================================
 router.post('/aplicar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
-    const { id, tipo, stock_fisico, costo_unitario, motivo } = req.body;
+    const { id, tipo, stock_fisico, costo_unitario, motivo, id_ubicacion } = req.body;
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
         let diferencia = 0; let stockSistema = 0;
+        // El stock físico es el contado en este almacén
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
+
+        // Las diferencias quedan como documentos de ajuste para poder reconstruir el inventario a cualquier fecha
+        const motivoAjuste = motivo || 'Ajuste por inventario físico';
 
         if (tipo === 'Insumo') {
             // USAMOS EL NOMBRE CORRECTO AQUÍ
             const actualRes = await client.query('SELECT stock_actual, costo_unitario_promedio FROM insumo WHERE id_insumo = $1 FOR UPDATE', [id]);
             if (actualRes.rows.length === 0) throw new Error('Insumo no encontrado');
             
-            stockSistema = parseFloat(actualRes.rows[0].stock_actual);
             const costoSistema = parseFloat(actualRes.rows[0].costo_unitario_promedio || 0);
+            const existenciaRes = await client.query('SELECT COALESCE(SUM(cantidad), 0) as total FROM existencia_insumo WHERE id_insumo = $1 AND id_ubicacion = $2', [id, idUbicacion]);
+            stockSistema = parseFloat(existenciaRes.rows[0].total);
             diferencia = stock_fisico - stockSistema;
 
-            if (diferencia !== 0 || costo_unitario !== costoSistema) {
-                await client.query(
-                    'UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3', 
-                    [stock_fisico, costo_unitario, id]
-                );
+            if (diferencia !== 0) {
+                await crearAjuste(client, {
+                    id_empleado: req.user.id,
+                    tipo_ajuste: diferencia > 0 ? 'ENTRADA' : 'SALIDA',
+                    motivo: motivoAjuste,
+                    id_ubicacion: idUbicacion,
+                    detalles: [{ id_insumo: id, cantidad: diferencia, costo_ajuste: costo_unitario }]
+                });
+            }
+            // El nuevo costo se aplica como revalorización del stock del insumo (el promedio es uno para toda la empresa),
+            // para que el libro de movimientos vea el cambio de valor. Sin stock no hay valor que mover y solo se guarda el precio.
+            const costoNuevo = parseFloat(costo_unitario);
+            if (costoNuevo !== costoSistema) {
+                const stockRes = await client.query('SELECT stock_actual FROM insumo WHERE id_insumo = $1', [id]);
+                const stockTotal = parseFloat(stockRes.rows[0].stock_actual);
+                if (stockTotal > 0) {
+                    await crearAjuste(client, {
+                        id_empleado: req.user.id,
+                        tipo_ajuste: 'REVALORIZACION',
+                        motivo: motivoAjuste,
+                        id_ubicacion: idUbicacion,
+                        detalles: [{ id_insumo: id, cantidad: stockTotal, costo_ajuste: costoNuevo - costoSistema }]
+                    });
+                } else {
+                    await client.query('UPDATE insumo SET costo_unitario_promedio = $1 WHERE id_insumo = $2', [costoNuevo, id]);
+                }
             }
         } 
         else if (tipo === 'Refacción') {
-            const stockRes = await client.query(`SELECT COALESCE(SUM(cantidad_disponible), 0) as total FROM lote_refaccion WHERE id_refaccion = $1`, [id]);
+            const stockRes = await client.query(`SELECT COALESCE(SUM(cantidad_disponible), 0) as total FROM lote_refaccion WHERE id_refaccion = $1 AND id_ubicacion = $2`, [id, idUbicacion]);
             stockSistema = parseFloat(stockRes.rows[0].total);
             diferencia = stock_fisico - stockSistema;
 
-            if (diferencia > 0) {
-                // Si sobran piezas físicamente, insertamos el nuevo lote
-                await client.query(
-                    `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso) VALUES ($1, $2, $3, $4, 0, CURRENT_DATE)`, 
-                    [id, diferencia, costo_unitario, (costo_unitario * diferencia)]
-                );
-            } else if (diferencia < 0) {
-                // Si faltan piezas físicamente, descontamos de los lotes viejos
-                let cantidadARestar = Math.abs(diferencia);
-                const lotesRes = await client.query(`SELECT id_lote, cantidad_disponible FROM lote_refaccion WHERE id_refaccion = $1 AND cantidad_disponible > 0 ORDER BY id_lote ASC`, [id]);
-                
-                for (const lote of lotesRes.rows) {
-                    if (cantidadARestar <= 0) break;
-                    const disponible = parseFloat(lote.cantidad_disponible);
-                    let restarDelLote = 0;
-                    if (disponible >= cantidadARestar) { restarDelLote = cantidadARestar; cantidadARestar = 0; } 
-                    else { restarDelLote = disponible; cantidadARestar -= disponible; }
-                    await client.query(`UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2`, [restarDelLote, lote.id_lote]);
-                }
-            } else if (diferencia === 0) {
+            if (diferencia !== 0) {
+                // Los sobrantes entran en un lote nuevo y los faltantes se descuentan de los lotes viejos (PEPS)
+                await crearAjuste(client, {
+                    id_empleado: req.user.id,
+                    tipo_ajuste: diferencia > 0 ? 'ENTRADA' : 'SALIDA',
+                    motivo: motivoAjuste,
+                    id_ubicacion: idUbicacion,
+                    detalles: [{ id_refaccion: id, cantidad: diferencia, costo_ajuste: costo_unitario }]
+                });
+            } else {
                 // Si no hay diferencia de stock pero no existía ningún lote, lo creamos en cero para guardar el precio
                 const ultimoLoteRes = await client.query(`SELECT id_lote FROM lote_refaccion WHERE id_refaccion = $1 ORDER BY fecha_ingreso DESC, id_lote DESC LIMIT 1`, [id]);
                 if(ultimoLoteRes.rows.length === 0) {
-                     await client.query(`INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso) VALUES ($1, 0, $2, 0, 0, CURRENT_DATE)`, [id, costo_unitario]);
+                     await client.query(`INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso, id_ubicacion) VALUES ($1, 0, $2, 0, 0, CURRENT_DATE, $3)`, [id, costo_unitario, idUbicacion]);
                 }
             }
 
-            await client.query(`UPDATE lote_refaccion SET costo_unitario_final = $1 WHERE id_refaccion = $2 AND cantidad_disponible > 0`, [costo_unitario, id]);
-            
+            // El nuevo costo se aplica como revalorización a los lotes con existencia de este almacén
+            const lotesRevalorizar = await client.query(
+                'SELECT id_lote, cantidad_disponible, costo_unitario_final FROM lote_refaccion WHERE id_refaccion = $1 AND id_ubicacion = $3 AND cantidad_disponible > 0 AND costo_unitario_final <> $2 FOR UPDATE',
+                [id, costo_unitario, idUbicacion]
+            );
+            if (lotesRevalorizar.rows.length > 0) {
+                await crearAjuste(client, {
+                    id_empleado: req.user.id,
+                    tipo_ajuste: 'REVALORIZACION',
+                    motivo: motivoAjuste,
+                    id_ubicacion: idUbicacion,
+                    detalles: lotesRevalorizar.rows.map(lote => ({
+                        id_refaccion: id,
+                        id_lote: lote.id_lote,
+                        cantidad: parseFloat(lote.cantidad_disponible),
+                        costo_ajuste: costo_unitario - parseFloat(lote.costo_unitario_final)
+                    }))
+                });
+            }
         }
 
-        console.log(`AJUSTE | ${tipo} ID:${id} | Sist: ${stockSistema} -> Fís: ${stock_fisico} | Dif: ${diferencia} | Costo: ${costo_unitario}`);
+        console.log(`AJUSTE | ${tipo} ID:${id} | Ubicación:${idUbicacion} | Sist: ${stockSistema} -> Fís: ${stock_fisico} | Dif: ${diferencia} | Costo: ${costo_unitario}`);
         await client.query('COMMIT');
         res.json({ message: 'Inventario ajustado correctamente.', diferencia: diferencia, nuevo_stock: stock_fisico, nuevo_costo: costo_unitario });
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'STOCK_INSUFICIENTE') {
+            return res.status(400).json({ message: error.message, faltante: error.faltante });
+        }
+        if (error.code === 'UBICACION_INVALIDA') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error en ajuste:', error);
         res.status(500).json({ message: 'Error al procesar el ajuste.', error: error.message });
     } finally {
@@ -215,32 +268,25 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
-        const maestroResult = await client.query(`INSERT INTO ajuste_inventario_maestro (id_empleado, tipo_ajuste, motivo, fecha_ajuste) VALUES ($1, $2, $3, CURRENT_TIMESTAMP) RETURNING id_ajuste`, [maestro.id_empleado, maestro.tipo_ajuste, maestro.motivo]);
-        const nuevoAjusteId = maestroResult.rows[0].id_ajuste;
-
-        for (const detalle of detalles) {
-            let idLoteParaGuardar = detalle.id_lote || null;
-
-            if (detalle.id_insumo) {
-                await client.query('UPDATE insumo SET stock_actual = stock_actual + $1 WHERE id_insumo = $2', [detalle.cantidad, detalle.id_insumo]);
-            } else if (detalle.id_refaccion) {
-                if (maestro.tipo_ajuste === 'ENTRADA') {
-                    const loteResult = await client.query(`INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso) VALUES ($1, $2, $3, $3, 0, CURRENT_DATE) RETURNING id_lote`, [detalle.id_refaccion, detalle.cantidad, detalle.costo_ajuste || 0]);
-                    idLoteParaGuardar = loteResult.rows[0].id_lote;
-                } else if (maestro.tipo_ajuste === 'SALIDA') {
-                    await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2', [Math.abs(detalle.cantidad), detalle.id_lote]);
-                } else if (maestro.tipo_ajuste === 'REVALORIZACION') {
-                    await client.query('UPDATE lote_refaccion SET costo_unitario_final = costo_unitario_final + $1 WHERE id_lote = $2', [detalle.costo_ajuste, detalle.id_lote]);
-                }
-            }
-
-            await client.query(`INSERT INTO ajuste_inventario_detalle (id_ajuste, id_refaccion, id_insumo, id_lote_refaccion, cantidad, costo_ajuste) VALUES ($1, $2, $3, $4, $5, $6)`, [nuevoAjusteId, detalle.id_refaccion, detalle.id_insumo, idLoteParaGuardar, detalle.cantidad, detalle.costo_ajuste]);
-        }
+        const idUbicacion = await resolverUbicacion(client, maestro.id_ubicacion);
+        const nuevoAjusteId = await crearAjuste(client, {
+            id_empleado: maestro.id_empleado,
+            tipo_ajuste: maestro.tipo_ajuste,
+            motivo: maestro.motivo,
+            id_ubicacion: idUbicacion,
+            detalles
+        });
 
         await client.query('COMMIT');
         res.status(201).json({ id_ajuste: nuevoAjusteId, message: 'Ajuste creado exitosamente.' });
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'STOCK_INSUFICIENTE') {
+            return res.status(400).json({ message: error.message, faltante: error.faltante });
+        }
+        if (error.code === 'UBICACION_INVALIDA') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Error al procesar el ajuste.', error: error.message });
     } finally {
         client.release();
@@ -260,12 +306,27 @@ router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (r
         if (originalResult.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Ajuste no encontrado' }); }
 
         const ajusteOriginal = originalResult.rows[0];
+        const idUbicacion = ajusteOriginal.id_ubicacion || ID_UBICACION_PRINCIPAL;
+
+        // Los ajustes de un conteo tocan lotes existentes; se corrigen con otro conteo o con un ajuste nuevo
+        if (ajusteOriginal.id_conteo) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Ajuste no editable', message: `Este ajuste lo generó el conteo #${ajusteOriginal.id_conteo} y no puede modificarse.` });
+        }
+        await verificarPeriodoAbierto(client, ajusteOriginal.fecha_ajuste);
 
         // REVERTIR
         for (const det of ajusteOriginal.detalles_originales) {
             if (!det.id_detalle) continue;
-            if (det.id_insumo) {
+            if (det.id_insumo && ajusteOriginal.tipo_ajuste === 'REVALORIZACION') {
+                await client.query(
+                    `UPDATE insumo SET costo_unitario_promedio = costo_unitario_promedio - ($1::numeric * $2::numeric) / stock_actual
+                     WHERE id_insumo = $3 AND stock_actual > 0`,
+                    [det.cantidad, det.costo_ajuste, det.id_insumo]
+                );
+            } else if (det.id_insumo) {
                 await client.query('UPDATE insumo SET stock_actual = stock_actual - $1 WHERE id_insumo = $2', [det.cantidad, det.id_insumo]);
+                await moverExistenciaInsumo(client, { id_insumo: det.id_insumo, id_ubicacion: idUbicacion, cantidad: -det.cantidad });
             } else if (det.id_refaccion) {
                 if (ajusteOriginal.tipo_ajuste === 'ENTRADA' && det.id_lote_refaccion) {
                     await client.query('DELETE FROM lote_refaccion WHERE id_lote = $1', [det.id_lote_refaccion]);
@@ -281,27 +342,18 @@ router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (r
         await client.query('DELETE FROM ajuste_inventario_detalle WHERE id_ajuste = $1', [id]);
 
         // APLICAR
+        // El ajuste se vuelve a aplicar en su mismo almacén
         for (const detalle of detalles) {
-            let idLoteParaGuardar = detalle.id_lote || null;
-            if (detalle.id_insumo) {
-                await client.query('UPDATE insumo SET stock_actual = stock_actual + $1 WHERE id_insumo = $2', [detalle.cantidad, detalle.id_insumo]);
-            } else if (detalle.id_refaccion) {
-                if (maestro.tipo_ajuste === 'ENTRADA') {
-                    const loteResult = await client.query(`INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso) VALUES ($1, $2, $3, $3, 0, CURRENT_DATE) RETURNING id_lote`, [detalle.id_refaccion, detalle.cantidad, detalle.costo_ajuste || 0]);
-                    idLoteParaGuardar = loteResult.rows[0].id_lote;
-                } else if (maestro.tipo_ajuste === 'SALIDA') {
-                    await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2', [Math.abs(detalle.cantidad), detalle.id_lote]);
-                } else if (maestro.tipo_ajuste === 'REVALORIZACION') {
-                    await client.query('UPDATE lote_refaccion SET costo_unitario_final = costo_unitario_final + $1 WHERE id_lote = $2', [detalle.costo_ajuste, detalle.id_lote]);
-                }
-            }
-            await client.query(`INSERT INTO ajuste_inventario_detalle (id_ajuste, id_refaccion, id_insumo, id_lote_refaccion, cantidad, costo_ajuste) VALUES ($1, $2, $3, $4, $5, $6)`, [id, detalle.id_refaccion, detalle.id_insumo, idLoteParaGuardar, detalle.cantidad, detalle.costo_ajuste]);
+            await aplicarDetalleAjuste(client, id, maestro.tipo_ajuste, idUbicacion, detalle);
         }
 
         await client.query('COMMIT');
         res.json({ message: 'Ajuste actualizado.', id_ajuste: id });
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ error: 'Periodo cerrado', message: error.message });
+        }
         res.status(500).json({ error: 'Error en el servidor', message: error.message });
     } finally {
         client.release();
@@ -0,0 +1,208 @@
+const express = require('express');
+const pool = require('../db');
+const router = express.Router();
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+const { registrarAuditoria } = require('../servicios/auditService');
+const { ESTATUS_ALERTA } = require('../servicios/alertasCombustibleService');
+
+// ============================================
+// GET / - Listado de alertas de combustible con filtros
+// ============================================
+router.get('/', verifyToken, async (req, res) => {
+    const {
+        page = 1,
+        limit = 20,
+        estatus = '',
+        tipo_alerta = '',
+        id_autobus = '',
+        id_operador = '',
+        fecha_desde = '',
+        fecha_hasta = ''
+    } = req.query;
+
+    try {
+        const params = [];
+        const whereClauses = [];
+
+        if (estatus) {
+            if (!ESTATUS_ALERTA.includes(estatus)) {
+                return res.status(400).json({ message: `Estatus no válido. Use ${ESTATUS_ALERTA.join(', ')}.` });
+            }
+            params.push(estatus);
+            whereClauses.push(`al.estatus = $${params.length}`);
+        }
+        if (tipo_alerta) {
+            params.push(tipo_alerta);
+            whereClauses.push(`al.tipo_alerta = $${params.length}`);
+        }
+        if (id_autobus) {
+            params.push(id_autobus);
+            whereClauses.push(`al.id_autobus = $${params.length}`);
+        }
+        if (id_operador) {
+            params.push(id_operador);
+            whereClauses.push(`al.id_empleado_operador = $${params.length}`);
+        }
+        if (fecha_desde) {
+            params.push(fecha_desde);
+            whereClauses.push(`al.fecha_creacion >= $${params.length}::timestamp`);
+        }
+        if (fecha_hasta) {
+            params.push(fecha_hasta + ' 23:59:59');
+            whereClauses.push(`al.fecha_creacion <= $${params.length}::timestamp`);
+        }
+
+        const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        const totalResult = await pool.query(`SELECT COUNT(*) as count FROM alertas_combustible al ${whereString}`, params);
+        const totalItems = parseInt(totalResult.rows[0].count, 10);
+
+        const offset = (page - 1) * limit;
+        const dataResult = await pool.query(
+            `SELECT
+                al.*,
+                a.economico,
+                o.nombre_completo as nombre_operador,
+                cc.fecha_operacion as fecha_carga,
+                cc.litros_cargados,
+                cc.rendimiento_calculado,
+                ej.nombre as justificada_por_nombre,
+                ec.nombre as cerrada_por_nombre
+            FROM alertas_combustible al
+            LEFT JOIN autobus a ON al.id_autobus = a.id_autobus
+            LEFT JOIN operadores o ON al.id_empleado_operador = o.id_operador
+            LEFT JOIN cargas_combustible cc ON al.id_carga = cc.id_carga
+            LEFT JOIN empleado ej ON al.justificada_por = ej.id_empleado
+            LEFT JOIN empleado ec ON al.cerrada_por = ec.id_empleado
+            ${whereString}
+            ORDER BY al.fecha_creacion DESC, al.id_alerta DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            total: totalItems,
+            totalPages: Math.ceil(totalItems / limit),
+            currentPage: parseInt(page, 10),
+            data: dataResult.rows
+        });
+    } catch (error) {
+        console.error('Error al obtener alertas de combustible:', error);
+        res.status(500).json({ message: 'Error al obtener las alertas de combustible' });
+    }
+});
+
+// ============================================
+// GET /resumen - Conteo de alertas por tipo y estatus (para el tablero)
+// ============================================
+router.get('/resumen', verifyToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT tipo_alerta, estatus, COUNT(*) as total
+             FROM alertas_combustible
+             GROUP BY tipo_alerta, estatus
+             ORDER BY tipo_alerta, estatus`
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error al obtener resumen de alertas:', error);
+        res.status(500).json({ message: 'Error al obtener el resumen de alertas' });
+    }
+});
+
+// ============================================
+// PUT /:id/justificar - El responsable explica la anomalía (solo alertas abiertas)
+// ============================================
+router.put('/:id/justificar', [verifyToken, checkRole(['AdminDiesel', 'Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const { justificacion } = req.body;
+
+    if (!justificacion || !justificacion.trim()) {
+        return res.status(400).json({ message: 'La justificación es requerida.' });
+    }
+
+    try {
+        const result = await pool.query(
+            `UPDATE alertas_combustible
+             SET estatus = 'Justificada', justificacion = $1, justificada_por = $2, fecha_justificacion = NOW()
+             WHERE id_alerta = $3 AND estatus = 'Abierta'
+             RETURNING *`,
+            [justificacion.trim(), req.user.id, id]
+        );
+
+        if (result.rows.length === 0) {
+            const existe = await pool.query('SELECT estatus FROM alertas_combustible WHERE id_alerta = $1', [id]);
+            if (existe.rows.length === 0) {
+                return res.status(404).json({ message: 'Alerta no encontrada.' });
+            }
+            return res.status(400).json({ message: `La alerta ya está ${existe.rows[0].estatus.toLowerCase()}.` });
+        }
+
+        // 🛡️ REGISTRO DE AUDITORÍA: JUSTIFICACIÓN DE ALERTA
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'alertas_combustible',
+            id_recurso_afectado: id,
+            detalles_cambio: {
+                mensaje: 'Se justificó una alerta de combustible.',
+                tipo_alerta: result.rows[0].tipo_alerta,
+                justificacion: justificacion.trim()
+            },
+            ip_address: req.ip
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error al justificar alerta:', error);
+        res.status(500).json({ message: 'Error al justificar la alerta' });
+    }
+});
+
+// ============================================
+// PUT /:id/cerrar - Cierre definitivo (abierta o justificada)
+// ============================================
+router.put('/:id/cerrar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const { comentario_cierre } = req.body;
+
+    try {
+        const result = await pool.query(
+            `UPDATE alertas_combustible
+             SET estatus = 'Cerrada', comentario_cierre = $1, cerrada_por = $2, fecha_cierre = NOW()
+             WHERE id_alerta = $3 AND estatus <> 'Cerrada'
+             RETURNING *`,
+            [comentario_cierre || null, req.user.id, id]
+        );
+
+        if (result.rows.length === 0) {
+            const existe = await pool.query('SELECT 1 FROM alertas_combustible WHERE id_alerta = $1', [id]);
+            if (existe.rows.length === 0) {
+                return res.status(404).json({ message: 'Alerta no encontrada.' });
+            }
+            return res.status(400).json({ message: 'La alerta ya está cerrada.' });
+        }
+
+        // 🛡️ REGISTRO DE AUDITORÍA: CIERRE DE ALERTA
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'alertas_combustible',
+            id_recurso_afectado: id,
+            detalles_cambio: {
+                mensaje: 'Se cerró una alerta de combustible.',
+                tipo_alerta: result.rows[0].tipo_alerta,
+                comentario_cierre: comentario_cierre || null
+            },
+            ip_address: req.ip
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error al cerrar alerta:', error);
+        res.status(500).json({ message: 'Error al cerrar la alerta' });
+    }
+});
+
+module.exports = router;
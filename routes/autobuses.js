@@ -6,6 +6,7 @@ const checkRole = require('../middleware/checkRole');
 const router = express.Router();
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { registrarLectura, registrarCambioOdometro, ORIGENES_LECTURA } = require('../servicios/odometroService');
 
 const validateAutobus = [
   body('Economico').notEmpty().withMessage('Número económico es requerido'),
@@ -144,20 +145,20 @@ router.post('/', [verifyToken, checkRole(['Admin','SuperUsuario'])], validateAut
 
   const { 
     Economico, Marca, Modelo, Anio, Kilometraje_Actual, VIN, Razon_Social,
-    Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema,HP, Carroceria, Sistema_Electrico, Medida_Llanta 
+    Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema,HP, Carroceria, Sistema_Electrico, Medida_Llanta, Capacidad_Tanque 
   } = req.body;
 
   try {
     const result = await pool.query(
       `INSERT INTO autobus (
         economico, marca, modelo, anio, kilometraje_actual, vin, razon_social, 
-        chasis, motor, tarjeta_circulacion, placa, sistema,HP, Carroceria, Sistema_Electrico, Medida_Llanta
+        chasis, motor, tarjeta_circulacion, placa, sistema,HP, Carroceria, Sistema_Electrico, Medida_Llanta, capacidad_tanque_litros
        )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
        RETURNING *`,
       [
         Economico, Marca, Modelo, Anio, Kilometraje_Actual, VIN, Razon_Social,
-        Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta
+        Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta, Capacidad_Tanque || null
       ]
     );
 
@@ -202,29 +203,54 @@ router.put('/:id', [verifyToken, checkRole(['Admin'])], async (req, res) => {
   const { id } = req.params; 
   const { 
     Marca, Modelo, Anio, Kilometraje_Actual, Razon_Social,
-    Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta
+    Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta, Capacidad_Tanque
   } = req.body; 
 
+  const kmCapturado = Kilometraje_Actual !== undefined && Kilometraje_Actual !== null && Kilometraje_Actual !== '';
+  if (kmCapturado && (isNaN(Kilometraje_Actual) || parseFloat(Kilometraje_Actual) < 0)) {
+    return res.status(400).json({ message: 'El kilometraje actual debe ser un número positivo.' });
+  }
+
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const actualResult = await client.query('SELECT kilometraje_actual FROM autobus WHERE id_autobus = $1 FOR UPDATE', [id]);
+    if (actualResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Autobús no encontrado' });
+    }
+
+    // Un kilometraje distinto pasa por el historial del odómetro, que rechaza retrocesos
+    if (kmCapturado && parseFloat(Kilometraje_Actual) !== parseFloat(actualResult.rows[0].kilometraje_actual)) {
+      await registrarLectura(client, {
+        id_autobus: id,
+        lectura: Kilometraje_Actual,
+        origen: ORIGENES_LECTURA.SINCRONIZACION,
+        id_empleado: req.user.id,
+        observaciones: 'Edición de datos del autobús'
+      });
+    }
+
+    const result = await client.query(
       `UPDATE Autobus 
        SET 
-          Marca = $1, Modelo = $2, Anio = $3, Kilometraje_Actual = $4,
+          Marca = $1, Modelo = $2, Anio = $3, Kilometraje_Actual = COALESCE($4, Kilometraje_Actual),
          razon_social = $5, chasis = $6, motor = $7, tarjeta_circulacion = $8,
          placa = $9, sistema = $10, hp = $11, carroceria = $12,
-         sistema_electrico = $13, medida_llanta = $14
-       WHERE ID_Autobus = $15
+         sistema_electrico = $13, medida_llanta = $14,
+         -- Sin capacidad en la petición se conserva la registrada
+         capacidad_tanque_litros = COALESCE($15, capacidad_tanque_litros)
+       WHERE ID_Autobus = $16
        RETURNING *`,
       [
-        Marca, Modelo, Anio, Kilometraje_Actual, Razon_Social,
-        Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta,
+        Marca, Modelo, Anio, kmCapturado ? Kilometraje_Actual : null, Razon_Social,
+        Chasis, Motor, Tarjeta_Circulacion, Placa, Sistema, HP, Carroceria, Sistema_Electrico, Medida_Llanta, Capacidad_Tanque || null,
         id 
       ]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Autobús no encontrado' });
-    }
+    await client.query('COMMIT');
 
     // 🛡️ REGISTRO DE AUDITORÍA: ACTUALIZACIÓN
     registrarAuditoria({
@@ -241,6 +267,10 @@ router.put('/:id', [verifyToken, checkRole(['Admin'])], async (req, res) => {
 
     res.json(result.rows[0]);
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'ODOMETRO_RETROCESO') {
+      return res.status(400).json({ message: error.message, detalle: error.detalle });
+    }
     console.error("Error al actualizar autobús:", error);
     if (error.code === '23505') {
         return res.status(400).json({ message: 'Uno de los identificadores únicos (VIN, Chasis, Placa, etc.) ya está en uso.' });
@@ -249,6 +279,8 @@ router.put('/:id', [verifyToken, checkRole(['Admin'])], async (req, res) => {
         return res.status(400).json({ message: 'Uno de los valores seleccionados (Razón Social o Sistema) no es válido.' });
     }
     res.status(500).json({ message: 'Error al actualizar el autobús' });
+  } finally {
+    client.release();
   }
 });
 
@@ -317,21 +349,31 @@ router.get('/:idEntrada', async (req, res) => {
 // =======================================================
 router.post('/:id/sync-km-carga', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
     const { id } = req.params;
-    const { kilometraje } = req.body;
+    const { kilometraje, observaciones } = req.body;
 
     if (kilometraje === undefined || kilometraje < 0) {
         return res.status(400).json({ message: 'Se requiere un valor de kilometraje válido.' });
     }
 
+    const client = await pool.connect();
     try {
-        const result = await pool.query(
-            'UPDATE autobus SET kilometraje_ultima_carga = $1 WHERE id_autobus = $2 RETURNING *',
+        await client.query('BEGIN');
+
+        // La lectura queda en el historial; un valor menor al último se rechaza (declare un cambio de odómetro)
+        await registrarLectura(client, {
+            id_autobus: id,
+            lectura: kilometraje,
+            origen: ORIGENES_LECTURA.SINCRONIZACION,
+            id_empleado: req.user.id,
+            observaciones: observaciones || null
+        });
+
+        await client.query(
+            'UPDATE autobus SET kilometraje_ultima_carga = $1 WHERE id_autobus = $2',
             [kilometraje, id]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Autobús no encontrado.' });
-        }
+        await client.query('COMMIT');
 
         // 🛡️ REGISTRO DE AUDITORÍA: AJUSTE DE KILOMETRAJE MANUAL
         registrarAuditoria({
@@ -349,8 +391,125 @@ router.post('/:id/sync-km-carga', [verifyToken, checkRole(['Admin', 'SuperUsuari
         res.status(200).json({ message: 'Kilometraje de última carga actualizado exitosamente.' });
 
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === 'ODOMETRO_RETROCESO') {
+            return res.status(400).json({ message: error.message, detalle: error.detalle });
+        }
+        if (error.message === 'Autobús no encontrado.') {
+            return res.status(404).json({ message: error.message });
+        }
         console.error('Error al sincronizar kilometraje de carga:', error);
         res.status(500).json({ message: 'Error en el servidor.' });
+    } finally {
+        client.release();
+    }
+});
+
+// =======================================================
+// DECLARAR CAMBIO DE ODÓMETRO (Reemplazo o reinicio)
+// =======================================================
+router.post('/:id/cambio-odometro', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const { lectura_inicial, lectura_final_anterior, motivo, fecha_cambio } = req.body;
+
+    if (lectura_inicial === undefined || lectura_inicial === null || lectura_inicial < 0) {
+        return res.status(400).json({ message: 'Se requiere la lectura inicial del nuevo odómetro.' });
+    }
+    if (!motivo || !motivo.trim()) {
+        return res.status(400).json({ message: 'El motivo del cambio de odómetro es requerido.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const cambio = await registrarCambioOdometro(client, {
+            id_autobus: id,
+            lectura_inicial,
+            lectura_final_anterior,
+            motivo: motivo.trim(),
+            fecha_cambio: fecha_cambio || null,
+            id_empleado: req.user.id
+        });
+        await client.query('COMMIT');
+
+        // 🛡️ REGISTRO DE AUDITORÍA: CAMBIO DE ODÓMETRO
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'autobus',
+            id_recurso_afectado: id,
+            detalles_cambio: {
+                mensaje: 'Se declaró un cambio de odómetro.',
+                lectura_final_anterior: cambio.lectura_final_anterior,
+                lectura_inicial: cambio.lectura_inicial,
+                offset_nuevo: cambio.offset_nuevo,
+                motivo: cambio.motivo
+            },
+            ip_address: req.ip
+        });
+
+        res.status(201).json({ message: 'Cambio de odómetro registrado exitosamente.', cambio });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === 'ODOMETRO_RETROCESO') {
+            return res.status(400).json({ message: error.message, detalle: error.detalle });
+        }
+        if (error.message === 'Autobús no encontrado.') {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error('Error al registrar cambio de odómetro:', error);
+        res.status(500).json({ message: 'Error en el servidor.' });
+    } finally {
+        client.release();
+    }
+});
+
+// =======================================================
+// HISTORIAL DEL ODÓMETRO (Lecturas y cambios, con km de vida)
+// =======================================================
+router.get('/:id/odometro', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const { limit = 100 } = req.query;
+
+    try {
+        const autobusPromise = pool.query(
+            `SELECT id_autobus, economico, kilometraje_actual, kilometraje_ultima_carga,
+                    COALESCE(offset_odometro, 0) as offset_odometro,
+                    GREATEST(COALESCE(kilometraje_actual, 0), COALESCE(kilometraje_ultima_carga, 0)) + COALESCE(offset_odometro, 0) as km_vida
+             FROM autobus WHERE id_autobus = $1`,
+            [id]
+        );
+        const lecturasPromise = pool.query(
+            `SELECT lo.*, e.nombre as registrado_por
+             FROM lecturas_odometro lo
+             LEFT JOIN empleado e ON lo.id_empleado = e.id_empleado
+             WHERE lo.id_autobus = $1
+             ORDER BY lo.fecha_lectura DESC, lo.id_lectura DESC
+             LIMIT $2`,
+            [id, limit]
+        );
+        const cambiosPromise = pool.query(
+            `SELECT co.*, e.nombre as registrado_por
+             FROM cambios_odometro co
+             LEFT JOIN empleado e ON co.id_empleado = e.id_empleado
+             WHERE co.id_autobus = $1
+             ORDER BY co.fecha_cambio DESC`,
+            [id]
+        );
+        const [autobusResult, lecturasResult, cambiosResult] = await Promise.all([autobusPromise, lecturasPromise, cambiosPromise]);
+
+        if (autobusResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Autobús no encontrado.' });
+        }
+
+        res.json({
+            autobus: autobusResult.rows[0],
+            lecturas: lecturasResult.rows,
+            cambios: cambiosResult.rows
+        });
+    } catch (error) {
+        console.error('Error al obtener historial de odómetro:', error);
+        res.status(500).json({ message: 'Error al obtener el historial del odómetro.' });
     }
 });
 
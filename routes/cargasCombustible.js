@@ -4,6 +4,8 @@ const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
 const { registrarAuditoria } = require('../servicios/auditService');
+const { evaluarCarga, registrarIntentoRetroceso } = require('../servicios/alertasCombustibleService');
+const { registrarLectura, ORIGENES_LECTURA } = require('../servicios/odometroService');
 
 // ============================================
 // GET / - Listado con filtros 
@@ -164,6 +166,8 @@ router.get('/detalle/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista'
                 cc.km_esperados,
                 cc.motivo_desviacion,
                 cc.id_tanque,
+                cc.costo_litro,
+                cc.costo_total,
                 a.economico,
                 o.nombre_completo as nombre_operador,
                 d.nombre as nombre_despachador,
@@ -187,6 +191,17 @@ router.get('/detalle/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista'
 
         const carga = result.rows[0];
 
+        // Desglose de litros por tanque (cargas repartidas entre varios tanques)
+        const tanquesResult = await pool.query(
+            `SELECT cct.id_tanque, t.nombre_tanque, cct.litros, cct.costo_litro
+             FROM cargas_combustible_tanques cct
+             JOIN tanques_combustible t ON cct.id_tanque = t.id_tanque
+             WHERE cct.id_carga = $1
+             ORDER BY cct.litros DESC`,
+            [id]
+        );
+        carga.tanques_despacho = tanquesResult.rows;
+
         // Si es tipo 'vueltas', obtenemos las rutas
         if (carga.tipo_calculo === 'vueltas') {
             const rutasQuery = `
@@ -236,7 +251,8 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
         tipo_calculo,
         id_ruta_principal,
         dias_laborados,
-        rutas_realizadas
+        rutas_realizadas,
+        tanques
     } = req.body;
 
     console.log('============================================');
@@ -310,9 +326,13 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
                 id_empleado_operador, 
                 tipo_calculo,
                 litros_cargados as litros_originales,
-                id_tanque
+                id_tanque,
+                costo_litro,
+                costo_total,
+                id_empleado_despachador
             FROM cargas_combustible 
-            WHERE id_carga = $1`,
+            WHERE id_carga = $1
+            FOR UPDATE`,
             [id]
         );
 
@@ -335,18 +355,122 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
             id_tanque
         });
 
+        // ========== HISTORIAL DEL ODÓMETRO ==========
+        // La lectura que dejó la carga se reemplaza por la corregida y se valida contra sus vecinas
+        await client.query(
+            'DELETE FROM lecturas_odometro WHERE id_autobus = $1 AND origen = $2 AND id_referencia = $3',
+            [id_autobus, ORIGENES_LECTURA.CARGA_COMBUSTIBLE, id]
+        );
+        await registrarLectura(client, {
+            id_autobus,
+            lectura: kmFinalNum,
+            origen: ORIGENES_LECTURA.CARGA_COMBUSTIBLE,
+            id_referencia: id,
+            fecha_lectura: fecha_operacion,
+            id_empleado: cargaOriginal.id_empleado_despachador
+        });
+
+        // Si es la carga (o lectura) más reciente del autobús, su km sigue siendo el vigente
+        await client.query(
+            `UPDATE autobus SET kilometraje_ultima_carga = $1
+             WHERE id_autobus = $2
+               AND NOT EXISTS (SELECT 1 FROM cargas_combustible WHERE id_autobus = $2 AND id_carga <> $3 AND fecha_operacion > $4::timestamp)`,
+            [kmFinalNum, id_autobus, id, fecha_operacion]
+        );
+        await client.query(
+            `UPDATE autobus SET kilometraje_actual = $1
+             WHERE id_autobus = $2
+               AND NOT EXISTS (SELECT 1 FROM lecturas_odometro WHERE id_autobus = $2 AND fecha_lectura > $3::timestamp)`,
+            [kmFinalNum, id_autobus, fecha_operacion]
+        );
+
         // ========== CALCULAR DIFERENCIA DE LITROS ==========
         const diferencia_litros = litrosNum - parseFloat(litros_originales);
         console.log('📊 Diferencia de litros:', diferencia_litros.toFixed(2));
 
-        // ========== AJUSTAR NIVEL DEL TANQUE ==========
-        if (diferencia_litros !== 0) {
-            console.log('⛽ Ajustando nivel del tanque...');
-            
-            // Verificar que el tanque existe
+        // ========== REPARTO DEL AJUSTE POR TANQUE ==========
+        // En una carga repartida se puede mandar el nuevo reparto (tanques: [{ id_tanque, litros }]; los tanques que
+        // no vengan conservan sus litros). Sin él, toda la diferencia se toma del (o se devuelve al) tanque principal.
+        const desgloseResult = await client.query(
+            'SELECT id_tanque, litros, costo_litro FROM cargas_combustible_tanques WHERE id_carga = $1 ORDER BY id_tanque FOR UPDATE',
+            [id]
+        );
+        const desglose = desgloseResult.rows;
+
+        let ajustesTanques = [];
+        if (Array.isArray(tanques) && tanques.length > 0) {
+            if (desglose.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: 'Reparto de tanques inválido',
+                    message: 'Esta carga no tiene reparto por tanque; corrija solo los litros cargados.'
+                });
+            }
+            const nuevosLitros = new Map();
+            for (const t of tanques) {
+                const idTanque = parseInt(t.id_tanque, 10);
+                const litros = parseFloat(t.litros);
+                if (!desglose.some(d => d.id_tanque === idTanque)) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: 'Reparto de tanques inválido', message: `El tanque ${t.id_tanque} no forma parte del reparto de esta carga.` });
+                }
+                if (isNaN(litros) || litros < 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: 'Reparto de tanques inválido', message: 'Los litros por tanque no pueden ser negativos.' });
+                }
+                if (idTanque === id_tanque && litros === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: 'Reparto de tanques inválido', message: 'El tanque principal de la carga debe conservar litros en el reparto.' });
+                }
+                if (nuevosLitros.has(idTanque)) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: 'Reparto de tanques inválido', message: `El tanque ${idTanque} está repetido en el reparto.` });
+                }
+                nuevosLitros.set(idTanque, litros);
+            }
+            ajustesTanques = desglose.map(d => {
+                const litrosNuevos = nuevosLitros.has(d.id_tanque) ? nuevosLitros.get(d.id_tanque) : parseFloat(d.litros);
+                return { id_tanque: d.id_tanque, diferencia: litrosNuevos - parseFloat(d.litros), litros_nuevos: litrosNuevos, costo_litro: d.costo_litro };
+            });
+            const sumaLitros = ajustesTanques.reduce((total, a) => total + a.litros_nuevos, 0);
+            if (Math.abs(sumaLitros - litrosNum) > 0.01) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: 'Reparto de tanques inválido',
+                    message: `La suma de litros por tanque (${sumaLitros.toFixed(2)}) no coincide con los litros cargados (${litrosNum.toFixed(2)}).`
+                });
+            }
+        } else if (diferencia_litros !== 0) {
+            // Las cargas anteriores al reparto no tienen desglose; solo se mueve el nivel del tanque principal
+            const principal = desglose.find(d => d.id_tanque === id_tanque);
+            const litrosPrincipal = principal ? parseFloat(principal.litros) + diferencia_litros : null;
+            if (principal && litrosPrincipal <= 0) {
+                console.log('❌ El ajuste deja sin litros la extracción del tanque principal');
+                await client.query('ROLLBACK');
+                return res.status(400).json({ 
+                    error: 'Reparto de tanques inválido',
+                    message: 'La reducción de litros es mayor a lo que se tomó del tanque principal. Corrija la carga desde el reparto por tanque.' 
+                });
+            }
+            ajustesTanques = [{
+                id_tanque,
+                diferencia: diferencia_litros,
+                litros_nuevos: litrosPrincipal,
+                costo_litro: principal ? principal.costo_litro : cargaOriginal.costo_litro
+            }];
+        }
+        ajustesTanques = ajustesTanques.filter(a => a.diferencia !== 0);
+
+        // ========== AJUSTAR NIVEL DE LOS TANQUES ==========
+        // Los litros de diferencia se valúan al costo con el que salieron de cada tanque
+        let costoDiferencia = 0;
+        let costoConocido = true;
+        for (const ajuste of ajustesTanques) {
+            console.log('⛽ Ajustando nivel del tanque', ajuste.id_tanque);
+
             const tanqueResult = await client.query(
-                'SELECT id_tanque, nivel_actual_litros, capacidad_litros FROM tanques_combustible WHERE id_tanque = $1',
-                [id_tanque]
+                'SELECT nombre_tanque, nivel_actual_litros, capacidad_litros FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE',
+                [ajuste.id_tanque]
             );
 
             if (tanqueResult.rows.length === 0) {
@@ -362,62 +486,61 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
             const nivel_actual = parseFloat(tanque.nivel_actual_litros);
             const capacidad_litros = parseFloat(tanque.capacidad_litros);
 
-            console.log('📊 Estado del tanque:', {
-                id_tanque,
-                nivel_actual,
-                capacidad_litros
-            });
-
             // Si se reducen los litros (diferencia negativa), devolver al tanque
             // Si se aumentan los litros (diferencia positiva), tomar del tanque
-            const nuevo_nivel = nivel_actual - diferencia_litros;
+            const nuevo_nivel = nivel_actual - ajuste.diferencia;
 
-            console.log('📊 Cálculo del nuevo nivel:', {
-                nivel_actual,
-                diferencia_litros,
-                nuevo_nivel
-            });
-
-            // Validar que el tanque tenga suficiente combustible si se aumentan litros
-            if (diferencia_litros > 0 && nuevo_nivel < 0) {
+            if (ajuste.diferencia > 0 && nuevo_nivel < 0) {
                 console.log('❌ Tanque sin suficiente combustible');
                 await client.query('ROLLBACK');
                 return res.status(400).json({ 
                     error: 'Tanque insuficiente',
-                    message: `El tanque solo tiene ${nivel_actual.toFixed(2)} litros disponibles. No se pueden cargar ${diferencia_litros.toFixed(2)} litros adicionales.` 
+                    message: `El ${tanque.nombre_tanque} solo tiene ${nivel_actual.toFixed(2)} litros disponibles. No se pueden cargar ${ajuste.diferencia.toFixed(2)} litros adicionales.` 
                 });
             }
 
-            // Validar que no se exceda la capacidad del tanque al devolver combustible
-            if (diferencia_litros < 0 && nuevo_nivel > capacidad_litros) {
-                console.log('⚠️ ADVERTENCIA: Devolver combustible excedería la capacidad del tanque');
-                console.log(`Capacidad: ${capacidad_litros}L, Nuevo nivel calculado: ${nuevo_nivel}L`);
-                console.log('Se ajustará al máximo de la capacidad');
-                
-                // Ajustar al máximo sin exceder
+            if (ajuste.diferencia < 0 && nuevo_nivel > capacidad_litros) {
+                console.log(`⚠️ Devolver combustible excedería la capacidad del tanque (${capacidad_litros}L, nuevo nivel ${nuevo_nivel}L)`);
                 const litros_ajustados = capacidad_litros - nivel_actual;
-                
                 await client.query('ROLLBACK');
                 return res.status(400).json({ 
                     error: 'Capacidad del tanque excedida',
-                    message: `No se pueden devolver ${Math.abs(diferencia_litros).toFixed(2)} litros al tanque. Solo hay espacio para ${litros_ajustados.toFixed(2)} litros adicionales. Capacidad del tanque: ${capacidad_litros}L, Nivel actual: ${nivel_actual.toFixed(2)}L` 
+                    message: `No se pueden devolver ${Math.abs(ajuste.diferencia).toFixed(2)} litros al ${tanque.nombre_tanque}. Solo hay espacio para ${litros_ajustados.toFixed(2)} litros adicionales. Capacidad del tanque: ${capacidad_litros}L, Nivel actual: ${nivel_actual.toFixed(2)}L` 
                 });
             }
 
-            // Actualizar el nivel del tanque
             await client.query(
                 'UPDATE tanques_combustible SET nivel_actual_litros = $1 WHERE id_tanque = $2',
-                [nuevo_nivel, id_tanque]
+                [nuevo_nivel, ajuste.id_tanque]
+            );
+
+            // Reflejar el ajuste en la extracción registrada del tanque (un tanque que queda en cero conserva su renglón,
+            // que es el que lleva la extracción original en el kardex)
+            if (ajuste.litros_nuevos !== null) {
+                await client.query(
+                    'UPDATE cargas_combustible_tanques SET litros = $1 WHERE id_carga = $2 AND id_tanque = $3',
+                    [ajuste.litros_nuevos, id, ajuste.id_tanque]
+                );
+            }
+
+            // Movimiento del tanque en la fecha de la edición, para el kardex
+            await client.query(
+                `INSERT INTO ajustes_tanque 
+                 (id_tanque, id_carga, tipo_ajuste, litros, nivel_anterior, nivel_nuevo, motivo, fecha_operacion, id_empleado)
+                 VALUES ($1, $2, 'Edición de carga', $3, $4, $5, $6, NOW(), $7)`,
+                [ajuste.id_tanque, id, -ajuste.diferencia, nivel_actual, nuevo_nivel, `Carga #${id}: ${parseFloat(litros_originales)} → ${litrosNum} Lts`, req.user.id]
             );
 
-            if (diferencia_litros < 0) {
-                console.log(`✅ Devueltos ${Math.abs(diferencia_litros).toFixed(2)} litros al tanque`);
-                console.log(`Nivel del tanque: ${nivel_actual.toFixed(2)}L → ${nuevo_nivel.toFixed(2)}L`);
+            const costoLitroAjuste = ajuste.costo_litro ?? cargaOriginal.costo_litro;
+            if (costoLitroAjuste === null) {
+                costoConocido = false;
             } else {
-                console.log(`✅ Tomados ${diferencia_litros.toFixed(2)} litros adicionales del tanque`);
-                console.log(`Nivel del tanque: ${nivel_actual.toFixed(2)}L → ${nuevo_nivel.toFixed(2)}L`);
+                costoDiferencia += ajuste.diferencia * parseFloat(costoLitroAjuste);
             }
-        } else {
+
+            console.log(`✅ Nivel del ${tanque.nombre_tanque}: ${nivel_actual.toFixed(2)}L → ${nuevo_nivel.toFixed(2)}L`);
+        }
+        if (ajustesTanques.length === 0) {
             console.log('ℹ️ No hay cambios en los litros, no se ajusta el tanque');
         }
 
@@ -455,6 +578,14 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
         const rendimiento_calculado = km_recorridos / litrosNum;
         const desviacion_km = km_recorridos - km_esperados;
 
+        // Cargas anteriores al costeo no tienen costo que recalcular
+        let costo_total = null;
+        let costo_litro = null;
+        if (cargaOriginal.costo_total !== null && costoConocido) {
+            costo_total = parseFloat(cargaOriginal.costo_total) + costoDiferencia;
+            costo_litro = costo_total / litrosNum;
+        }
+
         console.log('📊 Cálculos realizados:', {
             km_recorridos,
             rendimiento_calculado: rendimiento_calculado.toFixed(2),
@@ -476,8 +607,10 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
                 desviacion_km = $8,
                 tipo_calculo = $9,
                 id_ruta_principal = $10,
-                dias_laborados = $11
-            WHERE id_carga = $12
+                dias_laborados = $11,
+                costo_litro = $12,
+                costo_total = $13
+            WHERE id_carga = $14
         `;
 
         await client.query(updateQuery, [
@@ -492,6 +625,8 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
             tipo_calculo || 'vueltas',
             tipo_calculo === 'dias' ? id_ruta_principal : null,
             tipo_calculo === 'dias' ? dias_laborados : null,
+            costo_litro !== null ? costo_litro.toFixed(4) : null,
+            costo_total !== null ? costo_total.toFixed(2) : null,
             id
         ]);
 
@@ -513,16 +648,20 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
 
         // ========== REGISTRAR AUDITORÍA (OPCIONAL) ==========
         console.log('📝 Registrando auditoría...');
+        // Con savepoint: sin él, el error de una tabla inexistente deja abortada la transacción y el COMMIT la deshace
         try {
+            await client.query('SAVEPOINT auditoria_carga');
             await client.query(
                 `INSERT INTO auditoria_cargas_combustible 
                 (id_carga, id_empleado, accion, litros_anteriores, litros_nuevos, diferencia_litros, fecha_modificacion)
                 VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
                 [id, req.user.id, 'EDICION', litros_originales, litrosNum, diferencia_litros]
             );
+            await client.query('RELEASE SAVEPOINT auditoria_carga');
             console.log('✅ Auditoría registrada');
         } catch (auditError) {
             // Si la tabla de auditoría no existe, solo lo reportamos pero no fallamos
+            await client.query('ROLLBACK TO SAVEPOINT auditoria_carga');
             console.log('⚠️ No se pudo registrar auditoría (tabla puede no existir):', auditError.message);
         }
 
@@ -565,12 +704,16 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
                 litros_anteriores: parseFloat(litros_originales).toFixed(2),
                 litros_nuevos: litrosNum.toFixed(2),
                 diferencia_litros: diferencia_litros.toFixed(2),
-                ajuste_tanque: diferencia_litros !== 0
+                ajuste_tanque: ajustesTanques.length > 0,
+                tanques_ajustados: ajustesTanques.map(a => ({ id_tanque: a.id_tanque, diferencia_litros: a.diferencia.toFixed(2) }))
             }
         });
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'ODOMETRO_RETROCESO') {
+            return res.status(400).json({ error: 'Kilometraje inválido', message: error.message, detalle: error.detalle });
+        }
         
         console.error('❌ ERROR en PUT /:id');
         console.error('Tipo:', error.constructor.name);
@@ -589,11 +732,94 @@ router.put('/:id', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'Super
 });
 
 
+// ============================================
+// Resuelve de qué tanque(s) sale el diésel de una carga.
+// - tanques: reparto explícito [{ id_tanque, litros }]
+// - id_tanque: un solo tanque elegido por el despachador
+// - sin ninguno: se toma en el orden de prioridad de la ubicación, repartiendo si uno no alcanza
+// Bloquea los tanques y regresa [{ id_tanque, nombre_tanque, litros, costo_litro }]
+// ============================================
+const resolverDespachoTanques = async (client, { id_ubicacion, id_tanque, tanques, litros_cargados }) => {
+    const litrosTotales = parseFloat(litros_cargados);
+
+    const tanquesUbicacion = await client.query(
+        `SELECT id_tanque, nivel_actual_litros, nombre_tanque, costo_promedio_litro 
+         FROM tanques_combustible 
+         WHERE id_ubicacion = $1 
+         ORDER BY prioridad_despacho ASC NULLS LAST, id_tanque ASC 
+         FOR UPDATE`,
+        [id_ubicacion]
+    );
+
+    if (tanquesUbicacion.rows.length === 0) {
+        throw new Error('No se encontró ningún tanque para esta ubicación.');
+    }
+
+    const buscarTanque = (idTanque) => {
+        const tanque = tanquesUbicacion.rows.find(t => t.id_tanque === parseInt(idTanque, 10));
+        if (!tanque) throw new Error(`El tanque ${idTanque} no pertenece a la ubicación seleccionada.`);
+        return tanque;
+    };
+
+    // Un tanque sin costo promedio (dado de alta sin costo y sin recargas costeadas) despacha sin costo, no a $0
+    const costoLitro = (tanque) => (parseFloat(tanque.costo_promedio_litro) > 0 ? parseFloat(tanque.costo_promedio_litro) : null);
+
+    const validarNivel = (tanque, litros) => {
+        if (parseFloat(tanque.nivel_actual_litros) < litros) {
+            throw new Error(`El ${tanque.nombre_tanque} no tiene suficiente combustible. Nivel actual: ${tanque.nivel_actual_litros} Lts, Solicitado: ${litros} Lts.`);
+        }
+    };
+
+    // 1. Reparto explícito entre varios tanques
+    if (Array.isArray(tanques) && tanques.length > 0) {
+        const sumaLitros = tanques.reduce((total, t) => total + parseFloat(t.litros || 0), 0);
+        if (Math.abs(sumaLitros - litrosTotales) > 0.01) {
+            throw new Error(`La suma de litros por tanque (${sumaLitros}) no coincide con los litros cargados (${litrosTotales}).`);
+        }
+        const idsUsados = new Set();
+        return tanques.map(t => {
+            const tanque = buscarTanque(t.id_tanque);
+            const litros = parseFloat(t.litros);
+            if (!litros || litros <= 0) throw new Error('Los litros por tanque deben ser mayores a 0.');
+            if (idsUsados.has(tanque.id_tanque)) throw new Error(`El ${tanque.nombre_tanque} está repetido en el reparto.`);
+            idsUsados.add(tanque.id_tanque);
+            validarNivel(tanque, litros);
+            return { id_tanque: tanque.id_tanque, nombre_tanque: tanque.nombre_tanque, litros, costo_litro: costoLitro(tanque) };
+        });
+    }
+
+    // 2. Tanque elegido explícitamente
+    if (id_tanque) {
+        const tanque = buscarTanque(id_tanque);
+        validarNivel(tanque, litrosTotales);
+        return [{ id_tanque: tanque.id_tanque, nombre_tanque: tanque.nombre_tanque, litros: litrosTotales, costo_litro: costoLitro(tanque) }];
+    }
+
+    // 3. Automático por prioridad de la ubicación
+    const despacho = [];
+    let pendiente = litrosTotales;
+    for (const tanque of tanquesUbicacion.rows) {
+        if (pendiente <= 0) break;
+        const nivel = parseFloat(tanque.nivel_actual_litros);
+        if (nivel <= 0) continue;
+        const litros = Math.min(nivel, pendiente);
+        despacho.push({ id_tanque: tanque.id_tanque, nombre_tanque: tanque.nombre_tanque, litros, costo_litro: costoLitro(tanque) });
+        pendiente -= litros;
+    }
+
+    if (pendiente > 0) {
+        const disponible = litrosTotales - pendiente;
+        throw new Error(`Los tanques de esta ubicación no tienen suficiente combustible. Disponible: ${disponible.toFixed(2)} Lts, Solicitado: ${litrosTotales} Lts.`);
+    }
+
+    return despacho;
+};
+
 // ============================================
 // POST / - Registro de nueva carga 
 // ============================================
 router.post('/', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'SuperUsuario', 'Admin'])], async (req, res) => {
-    const { id_autobus, id_empleado_operador, id_ubicacion, fecha_operacion, km_final, litros_cargados, motivo_desviacion, tipo_calculo, id_ruta_principal, dias_laborados, rutas_realizadas } = req.body;
+    const { id_autobus, id_empleado_operador, id_ubicacion, id_tanque, tanques, fecha_operacion, km_final, litros_cargados, motivo_desviacion, tipo_calculo, id_ruta_principal, dias_laborados, rutas_realizadas } = req.body;
     const id_empleado_despachador = req.user.id;
 
     if (!id_autobus || !km_final || !litros_cargados || !fecha_operacion || !id_ubicacion) {
@@ -645,22 +871,16 @@ router.post('/', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'SuperUs
         const rendimiento_calculado = litros_cargados > 0 ? km_recorridos / litros_cargados : 0;
         const desviacion_km = km_recorridos - km_esperados;
 
-        // 4. Seleccionar el Tanque Principal (por defecto el Tanque 1 de la ubicación) y Validar Existencia
-        const tanqueResult = await client.query(
-            'SELECT id_tanque, nivel_actual_litros, nombre_tanque FROM tanques_combustible WHERE id_ubicacion = $1 ORDER BY id_tanque ASC LIMIT 1 FOR UPDATE',
-            [id_ubicacion]
-        );
+        // 4. Seleccionar el/los tanque(s) de los que sale la carga y validar existencia
+        const despachoTanques = await resolverDespachoTanques(client, { id_ubicacion, id_tanque, tanques, litros_cargados });
 
-        if (tanqueResult.rows.length === 0) {
-            throw new Error('No se encontró ningún tanque para esta ubicación.');
-        }
+        // El tanque principal (el que más aporta) queda en la carga para compatibilidad con reportes
+        const tanquePrincipal = despachoTanques.reduce((mayor, t) => (t.litros > mayor.litros ? t : mayor));
 
-        const tanquePrincipal = tanqueResult.rows[0];
-
-        // Validar que el tanque no quede en negativo
-        if (parseFloat(tanquePrincipal.nivel_actual_litros) < parseFloat(litros_cargados)) {
-            throw new Error(`El ${tanquePrincipal.nombre_tanque} no tiene suficiente combustible. Nivel actual: ${tanquePrincipal.nivel_actual_litros} Lts, Solicitado: ${litros_cargados} Lts.`);
-        }
+        // Costo de la carga al promedio ponderado de cada tanque del que se tomó; si alguno no tiene costo, la carga queda sin costo
+        const costeada = despachoTanques.every(t => t.costo_litro !== null);
+        const costo_total = costeada ? despachoTanques.reduce((total, t) => total + (t.litros * t.costo_litro), 0) : null;
+        const costo_litro = costeada ? costo_total / parseFloat(litros_cargados) : null;
 
         // 5. Guardar Carga
         const cargaResult = await client.query(
@@ -668,9 +888,10 @@ router.post('/', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'SuperUs
                 id_autobus, id_empleado_operador, id_empleado_despachador, id_tanque, fecha_operacion,
                 km_inicial, km_final, km_recorridos, litros_cargados, rendimiento_calculado,
                 km_esperados, desviacion_km, motivo_desviacion,
-                id_ruta_principal, dias_laborados, tipo_calculo, litros_desviacion
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id_carga`,
-            [id_autobus, id_empleado_operador, id_empleado_despachador, tanquePrincipal.id_tanque, fecha_operacion, km_inicial, km_final, km_recorridos, litros_cargados, rendimiento_calculado, km_esperados, desviacion_km, motivo_desviacion, id_ruta_principal, dias_laborados, tipo_calculo, litros_desviacion]
+                id_ruta_principal, dias_laborados, tipo_calculo, litros_desviacion,
+                costo_litro, costo_total
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19) RETURNING id_carga`,
+            [id_autobus, id_empleado_operador, id_empleado_despachador, tanquePrincipal.id_tanque, fecha_operacion, km_inicial, km_final, km_recorridos, litros_cargados, rendimiento_calculado, km_esperados, desviacion_km, motivo_desviacion, id_ruta_principal, dias_laborados, tipo_calculo, litros_desviacion, costeada ? costo_litro.toFixed(4) : null, costeada ? costo_total.toFixed(2) : null]
         );
 
         const id_carga = cargaResult.rows[0].id_carga;
@@ -681,13 +902,45 @@ router.post('/', [verifyToken, checkRole(['AdminDiesel', 'Almacenista', 'SuperUs
             }
         }
 
+        // Historial del odómetro: rechaza la carga si el km final retrocede
+        await registrarLectura(client, {
+            id_autobus,
+            lectura: km_final,
+            origen: ORIGENES_LECTURA.CARGA_COMBUSTIBLE,
+            id_referencia: id_carga,
+            fecha_lectura: fecha_operacion,
+            id_empleado: id_empleado_despachador
+        });
+
         await client.query('UPDATE autobus SET kilometraje_actual = $1, kilometraje_ultima_carga = $1 WHERE id_autobus = $2', [km_final, id_autobus]);
-        await client.query('UPDATE tanques_combustible SET nivel_actual_litros = nivel_actual_litros - $1 WHERE id_tanque = $2', [litros_cargados, tanquePrincipal.id_tanque]);
+
+        // 6. Registrar cada extracción por tanque y descontar su nivel
+        for (const despacho of despachoTanques) {
+            await client.query(
+                'INSERT INTO cargas_combustible_tanques (id_carga, id_tanque, litros, costo_litro) VALUES ($1, $2, $3, $4)',
+                [id_carga, despacho.id_tanque, despacho.litros, despacho.costo_litro !== null ? despacho.costo_litro.toFixed(4) : null]
+            );
+            await client.query('UPDATE tanques_combustible SET nivel_actual_litros = nivel_actual_litros - $1 WHERE id_tanque = $2', [despacho.litros, despacho.id_tanque]);
+        }
+
+        // 7. Motor de anomalías: las alertas no bloquean la carga, quedan abiertas para revisión
+        const alertas = await evaluarCarga(client, id_carga);
 
         await client.query('COMMIT');
-        res.status(201).json({ message: 'Carga registrada con éxito.' });
+        res.status(201).json({ message: 'Carga registrada con éxito.', id_carga, tanques: despachoTanques, costo_litro: costeada ? costo_litro.toFixed(4) : null, costo_total: costeada ? costo_total.toFixed(2) : null, alertas });
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'ODOMETRO_RETROCESO') {
+            // La carga se rechaza, pero el intento queda como alerta para revisión
+            try {
+                await registrarIntentoRetroceso(client, {
+                    id_autobus, id_empleado_operador, km_final, litros_cargados, fecha_operacion, id_empleado_despachador, detalle: error.detalle
+                });
+            } catch (alertaError) {
+                console.error('Error al registrar alerta de odómetro en retroceso:', alertaError);
+            }
+            return res.status(400).json({ message: error.message, detalle: error.detalle });
+        }
         res.status(500).json({ message: error.message });
     } finally { client.release(); }
 });
@@ -0,0 +1,247 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const { parsearCfdi, proponerCoincidencias } = require('../servicios/cfdiService');
+const { registrarRecepcionOrden } = require('../servicios/comprasService');
+const { guardarDetalleRefaccion, guardarDetalleInsumo } = require('../servicios/entradasService');
+const { conciliarEntrada } = require('../servicios/conciliacionService');
+const { detectarCambioPrecio } = require('../servicios/preciosService');
+const { resolverUbicacion } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// El XML puede llegar como texto plano (application/xml) o dentro de un JSON { xml }
+router.use(express.text({ type: ['application/xml', 'text/xml'], limit: '2mb' }));
+const obtenerXml = (req) => (typeof req.body === 'string' ? req.body : req.body?.xml);
+
+// Busca el proveedor por RFC y si el UUID ya se capturó en una entrada vigente
+const validarContraCatalogo = async (db, cfdi) => {
+  const proveedorPromise = db.query(
+    'SELECT id_proveedor, nombre_proveedor, rfc FROM proveedor WHERE UPPER(TRIM(rfc)) = $1 LIMIT 1',
+    [cfdi.emisor.rfc]
+  );
+  const duplicadoPromise = db.query(
+    `SELECT id_entrada, fecha_operacion FROM entrada_almacen
+     WHERE UPPER(uuid_cfdi) = $1 AND COALESCE(estado, '') <> 'CANCELADO' LIMIT 1`,
+    [cfdi.uuid]
+  );
+  const [proveedorResult, duplicadoResult] = await Promise.all([proveedorPromise, duplicadoPromise]);
+  return {
+    proveedor: proveedorResult.rows[0] || null,
+    entrada_duplicada: duplicadoResult.rows[0] || null
+  };
+};
+
+// =======================================================
+// PREVISUALIZAR UN CFDI (Proveedor, duplicado y artículos sugeridos)
+// =======================================================
+router.post('/previsualizar', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  try {
+    const cfdi = parsearCfdi(obtenerXml(req));
+    const { proveedor, entrada_duplicada } = await validarContraCatalogo(pool, cfdi);
+    const conceptos = await proponerCoincidencias(pool, cfdi.conceptos);
+
+    res.json({ ...cfdi, conceptos, proveedor, entrada_duplicada });
+  } catch (error) {
+    if (error.code === 'CFDI_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al leer CFDI:', error);
+    res.status(500).json({ message: 'Error al leer el CFDI' });
+  }
+});
+
+// =======================================================
+// IMPORTAR UN CFDI COMO ENTRADA DE ALMACÉN
+// asignaciones: [{ indice, tipo_item: 'refaccion' | 'insumo', id_item, ID_Detalle_Orden?, fecha_caducidad?, omitir? }]
+// =======================================================
+router.post('/importar', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const {
+    ID_Proveedor,
+    Recibido_Por_ID,
+    Razon_Social,
+    Fecha_Operacion,
+    Vale_Interno,
+    Observaciones,
+    ID_Orden_Compra,
+    ID_Ubicacion,
+    asignaciones = []
+  } = req.body;
+
+  if (!Recibido_Por_ID || !Razon_Social) {
+    return res.status(400).json({ message: 'Recibido Por y Razón Social son requeridos.' });
+  }
+  if (!Array.isArray(asignaciones)) {
+    return res.status(400).json({ message: 'Las asignaciones de conceptos deben enviarse como arreglo.' });
+  }
+
+  let cfdi;
+  try {
+    cfdi = parsearCfdi(obtenerXml(req));
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  // Cada concepto debe quedar asignado a un artículo u omitido explícitamente
+  const porIndice = new Map(asignaciones.map(a => [parseInt(a.indice, 10), a]));
+  const sinAsignar = cfdi.conceptos.filter(c => {
+    const a = porIndice.get(c.indice);
+    return !a || (!a.omitir && (!a.id_item || !['refaccion', 'insumo'].includes(a.tipo_item)));
+  });
+  if (sinAsignar.length > 0) {
+    return res.status(400).json({
+      message: 'Todos los conceptos deben asignarse a una refacción o insumo, o marcarse como omitidos.',
+      conceptos_sin_asignar: sinAsignar.map(c => ({ indice: c.indice, descripcion: c.descripcion }))
+    });
+  }
+  const caducidadInvalida = asignaciones.find(a => !a.omitir && a.fecha_caducidad && isNaN(Date.parse(a.fecha_caducidad)));
+  if (caducidadInvalida) {
+    return res.status(400).json({ message: `La fecha de caducidad del concepto ${caducidadInvalida.indice} no es válida.` });
+  }
+
+  const fechaOperacion = Fecha_Operacion || cfdi.fecha;
+  if (new Date(fechaOperacion) > new Date()) {
+    return res.status(400).json({ message: 'La fecha de operación no puede ser una fecha futura.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await verificarPeriodoAbierto(client, fechaOperacion);
+
+    const { proveedor, entrada_duplicada } = await validarContraCatalogo(client, cfdi);
+    if (entrada_duplicada) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        message: `El CFDI ${cfdi.uuid} ya fue capturado en la entrada #${entrada_duplicada.id_entrada}.`,
+        entrada_duplicada
+      });
+    }
+    const idProveedor = proveedor ? proveedor.id_proveedor : ID_Proveedor;
+    if (!idProveedor) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `No hay un proveedor con RFC ${cfdi.emisor.rfc}. Regístrelo o indique el proveedor.` });
+    }
+
+    // Si se omiten conceptos, lo que se coteja es solo lo importado (importe neto más IVA de cada concepto).
+    // El IEPS y las retenciones no van en las líneas; se guardan aparte para que la conciliación los considere.
+    const conceptosImportados = cfdi.conceptos.filter(c => !porIndice.get(c.indice).omitir);
+    const montoOtrosImpuestos = conceptosImportados.reduce((total, c) => total + c.monto_otros_impuestos, 0);
+    const montoRetenciones = conceptosImportados.reduce((total, c) => total + c.monto_retenciones, 0);
+    const montoFactura = conceptosImportados.length === cfdi.conceptos.length
+      ? cfdi.total
+      : conceptosImportados.reduce((total, c) => total + c.cantidad * (c.costo_unitario_subtotal + c.monto_iva_unitario), 0)
+        + montoOtrosImpuestos - montoRetenciones;
+
+    const folio = cfdi.folio ? `${cfdi.serie || ''}${cfdi.folio}` : cfdi.uuid;
+    const idUbicacion = await resolverUbicacion(client, ID_Ubicacion);
+    const entradaResult = await client.query(
+      `INSERT INTO entrada_almacen
+        (id_proveedor, factura_proveedor, vale_interno, observaciones, recibido_por_id, razon_social, fecha_operacion,
+         id_orden_compra, uuid_cfdi, rfc_emisor, fecha_factura, monto_factura, monto_otros_impuestos, monto_retenciones, id_ubicacion)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [idProveedor, folio, Vale_Interno || null, Observaciones || null, Recibido_Por_ID, Razon_Social, fechaOperacion,
+        ID_Orden_Compra || null, cfdi.uuid, cfdi.emisor.rfc, cfdi.fecha, montoFactura, montoOtrosImpuestos, montoRetenciones, idUbicacion]
+    );
+    const entrada = entradaResult.rows[0];
+
+    let lineasCreadas = 0;
+    const alertasPrecio = [];
+    for (const concepto of cfdi.conceptos) {
+      const asignacion = porIndice.get(concepto.indice);
+      if (asignacion.omitir) continue;
+
+      const esRefaccion = asignacion.tipo_item === 'refaccion';
+      if (asignacion.ID_Detalle_Orden) {
+        await registrarRecepcionOrden(client, {
+          id_entrada: entrada.id_entrada,
+          id_detalle_orden: asignacion.ID_Detalle_Orden,
+          id_refaccion: esRefaccion ? asignacion.id_item : null,
+          id_insumo: esRefaccion ? null : asignacion.id_item,
+          cantidad: concepto.cantidad
+        });
+      }
+
+      // El costo y el IVA son los del concepto, con la tasa que trae el CFDI
+      const linea = {
+        id_entrada: entrada.id_entrada,
+        cantidad: concepto.cantidad,
+        costo_unitario_subtotal: concepto.costo_unitario_subtotal,
+        monto_iva_unitario: concepto.monto_iva_unitario,
+        id_detalle_orden: asignacion.ID_Detalle_Orden || null
+      };
+      if (esRefaccion) {
+        const alerta = await detectarCambioPrecio(client, asignacion.id_item, concepto.costo_unitario_subtotal);
+        if (alerta) alertasPrecio.push({ indice: concepto.indice, descripcion: concepto.descripcion, ...alerta });
+
+        const idDetalle = await guardarDetalleRefaccion(client, {
+          ...linea,
+          id_refaccion: asignacion.id_item,
+          fecha_caducidad: asignacion.fecha_caducidad || null
+        });
+        await client.query(
+          'UPDATE detalle_entrada SET cantidad_facturada = $1, precio_facturado = $2 WHERE id_detalle_entrada = $3',
+          [concepto.cantidad, concepto.costo_unitario_subtotal, idDetalle]
+        );
+      } else {
+        const idDetalle = await guardarDetalleInsumo(client, { ...linea, id_insumo: asignacion.id_item });
+        await client.query(
+          'UPDATE detalle_entrada_insumo SET cantidad_facturada = $1, precio_facturado = $2 WHERE id_detalle_insumo = $3',
+          [concepto.cantidad, concepto.costo_unitario_subtotal, idDetalle]
+        );
+      }
+      lineasCreadas++;
+    }
+
+    // La factura llega junto con la entrada, así que se coteja de una vez
+    const conciliacion = await conciliarEntrada(client, entrada.id_entrada);
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: ENTRADA DESDE CFDI
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'entrada_almacen',
+      id_recurso_afectado: entrada.id_entrada,
+      detalles_cambio: {
+        mensaje: 'Se generó una entrada de almacén importando un CFDI.',
+        uuid: cfdi.uuid,
+        rfc_emisor: cfdi.emisor.rfc,
+        total: cfdi.total,
+        monto_factura: montoFactura,
+        monto_otros_impuestos: montoOtrosImpuestos,
+        monto_retenciones: montoRetenciones,
+        lineas: lineasCreadas,
+        conceptos_omitidos: cfdi.conceptos.length - lineasCreadas
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ entrada, lineas: lineasCreadas, ...conciliacion, alertas_precio: alertasPrecio });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'RECEPCION_ORDEN_INVALIDA' || error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ message: `El CFDI ${cfdi.uuid} ya fue capturado.` });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'Uno de los artículos asignados o el proveedor no existe.' });
+    }
+    console.error('Error al importar CFDI:', error);
+    res.status(500).json({ message: 'Error al importar el CFDI' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
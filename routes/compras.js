@@ -0,0 +1,520 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const { ESTADOS_REQUISICION, FACTOR_REPOSICION_STOCK_MINIMO, SALDO_LINEA_SQL } = require('../servicios/comprasService');
+const { TASA_IVA } = require('../servicios/entradasService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Valida las líneas de una requisición u orden. Regresa un mensaje de error o null.
+const validarItems = (items, { conPrecio = false } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Debe incluir al menos un artículo.';
+  }
+  const vistos = new Set();
+  for (const item of items) {
+    if (!!item.id_refaccion === !!item.id_insumo) {
+      return 'Cada artículo debe ser una refacción o un insumo (no ambos).';
+    }
+    const clave = item.id_refaccion ? `r${item.id_refaccion}` : `i${item.id_insumo}`;
+    if (vistos.has(clave)) {
+      return 'Un artículo no puede repetirse; sume las cantidades en una sola línea.';
+    }
+    vistos.add(clave);
+    if (!item.cantidad || parseFloat(item.cantidad) <= 0) {
+      return 'Cada artículo debe tener una cantidad positiva.';
+    }
+    if (conPrecio && (item.precio_unitario === undefined || item.precio_unitario === null || parseFloat(item.precio_unitario) < 0 || isNaN(item.precio_unitario))) {
+      return 'Cada artículo de la orden debe tener el precio unitario pactado.';
+    }
+  }
+  return null;
+};
+
+// Subconsultas reutilizables: líneas de requisición y de orden como arreglo JSON
+const DETALLE_REQUISICION_JSON = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id_detalle_requisicion', dr.id_detalle_requisicion,
+      'id_refaccion', dr.id_refaccion,
+      'id_insumo', dr.id_insumo,
+      'tipo_item', CASE WHEN dr.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END,
+      'nombre_item', COALESCE(r.nombre, i.nombre),
+      'cantidad', dr.cantidad,
+      'observaciones', dr.observaciones
+    ) ORDER BY dr.id_detalle_requisicion)
+    FROM detalle_requisicion dr
+    LEFT JOIN refaccion r ON dr.id_refaccion = r.id_refaccion
+    LEFT JOIN insumo i ON dr.id_insumo = i.id_insumo
+    WHERE dr.id_requisicion = rq.id_requisicion
+  ), '[]'::json) as detalles
+`;
+
+const DETALLE_ORDEN_JSON = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id_detalle_orden', doc.id_detalle_orden,
+      'id_refaccion', doc.id_refaccion,
+      'id_insumo', doc.id_insumo,
+      'tipo_item', CASE WHEN doc.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END,
+      'nombre_item', COALESCE(r.nombre, i.nombre),
+      'cantidad_ordenada', doc.cantidad_ordenada,
+      'cantidad_recibida', doc.cantidad_recibida,
+      'saldo_pendiente', ${SALDO_LINEA_SQL},
+      'precio_unitario', doc.precio_unitario,
+      'aplica_iva', doc.aplica_iva
+    ) ORDER BY doc.id_detalle_orden)
+    FROM detalle_orden_compra doc
+    LEFT JOIN refaccion r ON doc.id_refaccion = r.id_refaccion
+    LEFT JOIN insumo i ON doc.id_insumo = i.id_insumo
+    WHERE doc.id_orden_compra = oc.id_orden_compra
+  ), '[]'::json) as detalles
+`;
+
+const guardarDetalleRequisicion = async (client, idRequisicion, items) => {
+  for (const item of items) {
+    await client.query(
+      `INSERT INTO detalle_requisicion (id_requisicion, id_refaccion, id_insumo, cantidad, observaciones)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [idRequisicion, item.id_refaccion || null, item.id_insumo || null, item.cantidad, item.observaciones || null]
+    );
+  }
+};
+
+// =======================================================
+// REQUISICIONES: LISTAR
+// =======================================================
+router.get('/requisiciones', async (req, res) => {
+  const { estado = '' } = req.query;
+
+  if (estado && !ESTADOS_REQUISICION.includes(estado)) {
+    return res.status(400).json({ message: `Estado no válido. Use ${ESTADOS_REQUISICION.join(', ')}.` });
+  }
+
+  try {
+    const params = [];
+    let whereString = '';
+    if (estado) {
+      params.push(estado);
+      whereString = `WHERE rq.estado = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT rq.*, es.nombre as solicitado_por, ea.nombre as aprobado_por, ${DETALLE_REQUISICION_JSON}
+      FROM requisicion_compra rq
+      LEFT JOIN empleado es ON rq.solicitado_por_id = es.id_empleado
+      LEFT JOIN empleado ea ON rq.aprobado_por_id = ea.id_empleado
+      ${whereString}
+      ORDER BY rq.fecha_creacion DESC
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener requisiciones:', error);
+    res.status(500).json({ message: 'Error al obtener las requisiciones' });
+  }
+});
+
+// =======================================================
+// REQUISICIONES: OBTENER UNA CON SUS LÍNEAS
+// =======================================================
+router.get('/requisiciones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(`
+      SELECT rq.*, es.nombre as solicitado_por, ea.nombre as aprobado_por, ${DETALLE_REQUISICION_JSON}
+      FROM requisicion_compra rq
+      LEFT JOIN empleado es ON rq.solicitado_por_id = es.id_empleado
+      LEFT JOIN empleado ea ON rq.aprobado_por_id = ea.id_empleado
+      WHERE rq.id_requisicion = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Requisición no encontrada.' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al obtener la requisición:', error);
+    res.status(500).json({ message: 'Error al obtener la requisición' });
+  }
+});
+
+// =======================================================
+// REQUISICIONES: CREAR (MANUAL)
+// =======================================================
+router.post('/requisiciones', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const { observaciones, items } = req.body;
+
+  const errorValidacion = validarItems(items);
+  if (errorValidacion) {
+    return res.status(400).json({ message: errorValidacion });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO requisicion_compra (solicitado_por_id, estado, origen, observaciones)
+      VALUES ($1, 'Pendiente', 'Manual', $2) RETURNING *
+    `, [req.user.id, observaciones || null]);
+    const requisicion = result.rows[0];
+
+    await guardarDetalleRequisicion(client, requisicion.id_requisicion, items);
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: NUEVA REQUISICIÓN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'requisicion_compra',
+      id_recurso_afectado: requisicion.id_requisicion,
+      detalles_cambio: {
+        mensaje: 'Se levantó una requisición de compra.',
+        articulos: items.length
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(requisicion);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'Uno de los artículos no existe en el catálogo.' });
+    }
+    console.error('Error al crear requisición:', error);
+    res.status(500).json({ message: 'Error al crear la requisición' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// REQUISICIONES: GENERAR DESDE EL REPORTE DE STOCK BAJO
+// Descuenta lo que ya está pedido (requisiciones vivas y saldos de órdenes abiertas)
+// =======================================================
+router.post('/requisiciones/desde-stock-bajo', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sugeridosResult = await client.query(`
+      WITH EnCamino AS (
+        SELECT dr.id_refaccion, dr.id_insumo, dr.cantidad as cantidad
+        FROM detalle_requisicion dr
+        JOIN requisicion_compra rq ON dr.id_requisicion = rq.id_requisicion
+        WHERE rq.estado IN ('Pendiente', 'Aprobada')
+        UNION ALL
+        SELECT doc.id_refaccion, doc.id_insumo, ${SALDO_LINEA_SQL} as cantidad
+        FROM detalle_orden_compra doc
+        JOIN orden_compra oc ON doc.id_orden_compra = oc.id_orden_compra
+        WHERE oc.estado IN ('Abierta', 'Parcial')
+      ),
+      Existencias AS (
+        SELECT r.id_refaccion, NULL::int as id_insumo, r.stock_minimo, COALESCE(SUM(l.cantidad_disponible), 0) as stock_actual
+        FROM refaccion r
+        LEFT JOIN lote_refaccion l ON r.id_refaccion = l.id_refaccion
+        GROUP BY r.id_refaccion
+        HAVING COALESCE(SUM(l.cantidad_disponible), 0) <= r.stock_minimo AND r.stock_minimo > 0
+        UNION ALL
+        SELECT NULL::int as id_refaccion, i.id_insumo, i.stock_minimo, i.stock_actual
+        FROM insumo i
+        WHERE i.stock_actual <= i.stock_minimo AND i.stock_minimo > 0
+      )
+      SELECT ex.id_refaccion, ex.id_insumo,
+        (ex.stock_minimo * $1) - ex.stock_actual - COALESCE((
+          SELECT SUM(ec.cantidad) FROM EnCamino ec
+          WHERE ec.id_refaccion IS NOT DISTINCT FROM ex.id_refaccion AND ec.id_insumo IS NOT DISTINCT FROM ex.id_insumo
+        ), 0) as cantidad
+      FROM Existencias ex
+    `, [FACTOR_REPOSICION_STOCK_MINIMO]);
+
+    const items = sugeridosResult.rows.filter(s => parseFloat(s.cantidad) > 0);
+    if (items.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ message: 'No hay artículos con stock bajo sin pedido en curso.', requisicion: null });
+    }
+
+    const result = await client.query(`
+      INSERT INTO requisicion_compra (solicitado_por_id, estado, origen, observaciones)
+      VALUES ($1, 'Pendiente', 'Stock bajo', $2) RETURNING *
+    `, [req.user.id, `Generada automáticamente para reponer hasta ${FACTOR_REPOSICION_STOCK_MINIMO}x el stock mínimo.`]);
+    const requisicion = result.rows[0];
+
+    await guardarDetalleRequisicion(client, requisicion.id_requisicion, items);
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: REQUISICIÓN AUTOMÁTICA
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'requisicion_compra',
+      id_recurso_afectado: requisicion.id_requisicion,
+      detalles_cambio: {
+        mensaje: 'Se generó una requisición de compra desde el reporte de stock bajo.',
+        articulos: items.length
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: `Requisición generada con ${items.length} artículos.`, requisicion });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error al generar requisición por stock bajo:', error);
+    res.status(500).json({ message: 'Error al generar la requisición' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// REQUISICIONES: APROBAR O RECHAZAR (Solo pendientes)
+// =======================================================
+const resolverRequisicion = (nuevoEstado) => async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  if (nuevoEstado === 'Rechazada' && (!motivo || !motivo.trim())) {
+    return res.status(400).json({ message: 'El motivo del rechazo es requerido.' });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE requisicion_compra
+      SET estado = $1, aprobado_por_id = $2, fecha_aprobacion = NOW(), motivo_rechazo = $3
+      WHERE id_requisicion = $4 AND estado = 'Pendiente'
+      RETURNING *
+    `, [nuevoEstado, req.user.id, nuevoEstado === 'Rechazada' ? motivo.trim() : null, id]);
+
+    if (result.rows.length === 0) {
+      const existe = await pool.query('SELECT estado FROM requisicion_compra WHERE id_requisicion = $1', [id]);
+      if (existe.rows.length === 0) {
+        return res.status(404).json({ message: 'Requisición no encontrada.' });
+      }
+      return res.status(400).json({ message: `La requisición ya está ${existe.rows[0].estado.toLowerCase()}.` });
+    }
+
+    // 🛡️ REGISTRO DE AUDITORÍA: APROBACIÓN / RECHAZO
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'requisicion_compra',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: `Se marcó la requisición como ${nuevoEstado.toUpperCase()}.`,
+        motivo: motivo || null
+      },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al resolver requisición:', error);
+    res.status(500).json({ message: 'Error al actualizar la requisición' });
+  }
+};
+
+router.put('/requisiciones/:id/aprobar', checkRole(['Admin', 'SuperUsuario']), resolverRequisicion('Aprobada'));
+router.put('/requisiciones/:id/rechazar', checkRole(['Admin', 'SuperUsuario']), resolverRequisicion('Rechazada'));
+
+// =======================================================
+// ÓRDENES DE COMPRA: LISTAR
+// =======================================================
+router.get('/ordenes', async (req, res) => {
+  const { estado = '', id_proveedor = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (estado) {
+      params.push(estado);
+      whereClauses.push(`oc.estado = $${params.length}`);
+    }
+    if (id_proveedor) {
+      params.push(id_proveedor);
+      whereClauses.push(`oc.id_proveedor = $${params.length}`);
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT oc.*, p.nombre_proveedor, e.nombre as creado_por,
+        COALESCE((SELECT SUM(doc.cantidad_ordenada * doc.precio_unitario * CASE WHEN doc.aplica_iva THEN ${1 + TASA_IVA} ELSE 1 END)
+                  FROM detalle_orden_compra doc WHERE doc.id_orden_compra = oc.id_orden_compra), 0) as monto_total,
+        COALESCE((SELECT SUM(${SALDO_LINEA_SQL} * doc.precio_unitario * CASE WHEN doc.aplica_iva THEN ${1 + TASA_IVA} ELSE 1 END)
+                  FROM detalle_orden_compra doc WHERE doc.id_orden_compra = oc.id_orden_compra), 0) as monto_pendiente
+      FROM orden_compra oc
+      LEFT JOIN proveedor p ON oc.id_proveedor = p.id_proveedor
+      LEFT JOIN empleado e ON oc.creado_por_id = e.id_empleado
+      ${whereString}
+      ORDER BY oc.fecha_emision DESC, oc.id_orden_compra DESC
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener órdenes de compra:', error);
+    res.status(500).json({ message: 'Error al obtener las órdenes de compra' });
+  }
+});
+
+// =======================================================
+// ÓRDENES DE COMPRA: OBTENER UNA (Líneas con saldo y entradas ligadas)
+// =======================================================
+router.get('/ordenes/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const ordenPromise = pool.query(`
+      SELECT oc.*, p.nombre_proveedor, e.nombre as creado_por, ${DETALLE_ORDEN_JSON}
+      FROM orden_compra oc
+      LEFT JOIN proveedor p ON oc.id_proveedor = p.id_proveedor
+      LEFT JOIN empleado e ON oc.creado_por_id = e.id_empleado
+      WHERE oc.id_orden_compra = $1
+    `, [id]);
+    const entradasPromise = pool.query(`
+      SELECT ea.id_entrada, ea.fecha_operacion, ea.factura_proveedor, ea.estado
+      FROM entrada_almacen ea
+      WHERE ea.id_orden_compra = $1
+      ORDER BY ea.fecha_operacion DESC
+    `, [id]);
+    const [ordenResult, entradasResult] = await Promise.all([ordenPromise, entradasPromise]);
+
+    if (ordenResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Orden de compra no encontrada.' });
+    }
+    res.json({ ...ordenResult.rows[0], entradas: entradasResult.rows });
+  } catch (error) {
+    console.error('Error al obtener la orden de compra:', error);
+    res.status(500).json({ message: 'Error al obtener la orden de compra' });
+  }
+});
+
+// =======================================================
+// ÓRDENES DE COMPRA: CREAR (Opcionalmente desde una requisición aprobada)
+// =======================================================
+router.post('/ordenes', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id_proveedor, id_requisicion, razon_social, fecha_entrega_estimada, observaciones, items } = req.body;
+
+  if (!id_proveedor) {
+    return res.status(400).json({ message: 'El proveedor es requerido.' });
+  }
+  const errorValidacion = validarItems(items, { conPrecio: true });
+  if (errorValidacion) {
+    return res.status(400).json({ message: errorValidacion });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (id_requisicion) {
+      const requisicionResult = await client.query(
+        'SELECT estado FROM requisicion_compra WHERE id_requisicion = $1 FOR UPDATE',
+        [id_requisicion]
+      );
+      if (requisicionResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Requisición no encontrada.' });
+      }
+      if (requisicionResult.rows[0].estado !== 'Aprobada') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Solo se pueden convertir en orden las requisiciones aprobadas.' });
+      }
+      await client.query("UPDATE requisicion_compra SET estado = 'Convertida' WHERE id_requisicion = $1", [id_requisicion]);
+    }
+
+    const ordenResult = await client.query(`
+      INSERT INTO orden_compra
+      (id_proveedor, id_requisicion, razon_social, fecha_entrega_estimada, observaciones, creado_por_id, estado)
+      VALUES ($1, $2, $3, $4, $5, $6, 'Abierta') RETURNING *
+    `, [id_proveedor, id_requisicion || null, razon_social || null, fecha_entrega_estimada || null, observaciones || null, req.user.id]);
+    const orden = ordenResult.rows[0];
+
+    for (const item of items) {
+      await client.query(`
+        INSERT INTO detalle_orden_compra
+        (id_orden_compra, id_refaccion, id_insumo, cantidad_ordenada, cantidad_recibida, precio_unitario, aplica_iva)
+        VALUES ($1, $2, $3, $4, 0, $5, $6)
+      `, [orden.id_orden_compra, item.id_refaccion || null, item.id_insumo || null, item.cantidad, item.precio_unitario, !!item.aplica_iva]);
+    }
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: NUEVA ORDEN DE COMPRA
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'orden_compra',
+      id_recurso_afectado: orden.id_orden_compra,
+      detalles_cambio: {
+        mensaje: 'Se emitió una orden de compra.',
+        id_proveedor,
+        id_requisicion: id_requisicion || null,
+        articulos: items.length
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(orden);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'El proveedor o uno de los artículos no existe en el catálogo.' });
+    }
+    console.error('Error al crear orden de compra:', error);
+    res.status(500).json({ message: 'Error al crear la orden de compra' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// ÓRDENES DE COMPRA: CANCELAR (Cierra el saldo pendiente; lo ya recibido se conserva)
+// =======================================================
+router.put('/ordenes/:id/cancelar', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  if (!motivo || !motivo.trim()) {
+    return res.status(400).json({ message: 'El motivo de la cancelación es requerido.' });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE orden_compra
+      SET estado = 'Cancelada',
+          observaciones = COALESCE(observaciones || ' | ', '') || 'CANCELADA: ' || $1
+      WHERE id_orden_compra = $2 AND estado IN ('Abierta', 'Parcial')
+      RETURNING *
+    `, [motivo.trim(), id]);
+
+    if (result.rows.length === 0) {
+      const existe = await pool.query('SELECT estado FROM orden_compra WHERE id_orden_compra = $1', [id]);
+      if (existe.rows.length === 0) {
+        return res.status(404).json({ message: 'Orden de compra no encontrada.' });
+      }
+      return res.status(400).json({ message: `La orden ya está ${existe.rows[0].estado.toLowerCase()}.` });
+    }
+
+    // 🛡️ REGISTRO DE AUDITORÍA: CANCELACIÓN DE ORDEN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'orden_compra',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se canceló una orden de compra.',
+        motivo: motivo.trim()
+      },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al cancelar orden de compra:', error);
+    res.status(500).json({ message: 'Error al cancelar la orden de compra' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,22 @@ const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { resolverUbicacion, ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+const { crearAjuste } = require('../servicios/ajustesService');
+const { registrarAuditoria } = require('../servicios/auditService');
+const { JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
+const {
+    recalcularClasificacionABC,
+    generarListaConteo,
+    agregarRenglonesRefaccion,
+    excedeTolerancia,
+    obtenerCantidadSistema,
+    calcularAjusteRenglonRefaccion,
+    CLASES_ABC,
+    ESTADOS_CONTEO,
+    MODOS_CONTEO_REFACCION,
+    RENGLONES_CONTEO_SQL
+} = require('../servicios/conteoCiclicoService');
 
 // ============================================
 // GET / - Listar TODOS los conteos
@@ -12,14 +28,12 @@ router.get('/', verifyToken, async (req, res) => {
         page = 1,
         limit = 15,
         search = '',
-        // estado = '', // <-- Esta variable ya no se usa porque la columna no existe
+        estado = '',
+        tipo_conteo = '',
         fecha_desde = '',
         fecha_hasta = ''
     } = req.query;
 
-    // Se extrae 'estado' de req.query solo para que no interfiera, pero no se usará
-    const { estado } = req.query; 
-
     try {
         const params = [];
         let whereClauses = [];
@@ -30,15 +44,14 @@ router.get('/', verifyToken, async (req, res) => {
             whereClauses.push(`(e.nombre ILIKE $${params.length} OR cim.observaciones ILIKE $${params.length})`);
         }
 
-        // ---------- INICIO DE CORRECCIÓN ----------
-        // EL FILTRO DE ESTADO SE HA ELIMINADO PORQUE LA COLUMNA 'estado' NO EXISTE
-        /*
         if (estado) {
             params.push(estado);
             whereClauses.push(`cim.estado = $${params.length}`);
         }
-        */
-        // ---------- FIN DE CORRECCIÓN ----------
+        if (tipo_conteo) {
+            params.push(tipo_conteo);
+            whereClauses.push(`cim.tipo_conteo = $${params.length}`);
+        }
 
 
         // Filtro de fecha (usando fecha_conteo)
@@ -69,10 +82,14 @@ router.get('/', verifyToken, async (req, res) => {
             SELECT 
                 cim.id_conteo,
                 cim.fecha_conteo,
-                -- cim.estado, <-- CORRECCIÓN: Columna eliminada
+                COALESCE(cim.estado, 'N/A') as estado,
+                cim.tipo_conteo,
+                cim.modo_conteo,
+                cim.id_ubicacion,
                 cim.observaciones,
                 e.nombre as nombre,
-                (SELECT COUNT(*) FROM conteo_inventario_detalle_insumo WHERE id_conteo = cim.id_conteo) as total_detalles
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_insumo WHERE id_conteo = cim.id_conteo) +
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_refaccion WHERE id_conteo = cim.id_conteo) as total_detalles
             FROM conteo_inventario_maestro cim
             LEFT JOIN empleado e ON cim.id_empleado = e.id_empleado
             ${whereString}
@@ -81,17 +98,10 @@ router.get('/', verifyToken, async (req, res) => {
         `;
 
         const dataResult = await pool.query(dataQuery, [...params, limit, offset]);
-        
-        // CORRECCIÓN: Como 'estado' no existe, asignamos 'N/A' (No Aplica)
-        // Tu frontend espera este campo, así que debemos enviarlo.
-        const dataConEstadoFake = dataResult.rows.map(row => ({
-            ...row,
-            estado: 'N/A' 
-        }));
 
         res.json({
             total: totalItems,
-            data: dataConEstadoFake // Enviamos los datos con el 'estado' falso
+            data: dataResult.rows
         });
 
     } catch (error) {
@@ -103,6 +113,539 @@ router.get('/', verifyToken, async (req, res) => {
     }
 });
 
+// ============================================
+// GET /abc - Clasificación ABC vigente
+// ============================================
+router.get('/abc', verifyToken, async (req, res) => {
+    const { clase = '', tipo = '' } = req.query;
+
+    try {
+        const params = [];
+        const whereClauses = [];
+        if (clase) {
+            params.push(clase);
+            whereClauses.push(`abc.clase = $${params.length}`);
+        }
+        if (tipo === 'refaccion') whereClauses.push('abc.id_refaccion IS NOT NULL');
+        if (tipo === 'insumo') whereClauses.push('abc.id_insumo IS NOT NULL');
+        const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        const result = await pool.query(`
+            SELECT abc.*, CASE WHEN abc.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END as tipo_item,
+                   COALESCE(r.nombre, i.nombre) as nombre_item, r.numero_parte
+            FROM clasificacion_abc abc
+            LEFT JOIN refaccion r ON abc.id_refaccion = r.id_refaccion
+            LEFT JOIN insumo i ON abc.id_insumo = i.id_insumo
+            ${whereString}
+            ORDER BY abc.valor_consumo_anual DESC
+        `, params);
+
+        res.json({ clases: CLASES_ABC, data: result.rows });
+    } catch (error) {
+        console.error('Error al obtener clasificación ABC:', error);
+        res.status(500).json({ message: 'Error al obtener la clasificación ABC' });
+    }
+});
+
+// ============================================
+// GET /reporte/diferencias - Diferencias de conteos aplicados, en dinero, por categoría
+// ============================================
+router.get('/reporte/diferencias', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { fecha_desde = '', fecha_hasta = '', id_ubicacion = '', id_conteo = '' } = req.query;
+
+    try {
+        // Se valúa con los documentos de ajuste que generó cada conteo: cada renglón trae el costo de su lote
+        const params = [];
+        const whereClauses = ['aim.id_conteo IS NOT NULL'];
+        if (fecha_desde) {
+            params.push(fecha_desde);
+            whereClauses.push(`aim.fecha_ajuste >= $${params.length}::timestamp`);
+        }
+        if (fecha_hasta) {
+            params.push(fecha_hasta + ' 23:59:59');
+            whereClauses.push(`aim.fecha_ajuste <= $${params.length}::timestamp`);
+        }
+        if (id_ubicacion) {
+            params.push(id_ubicacion);
+            whereClauses.push(`aim.id_ubicacion = $${params.length}`);
+        }
+        if (id_conteo) {
+            params.push(id_conteo);
+            whereClauses.push(`aim.id_conteo = $${params.length}`);
+        }
+
+        const result = await pool.query(`
+            SELECT
+                CASE WHEN aid.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END as tipo_item,
+                COALESCE(NULLIF(r.categoria, ''), i.tipo_insumo::text, 'Sin categoría') as categoria,
+                COUNT(DISTINCT COALESCE('R' || aid.id_refaccion, 'I' || aid.id_insumo)) as articulos_con_diferencia,
+                COUNT(DISTINCT aim.id_conteo) as conteos,
+                COALESCE(SUM(aid.cantidad * aid.costo_ajuste) FILTER (WHERE aid.cantidad > 0), 0) as valor_sobrante,
+                COALESCE(SUM(-aid.cantidad * aid.costo_ajuste) FILTER (WHERE aid.cantidad < 0), 0) as valor_faltante,
+                COALESCE(SUM(aid.cantidad * aid.costo_ajuste), 0) as valor_neto
+            FROM ajuste_inventario_detalle aid
+            JOIN ajuste_inventario_maestro aim ON aid.id_ajuste = aim.id_ajuste
+            LEFT JOIN refaccion r ON aid.id_refaccion = r.id_refaccion
+            LEFT JOIN insumo i ON aid.id_insumo = i.id_insumo
+            WHERE ${whereClauses.join(' AND ')}
+            GROUP BY 1, 2
+            ORDER BY valor_neto ASC, categoria
+        `, params);
+
+        const totales = result.rows.reduce((acumulado, fila) => ({
+            valor_sobrante: acumulado.valor_sobrante + parseFloat(fila.valor_sobrante),
+            valor_faltante: acumulado.valor_faltante + parseFloat(fila.valor_faltante),
+            valor_neto: acumulado.valor_neto + parseFloat(fila.valor_neto)
+        }), { valor_sobrante: 0, valor_faltante: 0, valor_neto: 0 });
+
+        res.json({ categorias: result.rows, totales });
+    } catch (error) {
+        console.error('Error al obtener reporte de diferencias de conteo:', error);
+        res.status(500).json({ message: 'Error al obtener el reporte de diferencias de conteo' });
+    }
+});
+
+// ============================================
+// POST /abc/recalcular - Clasificar por valor de consumo de los últimos 12 meses
+// ============================================
+router.post('/abc/recalcular', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const resumen = await recalcularClasificacionABC(client);
+        await client.query('COMMIT');
+
+        // 🛡️ REGISTRO DE AUDITORÍA: Recálculo de clasificación ABC
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'clasificacion_abc',
+            id_recurso_afectado: null,
+            detalles_cambio: resumen,
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Clasificación ABC recalculada.', resumen });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al recalcular clasificación ABC:', error);
+        res.status(500).json({ message: 'Error al recalcular la clasificación ABC', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// POST /ciclico/generar - Lista de conteo cíclico del día para un almacén
+// ============================================
+router.post('/ciclico/generar', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
+    const { id_ubicacion, id_empleado, observaciones, modo_conteo = 'LOTE' } = req.body;
+
+    if (!MODOS_CONTEO_REFACCION.includes(modo_conteo)) {
+        return res.status(400).json({ message: `Modo de conteo no válido. Use ${MODOS_CONTEO_REFACCION.join(' o ')}.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
+
+        // Una lista por almacén por día
+        const existente = await client.query(
+            `SELECT id_conteo FROM conteo_inventario_maestro
+             WHERE tipo_conteo = 'CICLICO' AND id_ubicacion = $1 AND fecha_conteo::date = CURRENT_DATE`,
+            [idUbicacion]
+        );
+        if (existente.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Ya se generó la lista de hoy para este almacén (conteo #${existente.rows[0].id_conteo}).`, id_conteo: existente.rows[0].id_conteo });
+        }
+
+        const resultado = await generarListaConteo(client, {
+            id_ubicacion: idUbicacion,
+            id_empleado: id_empleado || req.user.id,
+            observaciones,
+            modo_conteo
+        });
+        await client.query('COMMIT');
+
+        if (!resultado.id_conteo) {
+            return res.json({ message: 'No hay artículos pendientes de contar hoy en este almacén.', ...resultado });
+        }
+        res.status(201).json({ message: `Lista de conteo #${resultado.id_conteo} generada con ${resultado.articulos} artículos.`, ...resultado });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === 'UBICACION_INVALIDA') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error al generar conteo cíclico:', error);
+        res.status(500).json({ message: 'Error al generar el conteo cíclico', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// POST /refacciones - Sesión de conteo de refacciones por lote o por posición
+// ============================================
+router.post('/refacciones', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
+    const { id_ubicacion, id_empleado, observaciones, modo_conteo = 'LOTE', id_refacciones = [], id_posiciones = [], ciego = true } = req.body;
+
+    if (!MODOS_CONTEO_REFACCION.includes(modo_conteo)) {
+        return res.status(400).json({ message: `Modo de conteo no válido. Use ${MODOS_CONTEO_REFACCION.join(' o ')}.` });
+    }
+    if (!Array.isArray(id_refacciones) || !Array.isArray(id_posiciones) || (id_refacciones.length === 0 && id_posiciones.length === 0)) {
+        return res.status(400).json({ message: 'Indique las refacciones o las posiciones a contar.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
+
+        // Las refacciones pedidas más las que están en las posiciones indicadas; cada una se cuenta completa en el almacén
+        const refaccionesResult = await client.query(`
+            SELECT r.id_refaccion,
+                   EXISTS (SELECT 1 FROM conteo_inventario_detalle_refaccion cdr
+                           JOIN conteo_inventario_maestro cim ON cdr.id_conteo = cim.id_conteo
+                           WHERE cdr.id_refaccion = r.id_refaccion AND cim.id_ubicacion = $1
+                             AND cim.estado NOT IN ('APLICADO', 'CANCELADO')) as en_conteo_abierto
+            FROM refaccion r
+            WHERE r.id_refaccion = ANY($2::int[])
+               OR EXISTS (SELECT 1 FROM lote_refaccion l
+                          ${JOIN_POSICION_LOTE_SQL}
+                          WHERE l.id_refaccion = r.id_refaccion AND l.id_ubicacion = $1 AND l.cantidad_disponible > 0
+                            AND pos.id_posicion = ANY($3::int[]))
+               OR EXISTS (SELECT 1 FROM posicion_articulo pa
+                          WHERE pa.id_refaccion = r.id_refaccion AND pa.id_ubicacion = $1 AND pa.id_posicion = ANY($3::int[]))
+            ORDER BY r.id_refaccion
+        `, [idUbicacion, id_refacciones.map(Number), id_posiciones.map(Number)]);
+
+        const omitidas = refaccionesResult.rows.filter(fila => fila.en_conteo_abierto).map(fila => fila.id_refaccion);
+        const aContar = refaccionesResult.rows.filter(fila => !fila.en_conteo_abierto);
+        if (aContar.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'No hay refacciones que contar: no existen o ya están en otro conteo abierto de este almacén.', omitidas });
+        }
+
+        const maestroResult = await client.query(
+            `INSERT INTO conteo_inventario_maestro (id_empleado, fecha_conteo, observaciones, estado, id_ubicacion, tipo_conteo, ciego, modo_conteo)
+             VALUES ($1, NOW(), $2, $3, $4, 'REFACCIONES', $5, $6) RETURNING id_conteo`,
+            [id_empleado || req.user.id, observaciones || null, ESTADOS_CONTEO.EN_CONTEO, idUbicacion, ciego !== false, modo_conteo]
+        );
+        const idConteo = maestroResult.rows[0].id_conteo;
+
+        let renglones = 0;
+        for (const { id_refaccion } of aContar) {
+            renglones += await agregarRenglonesRefaccion(client, { id_conteo: idConteo, id_refaccion, id_ubicacion: idUbicacion, modo_conteo });
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({
+            message: `Conteo #${idConteo} creado con ${aContar.length} refacciones (${renglones} renglones).`,
+            id_conteo: idConteo,
+            refacciones: aContar.length,
+            renglones,
+            omitidas
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === 'UBICACION_INVALIDA') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error al crear conteo de refacciones:', error);
+        res.status(500).json({ message: 'Error al crear el conteo de refacciones', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// POST /:id/renglones - Agregar un renglón encontrado durante el conteo (lote sin renglón, posición o piezas sueltas)
+// ============================================
+router.post('/:id/renglones', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const { id_refaccion, id_lote = null, id_posicion = null } = req.body;
+
+    if (!id_refaccion) {
+        return res.status(400).json({ message: 'Se requiere la refacción encontrada.' });
+    }
+    if (id_lote && id_posicion) {
+        return res.status(400).json({ message: 'Indique el lote o la posición, no ambos.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const maestroResult = await client.query('SELECT estado, id_ubicacion FROM conteo_inventario_maestro WHERE id_conteo = $1 FOR UPDATE', [id]);
+        if (maestroResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Conteo no encontrado.' });
+        }
+        if (maestroResult.rows[0].estado !== ESTADOS_CONTEO.EN_CONTEO) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Solo se agregan renglones mientras el conteo está en captura.' });
+        }
+        const idUbicacion = maestroResult.rows[0].id_ubicacion || ID_UBICACION_PRINCIPAL;
+
+        if (id_lote) {
+            const loteResult = await client.query('SELECT 1 FROM lote_refaccion WHERE id_lote = $1 AND id_refaccion = $2 AND id_ubicacion = $3', [id_lote, id_refaccion, idUbicacion]);
+            if (loteResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'El lote no es de esta refacción o no está en el almacén del conteo.' });
+            }
+        }
+        if (id_posicion) {
+            const posicionResult = await client.query('SELECT 1 FROM posicion_almacen WHERE id_posicion = $1 AND id_ubicacion = $2 AND activo', [id_posicion, idUbicacion]);
+            if (posicionResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'La posición no existe en el almacén del conteo.' });
+            }
+        }
+
+        const existenteResult = await client.query(
+            `SELECT id_detalle_refaccion FROM conteo_inventario_detalle_refaccion
+             WHERE id_conteo = $1 AND id_refaccion = $2 AND id_lote IS NOT DISTINCT FROM $3 AND id_posicion IS NOT DISTINCT FROM $4`,
+            [id, id_refaccion, id_lote, id_posicion]
+        );
+        if (existenteResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Ese renglón ya está en el conteo.', id_detalle: existenteResult.rows[0].id_detalle_refaccion });
+        }
+
+        const insertResult = await client.query(
+            'INSERT INTO conteo_inventario_detalle_refaccion (id_conteo, id_refaccion, id_lote, id_posicion) VALUES ($1, $2, $3, $4) RETURNING id_detalle_refaccion',
+            [id, id_refaccion, id_lote, id_posicion]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json({ message: 'Renglón agregado al conteo.', id_detalle: insertResult.rows[0].id_detalle_refaccion });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al agregar renglón al conteo:', error);
+        res.status(500).json({ message: 'Error al agregar el renglón al conteo', error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// GET /:id/captura - Lista para el contador (ciega: sin la cantidad del sistema)
+// ============================================
+router.get('/:id/captura', verifyToken, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const maestroResult = await pool.query('SELECT id_conteo, estado, id_ubicacion, fecha_conteo, ciego, modo_conteo FROM conteo_inventario_maestro WHERE id_conteo = $1', [id]);
+        if (maestroResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Conteo no encontrado.' });
+        }
+        const maestro = maestroResult.rows[0];
+        const idUbicacion = maestro.id_ubicacion || ID_UBICACION_PRINCIPAL;
+
+        const renglonesResult = await pool.query(RENGLONES_CONTEO_SQL, [id, idUbicacion]);
+        // En el reconteo solo se vuelven a contar los renglones fuera de tolerancia
+        const esReconteo = maestro.estado === ESTADOS_CONTEO.RECONTEO;
+        const renglones = esReconteo ? renglonesResult.rows.filter(renglon => renglon.requiere_reconteo) : renglonesResult.rows;
+
+        // Conteo ciego: el contador no ve la cantidad del sistema y, al recontar, tampoco su primera captura
+        res.json({
+            ...maestro,
+            renglones: renglones.map(({ cantidad_sistema, cantidad_primer_conteo, ...renglon }) => {
+                if (!maestro.ciego) return { ...renglon, cantidad_sistema };
+                return esReconteo ? { ...renglon, cantidad_contada: null } : renglon;
+            })
+        });
+    } catch (error) {
+        console.error('Error al obtener la lista de captura:', error);
+        res.status(500).json({ message: 'Error al obtener la lista de captura' });
+    }
+});
+
+// ============================================
+// PUT /:id/captura - Registrar lo contado (y el reconteo de lo que salió fuera de tolerancia)
+// ============================================
+router.put('/:id/captura', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const { detalles } = req.body;
+
+    if (!Array.isArray(detalles) || detalles.length === 0) {
+        return res.status(400).json({ message: 'Se requiere al menos un renglón contado.' });
+    }
+    if (detalles.some(d => !['refaccion', 'insumo'].includes(d.tipo_item) || !d.id_detalle || d.cantidad_contada === undefined || d.cantidad_contada === null || d.cantidad_contada < 0)) {
+        return res.status(400).json({ message: 'Cada renglón requiere tipo_item, id_detalle y una cantidad contada no negativa.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const maestroResult = await client.query('SELECT estado, id_ubicacion FROM conteo_inventario_maestro WHERE id_conteo = $1 FOR UPDATE', [id]);
+        if (maestroResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Conteo no encontrado.' });
+        }
+        const { estado } = maestroResult.rows[0];
+        const idUbicacion = maestroResult.rows[0].id_ubicacion || ID_UBICACION_PRINCIPAL;
+        if (![ESTADOS_CONTEO.EN_CONTEO, ESTADOS_CONTEO.RECONTEO].includes(estado)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `El conteo está en estado '${estado}' y ya no admite captura.` });
+        }
+        const esReconteo = estado === ESTADOS_CONTEO.RECONTEO;
+
+        for (const detalle of detalles) {
+            const esRefaccion = detalle.tipo_item === 'refaccion';
+            const tabla = esRefaccion ? 'conteo_inventario_detalle_refaccion' : 'conteo_inventario_detalle_insumo';
+            const columnaId = esRefaccion ? 'id_detalle_refaccion' : 'id_detalle_insumo';
+            const columnaItem = esRefaccion ? 'id_refaccion' : 'id_insumo';
+            const columnasLote = esRefaccion ? 'id_lote, id_posicion' : 'NULL as id_lote, NULL as id_posicion';
+
+            const renglonResult = await client.query(
+                `SELECT ${columnaItem} as id_item, ${columnasLote}, requiere_reconteo FROM ${tabla} WHERE ${columnaId} = $1 AND id_conteo = $2 FOR UPDATE`,
+                [detalle.id_detalle, id]
+            );
+            if (renglonResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: `El renglón ${detalle.id_detalle} no pertenece a este conteo.` });
+            }
+            const renglon = renglonResult.rows[0];
+            if (esReconteo && !renglon.requiere_reconteo) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: `El renglón ${detalle.id_detalle} no está marcado para reconteo.` });
+            }
+
+            // La cantidad del sistema se toma al capturar, para no arrastrar movimientos hechos antes del conteo
+            const cantidadSistema = await obtenerCantidadSistema(client, {
+                tipo_item: detalle.tipo_item,
+                id_item: renglon.id_item,
+                id_ubicacion: idUbicacion,
+                id_conteo: id,
+                id_lote: renglon.id_lote,
+                id_posicion: renglon.id_posicion
+            });
+            const requiereReconteo = !esReconteo && excedeTolerancia(cantidadSistema, detalle.cantidad_contada);
+
+            await client.query(
+                `UPDATE ${tabla}
+                 SET cantidad_sistema = $1, cantidad_contada = $2, requiere_reconteo = $3,
+                     cantidad_primer_conteo = CASE WHEN $4 THEN cantidad_primer_conteo ELSE $2 END
+                 WHERE ${columnaId} = $5`,
+                [cantidadSistema, detalle.cantidad_contada, requiereReconteo, esReconteo, detalle.id_detalle]
+            );
+        }
+
+        // Cuando ya no falta nada por capturar, el conteo pasa a reconteo o queda listo para aprobación
+        const pendientesResult = await client.query(`
+            SELECT
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_refaccion WHERE id_conteo = $1 AND cantidad_contada IS NULL) +
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_insumo WHERE id_conteo = $1 AND cantidad_contada IS NULL) as sin_capturar,
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_refaccion WHERE id_conteo = $1 AND requiere_reconteo) +
+                (SELECT COUNT(*) FROM conteo_inventario_detalle_insumo WHERE id_conteo = $1 AND requiere_reconteo) as por_recontar
+        `, [id]);
+        const sinCapturar = parseInt(pendientesResult.rows[0].sin_capturar, 10);
+        const porRecontar = parseInt(pendientesResult.rows[0].por_recontar, 10);
+
+        let nuevoEstado = estado;
+        if (sinCapturar === 0) {
+            nuevoEstado = porRecontar > 0 ? ESTADOS_CONTEO.RECONTEO : ESTADOS_CONTEO.COMPLETADO;
+            await client.query('UPDATE conteo_inventario_maestro SET estado = $1 WHERE id_conteo = $2', [nuevoEstado, id]);
+        }
+
+        await client.query('COMMIT');
+        res.json({
+            message: nuevoEstado === ESTADOS_CONTEO.RECONTEO
+                ? `Hay ${porRecontar} renglones fuera de tolerancia; vuelva a contarlos.`
+                : nuevoEstado === ESTADOS_CONTEO.COMPLETADO ? 'Conteo completo; queda pendiente de aprobación.' : 'Captura guardada.',
+            estado: nuevoEstado,
+            sin_capturar: sinCapturar,
+            por_recontar: porRecontar
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al capturar conteo:', error);
+        res.status(500).json({ message: error.message || 'Error al capturar el conteo' });
+    } finally {
+        client.release();
+    }
+});
+
+// ============================================
+// GET /:id - Revisión del conteo con diferencias (para quien aprueba)
+// ============================================
+router.get('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const maestroResult = await pool.query(`
+            SELECT cim.*, e.nombre as nombre_contador, ea.nombre as nombre_aprobador, u.nombre_ubicacion
+            FROM conteo_inventario_maestro cim
+            LEFT JOIN empleado e ON cim.id_empleado = e.id_empleado
+            LEFT JOIN empleado ea ON cim.aprobado_por = ea.id_empleado
+            LEFT JOIN ubicaciones u ON cim.id_ubicacion = u.id_ubicacion
+            WHERE cim.id_conteo = $1
+        `, [id]);
+        if (maestroResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Conteo no encontrado.' });
+        }
+        const maestro = maestroResult.rows[0];
+
+        const renglonesResult = await pool.query(RENGLONES_CONTEO_SQL, [id, maestro.id_ubicacion || ID_UBICACION_PRINCIPAL]);
+        const renglones = renglonesResult.rows.map(renglon => ({
+            ...renglon,
+            diferencia: renglon.cantidad_contada === null || renglon.cantidad_sistema === null
+                ? null
+                : parseFloat(renglon.cantidad_contada) - parseFloat(renglon.cantidad_sistema)
+        }));
+
+        res.json({ ...maestro, renglones });
+    } catch (error) {
+        console.error('Error al obtener conteo:', error);
+        res.status(500).json({ message: 'Error al obtener el conteo' });
+    }
+});
+
+// ============================================
+// PUT /:id/aprobar - Autorizar un conteo completo para que pueda aplicarse
+// ============================================
+router.put('/:id/aprobar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const maestroResult = await pool.query('SELECT estado, id_empleado FROM conteo_inventario_maestro WHERE id_conteo = $1', [id]);
+        if (maestroResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Conteo no encontrado.' });
+        }
+        const maestro = maestroResult.rows[0];
+        if (maestro.estado !== ESTADOS_CONTEO.COMPLETADO) {
+            return res.status(400).json({ message: `Solo se aprueban conteos en estado 'COMPLETADO'. Estado actual: ${maestro.estado}` });
+        }
+        if (maestro.id_empleado === req.user.id) {
+            return res.status(400).json({ message: 'Quien realizó el conteo no puede aprobarlo.' });
+        }
+
+        await pool.query(
+            `UPDATE conteo_inventario_maestro SET estado = $1, aprobado_por = $2, fecha_aprobacion = NOW() WHERE id_conteo = $3`,
+            [ESTADOS_CONTEO.APROBADO, req.user.id, id]
+        );
+
+        // 🛡️ REGISTRO DE AUDITORÍA: Aprobación de conteo
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'conteo_inventario_maestro',
+            id_recurso_afectado: id,
+            detalles_cambio: { accion: 'APROBACIÓN' },
+            ip_address: req.ip
+        });
+
+        res.json({ message: `Conteo #${id} aprobado. Ya puede aplicarse al inventario.` });
+    } catch (error) {
+        console.error('Error al aprobar conteo:', error);
+        res.status(500).json({ message: 'Error al aprobar el conteo' });
+    }
+});
+
 // ============================================
 // PUT /:id - Actualizar un conteo
 // ============================================
@@ -124,20 +667,35 @@ router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (r
     try {
         await client.query('BEGIN');
 
-        // 1. Actualizar el registro maestro
+        // Los conteos cíclicos se capturan por /captura y ningún conteo se aprueba o aplica desde aquí
+        const actualResult = await client.query('SELECT estado, tipo_conteo FROM conteo_inventario_maestro WHERE id_conteo = $1 FOR UPDATE', [id]);
+        const actual = actualResult.rows[0];
+        if (actual && (actual.tipo_conteo === 'CICLICO' || [ESTADOS_CONTEO.APROBADO, ESTADOS_CONTEO.APLICADO].includes(actual.estado))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Este conteo no puede editarse (${actual.tipo_conteo === 'CICLICO' ? 'es cíclico' : `estado ${actual.estado}`}).` });
+        }
+        if ([ESTADOS_CONTEO.APROBADO, ESTADOS_CONTEO.APLICADO].includes(maestro.estado)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'El conteo se aprueba y se aplica con sus propios endpoints.' });
+        }
+
+        // 1. Actualizar el registro maestro (el conteo es de un solo almacén)
+        const idUbicacion = await resolverUbicacion(client, maestro.id_ubicacion);
         const updateMaestroQuery = `
             UPDATE conteo_inventario_maestro
             SET 
                 id_empleado = $1, 
                 observaciones = $2, 
-                estado = $3
+                estado = $3,
+                id_ubicacion = $4
             WHERE 
-                id_conteo = $4;
+                id_conteo = $5;
         `;
         await client.query(updateMaestroQuery, [
             maestro.id_empleado,
             maestro.observaciones,
             maestro.estado,
+            idUbicacion,
             id
         ]);
 
@@ -200,7 +758,7 @@ router.post('/:id/aplicar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])],
         await client.query('BEGIN');
 
         // 1. Verificar el estado del conteo maestro
-        const maestroQuery = 'SELECT estado FROM conteo_inventario_maestro WHERE id_conteo = $1';
+        const maestroQuery = 'SELECT estado, id_ubicacion FROM conteo_inventario_maestro WHERE id_conteo = $1 FOR UPDATE';
         const maestroResult = await client.query(maestroQuery, [id]);
 
         if (maestroResult.rows.length === 0) {
@@ -210,59 +768,118 @@ router.post('/:id/aplicar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])],
 
         const estadoActual = maestroResult.rows[0].estado;
 
-        if (estadoActual === 'APLICADO') {
+        if (estadoActual === ESTADOS_CONTEO.APLICADO) {
             await client.query('ROLLBACK');
             return res.status(400).json({ message: 'Este conteo ya fue aplicado anteriormente.' });
         }
         
-        if (estadoActual !== 'COMPLETADO') {
+        if (estadoActual !== ESTADOS_CONTEO.APROBADO) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ message: `Solo se pueden aplicar conteos en estado 'COMPLETADO'. Estado actual: ${estadoActual}` });
+            return res.status(400).json({ message: `Solo se pueden aplicar conteos aprobados. Estado actual: ${estadoActual}` });
         }
 
         // 2. Obtener todos los detalles del conteo
-        const detallesQuery = 'SELECT id_insumo, cantidad_contada, costo_unitario_asignado FROM conteo_inventario_detalle_insumo WHERE id_conteo = $1';
-        const detallesResult = await client.query(detallesQuery, [id]);
+        const detallesInsumoResult = await client.query(
+            'SELECT id_insumo, cantidad_sistema, cantidad_contada, costo_unitario_asignado FROM conteo_inventario_detalle_insumo WHERE id_conteo = $1 AND cantidad_contada IS NOT NULL',
+            [id]
+        );
+        const detallesRefaccionResult = await client.query(
+            'SELECT id_refaccion, id_lote, id_posicion, cantidad_sistema, cantidad_contada FROM conteo_inventario_detalle_refaccion WHERE id_conteo = $1 AND cantidad_contada IS NOT NULL ORDER BY id_detalle_refaccion',
+            [id]
+        );
+        const totalDetalles = detallesInsumoResult.rows.length + detallesRefaccionResult.rows.length;
 
-        if (detallesResult.rows.length === 0) {
+        if (totalDetalles === 0) {
             await client.query('ROLLBACK');
             return res.status(400).json({ message: 'Este conteo no tiene detalles para aplicar.' });
         }
         
-        // 3. Recorrer los detalles y APLICAR al inventario (tabla 'insumo')
-        for (const detalle of detallesResult.rows) {
-            const updateInsumoQuery = `
-                UPDATE insumo 
-                SET 
-                    stock_actual = $1, 
-                    costo_unitario_promedio = $2 
-                WHERE 
-                    id_insumo = $3;
-            `;
-            await client.query(updateInsumoQuery, [
-                detalle.cantidad_contada,
-                detalle.costo_unitario_asignado,
-                detalle.id_insumo
-            ]);
+        // 3. Las diferencias contra el sistema del almacén contado se registran como documentos de ajuste:
+        //    uno de ENTRADA con los sobrantes y uno de SALIDA con los faltantes.
+        //    Se aplica la diferencia de la captura (la que se revisó al aprobar); las entradas y salidas posteriores
+        //    ya tienen sus documentos. Los conteos capturados sin cantidad del sistema se comparan contra lo actual.
+        const idUbicacion = maestroResult.rows[0].id_ubicacion || ID_UBICACION_PRINCIPAL;
+        const sobrantes = [];
+        const faltantes = [];
+        const revalorizaciones = [];
+        let renglonesConDiferencia = 0;
+
+        for (const detalle of detallesInsumoResult.rows) {
+            const insumoResult = await client.query('SELECT costo_unitario_promedio FROM insumo WHERE id_insumo = $1 FOR UPDATE', [detalle.id_insumo]);
+            const costoAsignado = detalle.costo_unitario_asignado !== null ? parseFloat(detalle.costo_unitario_asignado) : null;
+            const cantidadSistema = detalle.cantidad_sistema !== null
+                ? parseFloat(detalle.cantidad_sistema)
+                : await obtenerCantidadSistema(client, { tipo_item: 'insumo', id_item: detalle.id_insumo, id_ubicacion: idUbicacion });
+            const diferencia = parseFloat(detalle.cantidad_contada) - cantidadSistema;
+
+            if (diferencia !== 0) {
+                renglonesConDiferencia += 1;
+                const renglon = { id_insumo: detalle.id_insumo, cantidad: diferencia, costo_ajuste: costoAsignado ?? parseFloat(insumoResult.rows[0].costo_unitario_promedio || 0) };
+                (diferencia > 0 ? sobrantes : faltantes).push(renglon);
+            }
+            // El costo capturado revalúa las unidades que ya estaban en este almacén (los sobrantes ya entran a ese costo);
+            // el promedio de la empresa se recalcula con esa diferencia en lugar de sustituirse
+            const costoPromedio = parseFloat(insumoResult.rows[0].costo_unitario_promedio || 0);
+            const unidadesRevaluadas = Math.min(parseFloat(detalle.cantidad_contada), cantidadSistema);
+            if (costoAsignado !== null && costoAsignado !== costoPromedio && unidadesRevaluadas > 0) {
+                revalorizaciones.push({ id_insumo: detalle.id_insumo, cantidad: unidadesRevaluadas, costo_ajuste: costoAsignado - costoPromedio });
+            }
+        }
+
+        // Las refacciones se ajustan contra los lotes de cada renglón y a su costo
+        for (const detalle of detallesRefaccionResult.rows) {
+            const ajuste = await calcularAjusteRenglonRefaccion(client, { ...detalle, id_conteo: id, id_ubicacion: idUbicacion });
+            if (ajuste.diferencia === 0) continue;
+            renglonesConDiferencia += 1;
+            sobrantes.push(...ajuste.sobrantes);
+            faltantes.push(...ajuste.faltantes);
         }
 
+        const motivo = `Diferencias del conteo de inventario #${id}`;
+        const idAjusteEntrada = sobrantes.length > 0
+            ? await crearAjuste(client, { id_empleado: req.user.id, tipo_ajuste: 'ENTRADA', motivo, id_ubicacion: idUbicacion, id_conteo: id, detalles: sobrantes })
+            : null;
+        const idAjusteSalida = faltantes.length > 0
+            ? await crearAjuste(client, { id_empleado: req.user.id, tipo_ajuste: 'SALIDA', motivo, id_ubicacion: idUbicacion, id_conteo: id, detalles: faltantes })
+            : null;
+        // Después de las diferencias, para que el promedio se reparta sobre el stock ya corregido
+        const idAjusteRevalorizacion = revalorizaciones.length > 0
+            ? await crearAjuste(client, { id_empleado: req.user.id, tipo_ajuste: 'REVALORIZACION', motivo: `Costos del conteo de inventario #${id}`, id_ubicacion: idUbicacion, id_conteo: id, detalles: revalorizaciones })
+            : null;
+
         // 4. Marcar el conteo como 'APLICADO'
         const updateMaestroQuery = `
             UPDATE conteo_inventario_maestro 
-            SET estado = 'APLICADO' 
+            SET estado = 'APLICADO', id_ajuste_entrada = $2, id_ajuste_salida = $3
             WHERE id_conteo = $1;
         `;
-        await client.query(updateMaestroQuery, [id]);
+        await client.query(updateMaestroQuery, [id, idAjusteEntrada, idAjusteSalida]);
 
         // 5. Finalizar la transacción
         await client.query('COMMIT');
 
+        // 🛡️ REGISTRO DE AUDITORÍA: Aplicación de conteo
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'conteo_inventario_maestro',
+            id_recurso_afectado: id,
+            detalles_cambio: { accion: 'APLICACIÓN', id_ajuste_entrada: idAjusteEntrada, id_ajuste_salida: idAjusteSalida, id_ajuste_revalorizacion: idAjusteRevalorizacion },
+            ip_address: req.ip
+        });
+
         res.json({
-            message: `Conteo #${id} aplicado exitosamente. Se actualizaron ${detallesResult.rows.length} insumos.`
+            message: `Conteo #${id} aplicado exitosamente. Se revisaron ${totalDetalles} renglones y ${renglonesConDiferencia} tuvieron diferencia.`,
+            id_ajuste_entrada: idAjusteEntrada,
+            id_ajuste_salida: idAjusteSalida,
+            id_ajuste_revalorizacion: idAjusteRevalorizacion
         });
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (['CONTEO_DESACTUALIZADO', 'STOCK_INSUFICIENTE'].includes(error.code)) {
+            return res.status(409).json({ message: `${error.message} Revise las existencias antes de aplicar el conteo.` });
+        }
         console.error('Error al aplicar conteo:', error);
         res.status(500).json({ 
             message: 'Error en el servidor al aplicar el conteo',
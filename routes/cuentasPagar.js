@@ -0,0 +1,329 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const {
+  obtenerDocumentos,
+  calcularAntiguedad,
+  registrarPago,
+  aplicarSaldoPago,
+  DOCUMENTOS_SQL,
+  METODOS_PAGO
+} = require('../servicios/cuentasPagarService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Pagos vigentes de un proveedor con lo que aún no está aplicado a documentos
+const SALDO_A_FAVOR_SQL = `
+  SELECT pp.id_proveedor,
+         SUM(pp.monto - COALESCE((SELECT SUM(ap.monto) FROM aplicaciones_pago_proveedor ap WHERE ap.id_pago = pp.id_pago), 0)) as saldo_a_favor
+  FROM pagos_proveedor pp
+  WHERE pp.estado = 'Aplicado' AND ($1::int IS NULL OR pp.id_proveedor = $1)
+  GROUP BY pp.id_proveedor
+`;
+
+// =======================================================
+// SALDOS POR PROVEEDOR CON ANTIGÜEDAD
+// =======================================================
+router.get('/', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  try {
+    const [documentos, favorResult] = await Promise.all([
+      obtenerDocumentos(pool, null, { soloPendientes: true }),
+      pool.query(SALDO_A_FAVOR_SQL, [null])
+    ]);
+    const saldoAFavor = new Map(favorResult.rows.map(r => [r.id_proveedor, parseFloat(r.saldo_a_favor)]));
+
+    const porProveedor = new Map();
+    for (const doc of documentos) {
+      if (!porProveedor.has(doc.id_proveedor)) {
+        porProveedor.set(doc.id_proveedor, { id_proveedor: doc.id_proveedor, nombre_proveedor: doc.nombre_proveedor, documentos: [] });
+      }
+      porProveedor.get(doc.id_proveedor).documentos.push(doc);
+    }
+
+    const proveedores = [...porProveedor.values()].map(p => {
+      const antiguedad = calcularAntiguedad(p.documentos);
+      const favor = saldoAFavor.get(p.id_proveedor) || 0;
+      return {
+        id_proveedor: p.id_proveedor,
+        nombre_proveedor: p.nombre_proveedor,
+        documentos_pendientes: p.documentos.length,
+        ...antiguedad,
+        saldo_a_favor: favor,
+        saldo_neto: antiguedad.total - favor
+      };
+    }).sort((a, b) => b.saldo_neto - a.saldo_neto);
+
+    const totales = calcularAntiguedad(documentos);
+    res.json({ proveedores, totales });
+  } catch (error) {
+    console.error('Error al obtener cuentas por pagar:', error);
+    res.status(500).json({ message: 'Error al obtener las cuentas por pagar' });
+  }
+});
+
+// =======================================================
+// ESTADO DE CUENTA DE UN PROVEEDOR
+// Cargos (documentos) y abonos (pagos) del periodo con saldo corrido
+// =======================================================
+router.get('/proveedores/:id/estado-cuenta', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { fechaInicio = '1900-01-01', fechaFin = '' } = req.query;
+  const fechaCorte = fechaFin || new Date().toISOString().split('T')[0];
+
+  try {
+    const proveedorResult = await pool.query(
+      'SELECT id_proveedor, nombre_proveedor, rfc, dias_credito FROM proveedor WHERE id_proveedor = $1',
+      [id]
+    );
+    if (proveedorResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    const saldoInicialPromise = pool.query(`
+      SELECT
+        COALESCE((SELECT SUM(monto) FROM (${DOCUMENTOS_SQL}) d WHERE d.fecha_documento < $2::date), 0)
+        - COALESCE((SELECT SUM(monto) FROM pagos_proveedor WHERE id_proveedor = $1 AND estado = 'Aplicado' AND fecha_pago < $2::date), 0)
+        as saldo_inicial
+    `, [id, fechaInicio]);
+
+    const movimientosPromise = pool.query(`
+      SELECT fecha_documento as fecha, tipo_documento as concepto, id_documento, referencia, monto as cargo, 0 as abono, fecha_vencimiento, saldo as saldo_documento
+      FROM (${DOCUMENTOS_SQL}) d
+      WHERE d.fecha_documento >= $2::date AND d.fecha_documento <= $3::date
+      UNION ALL
+      SELECT fecha_pago, 'Pago (' || metodo_pago || ')', id_pago, referencia, 0, monto, NULL, NULL
+      FROM pagos_proveedor
+      WHERE id_proveedor = $1 AND estado = 'Aplicado' AND fecha_pago >= $2::date AND fecha_pago <= $3::date
+      ORDER BY fecha ASC, cargo DESC
+    `, [id, fechaInicio, fechaCorte]);
+
+    const [saldoInicialResult, movimientosResult, pendientes, favorResult] = await Promise.all([
+      saldoInicialPromise,
+      movimientosPromise,
+      obtenerDocumentos(pool, id, { soloPendientes: true }),
+      pool.query(SALDO_A_FAVOR_SQL, [id])
+    ]);
+
+    const saldoInicial = parseFloat(saldoInicialResult.rows[0].saldo_inicial);
+    let saldo = saldoInicial;
+    const movimientos = movimientosResult.rows.map(m => {
+      saldo += parseFloat(m.cargo) - parseFloat(m.abono);
+      return { ...m, saldo };
+    });
+
+    res.json({
+      proveedor: proveedorResult.rows[0],
+      periodo: { fechaInicio, fechaFin: fechaCorte },
+      saldo_inicial: saldoInicial,
+      total_cargos: movimientos.reduce((s, m) => s + parseFloat(m.cargo), 0),
+      total_abonos: movimientos.reduce((s, m) => s + parseFloat(m.abono), 0),
+      saldo_final: saldo,
+      movimientos,
+      documentos_pendientes: pendientes,
+      antiguedad: calcularAntiguedad(pendientes),
+      saldo_a_favor: parseFloat(favorResult.rows[0]?.saldo_a_favor || 0)
+    });
+  } catch (error) {
+    console.error(`Error al generar estado de cuenta del proveedor ${id}:`, error);
+    res.status(500).json({ message: 'Error al generar el estado de cuenta' });
+  }
+});
+
+// =======================================================
+// PAGOS: LISTAR
+// =======================================================
+router.get('/pagos', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id_proveedor = '', fechaInicio = '', fechaFin = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (id_proveedor) {
+      params.push(id_proveedor);
+      whereClauses.push(`pp.id_proveedor = $${params.length}`);
+    }
+    if (fechaInicio) {
+      params.push(fechaInicio);
+      whereClauses.push(`pp.fecha_pago >= $${params.length}::date`);
+    }
+    if (fechaFin) {
+      params.push(fechaFin);
+      whereClauses.push(`pp.fecha_pago <= $${params.length}::date`);
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT pp.*, p.nombre_proveedor, e.nombre as registrado_por_nombre,
+        COALESCE((
+          SELECT json_agg(json_build_object('tipo_documento', ap.tipo_documento, 'id_documento', ap.id_documento, 'monto', ap.monto))
+          FROM aplicaciones_pago_proveedor ap WHERE ap.id_pago = pp.id_pago
+        ), '[]'::json) as aplicaciones
+      FROM pagos_proveedor pp
+      JOIN proveedor p ON pp.id_proveedor = p.id_proveedor
+      LEFT JOIN empleado e ON pp.registrado_por = e.id_empleado
+      ${whereString}
+      ORDER BY pp.fecha_pago DESC, pp.id_pago DESC
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener pagos a proveedores:', error);
+    res.status(500).json({ message: 'Error al obtener los pagos' });
+  }
+});
+
+// =======================================================
+// PAGOS: REGISTRAR (Parcial o total, a uno o varios documentos)
+// =======================================================
+router.post('/pagos', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id_proveedor, monto, metodo_pago, referencia, fecha_pago, observaciones, aplicaciones } = req.body;
+
+  if (!id_proveedor || !monto || parseFloat(monto) <= 0) {
+    return res.status(400).json({ message: 'Proveedor y un monto mayor a cero son requeridos.' });
+  }
+  if (!METODOS_PAGO.includes(metodo_pago)) {
+    return res.status(400).json({ message: `Método de pago no válido. Use ${METODOS_PAGO.join(', ')}.` });
+  }
+  if (metodo_pago !== 'Efectivo' && !referencia) {
+    return res.status(400).json({ message: 'La referencia (folio de transferencia, número de cheque...) es requerida.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const pago = await registrarPago(client, {
+      id_proveedor,
+      monto,
+      metodo_pago,
+      referencia,
+      fecha_pago,
+      observaciones,
+      registrado_por: req.user.id,
+      aplicaciones
+    });
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: PAGO A PROVEEDOR
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'pagos_proveedor',
+      id_recurso_afectado: pago.id_pago,
+      detalles_cambio: {
+        mensaje: 'Se registró un pago a proveedor.',
+        id_proveedor,
+        monto: pago.monto,
+        metodo_pago,
+        referencia: referencia || null,
+        documentos: pago.aplicaciones.length
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(pago);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'PAGO_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al registrar pago a proveedor:', error);
+    res.status(500).json({ message: 'Error al registrar el pago' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// PAGOS: APLICAR SALDO A FAVOR (Lo que un pago dejó sin aplicar)
+// =======================================================
+router.post('/pagos/:id/aplicaciones', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { aplicaciones } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const pago = await aplicarSaldoPago(client, { id_pago: id, aplicaciones });
+    if (!pago) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Pago vigente no encontrado.' });
+    }
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: APLICACIÓN DE SALDO A FAVOR
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'pagos_proveedor',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se aplicó saldo a favor de un pago a proveedor.',
+        monto_aplicado: pago.aplicaciones.reduce((s, a) => s + parseFloat(a.monto), 0),
+        documentos: pago.aplicaciones.length,
+        sin_aplicar: pago.sin_aplicar
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(pago);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'PAGO_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al aplicar saldo del pago:', error);
+    res.status(500).json({ message: 'Error al aplicar el saldo del pago' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// PAGOS: CANCELAR (Los documentos recuperan su saldo)
+// =======================================================
+router.put('/pagos/:id/cancelar', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  if (!motivo || !motivo.trim()) {
+    return res.status(400).json({ message: 'El motivo de la cancelación es requerido.' });
+  }
+
+  try {
+    const result = await pool.query(`
+      UPDATE pagos_proveedor
+      SET estado = 'Cancelado', observaciones = COALESCE(observaciones || ' | ', '') || 'CANCELADO: ' || $1
+      WHERE id_pago = $2 AND estado = 'Aplicado'
+      RETURNING *
+    `, [motivo.trim(), id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pago vigente no encontrado.' });
+    }
+
+    // 🛡️ REGISTRO DE AUDITORÍA: CANCELACIÓN DE PAGO
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'pagos_proveedor',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se canceló un pago a proveedor.',
+        monto: result.rows[0].monto,
+        motivo: motivo.trim()
+      },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al cancelar pago:', error);
+    res.status(500).json({ message: 'Error al cancelar el pago' });
+  }
+});
+
+module.exports = router;
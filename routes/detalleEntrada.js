@@ -1,5 +1,9 @@
 const express = require('express');
 const pool = require('../db');
+const { registrarRecepcionOrden } = require('../servicios/comprasService');
+const { guardarDetalleRefaccion, TASA_IVA, TASAS_IVA } = require('../servicios/entradasService');
+const { detectarCambioPrecio } = require('../servicios/preciosService');
+const { verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 const router = express.Router();
 
@@ -161,7 +165,20 @@ router.get('/:idEntrada', async (req, res) => {
  *               aplica_iva:
  *                 type: boolean
  *                 example: true
- *                 description: Indica si aplica IVA (16%) al costo
+ *                 description: Indica si aplica IVA al costo
+ *               tasa_iva:
+ *                 type: number
+ *                 example: 0.16
+ *                 description: Tasa de IVA a aplicar (0, 0.08 en región fronteriza o 0.16; por defecto 0.16)
+ *               ID_Detalle_Orden:
+ *                 type: integer
+ *                 example: 7
+ *                 description: Línea de la orden de compra que se recibe. Si no se envía costo, se usa el precio pactado.
+ *               Fecha_Caducidad:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-12-31"
+ *                 description: Caducidad del lote (opcional). Las salidas con estrategia FEFO consumen primero lo que caduca antes.
  *     responses:
  *       201:
  *         description: Detalle de entrada y lote creados exitosamente
@@ -203,53 +220,82 @@ router.post('/', async (req, res) => {
     Cantidad_Recibida, 
     costo_ingresado, // El valor numérico que el usuario tecleó
     tipo_costo,      // Será 'unitario' o 'neto'
-    aplica_iva       // Será true o false
+    aplica_iva,      // Será true o false
+    tasa_iva,        // Opcional, por defecto la tasa general
+    ID_Detalle_Orden, // Línea de la orden de compra que se está recibiendo (opcional)
+    Fecha_Caducidad  // Caducidad del lote (opcional, para FEFO)
   } = req.body;
 
   // --- Validación de datos de entrada ---
-  if (!ID_Entrada || !ID_Refaccion || !Cantidad_Recibida || !costo_ingresado || !tipo_costo) {
+  // Contra una orden de compra el costo es opcional: se toma el precio pactado
+  if (!ID_Entrada || !ID_Refaccion || !Cantidad_Recibida || (!ID_Detalle_Orden && (!costo_ingresado || !tipo_costo))) {
     return res.status(400).json({ message: 'Faltan datos requeridos para procesar la entrada.' });
   }
   if (Cantidad_Recibida <= 0) {
     return res.status(400).json({ message: 'La cantidad debe ser mayor a cero.' });
   }
-
-  // --- Lógica de Cálculo ---
-  let costoUnitarioSubtotal = 0;
-  if (tipo_costo === 'unitario') {
-    costoUnitarioSubtotal = parseFloat(costo_ingresado);
-  } else if (tipo_costo === 'neto') {
-    costoUnitarioSubtotal = parseFloat(costo_ingresado) / Cantidad_Recibida;
+  if (Fecha_Caducidad && isNaN(Date.parse(Fecha_Caducidad))) {
+    return res.status(400).json({ message: 'La fecha de caducidad no es válida.' });
+  }
+  if (tasa_iva !== undefined && tasa_iva !== null && !TASAS_IVA.includes(parseFloat(tasa_iva))) {
+    return res.status(400).json({ message: `La tasa de IVA debe ser una de: ${TASAS_IVA.join(', ')}.` });
   }
-
-  const montoIvaUnitario = aplica_iva ? costoUnitarioSubtotal * 0.16 : 0;
-  const costoUnitarioFinal = costoUnitarioSubtotal + montoIvaUnitario;
 
   // --- Transacción en la Base de Datos ---
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    await verificarDocumentoAbierto(client, 'entrada', ID_Entrada);
 
-    const detalleResult = await client.query(
-      // Se usa el costo final calculado para el detalle de entrada
-      `INSERT INTO detalle_entrada (id_entrada, id_refaccion, cantidad_recibida, costo_unitario_entrada)
-       VALUES ($1, $2, $3, $4) RETURNING id_detalle_entrada`,
-      [ID_Entrada, ID_Refaccion, Cantidad_Recibida, costoUnitarioFinal]
-    );
-    const nuevoDetalleId = detalleResult.rows[0].id_detalle_entrada;
+    let costoIngresado = costo_ingresado;
+    let tipoCosto = tipo_costo;
+    let aplicaIva = aplica_iva;
+    if (ID_Detalle_Orden) {
+      const lineaOrden = await registrarRecepcionOrden(client, {
+        id_entrada: ID_Entrada,
+        id_detalle_orden: ID_Detalle_Orden,
+        id_refaccion: ID_Refaccion,
+        cantidad: Cantidad_Recibida
+      });
+      if (!costoIngresado || !tipoCosto) {
+        costoIngresado = lineaOrden.precio_unitario;
+        tipoCosto = 'unitario';
+        aplicaIva = lineaOrden.aplica_iva;
+      }
+    }
 
-    // Se guarda el desglose completo en la tabla de lotes
-    await client.query(
-      `INSERT INTO lote_refaccion (id_refaccion, id_detalle_entrada, cantidad_disponible, costo_unitario_subtotal, monto_iva_unitario, costo_unitario_final)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [ID_Refaccion, nuevoDetalleId, Cantidad_Recibida, costoUnitarioSubtotal, montoIvaUnitario, costoUnitarioFinal]
-    );
+    // --- Lógica de Cálculo ---
+    let costoUnitarioSubtotal = 0;
+    if (tipoCosto === 'unitario') {
+      costoUnitarioSubtotal = parseFloat(costoIngresado);
+    } else if (tipoCosto === 'neto') {
+      costoUnitarioSubtotal = parseFloat(costoIngresado) / Cantidad_Recibida;
+    }
+
+    const tasaIva = tasa_iva !== undefined && tasa_iva !== null ? parseFloat(tasa_iva) : TASA_IVA;
+    const montoIvaUnitario = aplicaIva ? costoUnitarioSubtotal * tasaIva : 0;
+
+    // Se compara contra la compra anterior antes de guardar la nueva
+    const alertaPrecio = await detectarCambioPrecio(client, ID_Refaccion, costoUnitarioSubtotal);
+
+    await guardarDetalleRefaccion(client, {
+      id_entrada: ID_Entrada,
+      id_refaccion: ID_Refaccion,
+      cantidad: Cantidad_Recibida,
+      costo_unitario_subtotal: costoUnitarioSubtotal,
+      monto_iva_unitario: montoIvaUnitario,
+      id_detalle_orden: ID_Detalle_Orden || null,
+      fecha_caducidad: Fecha_Caducidad || null
+    });
 
     await client.query('COMMIT');
-    res.status(201).json({ message: 'Detalle de entrada y lote creados exitosamente' });
+    res.status(201).json({ message: 'Detalle de entrada y lote creados exitosamente', alerta_precio: alertaPrecio });
 
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.code === 'RECEPCION_ORDEN_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error en transacción de entrada:', error);
     res.status(500).json({ message: 'Error al procesar la entrada' });
   } finally {
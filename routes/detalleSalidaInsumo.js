@@ -4,6 +4,8 @@ const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { moverExistenciaInsumo, obtenerUbicacionSalida } = require('../servicios/existenciasService');
+const { verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 router.use(verifyToken);
 
@@ -24,6 +26,7 @@ router.post('/', async (req, res) => {
   
   try {
     await client.query('BEGIN');
+    await verificarDocumentoAbierto(client, 'salida', id_salida);
 
     // Verificar existencia y stock del insumo, bloqueando la fila (FOR UPDATE)
     const insumoResult = await client.query(
@@ -48,6 +51,12 @@ router.post('/', async (req, res) => {
       'UPDATE insumo SET stock_actual = stock_actual - $1 WHERE id_insumo = $2',
       [cantidad_usada, id_insumo]
     );
+    // También debe alcanzar en el almacén del vale
+    await moverExistenciaInsumo(client, {
+      id_insumo,
+      id_ubicacion: await obtenerUbicacionSalida(client, id_salida),
+      cantidad: -cantidad_usada
+    });
 
     // Insertar detalle en el vale
     const detalleResult = await client.query(
@@ -83,6 +92,12 @@ router.post('/', async (req, res) => {
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error en transacción de salida de insumo:', error);
+    if (error.code === 'STOCK_INSUFICIENTE') {
+      return res.status(400).json({ message: error.message, faltante: error.faltante });
+    }
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     // Mandamos el mensaje exacto del throw (ej. "Stock insuficiente") al frontend
     res.status(500).json({ message: error.message || 'Error al registrar la salida del insumo' });
   } finally {
@@ -4,6 +4,11 @@ const verifyToken = require('../middleware/verifyToken');
 const router = express.Router();
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { consumirLotes, ESTRATEGIAS } = require('../servicios/lotesService');
+const { obtenerGarantiasVigentes } = require('../servicios/garantiasService');
+const { obtenerUbicacionSalida } = require('../servicios/existenciasService');
+const { JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
+const { verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 
 
@@ -21,9 +26,11 @@ router.get('/salida/:idSalida', verifyToken, async (req, res) => {
   const { idSalida } = req.params;
   try {
     const result = await pool.query(
-      `SELECT ds.*, r.nombre as nombre_refaccion, r.marca
+      `SELECT ds.*, r.nombre as nombre_refaccion, r.marca, pos.codigo as codigo_posicion
        FROM detalle_salida ds
        JOIN refaccion r ON ds.id_refaccion = r.id_refaccion
+       LEFT JOIN lote_refaccion l ON ds.id_lote = l.id_lote
+       ${JOIN_POSICION_LOTE_SQL}
        WHERE ds.id_salida = $1`, 
       [idSalida]
     );
@@ -35,50 +42,53 @@ router.get('/salida/:idSalida', verifyToken, async (req, res) => {
 });
 
 // =======================================================
-// CREAR DETALLE DE SALIDA (Descontar de Lote)
+// CREAR DETALLE DE SALIDA (Descontar de uno o varios lotes)
 // =======================================================
 router.post('/', verifyToken, async (req, res) => {
-  // Se recibe el ID_Lote desde el frontend
-  const { ID_Salida, ID_Refaccion, Cantidad_Despachada, ID_Lote } = req.body;
+  // ID_Lote es opcional: si se manda, se surte de ese lote; si no, se reparte según la estrategia (FIFO por defecto)
+  const { ID_Salida, ID_Refaccion, Cantidad_Despachada, ID_Lote, Estrategia } = req.body;
   
   if (!Cantidad_Despachada || Cantidad_Despachada <= 0) {
     return res.status(400).json({ message: 'La cantidad debe ser un número positivo.' });
   }
 
+  const estrategia = Estrategia || (ID_Lote ? 'LOTE' : 'FIFO');
+  if (!ESTRATEGIAS.includes(estrategia)) {
+    return res.status(400).json({ message: `Estrategia no válida. Use ${ESTRATEGIAS.join(', ')}.` });
+  }
+
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
+    await verificarDocumentoAbierto(client, 'salida', ID_Salida);
+
+    // 1. Repartir y descontar la cantidad entre los lotes necesarios del almacén del vale
+    const { asignaciones, costo_total } = await consumirLotes(client, {
+      id_refaccion: ID_Refaccion,
+      cantidad: Cantidad_Despachada,
+      estrategia,
+      id_lote: ID_Lote,
+      id_ubicacion: await obtenerUbicacionSalida(client, ID_Salida)
+    });
 
-    // 1. Verificar stock en el lote específico
-    const loteResult = await client.query(
-      'SELECT cantidad_disponible FROM lote_refaccion WHERE id_lote = $1 FOR UPDATE',
-      [ID_Lote]
-    );
-
-    if (loteResult.rows.length === 0) {
-      throw new Error('El lote seleccionado no existe.');
-    }
-    
-    const stockDisponibleLote = loteResult.rows[0].cantidad_disponible;
-    if (stockDisponibleLote < Cantidad_Despachada) {
-      throw new Error(`Stock insuficiente en este lote. Disponible: ${stockDisponibleLote}`);
+    // 2. Un detalle de salida por cada lote consumido
+    const detalles = [];
+    for (const asignacion of asignaciones) {
+      const detalleResult = await client.query(
+        `INSERT INTO detalle_salida (id_salida, id_refaccion, cantidad_despachada, id_lote)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [ID_Salida, ID_Refaccion, asignacion.cantidad, asignacion.id_lote]
+      );
+      detalles.push(detalleResult.rows[0]);
     }
 
-    // 2. Restar stock del lote específico
-    await client.query(
-      'UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2',
-      [Cantidad_Despachada, ID_Lote]
-    );
-    
-    // 3. Insertar el detalle de la salida
-    const detalleResult = await client.query(
-      `INSERT INTO detalle_salida (id_salida, id_refaccion, cantidad_despachada, id_lote)
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [ID_Salida, ID_Refaccion, Cantidad_Despachada, ID_Lote]
-    );
-    
-    const nuevoDetalle = detalleResult.rows[0];
+    // 3. Si la refacción aún tiene garantía en el autobús, se avisa para reclamarla en lugar de pagarla de nuevo
+    const salidaResult = await client.query('SELECT id_autobus FROM salida_almacen WHERE id_salida = $1', [ID_Salida]);
+    const garantiasVigentes = await obtenerGarantiasVigentes(client, {
+      id_autobus: salidaResult.rows[0]?.id_autobus,
+      id_refaccion: ID_Refaccion
+    });
 
     await client.query('COMMIT');
 
@@ -87,24 +97,31 @@ router.post('/', verifyToken, async (req, res) => {
         id_usuario: req.user.id, // Obtenido gracias a verifyToken
         tipo_accion: 'CREAR',
         recurso_afectado: 'detalle_salida',
-        id_recurso_afectado: nuevoDetalle.id_detalle_salida,
+        id_recurso_afectado: detalles[0].id_detalle_salida,
         detalles_cambio: {
             mensaje: 'Se despachó una refacción del almacén.',
             id_salida_maestra: ID_Salida,
             id_refaccion: ID_Refaccion,
-            id_lote: ID_Lote,
+            estrategia: estrategia,
             cantidad_despachada: Cantidad_Despachada,
-            stock_lote_anterior: stockDisponibleLote,
-            stock_lote_nuevo: stockDisponibleLote - Cantidad_Despachada
+            lotes_consumidos: asignaciones,
+            costo_total: costo_total
         },
         ip_address: req.ip
     });
 
-    res.status(201).json({ message: 'Salida de lote registrada', data: nuevoDetalle });
+    // data conserva el primer detalle para los clientes que esperan un solo registro
+    res.status(201).json({ message: 'Salida de lote registrada', data: detalles[0], detalles, garantias_vigentes: garantiasVigentes });
 
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error en transacción de salida de lote:', error);
+    if (error.code === 'STOCK_INSUFICIENTE') {
+      return res.status(400).json({ message: error.message, faltante: error.faltante });
+    }
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message || 'Error al procesar la salida' });
   } finally {
     client.release();
@@ -119,6 +136,8 @@ router.put('/:id', verifyToken, async (req, res) => {
   const { Cantidad_Despachada } = req.body;
   
   try {
+    await verificarDocumentoAbierto(pool, 'detalle_salida', id);
+
     const result = await pool.query(
       `UPDATE Detalle_Salida
        SET Cantidad_Despachada = $1
@@ -146,6 +165,9 @@ router.put('/:id', verifyToken, async (req, res) => {
 
     res.json(result.rows[0]);
   } catch (error) {
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error al actualizar detalle de salida:', error);
     res.status(500).json({ message: 'Error al actualizar detalle de salida' });
   }
@@ -158,6 +180,8 @@ router.delete('/:id', verifyToken, async (req, res) => {
   const { id } = req.params;
   
   try {
+    await verificarDocumentoAbierto(pool, 'detalle_salida', id);
+
     const result = await pool.query(
       'DELETE FROM Detalle_Salida WHERE id_detalle_salida = $1 RETURNING *',
       [id]
@@ -182,6 +206,9 @@ router.delete('/:id', verifyToken, async (req, res) => {
 
     res.json({ message: 'Detalle eliminado exitosamente', detalle: result.rows[0] });
   } catch (error) {
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error al eliminar detalle de salida:', error);
     res.status(500).json({ message: 'Error al eliminar detalle de salida' });
   }
@@ -6,21 +6,61 @@ const checkRole = require('../middleware/checkRole');
 
 // 🚀 IMPORTAMOS EL SERVICIO DE AUDITORÍA
 const { registrarAuditoria } = require('../servicios/auditService');
+const { ajustarRecepcionOrden } = require('../servicios/comprasService');
+const { conciliarEntrada, obtenerComparativo, TOLERANCIAS_CONCILIACION } = require('../servicios/conciliacionService');
+const { resolverUbicacion, moverExistenciaInsumo, ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto, verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 router.use(verifyToken);
 
 
 
 // =======================================================
-// ACTUALIZAR SOLO LA FACTURA
+// REGISTRAR LA FACTURA Y COTEJARLA (ORDEN / RECEPCIÓN / FACTURA)
 // =======================================================
 router.put('/:id/factura', [verifyToken], async (req, res) => {
     const { id } = req.params;
-    const { factura_proveedor } = req.body;
+    // monto_otros_impuestos (IEPS) y monto_retenciones: lo que el total de la factura suma o resta fuera de las líneas
+    const { factura_proveedor, fecha_factura, monto_factura, monto_otros_impuestos, monto_retenciones, lineas = [] } = req.body;
+
+    if (!Array.isArray(lineas)) {
+        return res.status(400).json({ message: 'Las líneas facturadas deben enviarse como arreglo.' });
+    }
+
+    const client = await pool.connect();
     try {
-        const result = await pool.query('UPDATE entrada_almacen SET factura_proveedor = $1 WHERE id_entrada = $2 RETURNING *', [factura_proveedor, id]);
-        
-        if (result.rows.length === 0) return res.status(404).json({ message: 'Entrada no encontrada' });
+        await client.query('BEGIN');
+
+        const entradaRes = await client.query('SELECT estado_factura FROM entrada_almacen WHERE id_entrada = $1 FOR UPDATE', [id]);
+        if (entradaRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Entrada no encontrada' });
+        }
+        if (entradaRes.rows[0].estado_factura === 'Por pagar') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'La factura ya fue liberada para pago y no puede modificarse.' });
+        }
+
+        await client.query(
+            `UPDATE entrada_almacen
+             SET factura_proveedor = $1, fecha_factura = $2, monto_factura = $3, monto_otros_impuestos = $4, monto_retenciones = $5
+             WHERE id_entrada = $6`,
+            [factura_proveedor, fecha_factura || null, monto_factura ?? null, monto_otros_impuestos ?? null, monto_retenciones ?? null, id]
+        );
+
+        // Cantidades y precios (sin IVA) tal como vienen en la factura; si no se envían se toma lo recibido
+        for (const linea of lineas) {
+            const tabla = linea.tipo_item === 'insumo'
+                ? { nombre: 'detalle_entrada_insumo', id: 'id_detalle_insumo' }
+                : { nombre: 'detalle_entrada', id: 'id_detalle_entrada' };
+            await client.query(
+                `UPDATE ${tabla.nombre} SET cantidad_facturada = $1, precio_facturado = $2 WHERE ${tabla.id} = $3 AND id_entrada = $4`,
+                [linea.cantidad_facturada ?? null, linea.precio_facturado ?? null, linea.id_detalle, id]
+            );
+        }
+
+        const conciliacion = await conciliarEntrada(client, id);
+        await client.query('COMMIT');
 
         // 🛡️ AUDITORÍA
         registrarAuditoria({
@@ -30,14 +70,192 @@ router.put('/:id/factura', [verifyToken], async (req, res) => {
             id_recurso_afectado: id,
             detalles_cambio: {
                 mensaje: 'Se actualizó/asignó un número de factura a la entrada.',
-                nueva_factura: factura_proveedor
+                nueva_factura: factura_proveedor,
+                estado_factura: conciliacion.estado_factura,
+                discrepancias: conciliacion.discrepancias.length
             },
             ip_address: req.ip
         });
 
-        res.json({ message: 'Factura actualizada' });
+        res.json({ message: 'Factura actualizada', ...conciliacion });
     } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error al registrar factura:', err);
         res.status(500).json({ message: 'Error del servidor' });
+    } finally {
+        client.release();
+    }
+});
+
+// =======================================================
+// CONSULTAR EL COTEJO DE LA FACTURA
+// =======================================================
+router.get('/:id/conciliacion', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const entradaPromise = pool.query(
+            `SELECT id_entrada, id_orden_compra, factura_proveedor, fecha_factura, monto_factura, estado_factura, fecha_por_pagar
+             FROM entrada_almacen WHERE id_entrada = $1`,
+            [id]
+        );
+        const lineasPromise = obtenerComparativo(pool, id);
+        const discrepanciasPromise = pool.query(
+            `SELECT df.*, e.nombre as aprobada_por_nombre
+             FROM discrepancias_factura df
+             LEFT JOIN empleado e ON df.aprobada_por = e.id_empleado
+             WHERE df.id_entrada = $1
+             ORDER BY df.id_discrepancia`,
+            [id]
+        );
+        const [entradaResult, lineas, discrepanciasResult] = await Promise.all([entradaPromise, lineasPromise, discrepanciasPromise]);
+
+        if (entradaResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Entrada no encontrada' });
+        }
+
+        res.json({
+            ...entradaResult.rows[0],
+            tolerancias: TOLERANCIAS_CONCILIACION,
+            lineas,
+            discrepancias: discrepanciasResult.rows
+        });
+    } catch (error) {
+        console.error(`Error al obtener la conciliación de la entrada ${id}:`, error);
+        res.status(500).json({ message: 'Error al obtener la conciliación' });
+    }
+});
+
+// =======================================================
+// APROBAR UNA DISCREPANCIA (Se acepta la diferencia tal cual)
+// =======================================================
+router.put('/:id/conciliacion/discrepancias/:idDiscrepancia/aprobar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id, idDiscrepancia } = req.params;
+    const { comentario } = req.body;
+
+    if (!comentario || !comentario.trim()) {
+        return res.status(400).json({ message: 'Debe explicar por qué se acepta la diferencia.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE discrepancias_factura
+             SET estatus = 'Aprobada', comentario = $1, aprobada_por = $2, fecha_aprobacion = NOW()
+             WHERE id_discrepancia = $3 AND id_entrada = $4 AND estatus = 'Abierta'
+             RETURNING *`,
+            [comentario.trim(), req.user.id, idDiscrepancia, id]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Discrepancia abierta no encontrada en esta entrada.' });
+        }
+
+        // Si ya no quedan abiertas, la factura queda conciliada
+        await client.query(
+            `UPDATE entrada_almacen SET estado_factura = 'Conciliada'
+             WHERE id_entrada = $1 AND estado_factura = 'Con discrepancias'
+               AND NOT EXISTS (SELECT 1 FROM discrepancias_factura WHERE id_entrada = $1 AND estatus = 'Abierta')`,
+            [id]
+        );
+
+        await client.query('COMMIT');
+
+        // 🛡️ AUDITORÍA
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'discrepancias_factura',
+            id_recurso_afectado: idDiscrepancia,
+            detalles_cambio: {
+                mensaje: 'Se aprobó una discrepancia de factura contra orden de compra.',
+                id_entrada: id,
+                tipo_discrepancia: result.rows[0].tipo_discrepancia,
+                diferencia: result.rows[0].diferencia,
+                comentario: comentario.trim()
+            },
+            ip_address: req.ip
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al aprobar discrepancia:', error);
+        res.status(500).json({ message: 'Error al aprobar la discrepancia' });
+    } finally {
+        client.release();
+    }
+});
+
+// =======================================================
+// LIBERAR LA FACTURA PARA PAGO (Solo sin discrepancias abiertas)
+// =======================================================
+router.put('/:id/por-pagar', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const entradaRes = await client.query(
+            'SELECT factura_proveedor, estado, estado_factura FROM entrada_almacen WHERE id_entrada = $1 FOR UPDATE',
+            [id]
+        );
+        if (entradaRes.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Entrada no encontrada' });
+        }
+        const entrada = entradaRes.rows[0];
+        if (entrada.estado === 'CANCELADO') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'La entrada está cancelada.' });
+        }
+        if (!entrada.factura_proveedor) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'La entrada no tiene factura registrada.' });
+        }
+        if (entrada.estado_factura === 'Por pagar') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'La factura ya está liberada para pago.' });
+        }
+
+        // Se vuelve a cotejar por si cambiaron cantidades o costos desde el registro de la factura
+        const { discrepancias } = await conciliarEntrada(client, id);
+        if (discrepancias.length > 0) {
+            await client.query('COMMIT');
+            return res.status(400).json({
+                message: `La factura tiene ${discrepancias.length} discrepancias sin resolver o aprobar.`,
+                discrepancias
+            });
+        }
+
+        const result = await client.query(
+            `UPDATE entrada_almacen SET estado_factura = 'Por pagar', fecha_por_pagar = NOW(), por_pagar_por = $1
+             WHERE id_entrada = $2 RETURNING *`,
+            [req.user.id, id]
+        );
+        await client.query('COMMIT');
+
+        // 🛡️ AUDITORÍA
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'entrada_almacen',
+            id_recurso_afectado: id,
+            detalles_cambio: {
+                mensaje: 'Se liberó la factura de la entrada para pago.',
+                factura: entrada.factura_proveedor
+            },
+            ip_address: req.ip
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al liberar factura para pago:', error);
+        res.status(500).json({ message: 'Error al liberar la factura para pago' });
+    } finally {
+        client.release();
     }
 });
 
@@ -51,6 +269,7 @@ router.get('/', verifyToken, async (req, res) => {
         search = '',
         fechaInicio = '',
         fechaFin = '' ,
+        id_ubicacion = '',
         sortBy = 'fecha_operacion', 
         sortOrder = 'desc'
     } = req.query;
@@ -73,6 +292,10 @@ router.get('/', verifyToken, async (req, res) => {
             params.push(fechaHasta.toISOString().split('T')[0]);
             whereClauses.push(`ea.fecha_operacion < $${params.length}`);
         }
+        if (id_ubicacion) {
+            params.push(id_ubicacion);
+            whereClauses.push(`ea.id_ubicacion = $${params.length}`);
+        }
 
         const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
 
@@ -92,10 +315,12 @@ router.get('/', verifyToken, async (req, res) => {
                 ea.*,
                 p.nombre_proveedor,
                 e.nombre as nombre_empleado,
+                u.nombre_ubicacion,
                 COALESCE(entry_totals.valor_neto, 0) AS valor_neto
             FROM
                 entrada_almacen ea
             LEFT JOIN proveedor p ON ea.id_proveedor = p.id_proveedor
+            LEFT JOIN ubicaciones u ON ea.id_ubicacion = u.id_ubicacion
             LEFT JOIN empleado e ON ea.recibido_por_id = e.id_empleado
             LEFT JOIN (
                 SELECT 
@@ -196,7 +421,9 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista','SuperUsuario']
     Observaciones, 
     Recibido_Por_ID, 
     Razon_Social,
-    Fecha_Operacion
+    Fecha_Operacion,
+    ID_Orden_Compra,
+    ID_Ubicacion
   } = req.body;
 
   if (new Date(Fecha_Operacion) > new Date()) {
@@ -207,12 +434,32 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista','SuperUsuario']
   }
 
   try {
+    await verificarPeriodoAbierto(pool, Fecha_Operacion);
+
+    // Si la entrada recibe una orden de compra, debe estar viva y ser del mismo proveedor
+    if (ID_Orden_Compra) {
+      const ordenResult = await pool.query('SELECT id_proveedor, estado FROM orden_compra WHERE id_orden_compra = $1', [ID_Orden_Compra]);
+      if (ordenResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Orden de compra no encontrada.' });
+      }
+      const orden = ordenResult.rows[0];
+      if (orden.estado === 'Cancelada' || orden.estado === 'Recibida') {
+        return res.status(400).json({ message: `La orden de compra está ${orden.estado.toLowerCase()} y no admite recepciones.` });
+      }
+      if (ID_Proveedor && parseInt(ID_Proveedor, 10) !== orden.id_proveedor) {
+        return res.status(400).json({ message: 'El proveedor de la entrada no coincide con el de la orden de compra.' });
+      }
+    }
+
+    // Almacén que recibe; sus lotes y existencias quedan en esa ubicación
+    const idUbicacion = await resolverUbicacion(pool, ID_Ubicacion);
+
     const result = await pool.query(
       `INSERT INTO entrada_almacen 
-        (id_proveedor, factura_proveedor, vale_interno, observaciones, Recibido_Por_ID, razon_social, fecha_operacion) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+        (id_proveedor, factura_proveedor, vale_interno, observaciones, Recibido_Por_ID, razon_social, fecha_operacion, id_orden_compra, id_ubicacion) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
        RETURNING *`,
-      [ID_Proveedor, Factura_Proveedor, Vale_Interno, Observaciones, Recibido_Por_ID, Razon_Social, Fecha_Operacion]
+      [ID_Proveedor, Factura_Proveedor, Vale_Interno, Observaciones, Recibido_Por_ID, Razon_Social, Fecha_Operacion, ID_Orden_Compra || null, idUbicacion]
     );
     const nuevaEntrada = result.rows[0];
 
@@ -226,13 +473,18 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista','SuperUsuario']
           mensaje: 'Se generó un nuevo folio de entrada de almacén.',
           factura: Factura_Proveedor, 
           proveedor: ID_Proveedor, 
-          razon_social: Razon_Social 
+          razon_social: Razon_Social,
+          orden_compra: ID_Orden_Compra || null,
+          id_ubicacion: idUbicacion
       },
       ip_address: req.ip
     });
     
     res.status(201).json(result.rows[0]);
   } catch (error) {
+    if (error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error al crear entrada:', error);
     res.status(500).json({ message: 'Error al crear la entrada', error: error.message });
   }
@@ -306,6 +558,8 @@ router.delete('/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
+    await verificarDocumentoAbierto(pool, 'entrada', id);
+
     const result = await pool.query(
       `DELETE FROM Entrada_Almacen WHERE ID_Entrada = $1 RETURNING *`,
       [id]
@@ -330,6 +584,9 @@ router.delete('/:id', async (req, res) => {
 
     res.json({ message: 'Entrada eliminada', entrada: result.rows[0] });
   } catch (error) {
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error al eliminar entrada', error });
   }
 });
@@ -352,6 +609,10 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
     try {
         await client.query('BEGIN');
 
+        // Ni la fecha original ni la nueva pueden caer en un periodo cerrado
+        await verificarDocumentoAbierto(client, 'entrada', id);
+        await verificarPeriodoAbierto(client, fecha_operacion);
+
         // 1. Actualizar Cabecera
         await client.query(
             `UPDATE entrada_almacen 
@@ -359,13 +620,17 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
              WHERE id_entrada = $5`,
             [fecha_operacion, id_proveedor, factura, observaciones, id]
         );
+        const ubicacionRes = await client.query('SELECT id_ubicacion FROM entrada_almacen WHERE id_entrada = $1', [id]);
+        const idUbicacion = ubicacionRes.rows[0]?.id_ubicacion || ID_UBICACION_PRINCIPAL;
 
         // 2. Procesar Items (Iterar sobre el array enviado)
         for (const item of items) {
             if (item.tipo === 'refaccion') {
                 const loteActual = await client.query(
-                    `SELECT id_lote, cantidad_inicial, cantidad_disponible, costo_unitario_final as costo_unitario 
-                     FROM lote_refaccion WHERE id_detalle_entrada = $1`,
+                    `SELECT l.id_lote, l.cantidad_inicial, l.cantidad_disponible, l.costo_unitario_final as costo_unitario, de.id_detalle_orden 
+                     FROM lote_refaccion l
+                     JOIN detalle_entrada de ON l.id_detalle_entrada = de.id_detalle_entrada
+                     WHERE l.id_detalle_entrada = $1`,
                     [item.id_detalle]
                 );
                 
@@ -397,11 +662,14 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
                         `UPDATE refaccion SET stock_actual = stock_actual + $1 WHERE id_refaccion = $2`,
                         [diferenciaCantidad, item.id_item]
                     );
+
+                    // Si la línea se recibió contra una orden de compra, su saldo se mueve igual
+                    await ajustarRecepcionOrden(client, lote.id_detalle_orden, diferenciaCantidad);
                 }
             } 
             else if (item.tipo === 'insumo') {
                 const detalleActual = await client.query(
-                    `SELECT id_entrada, id_insumo, cantidad_recibida, costo_unitario_final 
+                    `SELECT id_entrada, id_insumo, cantidad_recibida, costo_unitario_final, id_detalle_orden 
                      FROM detalle_entrada_insumo WHERE id_detalle_insumo = $1`,
                     [item.id_detalle]
                 );
@@ -435,6 +703,9 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
                         `UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3`,
                         [nuevoStockTotal, nuevoCostoPromedio, item.id_item]
                     );
+                    if (diferenciaCantidad !== 0) {
+                        await moverExistenciaInsumo(client, { id_insumo: item.id_item, id_ubicacion: idUbicacion, cantidad: diferenciaCantidad });
+                    }
 
                     await client.query(
                         `UPDATE detalle_entrada_insumo 
@@ -442,10 +713,18 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
                          WHERE id_detalle_insumo = $3`,
                         [item.cantidad_nueva, item.costo_nuevo, item.id_detalle]
                     );
+
+                    await ajustarRecepcionOrden(client, detalle.id_detalle_orden, diferenciaCantidad);
                 }
             }
         }
 
+        // 3. Si la factura ya se había cotejado, se vuelve a cotejar con las cantidades y costos nuevos
+        const facturaRes = await client.query('SELECT estado_factura FROM entrada_almacen WHERE id_entrada = $1', [id]);
+        if (['Con discrepancias', 'Conciliada'].includes(facturaRes.rows[0]?.estado_factura)) {
+            await conciliarEntrada(client, id);
+        }
+
         await client.query('COMMIT');
 
         // 🛡️ AUDITORÍA DE EDICIÓN PROFUNDA
@@ -466,6 +745,9 @@ router.put('/:id/editar-completo', verifyToken, checkRole(['SuperUsuario']), asy
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error edición histórica:', error);
         res.status(500).json({ message: error.message });
     } finally {
@@ -486,12 +768,13 @@ router.put('/:id/cancelar', [verifyToken, checkRole(['SuperUsuario', 'Admin', 'S
 
         // 1. Validar la entrada maestra
         const entradaRes = await client.query(`
-            SELECT estado, observaciones 
+            SELECT estado, observaciones, id_ubicacion, fecha_operacion 
             FROM entrada_almacen 
             WHERE id_entrada = $1 FOR UPDATE
         `, [id]);
         
         if (entradaRes.rows.length === 0) throw new Error('La entrada no existe.');
+        await verificarPeriodoAbierto(client, entradaRes.rows[0].fecha_operacion);
         
         const entradaInfo = entradaRes.rows[0];
         if (entradaInfo.estado === 'CANCELADO' || entradaInfo.estado === 'CANCELADA') {
@@ -500,7 +783,7 @@ router.put('/:id/cancelar', [verifyToken, checkRole(['SuperUsuario', 'Admin', 'S
 
         // 2A. REVERTIR REFACCIONES
         const detallesRefaccionRes = await client.query(`
-            SELECT id_detalle_entrada, id_refaccion, cantidad_recibida 
+            SELECT id_detalle_entrada, id_refaccion, cantidad_recibida, id_detalle_orden 
             FROM detalle_entrada 
             WHERE id_entrada = $1
         `, [id]);
@@ -520,11 +803,14 @@ router.put('/:id/cancelar', [verifyToken, checkRole(['SuperUsuario', 'Admin', 'S
                 }
                 await client.query(`DELETE FROM lote_refaccion WHERE id_lote = $1`, [lote.id_lote]);
             }
+
+            // Lo recibido contra la orden de compra vuelve a quedar pendiente
+            await ajustarRecepcionOrden(client, detalle.id_detalle_orden, -cantidadIngresada);
         }
 
         // 2B. REVERTIR INSUMOS
         const detallesInsumoRes = await client.query(`
-            SELECT id_insumo, cantidad_recibida 
+            SELECT id_insumo, cantidad_recibida, id_detalle_orden 
             FROM detalle_entrada_insumo 
             WHERE id_entrada = $1
         `, [id]);
@@ -548,7 +834,14 @@ router.put('/:id/cancelar', [verifyToken, checkRole(['SuperUsuario', 'Admin', 'S
                     SET stock_actual = stock_actual - $1 
                     WHERE id_insumo = $2
                 `, [cantidadIngresada, detalle.id_insumo]);
+                await moverExistenciaInsumo(client, {
+                    id_insumo: detalle.id_insumo,
+                    id_ubicacion: entradaInfo.id_ubicacion || ID_UBICACION_PRINCIPAL,
+                    cantidad: -cantidadIngresada
+                });
             }
+
+            await ajustarRecepcionOrden(client, detalle.id_detalle_orden, -cantidadIngresada);
         }
 
         // 3. ACTUALIZAR ESTADO DE LA ENTRADA
@@ -556,7 +849,7 @@ router.put('/:id/cancelar', [verifyToken, checkRole(['SuperUsuario', 'Admin', 'S
         
         await client.query(`
             UPDATE entrada_almacen 
-            SET estado = 'CANCELADO', observaciones = $1 
+            SET estado = 'CANCELADO', observaciones = $1, fecha_cancelacion = NOW() 
             WHERE id_entrada = $2
         `, [nuevasObservaciones, id]);
 
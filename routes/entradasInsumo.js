@@ -3,6 +3,8 @@ const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { resolverUbicacion, moverExistenciaInsumo } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 /**
  * @swagger
  * tags:
@@ -177,11 +179,14 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
 
     try {
         await client.query('BEGIN');
+        // La entrada queda con la fecha de hoy
+        await verificarPeriodoAbierto(client, new Date());
 
+        const idUbicacion = await resolverUbicacion(client, maestro.id_ubicacion);
         const entradaResult = await client.query(
-            `INSERT INTO entrada_insumo (id_proveedor, id_empleado, numero_factura, observaciones, razon_social)
-             VALUES ($1, $2, $3, $4, $5) RETURNING id_entrada_insumo`,
-            [maestro.id_proveedor, maestro.id_empleado, maestro.numero_factura, maestro.observaciones, maestro.razon_social]
+            `INSERT INTO entrada_insumo (id_proveedor, id_empleado, numero_factura, observaciones, razon_social, id_ubicacion)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id_entrada_insumo`,
+            [maestro.id_proveedor, maestro.id_empleado, maestro.numero_factura, maestro.observaciones, maestro.razon_social, idUbicacion]
         );
         const nuevaEntradaId = entradaResult.rows[0].id_entrada_insumo;
 
@@ -227,6 +232,7 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
                 `UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3`,
                 [nuevoStockTotal, nuevoCostoPromedio.toFixed(4), id_insumo]
             );
+            await moverExistenciaInsumo(client, { id_insumo, id_ubicacion: idUbicacion, cantidad: cantidadNueva });
 
             // --- Inserción en Tabla de Detalle con Costos Desglosados ---
             await client.query(
@@ -241,6 +247,9 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error en transacción de entrada de insumos:', error);
         res.status(500).json({ message: 'Error al procesar la entrada: ' + (error instanceof Error ? error.message : String(error)) });
     } finally {
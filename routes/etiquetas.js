@@ -0,0 +1,170 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+
+const { generarCodigo, generarZpl, PREFIJOS_CODIGO, SIMBOLOGIAS } = require('../servicios/etiquetasService');
+const { JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
+const { ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const formatearFecha = (fecha) => (fecha ? new Date(fecha).toLocaleDateString('es-MX') : '');
+
+// Texto de cada etiqueta a partir de los ids pedidos, en el mismo orden en que se pidieron
+const armarEtiquetas = async (items) => {
+  const ids = (tipo) => items.filter((item) => item.tipo === tipo).map((item) => item.id);
+
+  const refacciones = await pool.query(
+    `SELECT r.id_refaccion as id, r.nombre, r.numero_parte, r.marca, pos.codigo as codigo_posicion
+     FROM refaccion r
+     LEFT JOIN posicion_articulo pa ON pa.id_refaccion = r.id_refaccion AND pa.id_ubicacion = $2
+     LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+     WHERE r.id_refaccion = ANY($1::int[])`,
+    [ids('refaccion'), ID_UBICACION_PRINCIPAL]
+  );
+  const insumos = await pool.query(
+    `SELECT i.id_insumo as id, i.nombre, i.marca, i.unidad_medida, pos.codigo as codigo_posicion
+     FROM insumo i
+     LEFT JOIN posicion_articulo pa ON pa.id_insumo = i.id_insumo AND pa.id_ubicacion = $2
+     LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+     WHERE i.id_insumo = ANY($1::int[])`,
+    [ids('insumo'), ID_UBICACION_PRINCIPAL]
+  );
+  const lotes = await pool.query(
+    `SELECT l.id_lote as id, r.nombre, r.numero_parte, l.fecha_ingreso, l.fecha_caducidad, pos.codigo as codigo_posicion
+     FROM lote_refaccion l
+     JOIN refaccion r ON l.id_refaccion = r.id_refaccion
+     ${JOIN_POSICION_LOTE_SQL}
+     WHERE l.id_lote = ANY($1::int[])`,
+    [ids('lote')]
+  );
+
+  const porTipo = {
+    refaccion: new Map(refacciones.rows.map((fila) => [fila.id, fila])),
+    insumo: new Map(insumos.rows.map((fila) => [fila.id, fila])),
+    lote: new Map(lotes.rows.map((fila) => [fila.id, fila]))
+  };
+
+  return items.map((item) => {
+    const fila = porTipo[item.tipo].get(item.id);
+    if (!fila) return null;
+
+    const posicion = fila.codigo_posicion ? `Ubic. ${fila.codigo_posicion}` : '';
+    let subtitulo;
+    let detalle;
+    if (item.tipo === 'refaccion') {
+      subtitulo = `NP ${fila.numero_parte || 'S/N'} ${fila.marca || ''}`.trim();
+      detalle = posicion;
+    } else if (item.tipo === 'insumo') {
+      subtitulo = `${fila.marca || 'S/M'} - ${fila.unidad_medida || ''}`;
+      detalle = posicion;
+    } else {
+      subtitulo = `NP ${fila.numero_parte || 'S/N'} - Lote ${fila.id}`;
+      detalle = [`Ingreso ${formatearFecha(fila.fecha_ingreso)}`, fila.fecha_caducidad ? `Cad. ${formatearFecha(fila.fecha_caducidad)}` : '', posicion]
+        .filter(Boolean).join(' - ');
+    }
+
+    return {
+      tipo: item.tipo,
+      id: item.id,
+      codigo: generarCodigo(item.tipo, item.id),
+      titulo: fila.nombre,
+      subtitulo,
+      detalle,
+      copias: item.copias || 1
+    };
+  });
+};
+
+// Entrega las etiquetas en ZPL (por defecto) o en JSON para que el cliente las dibuje
+const responderEtiquetas = (res, etiquetas, { formato = 'zpl', simbologia = 'code128', nombreArchivo }) => {
+  if (formato === 'json') {
+    return res.json(etiquetas);
+  }
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${nombreArchivo}.zpl"`);
+  res.send(generarZpl(etiquetas, simbologia));
+};
+
+const validarOpciones = ({ formato = 'zpl', simbologia = 'code128' }) => {
+  if (!['zpl', 'json'].includes(formato)) return 'Formato no válido. Use zpl o json.';
+  if (!SIMBOLOGIAS.includes(simbologia)) return `Simbología no válida. Use ${SIMBOLOGIAS.join(', ')}.`;
+  return null;
+};
+
+// =======================================================
+// ETIQUETAS DE UNA LISTA DE ARTÍCULOS O LOTES
+// =======================================================
+router.post('/', async (req, res) => {
+  const { items, formato, simbologia } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'Se requiere al menos un artículo a etiquetar.' });
+  }
+  const itemsValidos = items.map((item) => ({ tipo: item.tipo, id: parseInt(item.id, 10), copias: parseInt(item.copias, 10) || 1 }));
+  if (itemsValidos.some((item) => !PREFIJOS_CODIGO[item.tipo] || !item.id)) {
+    return res.status(400).json({ message: `Cada artículo requiere tipo (${Object.keys(PREFIJOS_CODIGO).join(', ')}) e id.` });
+  }
+  const errorOpciones = validarOpciones({ formato, simbologia });
+  if (errorOpciones) {
+    return res.status(400).json({ message: errorOpciones });
+  }
+
+  try {
+    const etiquetas = await armarEtiquetas(itemsValidos);
+    const faltantes = itemsValidos.filter((_, indice) => !etiquetas[indice]);
+    if (faltantes.length > 0) {
+      return res.status(404).json({ message: 'Algunos artículos no existen.', faltantes });
+    }
+    responderEtiquetas(res, etiquetas, { formato, simbologia, nombreArchivo: 'etiquetas' });
+  } catch (error) {
+    console.error('Error al generar etiquetas:', error);
+    res.status(500).json({ message: 'Error al generar las etiquetas' });
+  }
+});
+
+// =======================================================
+// ETIQUETAS DE TODOS LOS LOTES E INSUMOS DE UNA ENTRADA
+// =======================================================
+router.get('/entrada/:idEntrada', async (req, res) => {
+  const { idEntrada } = req.params;
+  const { formato, simbologia, porUnidad = 'true' } = req.query;
+
+  const errorOpciones = validarOpciones({ formato, simbologia });
+  if (errorOpciones) {
+    return res.status(400).json({ message: errorOpciones });
+  }
+
+  try {
+    // Con porUnidad se imprime una etiqueta por pieza recibida (los insumos a granel, una por línea)
+    const partidas = await pool.query(`
+      SELECT 'lote' as tipo, l.id_lote as id, de.cantidad_recibida as cantidad
+      FROM detalle_entrada de
+      JOIN lote_refaccion l ON l.id_detalle_entrada = de.id_detalle_entrada
+      WHERE de.id_entrada = $1
+      UNION ALL
+      SELECT 'insumo', dei.id_insumo, 1
+      FROM detalle_entrada_insumo dei
+      WHERE dei.id_entrada = $1
+    `, [idEntrada]);
+
+    if (partidas.rows.length === 0) {
+      return res.status(404).json({ message: 'La entrada no existe o no tiene partidas.' });
+    }
+
+    const items = partidas.rows.map((fila) => ({
+      tipo: fila.tipo,
+      id: fila.id,
+      copias: porUnidad === 'true' ? Math.ceil(parseFloat(fila.cantidad)) : 1
+    }));
+    const etiquetas = (await armarEtiquetas(items)).filter(Boolean);
+    responderEtiquetas(res, etiquetas, { formato, simbologia, nombreArchivo: `entrada-${idEntrada}` });
+  } catch (error) {
+    console.error('Error al generar etiquetas de la entrada:', error);
+    res.status(500).json({ message: 'Error al generar las etiquetas de la entrada' });
+  }
+});
+
+module.exports = router;
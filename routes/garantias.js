@@ -0,0 +1,390 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const {
+  obtenerGarantiasVigentes,
+  registrarGarantiaRefaccion,
+  validarGarantiaReclamable,
+  TIPOS_GARANTIA,
+  ESTADOS_RECLAMACION,
+  RESOLUCIONES_RECLAMACION
+} = require('../servicios/garantiasService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const RECLAMACION_SQL = `
+  SELECT rg.*, p.nombre_proveedor, a.economico as autobus,
+         r.nombre as refaccion, se.descripcion as servicio,
+         ea.nombre as abierta_por_nombre, er.nombre as resuelta_por_nombre
+  FROM reclamacion_garantia rg
+  JOIN proveedor p ON rg.id_proveedor = p.id_proveedor
+  LEFT JOIN autobus a ON rg.id_autobus = a.id_autobus
+  LEFT JOIN garantia_refaccion g ON rg.id_garantia = g.id_garantia
+  LEFT JOIN refaccion r ON g.id_refaccion = r.id_refaccion
+  LEFT JOIN servicio_externo se ON rg.id_servicio = se.id_servicio
+  LEFT JOIN empleado ea ON rg.abierta_por = ea.id_empleado
+  LEFT JOIN empleado er ON rg.resuelta_por = er.id_empleado
+`;
+
+// =======================================================
+// GARANTÍAS VIGENTES DE UN AUTOBÚS (Advertencia antes de una salida o servicio externo)
+// =======================================================
+router.get('/vigentes', async (req, res) => {
+  const { id_autobus, id_refaccion } = req.query;
+
+  if (!id_autobus) {
+    return res.status(400).json({ message: 'El autobús es requerido.' });
+  }
+
+  try {
+    const garantias = await obtenerGarantiasVigentes(pool, { id_autobus, id_refaccion: id_refaccion || null });
+    res.json({ tiene_garantia_vigente: garantias.length > 0, garantias });
+  } catch (error) {
+    console.error('Error al consultar garantías vigentes:', error);
+    res.status(500).json({ message: 'Error al consultar las garantías vigentes' });
+  }
+});
+
+// =======================================================
+// GARANTÍAS DE REFACCIONES INSTALADAS: LISTAR
+// =======================================================
+router.get('/refacciones', async (req, res) => {
+  const { id_autobus = '', id_refaccion = '', soloVigentes = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (id_autobus) {
+      params.push(id_autobus);
+      whereClauses.push(`g.id_autobus = $${params.length}`);
+    }
+    if (id_refaccion) {
+      params.push(id_refaccion);
+      whereClauses.push(`g.id_refaccion = $${params.length}`);
+    }
+    if (soloVigentes === 'true') {
+      whereClauses.push(`g.estado = 'Vigente' AND g.fecha_vencimiento >= CURRENT_DATE AND (g.km_vencimiento IS NULL OR a.kilometraje_actual <= g.km_vencimiento)`);
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT g.*, r.nombre as refaccion, r.numero_parte, a.economico as autobus, a.kilometraje_actual,
+             p.nombre_proveedor,
+             (g.estado = 'Vigente' AND g.fecha_vencimiento >= CURRENT_DATE
+               AND (g.km_vencimiento IS NULL OR a.kilometraje_actual <= g.km_vencimiento)) as vigente,
+             (SELECT COUNT(*) FROM reclamacion_garantia rg WHERE rg.id_garantia = g.id_garantia) as reclamaciones
+      FROM garantia_refaccion g
+      JOIN refaccion r ON g.id_refaccion = r.id_refaccion
+      JOIN autobus a ON g.id_autobus = a.id_autobus
+      LEFT JOIN proveedor p ON g.id_proveedor = p.id_proveedor
+      ${whereString}
+      ORDER BY g.fecha_instalacion DESC, g.id_garantia DESC
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener garantías de refacciones:', error);
+    res.status(500).json({ message: 'Error al obtener las garantías' });
+  }
+});
+
+// =======================================================
+// GARANTÍAS DE REFACCIONES INSTALADAS: REGISTRAR (Desde el detalle de salida)
+// =======================================================
+router.post('/refacciones', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const { ID_Detalle_Salida, Dias_Garantia, Km_Garantia, ID_Proveedor, Observaciones } = req.body;
+
+  if (!ID_Detalle_Salida || !Dias_Garantia || parseInt(Dias_Garantia, 10) <= 0) {
+    return res.status(400).json({ message: 'El detalle de salida y los días de garantía son requeridos.' });
+  }
+  if (Km_Garantia && parseInt(Km_Garantia, 10) <= 0) {
+    return res.status(400).json({ message: 'Los kilómetros de garantía deben ser positivos.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const garantia = await registrarGarantiaRefaccion(client, {
+      id_detalle_salida: ID_Detalle_Salida,
+      dias_garantia: parseInt(Dias_Garantia, 10),
+      km_garantia: Km_Garantia ? parseInt(Km_Garantia, 10) : null,
+      id_proveedor: ID_Proveedor || null,
+      observaciones: Observaciones || null,
+      registrado_por: req.user.id
+    });
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: GARANTÍA DE REFACCIÓN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'garantia_refaccion',
+      id_recurso_afectado: garantia.id_garantia,
+      detalles_cambio: {
+        mensaje: 'Se registró la garantía de una refacción instalada.',
+        id_detalle_salida: ID_Detalle_Salida,
+        id_autobus: garantia.id_autobus,
+        fecha_vencimiento: garantia.fecha_vencimiento,
+        km_vencimiento: garantia.km_vencimiento
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(garantia);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'GARANTIA_INVALIDA') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al registrar garantía de refacción:', error);
+    res.status(500).json({ message: 'Error al registrar la garantía' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// RECLAMACIONES: LISTAR
+// =======================================================
+router.get('/reclamaciones', async (req, res) => {
+  const { estado = '', id_proveedor = '', id_autobus = '' } = req.query;
+
+  if (estado && !ESTADOS_RECLAMACION.includes(estado)) {
+    return res.status(400).json({ message: `Estado no válido. Use ${ESTADOS_RECLAMACION.join(', ')}.` });
+  }
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (estado) {
+      params.push(estado);
+      whereClauses.push(`rg.estado = $${params.length}`);
+    }
+    if (id_proveedor) {
+      params.push(id_proveedor);
+      whereClauses.push(`rg.id_proveedor = $${params.length}`);
+    }
+    if (id_autobus) {
+      params.push(id_autobus);
+      whereClauses.push(`rg.id_autobus = $${params.length}`);
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`${RECLAMACION_SQL} ${whereString} ORDER BY rg.fecha_reclamacion DESC, rg.id_reclamacion DESC`, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener reclamaciones de garantía:', error);
+    res.status(500).json({ message: 'Error al obtener las reclamaciones' });
+  }
+});
+
+// =======================================================
+// RECLAMACIONES: OBTENER UNA
+// =======================================================
+router.get('/reclamaciones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(`${RECLAMACION_SQL} WHERE rg.id_reclamacion = $1`, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Reclamación no encontrada.' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al obtener la reclamación:', error);
+    res.status(500).json({ message: 'Error al obtener la reclamación' });
+  }
+});
+
+// =======================================================
+// RECLAMACIONES: ABRIR
+// =======================================================
+router.post('/reclamaciones', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const { tipo_garantia, id_garantia, id_servicio, fecha_falla, kilometraje_falla, motivo } = req.body;
+
+  if (!motivo || !motivo.trim()) {
+    return res.status(400).json({ message: 'El motivo de la reclamación es requerido.' });
+  }
+  if (tipo_garantia === TIPOS_GARANTIA.REFACCION ? !id_garantia : !id_servicio) {
+    return res.status(400).json({ message: 'Indique la garantía de refacción o el servicio externo que se reclama.' });
+  }
+
+  const fechaFalla = fecha_falla || new Date().toISOString().split('T')[0];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { id_proveedor, id_autobus } = await validarGarantiaReclamable(client, {
+      tipo_garantia,
+      id_garantia,
+      id_servicio,
+      fecha_falla: fechaFalla,
+      kilometraje_falla
+    });
+
+    const abierta = await client.query(
+      `SELECT id_reclamacion FROM reclamacion_garantia
+       WHERE (id_garantia = $1 OR id_servicio = $2) AND estado IN ('Abierta', 'Enviada a proveedor')`,
+      [tipo_garantia === TIPOS_GARANTIA.REFACCION ? id_garantia : null, tipo_garantia === TIPOS_GARANTIA.REFACCION ? null : id_servicio]
+    );
+    if (abierta.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Ya hay una reclamación en curso (#${abierta.rows[0].id_reclamacion}) para esta garantía.` });
+    }
+
+    const result = await client.query(
+      `INSERT INTO reclamacion_garantia
+        (tipo_garantia, id_garantia, id_servicio, id_proveedor, id_autobus, fecha_falla, kilometraje_falla, motivo, estado, abierta_por)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'Abierta', $9)
+       RETURNING *`,
+      [
+        tipo_garantia,
+        tipo_garantia === TIPOS_GARANTIA.REFACCION ? id_garantia : null,
+        tipo_garantia === TIPOS_GARANTIA.REFACCION ? null : id_servicio,
+        id_proveedor,
+        id_autobus,
+        fechaFalla,
+        kilometraje_falla || null,
+        motivo.trim(),
+        req.user.id
+      ]
+    );
+    await client.query('COMMIT');
+    const reclamacion = result.rows[0];
+
+    // 🛡️ REGISTRO DE AUDITORÍA: RECLAMACIÓN DE GARANTÍA
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'reclamacion_garantia',
+      id_recurso_afectado: reclamacion.id_reclamacion,
+      detalles_cambio: {
+        mensaje: 'Se abrió una reclamación de garantía.',
+        tipo_garantia,
+        id_garantia: reclamacion.id_garantia,
+        id_servicio: reclamacion.id_servicio,
+        id_proveedor,
+        motivo: reclamacion.motivo
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(reclamacion);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'GARANTIA_INVALIDA') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al abrir reclamación de garantía:', error);
+    res.status(500).json({ message: 'Error al abrir la reclamación' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// RECLAMACIONES: ENVIAR AL PROVEEDOR
+// =======================================================
+router.put('/reclamaciones/:id/enviar', checkRole(['Admin', 'Almacenista', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { referencia_proveedor, observaciones } = req.body;
+
+  try {
+    const result = await pool.query(
+      `UPDATE reclamacion_garantia
+       SET estado = 'Enviada a proveedor', fecha_envio = NOW(), referencia_proveedor = $1,
+           observaciones = COALESCE($2, observaciones)
+       WHERE id_reclamacion = $3 AND estado = 'Abierta'
+       RETURNING *`,
+      [referencia_proveedor || null, observaciones || null, id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Reclamación abierta no encontrada.' });
+    }
+
+    // 🛡️ REGISTRO DE AUDITORÍA: RECLAMACIÓN ENVIADA
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'reclamacion_garantia',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se envió la reclamación de garantía al proveedor.',
+        referencia_proveedor: referencia_proveedor || null
+      },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al enviar reclamación:', error);
+    res.status(500).json({ message: 'Error al enviar la reclamación' });
+  }
+});
+
+// =======================================================
+// RECLAMACIONES: RESOLVER (Nota de crédito, reemplazo o rechazo del proveedor)
+// =======================================================
+router.put('/reclamaciones/:id/resolver', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { procedente, resolucion, monto_credito, referencia_resolucion, comentario } = req.body;
+
+  const esProcedente = procedente !== false;
+  if (esProcedente && !RESOLUCIONES_RECLAMACION.includes(resolucion)) {
+    return res.status(400).json({ message: `Resolución no válida. Use ${RESOLUCIONES_RECLAMACION.join(', ')}.` });
+  }
+  if (esProcedente && resolucion === 'Nota de crédito' && (!monto_credito || parseFloat(monto_credito) <= 0)) {
+    return res.status(400).json({ message: 'El monto de la nota de crédito es requerido.' });
+  }
+  if (!esProcedente && (!comentario || !comentario.trim())) {
+    return res.status(400).json({ message: 'Indique el motivo por el que el proveedor rechazó la reclamación.' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE reclamacion_garantia
+       SET estado = $1, resolucion = $2, monto_credito = $3, referencia_resolucion = $4, comentario_resolucion = $5,
+           fecha_resolucion = NOW(), resuelta_por = $6
+       WHERE id_reclamacion = $7 AND estado IN ('Abierta', 'Enviada a proveedor')
+       RETURNING *`,
+      [
+        esProcedente ? 'Resuelta' : 'Rechazada',
+        esProcedente ? resolucion : null,
+        esProcedente && resolucion === 'Nota de crédito' ? parseFloat(monto_credito) : 0,
+        referencia_resolucion || null,
+        comentario ? comentario.trim() : null,
+        req.user.id,
+        id
+      ]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Reclamación en curso no encontrada.' });
+    }
+    const reclamacion = result.rows[0];
+
+    // 🛡️ REGISTRO DE AUDITORÍA: RESOLUCIÓN DE RECLAMACIÓN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'reclamacion_garantia',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se cerró una reclamación de garantía.',
+        estado_nuevo: reclamacion.estado,
+        resolucion: reclamacion.resolucion,
+        monto_credito: reclamacion.monto_credito,
+        comentario: reclamacion.comentario_resolucion
+      },
+      ip_address: req.ip
+    });
+
+    res.json(reclamacion);
+  } catch (error) {
+    console.error('Error al resolver reclamación:', error);
+    res.status(500).json({ message: 'Error al resolver la reclamación' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const pool = require('../db'); 
 const verifyToken = require('../middleware/verifyToken'); 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { consumirLotes } = require('../servicios/lotesService');
+const { resolverUbicacion, moverExistenciaInsumo } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 
 router.use(verifyToken);
 
@@ -58,35 +61,41 @@ router.get('/activos', async (req, res) => {
 // 3. ABRIR UN NUEVO ARTÍCULO EN PISO (Soporta Insumo o Refacción)
 // =======================================================
 router.post('/abrir', async (req, res) => {
-    const { id_item, tipo_item } = req.body;
+    const { id_item, tipo_item, id_ubicacion } = req.body;
     const client = await pool.connect();
 
     try {
         await client.query('BEGIN');
+        // La apertura queda con la fecha de hoy
+        await verificarPeriodoAbierto(client, new Date());
         let costoTotal = 0;
         let idInsumo = null;
         let idRefaccion = null;
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
 
         if (tipo_item === 'insumo') {
             const insumoReq = await client.query('SELECT stock_actual, costo_unitario_promedio FROM insumo WHERE id_insumo = $1 FOR UPDATE', [id_item]);
             if (insumoReq.rows[0].stock_actual < 1) throw new Error('No hay stock suficiente.');
             
             await client.query('UPDATE insumo SET stock_actual = stock_actual - 1 WHERE id_insumo = $1', [id_item]);
+            try {
+                await moverExistenciaInsumo(client, { id_insumo: id_item, id_ubicacion: idUbicacion, cantidad: -1 });
+            } catch (error) {
+                if (error.code === 'STOCK_INSUFICIENTE') throw new Error('No hay stock suficiente en este almacén.');
+                throw error;
+            }
             costoTotal = insumoReq.rows[0].costo_unitario_promedio;
             idInsumo = id_item;
         } 
         else if (tipo_item === 'refaccion') {
-            // Buscamos el lote más antiguo con stock (Sistema FIFO)
-            const loteReq = await client.query(`
-                SELECT id_lote, cantidad_disponible, costo_unitario_final 
-                FROM lote_refaccion WHERE id_refaccion = $1 AND cantidad_disponible > 0 
-                ORDER BY fecha_ingreso ASC LIMIT 1 FOR UPDATE
-            `, [id_item]);
-
-            if (loteReq.rows.length === 0) throw new Error('No hay lotes con stock para esta refacción.');
-            
-            await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - 1 WHERE id_lote = $1', [loteReq.rows[0].id_lote]);
-            costoTotal = loteReq.rows[0].costo_unitario_final;
+            // Tomamos la pieza del lote más antiguo con stock (Sistema FIFO)
+            try {
+                const { costo_total } = await consumirLotes(client, { id_refaccion: id_item, cantidad: 1, id_ubicacion: idUbicacion });
+                costoTotal = costo_total;
+            } catch (error) {
+                if (error.code === 'STOCK_INSUFICIENTE') throw new Error('No hay lotes con stock para esta refacción.');
+                throw error;
+            }
             idRefaccion = id_item;
         }
 
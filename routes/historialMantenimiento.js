@@ -9,7 +9,7 @@ router.use(verifyToken);
  * /api/historial/{idAutobus}:
  *   get:
  *     summary: Obtiene el historial de mantenimiento y el costo total de refacciones usadas para un autobús
- *     description: Retorna una lista de refacciones utilizadas en un autobús específico, junto con el costo total calculado con base en la cantidad despachada y el precio de costo.
+ *     description: Retorna una lista de refacciones, insumos, servicios y cargas de diésel costeadas de un autobús específico, junto con el costo total y el costo por kilómetro (según los km recorridos de sus cargas).
  *     tags:
  *       - HistorialMantenimiento
  *     security:
@@ -58,6 +58,18 @@ router.use(verifyToken);
  *                   type: number
  *                   format: float
  *                   example: 1450.75
+ *                 costoCombustible:
+ *                   type: number
+ *                   format: float
+ *                   example: 980.40
+ *                 kmRecorridos:
+ *                   type: number
+ *                   example: 5200
+ *                 costoPorKm:
+ *                   type: number
+ *                   format: float
+ *                   nullable: true
+ *                   example: 0.4674
  *       401:
  *         description: No autorizado - Token inválido o ausente
  *       500:
@@ -163,6 +175,24 @@ router.get('/:idAutobus', async (req, res) => {
           LEFT JOIN empleado e ON sa.solicitado_por_id = e.id_empleado
           WHERE ucg.id_autobus = $1
 
+          UNION ALL
+
+          -- 6. COMBUSTIBLE (CARGAS DE DIÉSEL COSTEADAS)
+          SELECT
+            cc.fecha_operacion as fecha,
+            cc.km_final as kilometraje,
+            'Combustible' as tipo_item,
+            'Diésel' || COALESCE(' (' || t.nombre_tanque || ')', '') as nombre,
+            'N/A' as marca,
+            cc.litros_cargados as cantidad,
+            COALESCE(d.nombre, 'Despacho de Diésel') as solicitado_por,
+            cc.costo_litro as costo_unitario,
+            cc.costo_total as costo_total
+          FROM cargas_combustible cc
+          LEFT JOIN tanques_combustible t ON cc.id_tanque = t.id_tanque
+          LEFT JOIN empleado d ON cc.id_empleado_despachador = d.id_empleado
+          WHERE cc.id_autobus = $1 AND cc.costo_total IS NOT NULL
+
        ) as movimientos
        ORDER BY fecha DESC`,
       [idAutobus]
@@ -211,15 +241,37 @@ router.get('/:idAutobus', async (req, res) => {
           FROM uso_consumible_granel
           WHERE id_autobus = $1
 
+          UNION ALL
+
+          -- Costos de COMBUSTIBLE
+          SELECT 
+            SUM(costo_total) as costo_total
+          FROM cargas_combustible
+          WHERE id_autobus = $1
+
       ) as costos`,
       [idAutobus]
     );
 
-    const [historialResult, costoTotalResult] = await Promise.all([
+    // Kilómetros recorridos según las cargas, para el costo por km
+    const combustiblePromise = pool.query(
+      `SELECT 
+          COALESCE(SUM(km_recorridos), 0) as km_recorridos,
+          COALESCE(SUM(costo_total), 0) as costo_combustible
+       FROM cargas_combustible
+       WHERE id_autobus = $1`,
+      [idAutobus]
+    );
+
+    const [historialResult, costoTotalResult, combustibleResult] = await Promise.all([
       historialPromise,
       costoTotalPromise,
+      combustiblePromise,
     ]);
 
+    const costoTotal = parseFloat(costoTotalResult.rows[0].costo_total || 0);
+    const kmRecorridos = parseFloat(combustibleResult.rows[0].km_recorridos || 0);
+
     const historialFormateado = historialResult.rows.map(item => ({
       ...item,
       costo_unitario: parseFloat(item.costo_unitario || 0),
@@ -228,7 +280,10 @@ router.get('/:idAutobus', async (req, res) => {
 
     res.json({
       historial: historialFormateado,
-      costoTotal: parseFloat(costoTotalResult.rows[0].costo_total || 0),
+      costoTotal,
+      costoCombustible: parseFloat(combustibleResult.rows[0].costo_combustible || 0),
+      kmRecorridos,
+      costoPorKm: kmRecorridos > 0 ? parseFloat((costoTotal / kmRecorridos).toFixed(4)) : null,
     });
 
   } catch (error) {
@@ -253,7 +253,14 @@ router.get('/buscar', verifyToken, async (req, res) => {
           (nombre || ' - ' || COALESCE(marca, 'S/M')) AS nombre,
           stock_actual,
           unidad_medida,
-          costo_unitario_promedio
+          costo_unitario_promedio,
+          (
+            SELECT json_agg(json_build_object('id_ubicacion', pa.id_ubicacion, 'nombre_ubicacion', u.nombre_ubicacion, 'codigo_posicion', pos.codigo) ORDER BY u.nombre_ubicacion)
+            FROM posicion_articulo pa
+            JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+            JOIN ubicaciones u ON pa.id_ubicacion = u.id_ubicacion
+            WHERE pa.id_insumo = insumo.id_insumo
+          ) AS posiciones
       FROM insumo
       WHERE nombre ILIKE $1 OR marca ILIKE $1 OR tipo_insumo::text ILIKE $1
       ORDER BY nombre ASC
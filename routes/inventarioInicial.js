@@ -4,6 +4,8 @@ const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { resolverUbicacion, fijarExistenciaInsumo } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 
 /**
  * @swagger
@@ -110,7 +112,7 @@ const checkRole = require('../middleware/checkRole');
 router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req, res) => {
     // CAMBIO: Se aceptan dos arreglos de detalles
     const { maestro, detallesRefacciones, detallesInsumos } = req.body;
-    const { id_empleado, fecha_conteo, motivo } = maestro;
+    const { id_empleado, fecha_conteo, motivo, id_ubicacion } = maestro;
 
     if (!id_empleado || !fecha_conteo || !motivo) {
         return res.status(400).json({ message: 'Faltan datos del maestro del ajuste (empleado, fecha, motivo).' });
@@ -119,12 +121,14 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        await verificarPeriodoAbierto(client, fecha_conteo);
 
-        // 1. Crear el registro maestro (sin cambios)
+        // 1. Crear el registro maestro; la carga inicial es por almacén
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
         const conteoResult = await client.query(
-            `INSERT INTO conteo_inventario_maestro (id_empleado, fecha_conteo, observaciones)
-             VALUES ($1, $2, $3) RETURNING id_conteo`,
-            [id_empleado, fecha_conteo, motivo] // 'motivo' viene de 'observaciones' en el plan original
+            `INSERT INTO conteo_inventario_maestro (id_empleado, fecha_conteo, observaciones, id_ubicacion, estado, tipo_conteo)
+             VALUES ($1, $2, $3, $4, 'APLICADO', 'INICIAL') RETURNING id_conteo`,
+            [id_empleado, fecha_conteo, motivo, idUbicacion] // 'motivo' viene de 'observaciones' en el plan original
         );
         const nuevoConteoId = conteoResult.rows[0].id_conteo;
 
@@ -139,9 +143,9 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req
                 );
                 // Crea el LOTE inicial en el inventario
                 await client.query(
-                    `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario)
-                     VALUES ($1, $2, $3, $3, 0)`,
-                    [detalle.id_refaccion, detalle.cantidad, detalle.costo]
+                    `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, id_ubicacion)
+                     VALUES ($1, $2, $3, $3, 0, $4)`,
+                    [detalle.id_refaccion, detalle.cantidad, detalle.costo, idUbicacion]
                 );
             }
         }
@@ -158,9 +162,11 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req
                 
                 // Actualiza el stock y el costo promedio del insumo
                 // Esta lógica asume que el inventario inicial establece el nuevo costo promedio.
+                // La cantidad es la del almacén; el total se mueve por la diferencia contra lo que había ahí.
+                const diferencia = await fijarExistenciaInsumo(client, { id_insumo: detalle.id_insumo, id_ubicacion: idUbicacion, cantidad: detalle.cantidad });
                 await client.query(
-                    'UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3',
-                    [detalle.cantidad, detalle.costo, detalle.id_insumo]
+                    'UPDATE insumo SET stock_actual = stock_actual + $1, costo_unitario_promedio = $2 WHERE id_insumo = $3',
+                    [diferencia, detalle.costo, detalle.id_insumo]
                 );
             }
         }
@@ -170,6 +176,9 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario'])], async (req
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error en transacción de carga de inventario inicial:', error);
         res.status(500).json({ message: 'Error al procesar la carga de inventario.' });
     } finally {
@@ -2,6 +2,7 @@ const express = require('express');
 const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
+const { JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
 
 /**
  * @swagger
@@ -25,6 +26,11 @@ const verifyToken = require('../middleware/verifyToken');
  *           type: integer
  *         required: true
  *         description: ID de la refacción para consultar sus lotes disponibles
+ *       - in: query
+ *         name: id_ubicacion
+ *         schema:
+ *           type: integer
+ *         description: Solo los lotes de este almacén
  *     responses:
  *       200:
  *         description: Lista de lotes disponibles de la refacción
@@ -48,6 +54,13 @@ const verifyToken = require('../middleware/verifyToken');
  *                     type: integer
  *                   nombre_proveedor:
  *                     type: string
+ *                   id_ubicacion:
+ *                     type: integer
+ *                   nombre_ubicacion:
+ *                     type: string
+ *                   codigo_posicion:
+ *                     type: string
+ *                     description: Pasillo, anaquel y nivel donde está el lote (el suyo o el de la refacción en ese almacén)
  *       500:
  *         description: Error al obtener lotes
  */
@@ -55,16 +68,21 @@ const verifyToken = require('../middleware/verifyToken');
 // Obtener lotes por id_refaccion
 router.get('/:idRefaccion', async (req, res) => {
   const { idRefaccion } = req.params;
+  const { id_ubicacion = '' } = req.query;
   try {
     const result = await pool.query(
-      `SELECT l.*, p.nombre_proveedor 
+      `SELECT l.*, p.nombre_proveedor, u.nombre_ubicacion,
+              pos.id_posicion as id_posicion_efectiva, pos.codigo as codigo_posicion, pos.pasillo, pos.anaquel, pos.nivel
        FROM lote_refaccion l
        LEFT JOIN detalle_entrada de ON l.id_detalle_entrada = de.id_detalle_entrada
        LEFT JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
        LEFT JOIN proveedor p ON ea.id_proveedor = p.id_proveedor
+       LEFT JOIN ubicaciones u ON l.id_ubicacion = u.id_ubicacion
+       ${JOIN_POSICION_LOTE_SQL}
        WHERE l.id_refaccion = $1 AND l.cantidad_disponible > 0
+         AND ($2::int IS NULL OR l.id_ubicacion = $2)
        ORDER BY l.fecha_ingreso ASC`, // FIFO: los más antiguos primero
-      [idRefaccion]
+      [idRefaccion, id_ubicacion || null]
     );
     res.json(result.rows);
   } catch (error) {
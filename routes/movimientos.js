@@ -1,6 +1,23 @@
 const express = require('express');
 const pool = require('../db');
 const router = express.Router();
+const verifyToken = require('../middleware/verifyToken');
+const { obtenerKardex } = require('../servicios/kardexService');
+const { enviarExportacion, FORMATOS_EXPORTACION } = require('../servicios/exportacionService');
+
+const COLUMNAS_KARDEX = [
+  { clave: 'fecha', titulo: 'Fecha' },
+  { clave: 'tipo_movimiento', titulo: 'Movimiento' },
+  { clave: 'referencia', titulo: 'Referencia' },
+  { clave: 'ubicacion', titulo: 'Almacén' },
+  { clave: 'entrada', titulo: 'Entrada' },
+  { clave: 'salida', titulo: 'Salida' },
+  { clave: 'costo_unitario', titulo: 'Costo unitario' },
+  { clave: 'importe', titulo: 'Importe' },
+  { clave: 'existencia', titulo: 'Existencia' },
+  { clave: 'valor', titulo: 'Valor' },
+  { clave: 'costo_promedio', titulo: 'Costo promedio' }
+];
 
 /**
  * @swagger
@@ -123,6 +140,107 @@ router.post('/', async (req, res) => {
     client.release();
   }
 });
+/**
+ * @swagger
+ * /api/movimientos/kardex/{tipoItem}/{idItem}:
+ *   get:
+ *     summary: Kardex de una refacción o un insumo con existencia, valor y costo acumulados
+ *     tags: [Movimientos]
+ *     parameters:
+ *       - in: path
+ *         name: tipoItem
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [refaccion, insumo]
+ *       - in: path
+ *         name: idItem
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fecha_desde
+ *         description: Primer día del kardex (AAAA-MM-DD); el saldo inicial es el del día anterior
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fecha_hasta
+ *         description: Último día del kardex (AAAA-MM-DD); por defecto hoy
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *     responses:
+ *       200:
+ *         description: Saldo inicial, movimientos con saldo acumulado, saldo final y totales (o el archivo exportado)
+ *       400:
+ *         description: Parámetros no válidos
+ *       404:
+ *         description: El artículo no existe
+ */
+router.get('/kardex/:tipoItem/:idItem', verifyToken, async (req, res) => {
+  const { tipoItem, idItem } = req.params;
+  const { fecha_desde, formato = 'json' } = req.query;
+  const fecha_hasta = req.query.fecha_hasta || new Date().toISOString().slice(0, 10);
+
+  const formatoFecha = /^\d{4}-\d{2}-\d{2}$/;
+  if ((fecha_desde && !formatoFecha.test(fecha_desde)) || !formatoFecha.test(fecha_hasta)) {
+    return res.status(400).json({ message: 'Las fechas deben tener el formato AAAA-MM-DD.' });
+  }
+  if (formato !== 'json' && !FORMATOS_EXPORTACION.includes(formato)) {
+    return res.status(400).json({ message: `Formato no válido. Use json, ${FORMATOS_EXPORTACION.join(' o ')}.` });
+  }
+
+  try {
+    const kardex = await obtenerKardex(pool, {
+      tipo_item: tipoItem,
+      id_item: parseInt(idItem, 10),
+      fecha_desde: fecha_desde || null,
+      fecha_hasta
+    });
+    if (!kardex) {
+      return res.status(404).json({ message: 'El artículo no existe.' });
+    }
+
+    if (formato === 'json') {
+      return res.json(kardex);
+    }
+
+    // El archivo abre con el saldo inicial y cierra con el final para que cuadre sin el resto de la respuesta
+    const filas = [
+      { fecha: fecha_desde || '', tipo_movimiento: 'SALDO_INICIAL', existencia: kardex.saldo_inicial.cantidad, valor: kardex.saldo_inicial.valor },
+      ...kardex.movimientos,
+      {
+        fecha: fecha_hasta,
+        tipo_movimiento: 'SALDO_FINAL',
+        entrada: kardex.totales.entradas,
+        salida: kardex.totales.salidas,
+        existencia: kardex.saldo_final.cantidad,
+        valor: kardex.saldo_final.valor,
+        costo_promedio: kardex.saldo_final.costo_promedio
+      }
+    ];
+    enviarExportacion(res, {
+      formato,
+      nombreArchivo: `kardex_${tipoItem}_${kardex.articulo.id_item}_${fecha_hasta}`,
+      nombreHoja: `Kardex ${kardex.articulo.nombre}`,
+      columnas: COLUMNAS_KARDEX,
+      filas
+    });
+  } catch (error) {
+    if (error.code === 'KARDEX_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al generar kardex:', error);
+    res.status(500).json({ message: 'Error al generar el kardex' });
+  }
+});
+
 /**
  * @swagger
  * /api/movimientos/{idRefaccion}:
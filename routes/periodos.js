@@ -0,0 +1,111 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const { cerrarPeriodo, reabrirPeriodo } = require('../servicios/periodosService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const ROLES_PERIODOS = ['Admin', 'SuperUsuario'];
+
+// =======================================================
+// LISTAR PERIODOS CONTABLES
+// =======================================================
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, ec.nombre as nombre_cerrado_por, er.nombre as nombre_reabierto_por,
+             c.id_cierre, c.fecha_corte, c.valor_refacciones, c.valor_insumos
+      FROM periodo_contable p
+      LEFT JOIN empleado ec ON p.cerrado_por = ec.id_empleado
+      LEFT JOIN empleado er ON p.reabierto_por = er.id_empleado
+      LEFT JOIN cierre_inventario c ON c.anio = p.anio AND c.mes = p.mes
+      ORDER BY p.anio DESC, p.mes DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener periodos contables:', error);
+    res.status(500).json({ message: 'Error al obtener los periodos contables' });
+  }
+});
+
+// =======================================================
+// CERRAR UN PERIODO (Genera el cierre de inventario del mes)
+// =======================================================
+router.post('/cerrar', checkRole(ROLES_PERIODOS), async (req, res) => {
+  const { anio, mes } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const periodo = await cerrarPeriodo(client, { anio, mes, id_empleado: req.user.id });
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Cierre de periodo contable
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CERRAR',
+      recurso_afectado: 'periodo_contable',
+      id_recurso_afectado: periodo.id_periodo,
+      detalles_cambio: {
+        anio: periodo.anio,
+        mes: periodo.mes,
+        valor_refacciones: periodo.cierre.valor_refacciones,
+        valor_insumos: periodo.cierre.valor_insumos
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: `Periodo cerrado; inventario valuado al ${periodo.cierre.fecha_corte}.`, ...periodo });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'CIERRE_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al cerrar periodo:', error);
+    res.status(500).json({ message: 'Error al cerrar el periodo' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// REABRIR UN PERIODO (Requiere motivo)
+// =======================================================
+router.post('/reabrir', checkRole(ROLES_PERIODOS), async (req, res) => {
+  const { anio, mes, motivo } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const periodo = await reabrirPeriodo(client, { anio, mes, motivo, id_empleado: req.user.id });
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Reapertura de periodo contable
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'REABRIR',
+      recurso_afectado: 'periodo_contable',
+      id_recurso_afectado: periodo.id_periodo,
+      detalles_cambio: { anio: periodo.anio, mes: periodo.mes, motivo },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Periodo reabierto.', ...periodo });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'CIERRE_INVALIDO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al reabrir periodo:', error);
+    res.status(500).json({ message: 'Error al reabrir el periodo' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Subconsulta reutilizable: arma el kit de cada plan como arreglo JSON
+const KIT_JSON = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id_kit_item', k.id_kit_item,
+      'id_refaccion', k.id_refaccion,
+      'id_insumo', k.id_insumo,
+      'nombre_item', COALESCE(r.nombre, i.nombre),
+      'tipo_item', CASE WHEN k.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END,
+      'cantidad', k.cantidad
+    ) ORDER BY k.id_kit_item)
+    FROM plan_mantenimiento_kit k
+    LEFT JOIN refaccion r ON k.id_refaccion = r.id_refaccion
+    LEFT JOIN insumo i ON k.id_insumo = i.id_insumo
+    WHERE k.id_plan = pm.id_plan
+  ), '[]'::json) as kit
+`;
+
+// Valida la cabecera del plan y su kit. Regresa un mensaje de error o null.
+const validarPlan = ({ nombre_plan, intervalo_km, intervalo_meses, kit = [] }) => {
+  if (!nombre_plan || !nombre_plan.trim()) {
+    return 'El nombre del plan es requerido.';
+  }
+  const km = intervalo_km ? parseInt(intervalo_km, 10) : null;
+  const meses = intervalo_meses ? parseInt(intervalo_meses, 10) : null;
+  if (!km && !meses) {
+    return 'El plan debe tener al menos un intervalo (kilometraje o meses).';
+  }
+  if ((km !== null && km <= 0) || (meses !== null && meses <= 0)) {
+    return 'Los intervalos deben ser números positivos.';
+  }
+  if (!Array.isArray(kit)) {
+    return 'El kit debe ser una lista de artículos.';
+  }
+  const vistos = new Set();
+  for (const item of kit) {
+    const clave = item.id_refaccion ? `r${item.id_refaccion}` : `i${item.id_insumo}`;
+    if (vistos.has(clave)) {
+      return 'Un artículo no puede repetirse en el kit; sume las cantidades en una sola línea.';
+    }
+    vistos.add(clave);
+    if (!!item.id_refaccion === !!item.id_insumo) {
+      return 'Cada artículo del kit debe ser una refacción o un insumo (no ambos).';
+    }
+    if (!item.cantidad || parseFloat(item.cantidad) <= 0) {
+      return 'Cada artículo del kit debe tener una cantidad positiva.';
+    }
+  }
+  return null;
+};
+
+const guardarKit = async (client, idPlan, kit) => {
+  await client.query('DELETE FROM plan_mantenimiento_kit WHERE id_plan = $1', [idPlan]);
+  for (const item of kit) {
+    await client.query(
+      `INSERT INTO plan_mantenimiento_kit (id_plan, id_refaccion, id_insumo, cantidad)
+       VALUES ($1, $2, $3, $4)`,
+      [idPlan, item.id_refaccion || null, item.id_insumo || null, item.cantidad]
+    );
+  }
+};
+
+// =======================================================
+// LISTAR PLANES DE MANTENIMIENTO (Filtro opcional por modelo)
+// =======================================================
+router.get('/', async (req, res) => {
+  const { modelo = '', solo_activos = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+
+    if (modelo.trim()) {
+      params.push(modelo.trim());
+      // Los planes sin modelo son genéricos y aplican a toda la flota
+      whereClauses.push(`(pm.modelo_autobus IS NULL OR TRIM(UPPER(pm.modelo_autobus)) = TRIM(UPPER($${params.length})))`);
+    }
+    if (solo_activos === 'true') {
+      whereClauses.push('pm.activo = TRUE');
+    }
+
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT pm.*, ${KIT_JSON}
+      FROM plan_mantenimiento pm
+      ${whereString}
+      ORDER BY pm.modelo_autobus ASC NULLS FIRST, pm.nombre_plan ASC
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener planes de mantenimiento:', error);
+    res.status(500).json({ message: 'Error al obtener los planes de mantenimiento' });
+  }
+});
+
+// =======================================================
+// OBTENER UN PLAN CON SU KIT
+// =======================================================
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(`
+      SELECT pm.*, ${KIT_JSON}
+      FROM plan_mantenimiento pm
+      WHERE pm.id_plan = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Plan de mantenimiento no encontrado.' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al obtener el plan de mantenimiento:', error);
+    res.status(500).json({ message: 'Error al obtener el plan de mantenimiento' });
+  }
+});
+
+// =======================================================
+// CREAR PLAN DE MANTENIMIENTO
+// =======================================================
+router.post('/', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { nombre_plan, modelo_autobus, intervalo_km, intervalo_meses, lo_que_ocurra_primero, descripcion, kit = [] } = req.body;
+
+  const errorValidacion = validarPlan(req.body);
+  if (errorValidacion) {
+    return res.status(400).json({ message: errorValidacion });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO plan_mantenimiento
+      (nombre_plan, modelo_autobus, intervalo_km, intervalo_meses, lo_que_ocurra_primero, descripcion)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+    `, [
+      nombre_plan.trim(),
+      modelo_autobus ? modelo_autobus.trim() : null,
+      intervalo_km || null,
+      intervalo_meses || null,
+      lo_que_ocurra_primero !== false,
+      descripcion || null
+    ]);
+
+    const nuevoPlan = result.rows[0];
+    await guardarKit(client, nuevoPlan.id_plan, kit);
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: ALTA DE PLAN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'plan_mantenimiento',
+      id_recurso_afectado: nuevoPlan.id_plan,
+      detalles_cambio: {
+        mensaje: 'Se dio de alta un plan de mantenimiento preventivo.',
+        nombre_plan: nuevoPlan.nombre_plan,
+        modelo_autobus: nuevoPlan.modelo_autobus || 'Toda la flota',
+        intervalo_km: nuevoPlan.intervalo_km,
+        intervalo_meses: nuevoPlan.intervalo_meses,
+        articulos_kit: kit.length
+      },
+      ip_address: req.ip
+    });
+
+    res.status(201).json(nuevoPlan);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(400).json({ message: 'Ya existe un plan con ese nombre para este modelo.' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'Uno de los artículos del kit no existe en el catálogo.' });
+    }
+    console.error('Error al crear plan de mantenimiento:', error);
+    res.status(500).json({ message: 'Error al crear el plan de mantenimiento' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// ACTUALIZAR PLAN DE MANTENIMIENTO (Reemplaza el kit completo)
+// =======================================================
+router.put('/:id', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const { nombre_plan, modelo_autobus, intervalo_km, intervalo_meses, lo_que_ocurra_primero, descripcion, activo, kit } = req.body;
+
+  const errorValidacion = validarPlan({ ...req.body, kit: kit || [] });
+  if (errorValidacion) {
+    return res.status(400).json({ message: errorValidacion });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const anteriorResult = await client.query('SELECT * FROM plan_mantenimiento WHERE id_plan = $1 FOR UPDATE', [id]);
+    if (anteriorResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Plan de mantenimiento no encontrado.' });
+    }
+    const planAnterior = anteriorResult.rows[0];
+
+    // Los indicadores que no se mandan conservan su valor (un plan inactivo no se reactiva al editarlo)
+    const result = await client.query(`
+      UPDATE plan_mantenimiento
+      SET nombre_plan = $1, modelo_autobus = $2, intervalo_km = $3, intervalo_meses = $4,
+          lo_que_ocurra_primero = COALESCE($5, lo_que_ocurra_primero), descripcion = $6, activo = COALESCE($7, activo)
+      WHERE id_plan = $8 RETURNING *
+    `, [
+      nombre_plan.trim(),
+      modelo_autobus ? modelo_autobus.trim() : null,
+      intervalo_km || null,
+      intervalo_meses || null,
+      typeof lo_que_ocurra_primero === 'boolean' ? lo_que_ocurra_primero : null,
+      descripcion || null,
+      typeof activo === 'boolean' ? activo : null,
+      id
+    ]);
+
+    // Si no se manda el kit, se conserva el actual
+    if (Array.isArray(kit)) {
+      await guardarKit(client, id, kit);
+    }
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: EDICIÓN DE PLAN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'plan_mantenimiento',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se modificó un plan de mantenimiento preventivo.',
+        anterior: {
+          intervalo_km: planAnterior.intervalo_km,
+          intervalo_meses: planAnterior.intervalo_meses,
+          lo_que_ocurra_primero: planAnterior.lo_que_ocurra_primero
+        },
+        nuevos_datos: req.body
+      },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(400).json({ message: 'Ya existe un plan con ese nombre para este modelo.' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'Uno de los artículos del kit no existe en el catálogo.' });
+    }
+    console.error('Error al actualizar plan de mantenimiento:', error);
+    res.status(500).json({ message: 'Error al actualizar el plan de mantenimiento' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// ELIMINAR PLAN DE MANTENIMIENTO
+// =======================================================
+router.delete('/:id', checkRole(['Admin', 'SuperUsuario']), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM plan_mantenimiento_kit WHERE id_plan = $1', [id]);
+    const result = await client.query('DELETE FROM plan_mantenimiento WHERE id_plan = $1 RETURNING *', [id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Plan de mantenimiento no encontrado.' });
+    }
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: ELIMINACIÓN DE PLAN
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ELIMINAR',
+      recurso_afectado: 'plan_mantenimiento',
+      id_recurso_afectado: id,
+      detalles_cambio: {
+        mensaje: 'Se eliminó un plan de mantenimiento preventivo.',
+        nombre_plan: result.rows[0].nombre_plan
+      },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Plan de mantenimiento eliminado exitosamente.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ message: 'No se puede eliminar el plan porque tiene servicios agendados. Desactívelo en su lugar.' });
+    }
+    console.error('Error al eliminar plan de mantenimiento:', error);
+    res.status(500).json({ message: 'Error al eliminar el plan de mantenimiento' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const { resolverUbicacion } = require('../servicios/existenciasService');
+const { armarCodigoPosicion, asignarPosicion, ORDEN_RECORRIDO_SQL, JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const ROLES_POSICIONES = ['Admin', 'Almacenista', 'SuperUsuario'];
+
+// =======================================================
+// LISTAR POSICIONES DE UN ALMACÉN (En orden de recorrido)
+// =======================================================
+router.get('/', async (req, res) => {
+  const { id_ubicacion = '', pasillo = '', incluirInactivas = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (id_ubicacion) {
+      params.push(id_ubicacion);
+      whereClauses.push(`pos.id_ubicacion = $${params.length}`);
+    }
+    if (pasillo) {
+      params.push(pasillo);
+      whereClauses.push(`pos.pasillo = $${params.length}`);
+    }
+    if (incluirInactivas !== 'true') {
+      whereClauses.push('pos.activo');
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT pos.*, u.nombre_ubicacion,
+             (SELECT COUNT(*) FROM posicion_articulo pa WHERE pa.id_posicion = pos.id_posicion) as articulos_asignados
+      FROM posicion_almacen pos
+      JOIN ubicaciones u ON pos.id_ubicacion = u.id_ubicacion
+      ${whereString}
+      ORDER BY u.nombre_ubicacion, ${ORDEN_RECORRIDO_SQL}
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener posiciones:', error);
+    res.status(500).json({ message: 'Error al obtener las posiciones' });
+  }
+});
+
+// =======================================================
+// CONTENIDO DE UNA POSICIÓN (Qué debería encontrarse ahí)
+// =======================================================
+router.get('/:id/contenido', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const posicion = await pool.query('SELECT * FROM posicion_almacen WHERE id_posicion = $1', [id]);
+    if (posicion.rows.length === 0) {
+      return res.status(404).json({ message: 'Posición no encontrada.' });
+    }
+
+    const lotes = await pool.query(`
+      SELECT l.id_lote, l.id_refaccion, r.nombre, r.numero_parte, l.cantidad_disponible, l.fecha_ingreso
+      FROM lote_refaccion l
+      JOIN refaccion r ON l.id_refaccion = r.id_refaccion
+      ${JOIN_POSICION_LOTE_SQL}
+      WHERE pos.id_posicion = $1 AND l.cantidad_disponible > 0
+      ORDER BY r.nombre, l.fecha_ingreso
+    `, [id]);
+
+    const insumos = await pool.query(`
+      SELECT i.id_insumo, i.nombre, i.unidad_medida, COALESCE(ei.cantidad, 0) as existencia
+      FROM posicion_articulo pa
+      JOIN insumo i ON pa.id_insumo = i.id_insumo
+      LEFT JOIN existencia_insumo ei ON ei.id_insumo = pa.id_insumo AND ei.id_ubicacion = pa.id_ubicacion
+      WHERE pa.id_posicion = $1
+      ORDER BY i.nombre
+    `, [id]);
+
+    res.json({ ...posicion.rows[0], lotes: lotes.rows, insumos: insumos.rows });
+  } catch (error) {
+    console.error('Error al obtener el contenido de la posición:', error);
+    res.status(500).json({ message: 'Error al obtener el contenido de la posición' });
+  }
+});
+
+// =======================================================
+// CREAR POSICIÓN
+// =======================================================
+router.post('/', checkRole(ROLES_POSICIONES), async (req, res) => {
+  const { id_ubicacion, pasillo, anaquel, nivel, orden_recorrido, descripcion } = req.body;
+
+  if (!pasillo || !anaquel || !nivel) {
+    return res.status(400).json({ message: 'Se requieren pasillo, anaquel y nivel.' });
+  }
+
+  try {
+    const idUbicacion = await resolverUbicacion(pool, id_ubicacion);
+    const codigo = armarCodigoPosicion({ pasillo, anaquel, nivel });
+
+    const existente = await pool.query(
+      'SELECT id_posicion FROM posicion_almacen WHERE id_ubicacion = $1 AND codigo = $2',
+      [idUbicacion, codigo]
+    );
+    if (existente.rows.length > 0) {
+      return res.status(400).json({ message: `La posición ${codigo} ya existe en este almacén.` });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO posicion_almacen (id_ubicacion, pasillo, anaquel, nivel, codigo, orden_recorrido, descripcion, activo)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE) RETURNING *`,
+      [idUbicacion, String(pasillo).trim().toUpperCase(), String(anaquel).trim().toUpperCase(), String(nivel).trim().toUpperCase(),
+        codigo, orden_recorrido || null, descripcion || null]
+    );
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Alta de posición
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'posicion_almacen',
+      id_recurso_afectado: result.rows[0].id_posicion,
+      detalles_cambio: result.rows[0],
+      ip_address: req.ip
+    });
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === 'UBICACION_INVALIDA') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al crear posición:', error);
+    res.status(500).json({ message: 'Error al crear la posición' });
+  }
+});
+
+// =======================================================
+// ASIGNAR POSICIÓN A UNA REFACCIÓN, INSUMO O LOTE
+// =======================================================
+router.put('/asignar', checkRole(ROLES_POSICIONES), async (req, res) => {
+  const { id_posicion, id_refaccion, id_insumo, id_lote, id_ubicacion } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await asignarPosicion(client, { id_posicion: id_posicion || null, id_refaccion, id_insumo, id_lote, id_ubicacion });
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Asignación de posición
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: id_lote ? 'lote_refaccion' : 'posicion_articulo',
+      id_recurso_afectado: id_lote || id_refaccion || id_insumo,
+      detalles_cambio: { id_posicion: id_posicion || null, id_refaccion, id_insumo, id_lote },
+      ip_address: req.ip
+    });
+
+    res.json({ message: id_posicion ? 'Posición asignada correctamente.' : 'Posición retirada correctamente.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'POSICION_INVALIDA') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al asignar posición:', error);
+    res.status(500).json({ message: 'Error al asignar la posición' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// ACTUALIZAR ORDEN DE RECORRIDO / DESCRIPCIÓN / BAJA
+// =======================================================
+router.put('/:id', checkRole(ROLES_POSICIONES), async (req, res) => {
+  const { id } = req.params;
+  const { orden_recorrido, descripcion, activo } = req.body;
+
+  try {
+    const result = await pool.query(
+      `UPDATE posicion_almacen
+       SET orden_recorrido = COALESCE($1, orden_recorrido),
+           descripcion = COALESCE($2, descripcion),
+           activo = COALESCE($3, activo)
+       WHERE id_posicion = $4 RETURNING *`,
+      [orden_recorrido ?? null, descripcion ?? null, activo ?? null, id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Posición no encontrada.' });
+    }
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Cambio de posición
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'posicion_almacen',
+      id_recurso_afectado: id,
+      detalles_cambio: { orden_recorrido, descripcion, activo },
+      ip_address: req.ip
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error al actualizar posición:', error);
+    res.status(500).json({ message: 'Error al actualizar la posición' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { consumirLotes } = require('../servicios/lotesService');
+const { resolverUbicacion, moverExistenciaInsumo, ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 
 router.get('/historico', verifyToken, async (req, res) => {
     try {
@@ -58,7 +61,7 @@ router.get('/historico', verifyToken, async (req, res) => {
 
 // 2. REGISTRAR PRESTAMO
 router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
-    const { nombre_solicitante_manual, items, observaciones } = req.body;
+    const { nombre_solicitante_manual, items, observaciones, id_ubicacion } = req.body;
     const id_empleado_almacen = req.user.id;
 
     if (!nombre_solicitante_manual || !items || items.length === 0) {
@@ -68,11 +71,15 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        // El préstamo queda con la fecha de hoy
+        await verificarPeriodoAbierto(client, new Date());
+
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
 
         const resPrestamo = await client.query(
-            `INSERT INTO prestamos (nombre_solicitante_manual, id_empleado_almacen, observaciones) 
-             VALUES ($1, $2, $3) RETURNING id_prestamo`,
-            [nombre_solicitante_manual, id_empleado_almacen, observaciones]
+            `INSERT INTO prestamos (nombre_solicitante_manual, id_empleado_almacen, observaciones, id_ubicacion) 
+             VALUES ($1, $2, $3, $4) RETURNING id_prestamo`,
+            [nombre_solicitante_manual, id_empleado_almacen, observaciones, idUbicacion]
         );
         const idPrestamo = resPrestamo.rows[0].id_prestamo;
 
@@ -83,20 +90,21 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
                     throw new Error(`Stock insuficiente para insumo: ${checkStock.rows[0].nombre}`);
                 }
                 await client.query('UPDATE insumo SET stock_actual = stock_actual - $1 WHERE id_insumo = $2', [item.cantidad, item.id]);
+                try {
+                    await moverExistenciaInsumo(client, { id_insumo: item.id, id_ubicacion: idUbicacion, cantidad: -item.cantidad });
+                } catch (error) {
+                    if (error.code !== 'STOCK_INSUFICIENTE') throw error;
+                    throw new Error(`Stock insuficiente en este almacén para insumo: ${checkStock.rows[0].nombre}. Disponible: ${error.faltante.disponible}`);
+                }
             } else if (item.tipo === 'refaccion') {
-                const loteQuery = await client.query(
-                    `SELECT id_lote, cantidad_disponible FROM lote_refaccion 
-                     WHERE id_refaccion = $1 AND cantidad_disponible >= $2 
-                     ORDER BY fecha_ingreso ASC LIMIT 1`, 
-                    [item.id, item.cantidad]
-                );
-                
-                if (loteQuery.rows.length === 0) {
-                     const nombreRef = await client.query('SELECT nombre FROM refaccion WHERE id_refaccion = $1', [item.id]);
-                     throw new Error(`No hay lote con suficiente stock para la refacción: ${nombreRef.rows[0]?.nombre}`);
+                // PEPS (FIFO) repartido entre los lotes del almacén que hagan falta
+                try {
+                    await consumirLotes(client, { id_refaccion: item.id, cantidad: item.cantidad, id_ubicacion: idUbicacion });
+                } catch (error) {
+                    if (error.code !== 'STOCK_INSUFICIENTE') throw error;
+                    const nombreRef = await client.query('SELECT nombre FROM refaccion WHERE id_refaccion = $1', [item.id]);
+                    throw new Error(`Stock insuficiente para la refacción: ${nombreRef.rows[0]?.nombre}. Disponible: ${error.faltante.disponible}`);
                 }
-                
-                await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2', [item.cantidad, loteQuery.rows[0].id_lote]);
             }
 
             await client.query(
@@ -125,6 +133,9 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error(error);
         res.status(500).json({ message: error.message || 'Error al registrar el préstamo.' });
     } finally {
@@ -139,11 +150,19 @@ router.put('/devolucion', [verifyToken, checkRole(['Admin', 'Almacenista', 'Supe
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        // La devolución queda con la fecha de hoy
+        await verificarPeriodoAbierto(client, new Date());
 
-        const detalleRes = await client.query('SELECT * FROM detalle_prestamo WHERE id_detalle_prestamo = $1', [id_detalle_prestamo]);
+        const detalleRes = await client.query(
+            `SELECT dp.*, p.id_ubicacion FROM detalle_prestamo dp
+             JOIN prestamos p ON dp.id_prestamo = p.id_prestamo
+             WHERE dp.id_detalle_prestamo = $1`,
+            [id_detalle_prestamo]
+        );
         if (detalleRes.rows.length === 0) throw new Error('Detalle de préstamo no encontrado.');
         
         const detalle = detalleRes.rows[0];
+        const idUbicacion = detalle.id_ubicacion || ID_UBICACION_PRINCIPAL;
         const pendiente = parseFloat(detalle.cantidad_prestada) - parseFloat(detalle.cantidad_devuelta);
 
         if (cantidad_devuelta > pendiente) {
@@ -162,10 +181,12 @@ router.put('/devolucion', [verifyToken, checkRole(['Admin', 'Almacenista', 'Supe
         if (estado_devolucion === 'BUENO' && cantidad_devuelta > 0) {
             if (detalle.tipo_item === 'insumo') {
                 await client.query('UPDATE insumo SET stock_actual = stock_actual + $1 WHERE id_insumo = $2', [cantidad_devuelta, detalle.id_item]);
+                await moverExistenciaInsumo(client, { id_insumo: detalle.id_item, id_ubicacion: idUbicacion, cantidad: cantidad_devuelta });
             } else if (detalle.tipo_item === 'refaccion') {
+                // Se regresa al lote más reciente del almacén que prestó
                 const loteReciente = await client.query(
-                    'SELECT id_lote FROM lote_refaccion WHERE id_refaccion = $1 ORDER BY fecha_ingreso DESC LIMIT 1',
-                    [detalle.id_item]
+                    'SELECT id_lote FROM lote_refaccion WHERE id_refaccion = $1 AND id_ubicacion = $2 ORDER BY fecha_ingreso DESC LIMIT 1',
+                    [detalle.id_item, idUbicacion]
                 );
                 if (loteReciente.rows.length > 0) {
                     await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible + $1 WHERE id_lote = $2', [cantidad_devuelta, loteReciente.rows[0].id_lote]);
@@ -209,6 +230,9 @@ router.put('/devolucion', [verifyToken, checkRole(['Admin', 'Almacenista', 'Supe
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error(error);
         res.status(500).json({ message: error.message || 'Error al registrar devolución.' });
     } finally {
@@ -4,9 +4,12 @@ const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { consumirLotes } = require('../servicios/lotesService');
+const { resolverUbicacion, moverExistenciaInsumo } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 
 router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'])], async (req, res) => {
-    const { id_refaccion_producida, cantidad_producida, fecha_operacion, observaciones } = req.body;
+    const { id_refaccion_producida, cantidad_producida, fecha_operacion, observaciones, id_ubicacion } = req.body;
     const id_empleado_responsable = req.user.id;
 
     if (!id_refaccion_producida || !cantidad_producida || cantidad_producida <= 0) {
@@ -16,6 +19,10 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        await verificarPeriodoAbierto(client, fecha_operacion);
+
+        // Los componentes se toman y el producto se guarda en el mismo almacén
+        const idUbicacion = await resolverUbicacion(client, id_ubicacion);
 
         // 1. Obtener la "receta" (Ahora trae refacciones E insumos, con sus nombres para los errores)
         const recetaResult = await client.query(
@@ -32,7 +39,8 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
         );
 
         if (recetaResult.rows.length === 0) {
-            throw new Error('Este producto no tiene una receta de componentes definida.');
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Este producto no tiene una receta de componentes definida.' });
         }
         const receta = recetaResult.rows;
 
@@ -43,47 +51,51 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
             if (componente.id_refaccion_hijo) {
                 // Validación para Refacciones
                 const stockResult = await client.query(
-                    'SELECT SUM(cantidad_disponible) as stock FROM lote_refaccion WHERE id_refaccion = $1',
-                    [componente.id_refaccion_hijo]
+                    'SELECT SUM(cantidad_disponible) as stock FROM lote_refaccion WHERE id_refaccion = $1 AND id_ubicacion = $2',
+                    [componente.id_refaccion_hijo, idUbicacion]
                 );
                 const stockDisponible = parseFloat(stockResult.rows[0].stock) || 0;
                 if (stockDisponible < cantidadRequerida) {
-                    throw new Error(`Stock insuficiente para la refacción: ${componente.nombre_item}. Se necesitan ${cantidadRequerida}, pero solo hay ${stockDisponible}.`);
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ message: `Stock insuficiente para la refacción: ${componente.nombre_item}. Se necesitan ${cantidadRequerida}, pero solo hay ${stockDisponible}.` });
                 }
             } else if (componente.id_insumo_hijo) {
                 // Validación para Insumos
                 const stockResult = await client.query(
-                    'SELECT stock_actual FROM insumo WHERE id_insumo = $1',
-                    [componente.id_insumo_hijo]
+                    'SELECT cantidad FROM existencia_insumo WHERE id_insumo = $1 AND id_ubicacion = $2',
+                    [componente.id_insumo_hijo, idUbicacion]
                 );
-                const stockDisponible = parseFloat(stockResult.rows[0].stock_actual) || 0;
+                const stockDisponible = parseFloat(stockResult.rows[0]?.cantidad) || 0;
                 if (stockDisponible < cantidadRequerida) {
-                    throw new Error(`Stock insuficiente para el insumo: ${componente.nombre_item}. Se necesitan ${cantidadRequerida}, pero solo hay ${stockDisponible}.`);
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ message: `Stock insuficiente para el insumo: ${componente.nombre_item}. Se necesitan ${cantidadRequerida}, pero solo hay ${stockDisponible}.` });
                 }
             }
         }
 
+        // 3. Registrar la orden de producción; sus componentes quedan en el detalle para el inventario a fecha
+        const ordenResult = await client.query(
+            `INSERT INTO orden_produccion (id_refaccion_producida, cantidad_producida, id_empleado_responsable, fecha_operacion, observaciones, id_ubicacion) 
+             VALUES ($1, $2, $3, COALESCE($4, NOW()), $5, $6) RETURNING id_orden_produccion`,
+            [id_refaccion_producida, cantidad_producida, id_empleado_responsable, fecha_operacion, observaciones, idUbicacion]
+        );
+        const idOrden = ordenResult.rows[0].id_orden_produccion;
+
         let costoTotalComponentes = 0;
 
-        // 3. Descontar el stock y sumar los costos
+        // 4. Descontar el stock y sumar los costos
         for (const componente of receta) {
             let cantidadADescontar = componente.cantidad_necesaria * cantidad_producida;
+            let costoComponente = 0;
 
             if (componente.id_refaccion_hijo) {
                 // Descuento para REFACCIONES usando PEPS (FIFO)
-                const lotesDisponibles = await client.query(
-                    'SELECT id_lote, cantidad_disponible, costo_unitario_final FROM lote_refaccion WHERE id_refaccion = $1 AND cantidad_disponible > 0 ORDER BY id_detalle_entrada ASC, id_lote ASC',
-                    [componente.id_refaccion_hijo]
-                );
-                
-                for (const lote of lotesDisponibles.rows) {
-                    if (cantidadADescontar <= 0) break;
-                    const cantidadDelLote = Math.min(lote.cantidad_disponible, cantidadADescontar);
-                    
-                    await client.query('UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2', [cantidadDelLote, lote.id_lote]);
-                    costoTotalComponentes += cantidadDelLote * parseFloat(lote.costo_unitario_final);
-                    cantidadADescontar -= cantidadDelLote;
-                }
+                const { costo_total } = await consumirLotes(client, {
+                    id_refaccion: componente.id_refaccion_hijo,
+                    cantidad: cantidadADescontar,
+                    id_ubicacion: idUbicacion
+                });
+                costoComponente = costo_total;
             } else if (componente.id_insumo_hijo) {
                 // Descuento para INSUMOS (Directo a la tabla insumo)
                 const insumoRes = await client.query(
@@ -96,33 +108,42 @@ router.post('/', [verifyToken, checkRole(['Admin', 'Almacenista', 'SuperUsuario'
                     'UPDATE insumo SET stock_actual = stock_actual - $1 WHERE id_insumo = $2',
                     [cantidadADescontar, componente.id_insumo_hijo]
                 );
+                await moverExistenciaInsumo(client, { id_insumo: componente.id_insumo_hijo, id_ubicacion: idUbicacion, cantidad: -cantidadADescontar });
                 
-                costoTotalComponentes += cantidadADescontar * costoInsumo;
+                costoComponente = cantidadADescontar * costoInsumo;
             }
+
+            costoTotalComponentes += costoComponente;
+            await client.query(
+                `INSERT INTO detalle_orden_produccion (id_orden_produccion, id_refaccion, id_insumo, cantidad, costo_total)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [idOrden, componente.id_refaccion_hijo, componente.id_insumo_hijo, cantidadADescontar, costoComponente]
+            );
         }
         
-        // 4. Calcular el costo del nuevo producto y crear su LOTE
+        // 5. Calcular el costo del nuevo producto y crear su LOTE
         const costoUnitarioNuevoProducto = costoTotalComponentes / cantidad_producida;
         await client.query(
-            `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso) 
-             VALUES ($1, $2, $3, $3, 0, CURRENT_DATE)`,
-            [id_refaccion_producida, cantidad_producida, costoUnitarioNuevoProducto]
+            `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso, id_ubicacion) 
+             VALUES ($1, $2, $3, $3, 0, CURRENT_DATE, $4)`,
+            [id_refaccion_producida, cantidad_producida, costoUnitarioNuevoProducto, idUbicacion]
         );
 
-        // 5. Registrar la orden de producción para auditoría
-        await client.query(
-            `INSERT INTO orden_produccion (id_refaccion_producida, cantidad_producida, id_empleado_responsable, fecha_operacion, observaciones) 
-             VALUES ($1, $2, $3, $4, $5)`,
-            [id_refaccion_producida, cantidad_producida, id_empleado_responsable, fecha_operacion, observaciones]
-        );
+        await client.query('UPDATE orden_produccion SET costo_unitario = $1 WHERE id_orden_produccion = $2', [costoUnitarioNuevoProducto, idOrden]);
 
         await client.query('COMMIT');
         res.status(201).json({ message: 'Orden de producción registrada exitosamente. El inventario ha sido actualizado.' });
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'STOCK_INSUFICIENTE') {
+            return res.status(400).json({ message: error.message, faltante: error.faltante });
+        }
+        if (error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error("Error en transacción de orden de producción:", error);
-        res.status(500).json({ message: error.message || 'Error al procesar la orden de producción.' });
+        res.status(500).json({ message: 'Error al procesar la orden de producción.' });
     } finally {
         client.release();
     }
@@ -2,8 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { calcularScorecards, obtenerTendenciaPrecios } = require('../servicios/scorecardProveedorService');
 
 const router = express.Router();
 
@@ -15,7 +17,8 @@ router.use(verifyToken);
 const validateProveedor = [
   body('Nombre_Proveedor').notEmpty().withMessage('Nombre del proveedor es requerido'),
   body('Correo').optional().isEmail().withMessage('Correo no válido'),
-  body('Telefono').optional().isLength({ min: 7 }).withMessage('Teléfono inválido')
+  body('Telefono').optional().isLength({ min: 7 }).withMessage('Teléfono inválido'),
+  body('Dias_Credito').optional().isInt({ min: 0 }).withMessage('Días de crédito inválidos')
 ];
 
 
@@ -67,6 +70,35 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ==============================
+// GET /api/proveedores/:id/scorecard
+// Desempeño del proveedor en el periodo (por defecto, los últimos 12 meses)
+// ==============================
+router.get('/:id/scorecard', async (req, res) => {
+  const { id } = req.params;
+  const hoy = new Date();
+  const haceUnAnio = new Date(hoy); haceUnAnio.setFullYear(hoy.getFullYear() - 1);
+  const fechaInicio = req.query.fechaInicio || haceUnAnio.toISOString().split('T')[0];
+  const fechaFin = req.query.fechaFin || hoy.toISOString().split('T')[0];
+  const fFin = new Date(fechaFin); fFin.setDate(fFin.getDate() + 1);
+  const filtros = { fechaInicio, fechaFinExclusiva: fFin.toISOString().split('T')[0], id_proveedor: id };
+
+  try {
+    const [scorecards, tendenciaPrecios] = await Promise.all([
+      calcularScorecards(pool, filtros),
+      obtenerTendenciaPrecios(pool, filtros)
+    ]);
+    if (scorecards.length === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    res.json({ periodo: { fechaInicio, fechaFin }, ...scorecards[0], tendencia_precios: tendenciaPrecios });
+  } catch (error) {
+    console.error(`Error al calcular scorecard del proveedor ${id}:`, error);
+    res.status(500).json({ message: 'Error al calcular el scorecard del proveedor' });
+  }
+});
+
 router.get('/nombre/:nombre', async (req, res) => {
   const { nombre } = req.params;
   try {
@@ -92,15 +124,15 @@ router.post('/', validateProveedor, async (req, res) => {
     return res.status(400).json({ errores: errors.array() });
   }
 
-  const { Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC } = req.body;
+  const { Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC, Dias_Credito } = req.body;
 
   try {
     const result = await pool.query(
       `INSERT INTO Proveedor 
-        (Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC)
-       VALUES ($1, $2, $3, $4, $5, $6)
+        (Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC, Dias_Credito)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC]
+      [Nombre_Proveedor, Contacto, Telefono, Correo, Direccion, RFC, Dias_Credito || 0]
     );
     
     const nuevoProveedor = result.rows[0];
@@ -180,6 +212,53 @@ router.put('/nombre/:nombre', [
   }
 });
 
+// ==============================
+// PUT /api/proveedores/:id/credito
+// Días de crédito con los que vencen sus facturas en cuentas por pagar
+// ==============================
+router.put('/:id/credito', [
+  checkRole(['Admin', 'SuperUsuario']),
+  body('Dias_Credito').isInt({ min: 0 }).withMessage('Días de crédito inválidos')
+], async (req, res) => {
+  const { id } = req.params;
+  const { Dias_Credito } = req.body;
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errores: errors.array() });
+  }
+
+  try {
+    const anterior = await pool.query('SELECT dias_credito FROM Proveedor WHERE ID_Proveedor = $1', [id]);
+    if (anterior.rows.length === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    const result = await pool.query(
+      'UPDATE Proveedor SET Dias_Credito = $1 WHERE ID_Proveedor = $2 RETURNING *',
+      [Dias_Credito, id]
+    );
+
+    // 🛡️ REGISTRO DE AUDITORÍA: CONDICIONES DE CRÉDITO
+    registrarAuditoria({
+        id_usuario: req.user.id,
+        tipo_accion: 'ACTUALIZAR',
+        recurso_afectado: 'proveedor',
+        id_recurso_afectado: id,
+        detalles_cambio: {
+            mensaje: 'Se actualizaron los días de crédito del proveedor.',
+            dias_credito_anterior: anterior.rows[0].dias_credito,
+            dias_credito_nuevo: Dias_Credito
+        },
+        ip_address: req.ip
+    });
+
+    res.json({ message: 'Crédito actualizado', proveedor: result.rows[0] });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al actualizar el crédito del proveedor' });
+  }
+});
+
 // ==============================
 // DELETE /api/proveedores/nombre/:nombre
 // ==============================
@@ -5,6 +5,7 @@ const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
 const router = express.Router();
 const { registrarAuditoria } = require('../servicios/auditService');
+const { obtenerHistorialPrecios, UMBRAL_ALERTA_PRECIO } = require('../servicios/preciosService');
 
 
 router.get('/', verifyToken, async (req, res) => {
@@ -353,6 +354,34 @@ router.delete('/:id', verifyToken, async (req, res) => {
     }
 });
 
+// =======================================================
+// HISTORIAL DE PRECIOS DE COMPRA (Proveedor más barato y alertas de variación)
+// =======================================================
+router.get('/:id/precios', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const umbral = req.query.umbral ? parseFloat(req.query.umbral) : UMBRAL_ALERTA_PRECIO;
+
+    if (isNaN(umbral) || umbral < 0) {
+        return res.status(400).json({ message: 'El umbral debe ser un porcentaje positivo.' });
+    }
+
+    try {
+        const refaccionResult = await pool.query(
+            'SELECT id_refaccion, nombre, numero_parte, marca FROM refaccion WHERE id_refaccion = $1',
+            [id]
+        );
+        if (refaccionResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Refacción no encontrada' });
+        }
+
+        const historial = await obtenerHistorialPrecios(pool, id, umbral);
+        res.json({ refaccion: refaccionResult.rows[0], ...historial });
+    } catch (error) {
+        console.error(`Error al obtener historial de precios de la refacción ${id}:`, error);
+        res.status(500).json({ message: 'Error al obtener el historial de precios' });
+    }
+});
+
 router.get('/buscar', verifyToken, async (req, res) => {
   const { term } = req.query;
 
@@ -377,7 +406,14 @@ router.get('/buscar', verifyToken, async (req, res) => {
         (fr.nombre || ' (' || COALESCE(fr.numero_parte, 'S/N') || ')') AS nombre,
         fr.marca,
         fr.numero_parte,
-        COALESCE(SUM(l.cantidad_disponible), 0) AS stock_actual
+        COALESCE(SUM(l.cantidad_disponible), 0) AS stock_actual,
+        (
+          SELECT json_agg(json_build_object('id_ubicacion', pa.id_ubicacion, 'nombre_ubicacion', u.nombre_ubicacion, 'codigo_posicion', pos.codigo) ORDER BY u.nombre_ubicacion)
+          FROM posicion_articulo pa
+          JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+          JOIN ubicaciones u ON pa.id_ubicacion = u.id_ubicacion
+          WHERE pa.id_refaccion = fr.id_refaccion
+        ) AS posiciones
       FROM 
         found_refacciones fr
       LEFT JOIN 
@@ -2,6 +2,8 @@ const express = require('express');
 const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
+const { calcularScorecards } = require('../servicios/scorecardProveedorService');
+const { calcularInventarioAFecha } = require('../servicios/inventarioFechaService');
 
 router.use(verifyToken);
 
@@ -106,7 +108,51 @@ router.get('/movimientos-categoria', verifyToken, async (req, res) => {
 });
 
 // =======================================================
-// 3. REPORTES GENERALES E INTELIGENTES
+// 3. INVENTARIO A FECHA Y CIERRES MENSUALES
+// =======================================================
+router.get('/inventario-a-fecha', async (req, res) => {
+  const { fecha, tipo_item, categoria, incluir_ceros } = req.query;
+
+  if (!fecha || !/^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+    return res.status(400).json({ message: 'Se requiere la fecha en formato AAAA-MM-DD.' });
+  }
+  if (tipo_item && !['refaccion', 'insumo'].includes(tipo_item)) {
+    return res.status(400).json({ message: 'tipo_item debe ser refaccion o insumo.' });
+  }
+
+  try {
+    const inventario = await calcularInventarioAFecha(pool, {
+      fecha,
+      tipo_item: tipo_item || null,
+      categoria: categoria || null,
+      incluir_ceros: incluir_ceros === 'true'
+    });
+    res.json(inventario);
+  } catch (error) {
+    console.error('Error al calcular inventario a fecha:', error);
+    res.status(500).json({ message: 'Error al calcular el inventario a la fecha' });
+  }
+});
+
+router.get('/inventario-a-fecha/cierres', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id_cierre, c.anio, c.mes, c.fecha_corte, c.valor_refacciones, c.valor_insumos,
+             c.valor_refacciones + c.valor_insumos as valor_total, c.fecha_registro, e.nombre as nombre_usuario,
+             (SELECT COUNT(*) FROM cierre_inventario_detalle d WHERE d.id_cierre = c.id_cierre) as articulos
+      FROM cierre_inventario c
+      LEFT JOIN empleado e ON c.id_usuario = e.id_empleado
+      ORDER BY c.fecha_corte DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener cierres de inventario:', error);
+    res.status(500).json({ message: 'Error al obtener los cierres de inventario' });
+  }
+});
+
+// =======================================================
+// 4. REPORTES GENERALES E INTELIGENTES
 // =======================================================
 router.get('/:tipoReporte', async (req, res) => {
   const { tipoReporte } = req.params;
@@ -181,11 +227,24 @@ router.get('/:tipoReporte', async (req, res) => {
           SELECT ucg.id_autobus, ucg.fecha_uso as fecha, 'Insumo a Granel' as tipo_item, i.nombre || ' (Prorrateo)' as nombre, 'N/A' as marca, 1 as cantidad, ucg.costo_prorrateado as costo_unitario, ucg.costo_prorrateado as costo_total
           FROM uso_consumible_granel ucg JOIN consumible_granel cg ON ucg.id_consumible_granel = cg.id_consumible_granel JOIN insumo i ON cg.id_insumo = i.id_insumo
           WHERE ucg.fecha_uso >= $1 AND ucg.fecha_uso < $2 AND ucg.id_autobus IS NOT NULL AND ucg.costo_prorrateado > 0
+
+          UNION ALL
+          SELECT cc.id_autobus, cc.fecha_operacion as fecha, 'Combustible' as tipo_item, 'Diésel' as nombre, 'N/A' as marca, cc.litros_cargados as cantidad, cc.costo_litro as costo_unitario, cc.costo_total
+          FROM cargas_combustible cc WHERE cc.fecha_operacion >= $1 AND cc.fecha_operacion < $2 AND cc.costo_total IS NOT NULL
+        ),
+        Kilometraje AS (
+          SELECT cc.id_autobus, SUM(cc.km_recorridos) as km_recorridos
+          FROM cargas_combustible cc WHERE cc.fecha_operacion >= $1 AND cc.fecha_operacion < $2
+          GROUP BY cc.id_autobus
         )
         SELECT a.id_autobus, a.economico as autobus, COALESCE(a.razon_social::varchar, 'Sin Razón Social') as razon_social, a.marca as marca_autobus, a.modelo as modelo_autobus, SUM(g.costo_total) as costo_total_mantenimiento,
+          COALESCE(SUM(g.costo_total) FILTER (WHERE g.tipo_item = 'Combustible'), 0) as costo_combustible,
+          COALESCE(k.km_recorridos, 0) as km_recorridos,
+          CASE WHEN k.km_recorridos > 0 THEN SUM(g.costo_total) / k.km_recorridos END as costo_por_km,
           json_agg(json_build_object('fecha', g.fecha, 'tipo_item', g.tipo_item, 'nombre', g.nombre, 'marca', g.marca, 'cantidad', g.cantidad, 'costo_unitario', g.costo_unitario, 'costo_total', g.costo_total) ORDER BY g.fecha DESC) as detalles
         FROM Gastos g JOIN autobus a ON g.id_autobus = a.id_autobus 
-        GROUP BY a.id_autobus, a.economico, a.razon_social, a.marca, a.modelo 
+        LEFT JOIN Kilometraje k ON g.id_autobus = k.id_autobus
+        GROUP BY a.id_autobus, a.economico, a.razon_social, a.marca, a.modelo, k.km_recorridos 
         ORDER BY costo_total_mantenimiento DESC;
       `;
       params = [fechaInicio, fechaFinStrAutobus];
@@ -249,16 +308,60 @@ router.get('/:tipoReporte', async (req, res) => {
           FROM uso_consumible_granel ucg JOIN consumible_granel cg ON ucg.id_consumible_granel = cg.id_consumible_granel JOIN insumo i ON cg.id_insumo = i.id_insumo
           WHERE ucg.fecha_uso >= $1 AND ucg.fecha_uso < $2 AND ucg.costo_prorrateado > 0
           AND ucg.id_autobus = ANY($3::int[])
+
+          UNION ALL
+          SELECT cc.id_autobus, cc.fecha_operacion as fecha, 'Combustible' as tipo_item, 'Diésel' as nombre, 'N/A' as marca, cc.litros_cargados as cantidad, cc.costo_litro as costo_unitario, cc.costo_total
+          FROM cargas_combustible cc
+          WHERE cc.fecha_operacion >= $1 AND cc.fecha_operacion < $2 AND cc.costo_total IS NOT NULL
+          AND cc.id_autobus = ANY($3::int[])
+        ),
+        Kilometraje AS (
+          SELECT cc.id_autobus, SUM(cc.km_recorridos) as km_recorridos
+          FROM cargas_combustible cc
+          WHERE cc.fecha_operacion >= $1 AND cc.fecha_operacion < $2 AND cc.id_autobus = ANY($3::int[])
+          GROUP BY cc.id_autobus
         )
         SELECT a.id_autobus, a.economico as autobus, COALESCE(a.razon_social::varchar, 'Sin Razón Social') as razon_social, a.marca as marca_autobus, a.modelo as modelo_autobus, SUM(g.costo_total) as costo_total_mantenimiento,
+          COALESCE(SUM(g.costo_total) FILTER (WHERE g.tipo_item = 'Combustible'), 0) as costo_combustible,
+          COALESCE(k.km_recorridos, 0) as km_recorridos,
+          CASE WHEN k.km_recorridos > 0 THEN SUM(g.costo_total) / k.km_recorridos END as costo_por_km,
           json_agg(json_build_object('fecha', g.fecha, 'tipo_item', g.tipo_item, 'nombre', g.nombre, 'marca', g.marca, 'cantidad', g.cantidad, 'costo_unitario', g.costo_unitario, 'costo_total', g.costo_total) ORDER BY g.fecha DESC) as detalles
         FROM Gastos g JOIN autobus a ON g.id_autobus = a.id_autobus 
-        GROUP BY a.id_autobus, a.economico, a.razon_social, a.marca, a.modelo 
+        LEFT JOIN Kilometraje k ON g.id_autobus = k.id_autobus
+        GROUP BY a.id_autobus, a.economico, a.razon_social, a.marca, a.modelo, k.km_recorridos 
         ORDER BY costo_total_mantenimiento DESC;
       `;
       params = [fechaInicio, fFinStrAutobusEsp, arrBuses];
       break;
 
+    // =======================================================
+    // COSTO DE COMBUSTIBLE POR AUTOBÚS (CARGAS COSTEADAS)
+    // =======================================================
+    case 'costo-combustible-autobus':
+      if (!fechaInicio || !fechaFin) return res.status(400).json({ message: 'Se requiere un rango de fechas.' });
+      const fFinComb = new Date(fechaFin); fFinComb.setDate(fFinComb.getDate() + 1);
+      const fFinStrComb = fFinComb.toISOString().split('T')[0];
+
+      // Las cargas anteriores al costeo de diésel no tienen costo; se cuentan sus litros pero no suman al total
+      query = `
+        SELECT a.id_autobus, a.economico as autobus, COALESCE(a.razon_social::varchar, 'Sin Razón Social') as razon_social, a.marca as marca_autobus, a.modelo as modelo_autobus,
+          SUM(cc.litros_cargados) as litros_totales,
+          COALESCE(SUM(cc.costo_total), 0) as costo_total_combustible,
+          CASE WHEN SUM(cc.litros_cargados) FILTER (WHERE cc.costo_total IS NOT NULL) > 0
+            THEN SUM(cc.costo_total) / SUM(cc.litros_cargados) FILTER (WHERE cc.costo_total IS NOT NULL)
+            ELSE 0 END as costo_promedio_litro,
+          COUNT(*) FILTER (WHERE cc.costo_total IS NULL) as cargas_sin_costo,
+          json_agg(json_build_object('fecha', cc.fecha_operacion, 'id_carga', cc.id_carga, 'tanque', t.nombre_tanque, 'litros', cc.litros_cargados, 'costo_litro', cc.costo_litro, 'costo_total', cc.costo_total) ORDER BY cc.fecha_operacion DESC) as detalles
+        FROM cargas_combustible cc
+        JOIN autobus a ON cc.id_autobus = a.id_autobus
+        LEFT JOIN tanques_combustible t ON cc.id_tanque = t.id_tanque
+        WHERE cc.fecha_operacion >= $1 AND cc.fecha_operacion < $2
+        GROUP BY a.id_autobus, a.economico, a.razon_social, a.marca, a.modelo
+        ORDER BY costo_total_combustible DESC;
+      `;
+      params = [fechaInicio, fFinStrComb];
+      break;
+
     case 'compras-razon-social':
       if (!fechaInicio || !fechaFin) return res.status(400).json({ message: 'Rango de fechas requerido.' });
       const fFinCR = new Date(fechaFin); fFinCR.setDate(fFinCR.getDate() + 1);
@@ -509,6 +612,22 @@ router.get('/:tipoReporte', async (req, res) => {
       params = [fechaInicio, fFinStrCP, idProveedor];
       break;
 
+    // =======================================================
+    // RANKING DE PROVEEDORES POR DESEMPEÑO
+    // =======================================================
+    case 'ranking-proveedores':
+      if (!fechaInicio || !fechaFin) return res.status(400).json({ message: 'Rango de fechas requerido.' });
+
+      const fFinRP = new Date(fechaFin); fFinRP.setDate(fFinRP.getDate() + 1);
+
+      try {
+        const ranking = await calcularScorecards(pool, { fechaInicio, fechaFinExclusiva: fFinRP.toISOString().split('T')[0] });
+        return res.json(ranking.map((s, i) => ({ posicion: i + 1, ...s })));
+      } catch (error) {
+        console.error('Error al generar ranking de proveedores:', error);
+        return res.status(500).json({ message: 'Error al generar el ranking de proveedores', error: error.message });
+      }
+
     // =======================================================
     // REPORTE ANALÍTICO DE SALIDAS (EL RESPALDO DEL DASHBOARD)
     // =======================================================
@@ -6,6 +6,9 @@ const verifyToken = require('../middleware/verifyToken');
 const router = express.Router();
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { resolverUbicacion, moverExistenciaInsumo, obtenerUbicacionSalida, ID_UBICACION_PRINCIPAL } = require('../servicios/existenciasService');
+const { ORDEN_RECORRIDO_SQL, JOIN_POSICION_LOTE_SQL } = require('../servicios/posicionesService');
+const { verificarPeriodoAbierto, verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 // =======================================================
 // CREAR NUEVO VALE DE SALIDA MAESTRO
@@ -19,14 +22,17 @@ router.post('/', verifyToken, async (req, res) => {
     Observaciones,
     Kilometraje_Autobus,
     Fecha_Operacion,
+    ID_Ubicacion, // Almacén del que se surte el vale
     consumibles_granel_usados // 🚀 NUEVA VARIABLE RECIBIDA DESDE ANGULAR
   } = req.body;
 
   try {
+    await verificarPeriodoAbierto(pool, Fecha_Operacion);
+    const idUbicacion = await resolverUbicacion(pool, ID_Ubicacion);
     const query = `
       INSERT INTO salida_almacen 
-      (tipo_salida, id_autobus, id_vehiculo_particular, solicitado_por_id, observaciones, kilometraje_autobus, fecha_operacion)
-      VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      (tipo_salida, id_autobus, id_vehiculo_particular, solicitado_por_id, observaciones, kilometraje_autobus, fecha_operacion, id_ubicacion)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
       RETURNING id_salida
     `;
 
@@ -37,7 +43,8 @@ router.post('/', verifyToken, async (req, res) => {
       Solicitado_Por_ID,
       Observaciones || '',
       Kilometraje_Autobus || null,
-      Fecha_Operacion
+      Fecha_Operacion,
+      idUbicacion
     ];
 
     const result = await pool.query(query, values);
@@ -72,6 +79,7 @@ router.post('/', verifyToken, async (req, res) => {
         id_vehiculo_particular: ID_Vehiculo_Particular || null,
         solicitado_por: Solicitado_Por_ID,
         kilometraje: Kilometraje_Autobus || null,
+        id_ubicacion: idUbicacion,
         observaciones: Observaciones,
         insumos_granel_marcados: consumibles_granel_usados ? consumibles_granel_usados.length : 0 // Dejamos rastro en auditoría
       },
@@ -81,6 +89,9 @@ router.post('/', verifyToken, async (req, res) => {
     res.status(201).json({ id_salida: idSalidaGenerado });
 
   } catch (error) {
+    if (error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error al guardar el vale maestro de salida:', error);
     res.status(500).json({ message: 'Error en el servidor al registrar el vale.' });
   }
@@ -93,7 +104,7 @@ router.get('/detalles/:idSalida', verifyToken, async (req, res) => {
   const { idSalida } = req.params;
   try {
     const query = `
-      SELECT id_detalle, id_item, id_lote, nombre_item, numero_parte, cantidad, tipo_item, costo_unitario, cantidad_devuelta FROM (
+      SELECT id_detalle, id_item, id_lote, nombre_item, numero_parte, cantidad, tipo_item, costo_unitario, cantidad_devuelta, codigo_posicion FROM (
         
         -- 1. REFACCIONES
         SELECT 
@@ -105,10 +116,12 @@ router.get('/detalles/:idSalida', verifyToken, async (req, res) => {
           ds.cantidad_despachada as cantidad, 
           'refaccion' as tipo_item,
           l.costo_unitario_final as costo_unitario, 
-          ds.cantidad_devuelta
+          ds.cantidad_devuelta,
+          pos.codigo as codigo_posicion
         FROM detalle_salida ds
         JOIN lote_refaccion l ON ds.id_lote = l.id_lote
         JOIN refaccion r ON l.id_refaccion = r.id_refaccion
+        ${JOIN_POSICION_LOTE_SQL}
         WHERE ds.id_salida = $1
 
         UNION ALL
@@ -123,9 +136,13 @@ router.get('/detalles/:idSalida', verifyToken, async (req, res) => {
           dsi.cantidad_usada as cantidad, 
           'insumo' as tipo_item,
           dsi.costo_al_momento as costo_unitario, 
-          dsi.cantidad_devuelta
+          dsi.cantidad_devuelta,
+          pos.codigo as codigo_posicion
         FROM detalle_salida_insumo dsi
         JOIN insumo i ON dsi.id_insumo = i.id_insumo
+        JOIN salida_almacen sa ON dsi.id_salida = sa.id_salida
+        LEFT JOIN posicion_articulo pa ON pa.id_insumo = dsi.id_insumo AND pa.id_ubicacion = COALESCE(sa.id_ubicacion, $2)
+        LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
         WHERE dsi.id_salida = $1
 
         UNION ALL
@@ -140,7 +157,8 @@ router.get('/detalles/:idSalida', verifyToken, async (req, res) => {
           1 as cantidad, 
           'granel' as tipo_item,
           ucg.costo_prorrateado as costo_unitario, 
-          0 as cantidad_devuelta
+          0 as cantidad_devuelta,
+          NULL as codigo_posicion
         FROM uso_consumible_granel ucg
         JOIN consumible_granel cg ON ucg.id_consumible_granel = cg.id_consumible_granel
         JOIN insumo i ON cg.id_insumo = i.id_insumo
@@ -148,13 +166,67 @@ router.get('/detalles/:idSalida', verifyToken, async (req, res) => {
 
       ) as detalles;
     `;
-    const result = await pool.query(query, [idSalida]);
+    const result = await pool.query(query, [idSalida, ID_UBICACION_PRINCIPAL]);
     res.json(result.rows);
   } catch (error) {
     console.error('Error al obtener detalles:', error);
     res.status(500).json({ message: 'Error al obtener detalles de la salida' });
   }
 });
+
+// =======================================================
+// LISTA DE SURTIDO DE UN VALE (En orden de recorrido del almacén)
+// =======================================================
+router.get('/:idSalida/surtido', verifyToken, async (req, res) => {
+  const { idSalida } = req.params;
+  try {
+    const salidaResult = await pool.query(
+      `SELECT sa.id_salida, sa.tipo_salida, sa.fecha_operacion, a.economico as autobus,
+              COALESCE(sa.id_ubicacion, $2) as id_ubicacion, u.nombre_ubicacion
+       FROM salida_almacen sa
+       LEFT JOIN autobus a ON sa.id_autobus = a.id_autobus
+       LEFT JOIN ubicaciones u ON u.id_ubicacion = COALESCE(sa.id_ubicacion, $2)
+       WHERE sa.id_salida = $1`,
+      [idSalida, ID_UBICACION_PRINCIPAL]
+    );
+    if (salidaResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Vale de salida no encontrado.' });
+    }
+    const salida = salidaResult.rows[0];
+
+    // Lo que no tiene posición asignada va al final para buscarlo aparte
+    const partidasResult = await pool.query(`
+      SELECT * FROM (
+        SELECT 'refaccion' as tipo_item, r.id_refaccion as id_item, r.nombre as nombre_item, r.numero_parte,
+               l.id_lote, SUM(ds.cantidad_despachada) as cantidad,
+               pos.codigo as codigo_posicion, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+        FROM detalle_salida ds
+        JOIN lote_refaccion l ON ds.id_lote = l.id_lote
+        JOIN refaccion r ON l.id_refaccion = r.id_refaccion
+        ${JOIN_POSICION_LOTE_SQL}
+        WHERE ds.id_salida = $1
+        GROUP BY r.id_refaccion, r.nombre, r.numero_parte, l.id_lote, pos.codigo, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+
+        UNION ALL
+
+        SELECT 'insumo', i.id_insumo, i.nombre, NULL, NULL, SUM(dsi.cantidad_usada),
+               pos.codigo, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+        FROM detalle_salida_insumo dsi
+        JOIN insumo i ON dsi.id_insumo = i.id_insumo
+        LEFT JOIN posicion_articulo pa ON pa.id_insumo = dsi.id_insumo AND pa.id_ubicacion = $2
+        LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+        WHERE dsi.id_salida = $1
+        GROUP BY i.id_insumo, i.nombre, pos.codigo, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+      ) pos
+      ORDER BY (pos.codigo IS NULL), ${ORDEN_RECORRIDO_SQL}, pos.nombre_item
+    `, [idSalida, salida.id_ubicacion]);
+
+    res.json({ ...salida, partidas: partidasResult.rows });
+  } catch (error) {
+    console.error('Error al generar la lista de surtido:', error);
+    res.status(500).json({ message: 'Error al generar la lista de surtido' });
+  }
+});
 // =======================================================
 // OBTENER HISTORIAL DE VALES CON FILTROS (Paginado)
 // =======================================================
@@ -164,7 +236,8 @@ router.get('/', verifyToken, async (req, res) => {
     limit = 10,
     search = '',
     fechaInicio = '',
-    fechaFin = ''
+    fechaFin = '',
+    id_ubicacion = ''
   } = req.query;
 
   try {
@@ -193,6 +266,10 @@ router.get('/', verifyToken, async (req, res) => {
       params.push(fechaHasta.toISOString().split('T')[0]);
       whereClauses.push(`s.fecha_operacion < $${params.length}`);
     }
+    if (id_ubicacion) {
+      params.push(id_ubicacion);
+      whereClauses.push(`s.id_ubicacion = $${params.length}`);
+    }
 
     const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
 
@@ -217,9 +294,11 @@ router.get('/', verifyToken, async (req, res) => {
                 e.nombre as nombre_empleado,
                 s.id_vehiculo_particular,
                 vp.propietario as propietario_vehiculo,
-                CONCAT(vp.marca, ' ', vp.modelo) as marca_modelo_vehiculo
+                CONCAT(vp.marca, ' ', vp.modelo) as marca_modelo_vehiculo,
+                s.id_ubicacion, u.nombre_ubicacion
             FROM
                 salida_almacen s
+            LEFT JOIN ubicaciones u ON s.id_ubicacion = u.id_ubicacion
             LEFT JOIN autobus a ON s.id_autobus = a.id_autobus
             LEFT JOIN empleado e ON s.solicitado_por_id = e.id_empleado
             LEFT JOIN vehiculos_particulares vp ON s.id_vehiculo_particular = vp.id_vehiculo
@@ -262,6 +341,10 @@ router.put('/:id/editar-completo', verifyToken, async (req, res) => {
   try {
     await client.query('BEGIN');
 
+    // Ni la fecha original ni la nueva pueden caer en un periodo cerrado
+    await verificarDocumentoAbierto(client, 'salida', id);
+    await verificarPeriodoAbierto(client, fecha_operacion);
+
     // 🚀 FIX: Resolución segura de nulos respetando el "0" km
     const busId = (id_autobus === '' || id_autobus === undefined) ? null : id_autobus;
     const particularId = (id_vehiculo_particular === '' || id_vehiculo_particular === undefined) ? null : id_vehiculo_particular;
@@ -275,6 +358,7 @@ router.put('/:id/editar-completo', verifyToken, async (req, res) => {
              WHERE id_salida = $8`,
       [tipo_salida, busId, particularId, solicitado_por_id, observaciones, km, fecha_operacion, id]
     );
+    const idUbicacion = await obtenerUbicacionSalida(client, id);
 
     // 2. Procesar Items (Iterar sobre el array enviado)
     for (const item of items) {
@@ -359,6 +443,9 @@ router.put('/:id/editar-completo', verifyToken, async (req, res) => {
                          WHERE id_insumo = $2`,
             [diferenciaCantidad, detalle.id_insumo]
           );
+          if (diferenciaCantidad !== 0) {
+            await moverExistenciaInsumo(client, { id_insumo: detalle.id_insumo, id_ubicacion: idUbicacion, cantidad: -diferenciaCantidad });
+          }
 
           // Actualizar el detalle
           await client.query(
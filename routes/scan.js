@@ -0,0 +1,140 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+
+const { generarCodigo, interpretarCodigo } = require('../servicios/etiquetasService');
+const { JOIN_POSICION_LOTE_SQL, ORDEN_RECORRIDO_SQL } = require('../servicios/posicionesService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Lotes con stock de una refacción, en el orden en que se surten (PEPS), con su almacén y posición
+const LOTES_REFACCION_SQL = `
+  SELECT l.id_lote, l.cantidad_disponible, l.costo_unitario_final, l.fecha_ingreso, l.fecha_caducidad,
+         l.id_ubicacion, u.nombre_ubicacion, pos.codigo as codigo_posicion
+  FROM lote_refaccion l
+  LEFT JOIN ubicaciones u ON l.id_ubicacion = u.id_ubicacion
+  ${JOIN_POSICION_LOTE_SQL}
+  WHERE l.id_refaccion = $1 AND l.cantidad_disponible > 0 AND ($2::int IS NULL OR l.id_ubicacion = $2)
+  ORDER BY l.fecha_ingreso ASC, l.id_lote ASC
+`;
+
+const resolverRefaccion = async (idRefaccion, idUbicacion) => {
+  const refaccion = await pool.query('SELECT * FROM refaccion WHERE id_refaccion = $1', [idRefaccion]);
+  if (refaccion.rows.length === 0) return null;
+
+  const lotes = await pool.query(LOTES_REFACCION_SQL, [idRefaccion, idUbicacion]);
+  const posiciones = await pool.query(`
+    SELECT pa.id_ubicacion, u.nombre_ubicacion, pos.id_posicion, pos.codigo as codigo_posicion
+    FROM posicion_articulo pa
+    JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+    JOIN ubicaciones u ON pa.id_ubicacion = u.id_ubicacion
+    WHERE pa.id_refaccion = $1 AND ($2::int IS NULL OR pa.id_ubicacion = $2)
+    ORDER BY u.nombre_ubicacion, ${ORDEN_RECORRIDO_SQL}
+  `, [idRefaccion, idUbicacion]);
+
+  return {
+    tipo: 'refaccion',
+    codigo: generarCodigo('refaccion', idRefaccion),
+    articulo: refaccion.rows[0],
+    lote: null,
+    existencia: lotes.rows.reduce((total, lote) => total + parseFloat(lote.cantidad_disponible), 0),
+    lotes: lotes.rows,
+    posiciones: posiciones.rows
+  };
+};
+
+const resolverInsumo = async (idInsumo, idUbicacion) => {
+  const insumo = await pool.query('SELECT * FROM insumo WHERE id_insumo = $1', [idInsumo]);
+  if (insumo.rows.length === 0) return null;
+
+  const existencias = await pool.query(`
+    SELECT ei.id_ubicacion, u.nombre_ubicacion, ei.cantidad, pos.id_posicion, pos.codigo as codigo_posicion
+    FROM existencia_insumo ei
+    JOIN ubicaciones u ON ei.id_ubicacion = u.id_ubicacion
+    LEFT JOIN posicion_articulo pa ON pa.id_insumo = ei.id_insumo AND pa.id_ubicacion = ei.id_ubicacion
+    LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+    WHERE ei.id_insumo = $1 AND ($2::int IS NULL OR ei.id_ubicacion = $2)
+    ORDER BY u.nombre_ubicacion
+  `, [idInsumo, idUbicacion]);
+
+  return {
+    tipo: 'insumo',
+    codigo: generarCodigo('insumo', idInsumo),
+    articulo: insumo.rows[0],
+    lote: null,
+    existencia: idUbicacion
+      ? existencias.rows.reduce((total, fila) => total + parseFloat(fila.cantidad), 0)
+      : parseFloat(insumo.rows[0].stock_actual),
+    existencias: existencias.rows
+  };
+};
+
+const resolverLote = async (idLote) => {
+  const lote = await pool.query(`
+    SELECT l.*, u.nombre_ubicacion, pos.id_posicion as id_posicion_efectiva, pos.codigo as codigo_posicion,
+           p.nombre_proveedor, de.id_entrada
+    FROM lote_refaccion l
+    LEFT JOIN ubicaciones u ON l.id_ubicacion = u.id_ubicacion
+    LEFT JOIN detalle_entrada de ON l.id_detalle_entrada = de.id_detalle_entrada
+    LEFT JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+    LEFT JOIN proveedor p ON ea.id_proveedor = p.id_proveedor
+    ${JOIN_POSICION_LOTE_SQL}
+    WHERE l.id_lote = $1
+  `, [idLote]);
+  if (lote.rows.length === 0) return null;
+
+  // El lote escaneado más el resto de la refacción, para decidir si conviene surtir otro lote más antiguo
+  const refaccion = await resolverRefaccion(lote.rows[0].id_refaccion, lote.rows[0].id_ubicacion);
+  return {
+    ...refaccion,
+    tipo: 'lote',
+    codigo: generarCodigo('lote', idLote),
+    lote: lote.rows[0],
+    existencia: parseFloat(lote.rows[0].cantidad_disponible)
+  };
+};
+
+// =======================================================
+// RESOLVER UN CÓDIGO ESCANEADO (Refacción, insumo o lote)
+// =======================================================
+router.get('/:code', async (req, res) => {
+  const { code } = req.params;
+  const idUbicacion = req.query.id_ubicacion ? parseInt(req.query.id_ubicacion, 10) : null;
+
+  try {
+    const interpretado = interpretarCodigo(code);
+    let resultado = null;
+
+    if (interpretado?.tipo === 'lote') {
+      resultado = await resolverLote(interpretado.id);
+    } else if (interpretado?.tipo === 'refaccion') {
+      resultado = await resolverRefaccion(interpretado.id, idUbicacion);
+    } else if (interpretado?.tipo === 'insumo') {
+      resultado = await resolverInsumo(interpretado.id, idUbicacion);
+    } else {
+      // Etiquetas de fábrica: el código de barras suele ser el número de parte
+      const porNumeroParte = await pool.query(
+        'SELECT id_refaccion FROM refaccion WHERE UPPER(numero_parte) = UPPER($1) LIMIT 2',
+        [code.trim()]
+      );
+      if (porNumeroParte.rows.length > 1) {
+        return res.status(409).json({ message: `El número de parte ${code} corresponde a varias refacciones; escanee la etiqueta del sistema.` });
+      }
+      if (porNumeroParte.rows.length === 1) {
+        resultado = await resolverRefaccion(porNumeroParte.rows[0].id_refaccion, idUbicacion);
+      }
+    }
+
+    if (!resultado) {
+      return res.status(404).json({ message: `No se encontró ningún artículo con el código ${code}.` });
+    }
+    res.json(resultado);
+  } catch (error) {
+    console.error('Error al resolver código escaneado:', error);
+    res.status(500).json({ message: 'Error al consultar el código escaneado' });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,16 @@ const pool = require('../db');
 const verifyToken = require('../middleware/verifyToken');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { asignarLotes, consumirLotes } = require('../servicios/lotesService');
+const { resolverUbicacion, moverExistenciaInsumo } = require('../servicios/existenciasService');
+const { registrarLectura, registrarCambioOdometro, ORIGENES_LECTURA } = require('../servicios/odometroService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
 
 const router = express.Router();
 
+// Intervalo con el que se agenda un servicio cuando ningún plan aplica al autobús (el de antes de los planes)
+const INTERVALO_SIN_PLAN = { meses: 6, km: 30000 };
+
 // Protegemos todas las rutas de este archivo para poder saber quién hace los cambios
 router.use(verifyToken);
 
@@ -15,9 +22,12 @@ router.get('/', async (req, res) => {
       SELECT 
         sp.*, 
         a.economico, 
-        a.kilometraje_ultima_carga as km_actual_bus
+        a.kilometraje_ultima_carga as km_actual_bus,
+        pm.nombre_plan,
+        pm.lo_que_ocurra_primero
       FROM servicio_preventivo sp
       JOIN autobus a ON sp.id_autobus = a.id_autobus
+      LEFT JOIN plan_mantenimiento pm ON sp.id_plan = pm.id_plan
       ORDER BY sp.fecha_proximo_servicio ASC
     `);
     res.json(result.rows);
@@ -30,28 +40,40 @@ router.get('/', async (req, res) => {
 router.get('/kpi-pendientes', async (req, res) => {
   try {
     const result = await pool.query(`
+      WITH estado_servicios AS (
+        SELECT 
+          -- Servicios sin plan (históricos) se evalúan como "lo que ocurra primero"
+          COALESCE(pm.lo_que_ocurra_primero, TRUE) as primero,
+          sp.fecha_proximo_servicio < CURRENT_DATE as vencido_fecha,
+          a.kilometraje_ultima_carga >= sp.km_proximo_servicio as vencido_km,
+          sp.fecha_proximo_servicio <= CURRENT_DATE + INTERVAL '30 days' as cerca_fecha,
+          sp.km_proximo_servicio - a.kilometraje_ultima_carga <= 2000 as cerca_km
+        FROM servicio_preventivo sp
+        JOIN autobus a ON sp.id_autobus = a.id_autobus
+        LEFT JOIN plan_mantenimiento pm ON sp.id_plan = pm.id_plan
+        WHERE sp.estado = 'Pendiente'
+      ),
+      clasificados AS (
+        -- Un intervalo nulo (plan solo por km o solo por tiempo) no cuenta para "lo que ocurra primero"
+        -- y se da por cumplido cuando el plan exige ambos
+        SELECT 
+          CASE WHEN primero 
+            THEN COALESCE(vencido_fecha, FALSE) OR COALESCE(vencido_km, FALSE)
+            ELSE COALESCE(vencido_fecha, TRUE) AND COALESCE(vencido_km, TRUE)
+          END as urgente,
+          CASE WHEN primero 
+            THEN COALESCE(cerca_fecha, FALSE) OR COALESCE(cerca_km, FALSE)
+            ELSE COALESCE(cerca_fecha, TRUE) AND COALESCE(cerca_km, TRUE)
+          END as proximo
+        FROM estado_servicios
+      )
       SELECT 
-        -- 🔴 URGENTES: Ya se pasó la fecha (< HOY) o ya se pasó el Kilometraje (Actual >= Límite)
-        SUM(CASE WHEN 
-          sp.fecha_proximo_servicio < CURRENT_DATE 
-          OR a.kilometraje_ultima_carga >= sp.km_proximo_servicio 
-        THEN 1 ELSE 0 END) as urgentes,
-
-        -- 🟡 PRÓXIMOS: Vence en los próximos 30 días o le faltan <= 2000 km
-        -- OJO: Condicionamos que NO estén ya vencidos (>= CURRENT_DATE y < km_proximo_servicio)
-        SUM(CASE WHEN 
-          (
-            (sp.fecha_proximo_servicio >= CURRENT_DATE AND sp.fecha_proximo_servicio <= CURRENT_DATE + INTERVAL '30 days')
-            OR 
-            (sp.km_proximo_servicio - a.kilometraje_ultima_carga <= 2000)
-          )
-          AND sp.fecha_proximo_servicio >= CURRENT_DATE 
-          AND a.kilometraje_ultima_carga < sp.km_proximo_servicio
-        THEN 1 ELSE 0 END) as proximos
+        -- 🔴 URGENTES: Ya se pasó la fecha o el kilometraje según la regla del plan
+        SUM(CASE WHEN urgente THEN 1 ELSE 0 END) as urgentes,
 
-      FROM servicio_preventivo sp
-      JOIN autobus a ON sp.id_autobus = a.id_autobus
-      WHERE sp.estado = 'Pendiente'
+        -- 🟡 PRÓXIMOS: Vence en los próximos 30 días o le faltan <= 2000 km (sin estar ya vencidos)
+        SUM(CASE WHEN proximo AND NOT urgente THEN 1 ELSE 0 END) as proximos
+      FROM clasificados
     `);
 
     res.json({
@@ -65,55 +87,219 @@ router.get('/kpi-pendientes', async (req, res) => {
 });
 
 // =======================================================
-// CREAR/AGENDAR UN NUEVO SERVICIO PREVENTIVO
+// AGENDAR EL SIGUIENTE SERVICIO DE UN PLAN
+// =======================================================
+// Cada intervalo es opcional: un plan puede ser solo por km o solo por tiempo.
+const agendarServicio = async (client, { id_autobus, id_plan, fecha_base, km_base, intervalo_km, intervalo_meses, observaciones }) => {
+  const result = await client.query(`
+    INSERT INTO servicio_preventivo 
+    (id_autobus, id_plan, fecha_ultimo_servicio, km_ultimo_servicio, fecha_proximo_servicio, km_proximo_servicio, observaciones)
+    VALUES (
+      $1, $2, $3, $4,
+      CASE WHEN $5::int IS NULL THEN NULL ELSE $3::date + make_interval(months => $5::int) END,
+      CASE WHEN $6::int IS NULL THEN NULL ELSE $4::numeric + $6::int END,
+      $7
+    ) RETURNING *
+  `, [id_autobus, id_plan, fecha_base, km_base, intervalo_meses || null, intervalo_km || null, observaciones || null]);
+  return result.rows[0];
+};
+
+// =======================================================
+// KIT DEL PLAN: VALIDAR EXISTENCIAS Y GENERAR VALE DE SALIDA
+// =======================================================
+// Bloquea lotes e insumos del kit en el almacén y regresa lo que falta por artículo (vacío si alcanza todo).
+const revisarExistenciasKit = async (client, kit, idUbicacion) => {
+  const faltantes = [];
+
+  for (const item of kit) {
+    const requerido = parseFloat(item.cantidad);
+    let disponible = 0;
+
+    if (item.id_refaccion) {
+      try {
+        await asignarLotes(client, { id_refaccion: item.id_refaccion, cantidad: requerido, id_ubicacion: idUbicacion });
+        disponible = requerido;
+      } catch (error) {
+        if (error.code !== 'STOCK_INSUFICIENTE') throw error;
+        disponible = error.faltante.disponible;
+      }
+    } else {
+      const insumo = await client.query(
+        'SELECT cantidad FROM existencia_insumo WHERE id_insumo = $1 AND id_ubicacion = $2 FOR UPDATE',
+        [item.id_insumo, idUbicacion]
+      );
+      disponible = insumo.rows.length > 0 ? parseFloat(insumo.rows[0].cantidad) : 0;
+    }
+
+    if (disponible < requerido) {
+      faltantes.push({
+        tipo_item: item.id_refaccion ? 'refaccion' : 'insumo',
+        id_item: item.id_refaccion || item.id_insumo,
+        nombre_item: item.nombre_item,
+        requerido,
+        disponible,
+        faltante: requerido - disponible
+      });
+    }
+  }
+
+  return faltantes;
+};
+
+// Descuenta el kit del almacén: refacciones por PEPS (FIFO), un detalle por lote consumido.
+const despacharKit = async (client, idSalida, idUbicacion, kit) => {
+  for (const item of kit) {
+    const cantidadADescontar = parseFloat(item.cantidad);
+
+    if (item.id_refaccion) {
+      const { asignaciones } = await consumirLotes(client, { id_refaccion: item.id_refaccion, cantidad: cantidadADescontar, id_ubicacion: idUbicacion });
+
+      for (const asignacion of asignaciones) {
+        await client.query(
+          `INSERT INTO detalle_salida (id_salida, id_refaccion, cantidad_despachada, id_lote)
+           VALUES ($1, $2, $3, $4)`,
+          [idSalida, item.id_refaccion, asignacion.cantidad, asignacion.id_lote]
+        );
+      }
+    } else {
+      const insumo = await client.query('SELECT costo_unitario_promedio FROM insumo WHERE id_insumo = $1', [item.id_insumo]);
+
+      await client.query('UPDATE insumo SET stock_actual = stock_actual - $1 WHERE id_insumo = $2', [cantidadADescontar, item.id_insumo]);
+      await moverExistenciaInsumo(client, { id_insumo: item.id_insumo, id_ubicacion: idUbicacion, cantidad: -cantidadADescontar });
+      await client.query(
+        `INSERT INTO detalle_salida_insumo (id_salida, id_insumo, cantidad_usada, costo_al_momento)
+         VALUES ($1, $2, $3, $4)`,
+        [idSalida, item.id_insumo, cantidadADescontar, insumo.rows[0].costo_unitario_promedio]
+      );
+    }
+  }
+};
+
+// =======================================================
+// CREAR/AGENDAR SERVICIOS PREVENTIVOS (Uno por cada plan aplicable)
 // =======================================================
+// Responde con el primer servicio agendado, como antes de los planes; los demás van en agendados.
+// Sin planes que apliquen al modelo se agenda un servicio sin plan con el intervalo de siempre.
 router.post('/', async (req, res) => {
-  const { id_autobus, fecha_ultimo_servicio, km_ultimo_servicio, observaciones } = req.body;
+  const { id_autobus, fecha_ultimo_servicio, km_ultimo_servicio, observaciones, id_plan } = req.body;
+
+  if (!id_autobus || !fecha_ultimo_servicio || km_ultimo_servicio === undefined || km_ultimo_servicio === null) {
+    return res.status(400).json({ message: 'Se requieren el autobús, la fecha y el kilometraje del último servicio.' });
+  }
+
+  const client = await pool.connect();
 
   try {
-    const result = await pool.query(`
-      INSERT INTO servicio_preventivo 
-      (id_autobus, fecha_ultimo_servicio, km_ultimo_servicio, fecha_proximo_servicio, km_proximo_servicio, observaciones)
-      VALUES (
-        $1, $2, $3, 
-        $2::date + INTERVAL '6 months', -- Calcula 6 meses automáticos
-        $3 + 30000,                     -- ⚙️ AJUSTE DE KM: Límite de km para el próximo servicio (actualmente 30,000 km)
-        $4
-      ) RETURNING *
-    `, [id_autobus, fecha_ultimo_servicio, km_ultimo_servicio, observaciones]);
-
-    const nuevoServicio = result.rows[0];
+    await client.query('BEGIN');
+
+    const busResult = await client.query('SELECT modelo FROM autobus WHERE id_autobus = $1', [id_autobus]);
+    if (busResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Autobús no encontrado.' });
+    }
+
+    // Planes activos del modelo del autobús (o genéricos). Si se manda id_plan, solo ese.
+    const planesResult = await client.query(`
+      SELECT pm.*,
+        EXISTS (
+          SELECT 1 FROM servicio_preventivo sp 
+          WHERE sp.id_autobus = $1 AND sp.id_plan = pm.id_plan AND sp.estado = 'Pendiente'
+        ) as ya_pendiente
+      FROM plan_mantenimiento pm
+      WHERE pm.activo = TRUE
+        AND (pm.modelo_autobus IS NULL OR TRIM(UPPER(pm.modelo_autobus)) = TRIM(UPPER($2)))
+        AND ($3::int IS NULL OR pm.id_plan = $3::int)
+      ORDER BY pm.id_plan ASC
+    `, [id_autobus, busResult.rows[0].modelo, id_plan || null]);
+
+    if (planesResult.rows.length === 0 && id_plan) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'El plan indicado no está activo o no aplica al modelo de este autobús.' });
+    }
+
+    const agendados = [];
+    const omitidos = [];
+
+    if (planesResult.rows.length === 0) {
+      const servicio = await agendarServicio(client, {
+        id_autobus,
+        id_plan: null,
+        fecha_base: fecha_ultimo_servicio,
+        km_base: km_ultimo_servicio,
+        intervalo_km: INTERVALO_SIN_PLAN.km,
+        intervalo_meses: INTERVALO_SIN_PLAN.meses,
+        observaciones
+      });
+      agendados.push({ ...servicio, nombre_plan: null });
+    }
+
+    for (const plan of planesResult.rows) {
+      // Un solo servicio pendiente por plan y autobús
+      if (plan.ya_pendiente) {
+        omitidos.push(plan.nombre_plan);
+        continue;
+      }
+      const servicio = await agendarServicio(client, {
+        id_autobus,
+        id_plan: plan.id_plan,
+        fecha_base: fecha_ultimo_servicio,
+        km_base: km_ultimo_servicio,
+        intervalo_km: plan.intervalo_km,
+        intervalo_meses: plan.intervalo_meses,
+        observaciones
+      });
+      agendados.push({ ...servicio, nombre_plan: plan.nombre_plan });
+    }
+
+    if (agendados.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: `El autobús ya tiene servicio pendiente de: ${omitidos.join(', ')}.`, omitidos });
+    }
+
+    await client.query('COMMIT');
 
     // 🛡️ REGISTRO DE AUDITORÍA: AGENDAR SERVICIO
     registrarAuditoria({
       id_usuario: req.user.id,
       tipo_accion: 'CREAR',
       recurso_afectado: 'servicio_preventivo',
-      id_recurso_afectado: nuevoServicio.id_servicio,
+      id_recurso_afectado: agendados[0].id_servicio,
       detalles_cambio: {
-        mensaje: 'Se agendó un servicio preventivo manual.',
+        mensaje: 'Se agendaron servicios preventivos manuales por plan de mantenimiento.',
         id_autobus: id_autobus,
-        fecha_programada: nuevoServicio.fecha_proximo_servicio,
-        km_programado: nuevoServicio.km_proximo_servicio
+        servicios_agendados: agendados.map(s => ({
+          id_servicio: s.id_servicio,
+          plan: s.nombre_plan,
+          fecha_programada: s.fecha_proximo_servicio,
+          km_programado: s.km_proximo_servicio
+        })),
+        planes_con_servicio_pendiente: omitidos
       },
       ip_address: req.ip
     });
 
-    res.status(201).json(nuevoServicio);
+    res.status(201).json({ ...agendados[0], agendados, omitidos });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error al agendar:', error);
     res.status(500).json({ message: 'Error al agendar el servicio' });
+  } finally {
+    client.release();
   }
 });
 
 // =======================================================
-// COMPLETAR SERVICIO Y AUTO-AGENDAR EL SIGUIENTE
+// COMPLETAR SERVICIO Y AUTO-AGENDAR EL SIGUIENTE DEL MISMO PLAN
 // =======================================================
 router.post('/:id/completar', async (req, res) => {
   const { id } = req.params;
 
   // 🚀 EXTRAEMOS LA NUEVA BANDERA
-  const { id_autobus, km_realizado, fecha_realizado, observaciones, id_salida_almacen, tipo_servicio, cambio_odometro } = req.body;
+  const { km_realizado, fecha_realizado, observaciones, id_salida_almacen, tipo_servicio, cambio_odometro, lectura_final_anterior, generar_vale_salida, solicitado_por_id, id_ubicacion } = req.body;
+
+  if (generar_vale_salida && id_salida_almacen) {
+    return res.status(400).json({ message: 'Indique un vale de salida existente o solicite generarlo, no ambos.' });
+  }
 
   let observacionesFinales = observaciones || '';
 
@@ -130,14 +316,112 @@ router.post('/:id/completar', async (req, res) => {
   try {
     await client.query('BEGIN');
 
-    // 🚀 ACTUALIZACIÓN CRÍTICA: Forzamos el nuevo KM en la tabla del autobús
-    // Esto es vital para que otras partes del sistema (como cargas de diésel) no fallen
+    // Traemos el servicio con los intervalos de su plan.
+    // Los servicios históricos sin plan repiten el mismo intervalo con el que fueron agendados.
+    const servicioResult = await client.query(`
+      SELECT 
+        sp.id_servicio, sp.id_autobus, sp.id_plan, sp.estado,
+        pm.nombre_plan,
+        COALESCE(pm.activo, TRUE) as plan_activo,
+        CASE WHEN pm.id_plan IS NULL 
+          THEN sp.km_proximo_servicio - sp.km_ultimo_servicio 
+          ELSE pm.intervalo_km 
+        END as intervalo_km,
+        CASE WHEN pm.id_plan IS NULL 
+          THEN (EXTRACT(YEAR FROM age(sp.fecha_proximo_servicio, sp.fecha_ultimo_servicio)) * 12
+              + EXTRACT(MONTH FROM age(sp.fecha_proximo_servicio, sp.fecha_ultimo_servicio)))::int
+          ELSE pm.intervalo_meses 
+        END as intervalo_meses
+      FROM servicio_preventivo sp
+      LEFT JOIN plan_mantenimiento pm ON sp.id_plan = pm.id_plan
+      WHERE sp.id_servicio = $1
+      FOR UPDATE OF sp
+    `, [id]);
+
+    if (servicioResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Servicio no encontrado.' });
+    }
+    const servicio = servicioResult.rows[0];
+
+    if (servicio.estado === 'Completado') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Este servicio ya fue completado.' });
+    }
+
+    // 🚀 ACTUALIZACIÓN CRÍTICA: El nuevo KM queda en el autobús para que otras partes del sistema
+    // (como cargas de diésel) no fallen. Un cambio de odómetro se declara con su offset para no perder los km de vida;
+    // sin cambio, la lectura del servicio no puede ser menor a la última registrada.
     if (cambio_odometro) {
-      await client.query(`
-        UPDATE autobus 
-        SET kilometraje_ultima_carga = $1 
-        WHERE id_autobus = $2
-      `, [km_realizado, id_autobus]);
+      await registrarCambioOdometro(client, {
+        id_autobus: servicio.id_autobus,
+        lectura_inicial: km_realizado,
+        lectura_final_anterior: lectura_final_anterior,
+        motivo: `Cambio de odómetro en el servicio preventivo #${id}`,
+        fecha_cambio: fecha_realizado,
+        id_empleado: req.user.id
+      });
+    } else if (km_realizado !== undefined && km_realizado !== null && km_realizado !== '') {
+      await registrarLectura(client, {
+        id_autobus: servicio.id_autobus,
+        lectura: km_realizado,
+        origen: ORIGENES_LECTURA.SERVICIO_PREVENTIVO,
+        id_referencia: id,
+        fecha_lectura: fecha_realizado,
+        id_empleado: req.user.id
+      });
+    }
+
+    // 📦 VALE DE SALIDA AUTOMÁTICO CON EL KIT DEL PLAN
+    let idSalidaVinculada = id_salida_almacen || null;
+    let kit = [];
+
+    if (generar_vale_salida) {
+      // El vale se fecha con la realización del servicio
+      await verificarPeriodoAbierto(client, fecha_realizado);
+
+      const kitResult = await client.query(`
+        SELECT k.id_refaccion, k.id_insumo, k.cantidad, COALESCE(r.nombre, i.nombre) as nombre_item
+        FROM plan_mantenimiento_kit k
+        LEFT JOIN refaccion r ON k.id_refaccion = r.id_refaccion
+        LEFT JOIN insumo i ON k.id_insumo = i.id_insumo
+        WHERE k.id_plan = $1
+        ORDER BY k.id_kit_item ASC
+      `, [servicio.id_plan]);
+      kit = kitResult.rows;
+
+      if (kit.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'El plan de este servicio no tiene un kit de refacciones/insumos configurado.' });
+      }
+
+      // Todo o nada: si falta cualquier artículo no se descuenta nada
+      const idUbicacion = await resolverUbicacion(client, id_ubicacion);
+      const faltantes = await revisarExistenciasKit(client, kit, idUbicacion);
+      if (faltantes.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          message: 'Stock insuficiente para surtir el kit del servicio.',
+          faltantes
+        });
+      }
+
+      const salidaResult = await client.query(`
+        INSERT INTO salida_almacen 
+        (tipo_salida, id_autobus, solicitado_por_id, observaciones, kilometraje_autobus, fecha_operacion, id_ubicacion)
+        VALUES ('Mantenimiento Preventivo', $1, $2, $3, $4, $5, $6)
+        RETURNING id_salida
+      `, [
+        servicio.id_autobus,
+        solicitado_por_id || req.user.id,
+        `Vale generado automáticamente por el servicio preventivo #${id} (${servicio.nombre_plan}).`,
+        km_realizado || null,
+        fecha_realizado,
+        idUbicacion
+      ]);
+      idSalidaVinculada = salidaResult.rows[0].id_salida;
+
+      await despacharKit(client, idSalidaVinculada, idUbicacion, kit);
     }
 
     // A) ACTUALIZAMOS EL SERVICIO ACTUAL A 'COMPLETADO'
@@ -146,18 +430,21 @@ router.post('/:id/completar', async (req, res) => {
       SET estado = 'Completado', fecha_realizado = $1, km_realizado = $2, 
           observaciones = $3, id_salida_almacen = $4
       WHERE id_servicio = $5
-    `, [fecha_realizado, km_realizado, observacionesFinales, id_salida_almacen || null, id]);
-
-    // B) AGENDAMOS EL SIGUIENTE SERVICIO AUTOMÁTICAMENTE (Calculado desde el nuevo KM)
-    const nuevoServicioReq = await client.query(`
-      INSERT INTO servicio_preventivo 
-      (id_autobus, fecha_ultimo_servicio, km_ultimo_servicio, fecha_proximo_servicio, km_proximo_servicio)
-      VALUES (
-        $1, $2, $3, 
-        $2::date + INTERVAL '6 months', 
-        $3 + 30000
-      ) RETURNING id_servicio
-    `, [id_autobus, fecha_realizado, km_realizado]);
+    `, [fecha_realizado, km_realizado, observacionesFinales, idSalidaVinculada, id]);
+
+    // B) AGENDAMOS EL SIGUIENTE SERVICIO DEL MISMO PLAN (Calculado desde el nuevo KM)
+    // Si el plan fue desactivado, ya no se genera el siguiente.
+    let nuevoServicio = null;
+    if (servicio.plan_activo && (servicio.intervalo_km || servicio.intervalo_meses)) {
+      nuevoServicio = await agendarServicio(client, {
+        id_autobus: servicio.id_autobus,
+        id_plan: servicio.id_plan,
+        fecha_base: fecha_realizado,
+        km_base: km_realizado,
+        intervalo_km: servicio.intervalo_km,
+        intervalo_meses: servicio.intervalo_meses
+      });
+    }
 
     await client.query('COMMIT');
     // 🛡️ REGISTRO DE AUDITORÍA: COMPLETAR SERVICIO
@@ -167,20 +454,35 @@ router.post('/:id/completar', async (req, res) => {
       recurso_afectado: 'servicio_preventivo',
       id_recurso_afectado: id,
       detalles_cambio: {
-        mensaje: `Se marcó un servicio preventivo como COMPLETADO (${tipo_servicio || 'Normal'}) y se auto-agendó el siguiente.`,
+        mensaje: `Se marcó un servicio preventivo como COMPLETADO (${tipo_servicio || 'Normal'})${nuevoServicio ? ' y se auto-agendó el siguiente' : ''}.`,
+        plan: servicio.nombre_plan || 'Sin plan (histórico)',
         km_realizado: km_realizado,
         fecha_realizado: fecha_realizado,
         es_adelantado: tipo_servicio === 'Mantenimiento de Oportunidad',
-        id_salida_almacen: id_salida_almacen || 'Sin vale de almacén vinculado',
-        id_nuevo_servicio_agendado: nuevoServicioReq.rows[0].id_servicio
+        id_salida_almacen: idSalidaVinculada || 'Sin vale de almacén vinculado',
+        vale_generado_automaticamente: !!generar_vale_salida,
+        articulos_kit_despachados: kit.length,
+        id_nuevo_servicio_agendado: nuevoServicio ? nuevoServicio.id_servicio : null
       },
       ip_address: req.ip
     });
 
-    res.json({ message: 'Servicio completado y próximo servicio agendado correctamente.' });
+    res.json({
+      message: nuevoServicio
+        ? 'Servicio completado y próximo servicio agendado correctamente.'
+        : 'Servicio completado. El plan está inactivo, no se agendó un siguiente servicio.',
+      id_nuevo_servicio: nuevoServicio ? nuevoServicio.id_servicio : null,
+      id_salida_almacen: idSalidaVinculada
+    });
 
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.code === 'ODOMETRO_RETROCESO') {
+      return res.status(400).json({ message: error.message, detalle: error.detalle });
+    }
+    if (error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error al completar servicio:', error);
     res.status(500).json({ message: 'Error al procesar el servicio.' });
   } finally {
@@ -4,9 +4,19 @@ const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { registrarLectura, ORIGENES_LECTURA } = require('../servicios/odometroService');
+const { obtenerGarantiasVigentes } = require('../servicios/garantiasService');
 
 router.use(verifyToken);
 
+// Si solo se capturaron los días de garantía, el vencimiento se cuenta desde la fecha del servicio
+const calcularVencimiento = (fechaServicio, diasGarantia) => {
+  if (!fechaServicio || !diasGarantia) return null;
+  const vencimiento = new Date(fechaServicio);
+  vencimiento.setDate(vencimiento.getDate() + parseInt(diasGarantia, 10));
+  return vencimiento.toISOString().split('T')[0];
+};
+
 // 1. OBTENER TODOS LOS SERVICIOS EXTERNOS
 router.get('/', async (req, res) => {
   try {
@@ -62,6 +72,7 @@ router.post('/', async (req, res) => {
   
   const registrado_por_id = req.user.id; // Obtenido del token
 
+  const client = await pool.connect();
   try {
     const query = `
       INSERT INTO servicio_externo 
@@ -86,20 +97,33 @@ router.post('/', async (req, res) => {
       subtotal || 0,
       iva_monto || 0,
       tiene_garantia || false,
-      tiene_garantia ? fecha_vencimiento_garantia : null, // Si no hay garantía, forzamos a nulo
+      tiene_garantia ? (fecha_vencimiento_garantia || calcularVencimiento(fecha_servicio, dias_garantia)) : null, // Si no hay garantía, forzamos a nulo
       dias_garantia || 0
     ];
     
-    const result = await pool.query(query, values);
+    await client.query('BEGIN');
+    const result = await client.query(query, values);
     const nuevoServicio = result.rows[0];
     
-    // Opcional pero recomendado: Actualizar el kilometraje del autobús en su tabla principal
+    // Opcional pero recomendado: Actualizar el kilometraje del autobús en su tabla principal.
+    // La lectura queda en el historial del odómetro y se rechaza si es menor a la última.
     if (kilometraje_autobus) {
-      await pool.query(
+      await registrarLectura(client, {
+        id_autobus,
+        lectura: kilometraje_autobus,
+        origen: ORIGENES_LECTURA.SERVICIO_EXTERNO,
+        id_referencia: nuevoServicio.id_servicio,
+        fecha_lectura: fecha_servicio,
+        id_empleado: registrado_por_id
+      });
+      await client.query(
         `UPDATE autobus SET kilometraje_actual = GREATEST(kilometraje_actual, $1) WHERE id_autobus = $2`, 
         [kilometraje_autobus, id_autobus]
       );
     }
+    // Si el autobús todavía tenía garantía (de otro taller o de una pieza instalada) se avisa para reclamarla
+    const garantiasVigentes = await obtenerGarantiasVigentes(client, { id_autobus, excluir_servicio: nuevoServicio.id_servicio });
+    await client.query('COMMIT');
 
     // 🛡️ REGISTRO DE AUDITORÍA: NUEVO SERVICIO EXTERNO
     registrarAuditoria({
@@ -118,10 +142,16 @@ router.post('/', async (req, res) => {
         ip_address: req.ip
     });
 
-    res.status(201).json({ message: 'Servicio externo registrado con éxito', servicio: nuevoServicio });
+    res.status(201).json({ message: 'Servicio externo registrado con éxito', servicio: nuevoServicio, garantias_vigentes: garantiasVigentes });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'ODOMETRO_RETROCESO') {
+      return res.status(400).json({ message: error.message, detalle: error.detalle });
+    }
     console.error('Error al registrar servicio externo:', error);
     res.status(500).json({ message: 'Error al guardar el servicio externo', error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -3,6 +3,8 @@ const pool = require('../db');
 const router = express.Router();
 const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
+const { moverExistenciaInsumo, obtenerUbicacionEntrada, obtenerUbicacionSalida } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto, verificarDocumentoAbierto } = require('../servicios/periodosService');
 
 // -----------------------------------------------------------------
 // 1. OBTENER TODAS LAS SESIONES ACTIVAS (Para el panel de admin)
@@ -349,6 +351,8 @@ router.put(
         throw new Error('La entrada no fue encontrada.');
       }
       const valorAnterior = oldValueResult.rows[0].fecha_operacion;
+      // Ni la fecha original ni la nueva pueden caer en un periodo cerrado
+      await verificarPeriodoAbierto(client, valorAnterior, fecha_operacion);
 
       // 2. Actualizar la fecha
       await client.query(
@@ -376,6 +380,9 @@ router.put(
       if (error.message === 'La entrada no fue encontrada.') {
         return res.status(404).json({ message: error.message });
       }
+      if (error.code === 'PERIODO_CERRADO') {
+        return res.status(400).json({ message: error.message });
+      }
 
       res.status(500).json({ message: 'Error al actualizar la entrada.' });
     } finally {
@@ -403,6 +410,8 @@ router.put('/salidas/:id', [verifyToken, checkRole(['SuperUsuario'])], async (re
             throw new Error('La salida no fue encontrada.');
         }
         const valorAnterior = oldValueResult.rows[0].fecha_operacion;
+        // Ni la fecha original ni la nueva pueden caer en un periodo cerrado
+        await verificarPeriodoAbierto(client, valorAnterior, fecha_operacion);
 
         // 2. Actualizar el registro en la tabla principal
         await client.query(
@@ -428,6 +437,9 @@ router.put('/salidas/:id', [verifyToken, checkRole(['SuperUsuario'])], async (re
         if (error.message === 'La salida no fue encontrada.') {
             return res.status(404).json({ message: error.message });
         }
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Error al actualizar la salida.' });
     } finally {
         client.release();
@@ -515,6 +527,7 @@ router.put('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsuario
         if (tipo === 'refaccion') {
             const oldDetail = await client.query('SELECT * FROM detalle_entrada WHERE id_detalle_entrada = $1', [id]);
             if (oldDetail.rows.length === 0) throw new Error('Detalle de refacción no encontrado.');
+            await verificarDocumentoAbierto(client, 'entrada', oldDetail.rows[0].id_entrada);
 
             const oldCantidad = oldDetail.rows[0].cantidad_recibida;
             const id_refaccion = oldDetail.rows[0].id_refaccion;
@@ -538,6 +551,7 @@ router.put('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsuario
         } else if (tipo === 'insumo') {
             const oldDetail = await client.query('SELECT * FROM detalle_entrada_insumo WHERE id_detalle_insumo = $1', [id]);
             if (oldDetail.rows.length === 0) throw new Error('Detalle de insumo no encontrado.');
+            await verificarDocumentoAbierto(client, 'entrada', oldDetail.rows[0].id_entrada);
             
             const oldCantidad = oldDetail.rows[0].cantidad_recibida;
             const oldCostoFinal = oldDetail.rows[0].costo_unitario_final;
@@ -560,6 +574,11 @@ router.put('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsuario
             costoPromedio = stockActual > 0 ? valorTotal / stockActual : 0;
 
             await client.query('UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3', [stockActual, costoPromedio, id_insumo]);
+            await moverExistenciaInsumo(client, {
+                id_insumo,
+                id_ubicacion: await obtenerUbicacionEntrada(client, oldDetail.rows[0].id_entrada),
+                cantidad: nuevaCantidad - parseFloat(oldCantidad)
+            });
             await client.query('UPDATE detalle_entrada_insumo SET cantidad_recibida = $1, costo_unitario_final = $2, costo_unitario_subtotal = $2, monto_iva_unitario = 0 WHERE id_detalle_insumo = $3', [nuevaCantidad, nuevoCostoFinal, id]);
 
             await client.query(`INSERT INTO log_modificaciones (id_empleado, tabla_modificada, id_registro_modificado, campo_modificado, valor_anterior, valor_nuevo, motivo) VALUES ($1, 'detalle_entrada_insumo', $2, 'cantidad_y_costo', $3, $4, $5)`, [id_empleado, id, `Cant:${oldCantidad},Costo:${oldCostoFinal}`, `Cant:${nuevaCantidad},Costo:${nuevoCostoFinal}`, motivo]);
@@ -573,6 +592,9 @@ router.put('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsuario
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error en transacción de edición de detalle:', error);
         res.status(500).json({ message: error.message || 'Error al actualizar el detalle.' });
     } finally {
@@ -598,6 +620,7 @@ router.delete('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsua
         if (tipo === 'refaccion') {
             const oldDetail = await client.query('SELECT * FROM detalle_entrada WHERE id_detalle_entrada = $1', [id]);
             if (oldDetail.rows.length === 0) throw new Error('Detalle de refacción no encontrado.');
+            await verificarDocumentoAbierto(client, 'entrada', oldDetail.rows[0].id_entrada);
             
             const lote = await client.query('SELECT * FROM lote_refaccion WHERE id_detalle_entrada = $1', [id]);
             if (parseFloat(lote.rows[0].cantidad_disponible) < parseFloat(oldDetail.rows[0].cantidad_recibida)) {
@@ -612,6 +635,7 @@ router.delete('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsua
         } else if (tipo === 'insumo') {
             const oldDetail = await client.query('SELECT * FROM detalle_entrada_insumo WHERE id_detalle_insumo = $1', [id]);
             if (oldDetail.rows.length === 0) throw new Error('Detalle de insumo no encontrado.');
+            await verificarDocumentoAbierto(client, 'entrada', oldDetail.rows[0].id_entrada);
 
             const { id_insumo, cantidad_recibida, costo_unitario_final } = oldDetail.rows[0];
             const insumo = await client.query('SELECT * FROM insumo WHERE id_insumo = $1 FOR UPDATE', [id_insumo]);
@@ -628,6 +652,11 @@ router.delete('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsua
             costoPromedio = stockActual > 0 ? valorTotal / stockActual : 0;
 
             await client.query('UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3', [stockActual, costoPromedio, id_insumo]);
+            await moverExistenciaInsumo(client, {
+                id_insumo,
+                id_ubicacion: await obtenerUbicacionEntrada(client, oldDetail.rows[0].id_entrada),
+                cantidad: -parseFloat(cantidad_recibida)
+            });
             await client.query('DELETE FROM detalle_entrada_insumo WHERE id_detalle_insumo = $1', [id]);
 
             await client.query(`INSERT INTO log_modificaciones (id_empleado, tabla_modificada, id_registro_modificado, campo_modificado, valor_anterior, motivo) VALUES ($1, 'detalle_entrada_insumo', $2, 'eliminacion', $3, $4)`, [id_empleado, id, JSON.stringify(oldDetail.rows[0]), motivo]);
@@ -641,6 +670,9 @@ router.delete('/detalles-entrada/:tipo/:id', [verifyToken, checkRole(['SuperUsua
         
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.code === 'PERIODO_CERRADO') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Error en transacción de eliminación de detalle:', error);
         res.status(500).json({ message: error.message || 'Error al eliminar el detalle.' });
     } finally {
@@ -706,6 +738,12 @@ router.post('/devolucion', [verifyToken, checkRole(['SuperUsuario'])], async (re
             const nuevoCostoPromedio = nuevoStock > 0 ? nuevoValorTotal / nuevoStock : 0;
             
             await client.query('UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3', [nuevoStock, nuevoCostoPromedio, id_insumo]);
+            // Regresa al almacén del que salió
+            await moverExistenciaInsumo(client, {
+                id_insumo,
+                id_ubicacion: await obtenerUbicacionSalida(client, detalleSalida.rows[0].id_salida),
+                cantidad: cantidad_devuelta
+            });
             await client.query('UPDATE detalle_salida_insumo SET cantidad_devuelta = cantidad_devuelta + $1 WHERE id_detalle_salida_insumo = $2', [cantidad_devuelta, id_detalle_salida]);
             await client.query(`INSERT INTO ajuste_detalle_insumo (id_ajuste, id_insumo, cantidad_ajustada) VALUES ($1, $2, $3)`, [nuevoAjusteId, id_insumo, cantidad_devuelta]);
 
@@ -5,6 +5,25 @@ const verifyToken = require('../middleware/verifyToken');
 const checkRole = require('../middleware/checkRole');
 
 const { registrarAuditoria } = require('../servicios/auditService');
+const { TASA_IVA } = require('../servicios/entradasService');
+
+// Tolerancia de merma (% sobre el nivel en libros) cuando el tanque no tiene una propia
+const TOLERANCIA_MERMA_PCT = 0.5;
+const TIPOS_AJUSTE_TANQUE = ['Merma', 'Evaporación', 'Fuga', 'Robo', 'Error de medición', 'Sobrante', 'Edición manual'];
+// Ajuste que deja la edición de una carga en cada tanque que movió (ligado por id_carga); no es merma
+const TIPO_AJUSTE_EDICION_CARGA = 'Edición de carga';
+
+// Litros despachados a autobuses por tanque. Las cargas con reparto usan su desglose;
+// las anteriores al reparto se atribuyen completas a su tanque principal.
+const EXTRACCIONES_CARGAS_SQL = `
+    SELECT 
+        cc.id_carga,
+        COALESCE(cct.id_tanque, cc.id_tanque) as id_tanque,
+        COALESCE(cct.litros, cc.litros_cargados) as litros,
+        cc.fecha_operacion
+    FROM cargas_combustible cc
+    LEFT JOIN cargas_combustible_tanques cct ON cct.id_carga = cc.id_carga
+`;
 
 // --- GET / (Obtener todos los tanques y totales por ubicación) ---
 router.get('/', verifyToken, async (req, res) => {
@@ -13,7 +32,7 @@ router.get('/', verifyToken, async (req, res) => {
             SELECT t.*, u.nombre_ubicacion 
             FROM tanques_combustible t
             LEFT JOIN ubicaciones u ON t.id_ubicacion = u.id_ubicacion
-            ORDER BY u.nombre_ubicacion, t.nombre_tanque
+            ORDER BY u.nombre_ubicacion, t.prioridad_despacho ASC NULLS LAST, t.nombre_tanque
         `);
         const totalesPromise = pool.query(`
             SELECT u.nombre_ubicacion, SUM(t.nivel_actual_litros) as total_litros
@@ -35,7 +54,7 @@ router.get('/', verifyToken, async (req, res) => {
 // --- GET /lista-simple (Para menús desplegables) ---
 router.get('/lista-simple', verifyToken, async (req, res) => {
     try {
-        const result = await pool.query('SELECT id_tanque, nombre_tanque FROM tanques_combustible ORDER BY nombre_tanque');
+        const result = await pool.query('SELECT id_tanque, nombre_tanque, id_ubicacion, nivel_actual_litros FROM tanques_combustible ORDER BY nombre_tanque');
         res.json(result.rows);
     } catch (error) {
         res.status(500).json({ message: 'Error al obtener la lista de tanques' });
@@ -47,10 +66,13 @@ router.get('/:id/historial-recargas', verifyToken, async (req, res) => {
     const { id } = req.params;
     try {
         const result = await pool.query(
-            `SELECT id_recarga, litros_cargados, fecha_operacion, observaciones 
-             FROM historial_recargas 
-             WHERE id_tanque = $1 
-             ORDER BY fecha_operacion DESC LIMIT 50`,
+            `SELECT hr.id_recarga, hr.litros_cargados, hr.fecha_operacion, hr.observaciones,
+                    hr.id_proveedor, p.nombre_proveedor, hr.factura, hr.precio_litro, hr.monto_iva_litro,
+                    hr.costo_litro, hr.costo_total
+             FROM historial_recargas hr
+             LEFT JOIN proveedor p ON hr.id_proveedor = p.id_proveedor
+             WHERE hr.id_tanque = $1 
+             ORDER BY hr.fecha_operacion DESC LIMIT 50`,
             [id]
         );
         res.json(result.rows);
@@ -60,16 +82,171 @@ router.get('/:id/historial-recargas', verifyToken, async (req, res) => {
     }
 });
 
+// --- GET /:id/kardex (Libro unificado de movimientos del tanque con saldo corrido) ---
+// El saldo se reconstruye hacia atrás desde el nivel actual en libros, así cuadra aunque
+// el tanque se haya dado de alta con un nivel inicial sin movimiento.
+router.get('/:id/kardex', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 50, fecha_desde = '', fecha_hasta = '' } = req.query;
+
+    try {
+        const tanqueResult = await pool.query('SELECT id_tanque, nombre_tanque, nivel_actual_litros FROM tanques_combustible WHERE id_tanque = $1', [id]);
+        if (tanqueResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Tanque no encontrado.' });
+        }
+        const tanque = tanqueResult.rows[0];
+
+        // Las ediciones anteriores al ajuste por tanque solo quedaron en auditoria_cargas_combustible (si existe)
+        // y movieron el tanque principal. Las nuevas dejan el mismo NOW() en la auditoría y en su ajuste, así no se duplican.
+        const auditoriaResult = await pool.query(`SELECT to_regclass('auditoria_cargas_combustible') IS NOT NULL as existe`);
+        const edicionesAnterioresSql = auditoriaResult.rows[0].existe ? `
+                UNION ALL
+                SELECT acc.id_carga, acc.fecha_modificacion, -acc.diferencia_litros,
+                       'Carga #' || acc.id_carga || ': ' || acc.litros_anteriores || ' → ' || acc.litros_nuevos || ' Lts'
+                FROM auditoria_cargas_combustible acc
+                JOIN cargas_combustible cc ON acc.id_carga = cc.id_carga
+                WHERE cc.id_tanque = $1 AND acc.diferencia_litros <> 0
+                  AND NOT EXISTS (
+                      SELECT 1 FROM ajustes_tanque aj
+                      WHERE aj.id_carga = acc.id_carga AND aj.fecha_operacion = acc.fecha_modificacion
+                  )` : '';
+
+        const movimientosSql = `
+            WITH ediciones AS (
+                -- Litros que cada edición de carga devolvió (+) o tomó (-) de este tanque
+                SELECT aj.id_carga, aj.fecha_operacion, aj.litros, aj.motivo as referencia
+                FROM ajustes_tanque aj
+                WHERE aj.id_tanque = $1 AND aj.tipo_ajuste = '${TIPO_AJUSTE_EDICION_CARGA}'
+                ${edicionesAnterioresSql}
+            ),
+            movimientos AS (
+                -- 1. RECARGAS (Pipa / Proveedor)
+                SELECT hr.fecha_operacion, 'Recarga' as tipo_movimiento, hr.id_recarga as id_referencia,
+                       hr.litros_cargados as litros, hr.observaciones as referencia
+                FROM historial_recargas hr
+                WHERE hr.id_tanque = $1
+
+                UNION ALL
+
+                -- 2. TRASLADOS RECIBIDOS
+                SELECT tr.fecha_operacion, 'Traslado entrada', tr.id_traslado,
+                       tr.litros_trasladados, 'Desde ' || t.nombre_tanque
+                FROM traslados_combustible tr
+                JOIN tanques_combustible t ON tr.id_tanque_origen = t.id_tanque
+                WHERE tr.id_tanque_destino = $1
+
+                UNION ALL
+
+                -- 3. TRASLADOS ENVIADOS
+                SELECT tr.fecha_operacion, 'Traslado salida', tr.id_traslado,
+                       -tr.litros_trasladados, 'Hacia ' || t.nombre_tanque
+                FROM traslados_combustible tr
+                JOIN tanques_combustible t ON tr.id_tanque_destino = t.id_tanque
+                WHERE tr.id_tanque_origen = $1
+
+                UNION ALL
+
+                -- 4. CARGAS A AUTOBUSES (con los litros originales; las ediciones van aparte en su fecha)
+                SELECT ex.fecha_operacion, 'Carga autobús', ex.id_carga,
+                       -(ex.litros + COALESCE((SELECT SUM(ed.litros) FROM ediciones ed WHERE ed.id_carga = ex.id_carga), 0)),
+                       'Autobús ' || a.economico
+                FROM (${EXTRACCIONES_CARGAS_SQL}) ex
+                JOIN cargas_combustible cc ON ex.id_carga = cc.id_carga
+                LEFT JOIN autobus a ON cc.id_autobus = a.id_autobus
+                WHERE ex.id_tanque = $1
+
+                UNION ALL
+
+                -- 5. EDICIONES DE CARGAS
+                SELECT ed.fecha_operacion, 'Edición de carga', ed.id_carga, ed.litros, ed.referencia
+                FROM ediciones ed
+                WHERE ed.litros <> 0
+
+                UNION ALL
+
+                -- 6. AJUSTES MANUALES Y POR MEDICIÓN
+                SELECT aj.fecha_operacion, 'Ajuste: ' || aj.tipo_ajuste, aj.id_ajuste_tanque,
+                       aj.litros, aj.motivo
+                FROM ajustes_tanque aj
+                WHERE aj.id_tanque = $1 AND aj.tipo_ajuste <> '${TIPO_AJUSTE_EDICION_CARGA}'
+            )
+            SELECT 
+                m.*,
+                $2::numeric - COALESCE(SUM(m.litros) OVER (
+                    ORDER BY m.fecha_operacion DESC, m.id_referencia DESC, m.tipo_movimiento DESC
+                    ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                ), 0) as saldo
+            FROM movimientos m
+        `;
+
+        const params = [id, tanque.nivel_actual_litros];
+        const filtros = [];
+        if (fecha_desde) {
+            params.push(fecha_desde);
+            filtros.push(`k.fecha_operacion >= $${params.length}::timestamp`);
+        }
+        if (fecha_hasta) {
+            params.push(fecha_hasta + ' 23:59:59');
+            filtros.push(`k.fecha_operacion <= $${params.length}::timestamp`);
+        }
+        const whereString = filtros.length > 0 ? `WHERE ${filtros.join(' AND ')}` : '';
+
+        const resumenResult = await pool.query(`
+            SELECT 
+                COUNT(*) as total,
+                COALESCE(SUM(CASE WHEN k.litros > 0 THEN k.litros ELSE 0 END), 0) as total_entradas,
+                COALESCE(SUM(CASE WHEN k.litros < 0 THEN -k.litros ELSE 0 END), 0) as total_salidas,
+                COALESCE(SUM(k.litros), 0) as movimiento_neto
+            FROM (${movimientosSql}) k
+            ${whereString}
+        `, params);
+
+        // Saldo al cierre del periodo: nivel actual menos todo lo que se movió después de fecha_hasta
+        const resumen = resumenResult.rows[0];
+        let saldoFinal = parseFloat(tanque.nivel_actual_litros);
+        if (fecha_hasta) {
+            const posteriorResult = await pool.query(
+                `SELECT COALESCE(SUM(k.litros), 0) as neto FROM (${movimientosSql}) k WHERE k.fecha_operacion > $3::timestamp`,
+                [id, tanque.nivel_actual_litros, fecha_hasta + ' 23:59:59']
+            );
+            saldoFinal -= parseFloat(posteriorResult.rows[0].neto);
+        }
+        const saldoInicial = saldoFinal - parseFloat(resumen.movimiento_neto);
+
+        const offset = (page - 1) * limit;
+        const dataResult = await pool.query(`
+            SELECT k.* FROM (${movimientosSql}) k
+            ${whereString}
+            ORDER BY k.fecha_operacion ASC, k.id_referencia ASC, k.tipo_movimiento ASC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        res.json({
+            tanque: tanque.nombre_tanque,
+            saldo_inicial: saldoInicial,
+            saldo_final: saldoFinal,
+            total_entradas: parseFloat(resumen.total_entradas),
+            total_salidas: parseFloat(resumen.total_salidas),
+            total: parseInt(resumen.total, 10),
+            data: dataResult.rows
+        });
+    } catch (error) {
+        console.error('Error al obtener kardex del tanque:', error);
+        res.status(500).json({ message: 'Error al obtener el kardex del tanque' });
+    }
+});
+
 // --- POST / (Crear un nuevo tanque) ---
 router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
-    const { nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion } = req.body;
+    const { nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion, tolerancia_merma_pct, costo_promedio_litro } = req.body;
     if (!nombre_tanque || !id_ubicacion) {
         return res.status(400).json({ message: 'Nombre del tanque y ubicación son requeridos.' });
     }
     try {
+        // costo_promedio_litro valúa el nivel inicial; después lo mantienen las recargas
         const result = await pool.query(
-            'INSERT INTO tanques_combustible (nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion) VALUES ($1, $2, $3, $4) RETURNING *',
-            [nombre_tanque, capacidad_litros || 0, nivel_actual_litros || 0, id_ubicacion]
+            'INSERT INTO tanques_combustible (nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion, tolerancia_merma_pct, costo_promedio_litro) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [nombre_tanque, capacidad_litros || 0, nivel_actual_litros || 0, id_ubicacion, tolerancia_merma_pct ?? null, costo_promedio_litro || 0]
         );
         const nuevoTanque = result.rows[0];
 
@@ -83,7 +260,8 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
                 mensaje: 'Se dio de alta un nuevo tanque de combustible en el sistema.',
                 nombre_tanque: nuevoTanque.nombre_tanque,
                 capacidad: nuevoTanque.capacidad_litros,
-                nivel_inicial: nuevoTanque.nivel_actual_litros
+                nivel_inicial: nuevoTanque.nivel_actual_litros,
+                costo_promedio_litro: nuevoTanque.costo_promedio_litro
             },
             ip_address: req.ip
         });
@@ -96,23 +274,45 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
 });
 
 // --- PUT /:id (Actualizar un tanque) ---
+// Un cambio de nivel por esta vía queda registrado como ajuste 'Edición manual'
 router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
     const { id } = req.params;
-    const { nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion } = req.body;
+    const { nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion, tolerancia_merma_pct, motivo_ajuste } = req.body;
     if (!nombre_tanque || !id_ubicacion) {
         return res.status(400).json({ message: 'Nombre del tanque y ubicación son requeridos.' });
     }
+
+    const client = await pool.connect();
     try {
-        const result = await pool.query(
+        await client.query('BEGIN');
+
+        const anteriorResult = await client.query('SELECT nivel_actual_litros FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE', [id]);
+        if (anteriorResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Tanque no encontrado.' });
+        }
+        const nivelAnterior = parseFloat(anteriorResult.rows[0].nivel_actual_litros);
+
+        const result = await client.query(
             `UPDATE tanques_combustible 
-             SET nombre_tanque = $1, capacidad_litros = $2, nivel_actual_litros = $3, id_ubicacion = $4
-             WHERE id_tanque = $5 RETURNING *`,
-            [nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion, id]
+             SET nombre_tanque = $1, capacidad_litros = $2, nivel_actual_litros = $3, id_ubicacion = $4,
+                 tolerancia_merma_pct = COALESCE($5, tolerancia_merma_pct)
+             WHERE id_tanque = $6 RETURNING *`,
+            [nombre_tanque, capacidad_litros, nivel_actual_litros, id_ubicacion, tolerancia_merma_pct ?? null, id]
         );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Tanque no encontrado.' });
+
+        const diferencia = parseFloat(nivel_actual_litros) - nivelAnterior;
+        if (!isNaN(diferencia) && diferencia !== 0) {
+            await client.query(
+                `INSERT INTO ajustes_tanque 
+                 (id_tanque, tipo_ajuste, litros, nivel_anterior, nivel_nuevo, motivo, fecha_operacion, id_empleado)
+                 VALUES ($1, 'Edición manual', $2, $3, $4, $5, NOW(), $6)`,
+                [id, diferencia, nivelAnterior, nivel_actual_litros, motivo_ajuste || 'Nivel modificado desde la edición del tanque', req.user.id]
+            );
         }
 
+        await client.query('COMMIT');
+
         // 🛡️ REGISTRO DE AUDITORÍA: ACTUALIZACIÓN MANUAL DE TANQUE
         registrarAuditoria({
             id_usuario: req.user.id,
@@ -121,6 +321,7 @@ router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiese
             id_recurso_afectado: id,
             detalles_cambio: {
                 mensaje: 'Se actualizaron manualmente los parámetros del tanque (posible ajuste de nivel).',
+                nivel_anterior: nivelAnterior,
                 nuevos_datos: req.body
             },
             ip_address: req.ip
@@ -128,8 +329,11 @@ router.put('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiese
 
         res.json(result.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error al actualizar el tanque:', error);
         res.status(500).json({ message: 'Error al actualizar el tanque' });
+    } finally {
+        client.release();
     }
 });
 
@@ -164,10 +368,302 @@ router.delete('/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDi
     }
 });
 
+// --- PUT /prioridad/:idUbicacion (Orden en que se toman los tanques de una ubicación al despachar) ---
+router.put('/prioridad/:idUbicacion', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
+    const { idUbicacion } = req.params;
+    const { orden } = req.body; // Arreglo de id_tanque, el primero es el tanque por defecto
+
+    if (!Array.isArray(orden) || orden.length === 0) {
+        return res.status(400).json({ message: 'Se requiere el orden de los tanques.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const tanquesResult = await client.query(
+            'SELECT id_tanque FROM tanques_combustible WHERE id_ubicacion = $1 FOR UPDATE',
+            [idUbicacion]
+        );
+        const idsUbicacion = tanquesResult.rows.map(t => t.id_tanque);
+        const ordenIds = orden.map(idTanque => parseInt(idTanque, 10));
+
+        if (ordenIds.some(idTanque => !idsUbicacion.includes(idTanque))) {
+            throw new Error('Uno de los tanques no pertenece a esta ubicación.');
+        }
+
+        // Los tanques que no vengan en el orden quedan al final
+        await client.query('UPDATE tanques_combustible SET prioridad_despacho = NULL WHERE id_ubicacion = $1', [idUbicacion]);
+        for (const [indice, idTanque] of ordenIds.entries()) {
+            await client.query('UPDATE tanques_combustible SET prioridad_despacho = $1 WHERE id_tanque = $2', [indice + 1, idTanque]);
+        }
+
+        await client.query('COMMIT');
+
+        // 🛡️ REGISTRO DE AUDITORÍA: PRIORIDAD DE DESPACHO
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'ACTUALIZAR',
+            recurso_afectado: 'tanques_combustible',
+            id_recurso_afectado: ordenIds[0],
+            detalles_cambio: {
+                mensaje: 'Se cambió el orden de prioridad de despacho de los tanques de una ubicación.',
+                id_ubicacion: idUbicacion,
+                orden_tanques: ordenIds
+            },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Prioridad de despacho actualizada.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al actualizar la prioridad de tanques:', error);
+        res.status(400).json({ message: error.message || 'Error al actualizar la prioridad de tanques' });
+    } finally {
+        client.release();
+    }
+});
+
+// --- POST /:id/mediciones (Registrar medición física por varillaje y ajustar el nivel) ---
+router.post('/:id/mediciones', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
+    const { id } = req.params;
+    const { litros_medidos, lectura_cm, fecha_operacion, tipo_ajuste, motivo, observaciones } = req.body;
+
+    const litrosMedidos = parseFloat(litros_medidos);
+    if (isNaN(litrosMedidos) || litrosMedidos < 0) {
+        return res.status(400).json({ message: 'Los litros medidos deben ser un número mayor o igual a 0.' });
+    }
+    if (!fecha_operacion) {
+        return res.status(400).json({ message: 'La fecha de operación es requerida.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const tanqueResult = await client.query(
+            'SELECT nombre_tanque, nivel_actual_litros, capacidad_litros, tolerancia_merma_pct FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE',
+            [id]
+        );
+        if (tanqueResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Tanque no encontrado.' });
+        }
+
+        const tanque = tanqueResult.rows[0];
+        const nivelLibros = parseFloat(tanque.nivel_actual_litros);
+        const capacidad = parseFloat(tanque.capacidad_litros);
+        const diferencia = litrosMedidos - nivelLibros;
+
+        if (capacidad > 0 && litrosMedidos > capacidad) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `La medición (${litrosMedidos} Lts) excede la capacidad del ${tanque.nombre_tanque} (${capacidad} Lts).` });
+        }
+
+        // Toda diferencia se justifica con un tipo y un motivo
+        if (diferencia !== 0) {
+            if (!TIPOS_AJUSTE_TANQUE.includes(tipo_ajuste) || tipo_ajuste === 'Edición manual') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: `Hay una diferencia de ${diferencia.toFixed(2)} Lts. Indique el tipo de ajuste: ${TIPOS_AJUSTE_TANQUE.filter(t => t !== 'Edición manual').join(', ')}.` });
+            }
+            if (!motivo || !motivo.trim()) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'El motivo del ajuste es requerido cuando hay diferencia.' });
+            }
+        }
+
+        const tolerancia = tanque.tolerancia_merma_pct !== null ? parseFloat(tanque.tolerancia_merma_pct) : TOLERANCIA_MERMA_PCT;
+        const porcentajeDiferencia = nivelLibros > 0 ? (Math.abs(diferencia) / nivelLibros) * 100 : (diferencia !== 0 ? 100 : 0);
+        const esSospechosa = diferencia < 0 && porcentajeDiferencia > tolerancia;
+
+        const medicionResult = await client.query(
+            `INSERT INTO mediciones_tanque 
+             (id_tanque, fecha_operacion, lectura_cm, litros_medidos, nivel_libros, diferencia_litros, porcentaje_diferencia, es_sospechosa, id_empleado, observaciones)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [id, fecha_operacion, lectura_cm || null, litrosMedidos, nivelLibros, diferencia, porcentajeDiferencia, esSospechosa, req.user.id, observaciones || null]
+        );
+        const medicion = medicionResult.rows[0];
+
+        let ajuste = null;
+        if (diferencia !== 0) {
+            const ajusteResult = await client.query(
+                `INSERT INTO ajustes_tanque 
+                 (id_tanque, id_medicion, tipo_ajuste, litros, nivel_anterior, nivel_nuevo, motivo, fecha_operacion, id_empleado)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+                [id, medicion.id_medicion, tipo_ajuste, diferencia, nivelLibros, litrosMedidos, motivo.trim(), fecha_operacion, req.user.id]
+            );
+            ajuste = ajusteResult.rows[0];
+
+            await client.query('UPDATE tanques_combustible SET nivel_actual_litros = $1 WHERE id_tanque = $2', [litrosMedidos, id]);
+        }
+
+        await client.query('COMMIT');
+
+        // 🛡️ REGISTRO DE AUDITORÍA: MEDICIÓN FÍSICA (VARILLAJE)
+        registrarAuditoria({
+            id_usuario: req.user.id,
+            tipo_accion: 'CREAR',
+            recurso_afectado: 'mediciones_tanque',
+            id_recurso_afectado: medicion.id_medicion,
+            detalles_cambio: {
+                mensaje: 'Se registró una medición física del tanque (varillaje).',
+                id_tanque: id,
+                nivel_libros: nivelLibros,
+                litros_medidos: litrosMedidos,
+                diferencia_litros: diferencia,
+                tipo_ajuste: ajuste ? ajuste.tipo_ajuste : null,
+                motivo: ajuste ? ajuste.motivo : null,
+                es_sospechosa: esSospechosa
+            },
+            ip_address: req.ip
+        });
+
+        res.status(201).json({
+            message: diferencia === 0
+                ? 'Medición registrada. El nivel físico coincide con libros.'
+                : `Medición registrada. Se ajustó el nivel en ${diferencia.toFixed(2)} Lts.`,
+            medicion,
+            ajuste,
+            alerta: esSospechosa
+                ? `La merma (${porcentajeDiferencia.toFixed(2)}%) supera la tolerancia del tanque (${tolerancia}%).`
+                : null
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error al registrar la medición del tanque:', error);
+        res.status(500).json({ message: error.message || 'Error al registrar la medición' });
+    } finally {
+        client.release();
+    }
+});
+
+// --- GET /:id/mediciones (Historial de mediciones físicas de un tanque) ---
+router.get('/:id/mediciones', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await pool.query(
+            `SELECT m.*, a.tipo_ajuste, a.motivo, e.nombre as nombre_empleado
+             FROM mediciones_tanque m
+             LEFT JOIN ajustes_tanque a ON a.id_medicion = m.id_medicion
+             LEFT JOIN empleado e ON m.id_empleado = e.id_empleado
+             WHERE m.id_tanque = $1
+             ORDER BY m.fecha_operacion DESC, m.id_medicion DESC`,
+            [id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error al obtener mediciones del tanque:', error);
+        res.status(500).json({ message: 'Error al obtener las mediciones del tanque' });
+    }
+});
+
+// --- GET /reporte/mermas (Mermas, evaporación y robo por tanque y mes) ---
+// El porcentaje de cada faltante se mide sobre el nivel en libros que tenía el tanque al ajustarse, igual que en las
+// mediciones; el mes es sospechoso si alguno de sus faltantes supera la tolerancia del tanque.
+router.get('/reporte/mermas', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
+    const { fecha_desde = '', fecha_hasta = '', id_tanque = '' } = req.query;
+
+    try {
+        const params = [TOLERANCIA_MERMA_PCT];
+        // Las ediciones de cargas corrigen despachos; no son faltantes ni sobrantes
+        const filtrosAjustes = [`aj.tipo_ajuste <> '${TIPO_AJUSTE_EDICION_CARGA}'`];
+        const filtrosCargas = [];
+
+        if (fecha_desde) {
+            params.push(fecha_desde);
+            filtrosAjustes.push(`aj.fecha_operacion >= $${params.length}::timestamp`);
+            filtrosCargas.push(`ex.fecha_operacion >= $${params.length}::timestamp`);
+        }
+        if (fecha_hasta) {
+            params.push(fecha_hasta + ' 23:59:59');
+            filtrosAjustes.push(`aj.fecha_operacion <= $${params.length}::timestamp`);
+            filtrosCargas.push(`ex.fecha_operacion <= $${params.length}::timestamp`);
+        }
+        if (id_tanque) {
+            params.push(id_tanque);
+            filtrosAjustes.push(`aj.id_tanque = $${params.length}`);
+            filtrosCargas.push(`ex.id_tanque = $${params.length}`);
+        }
+
+        const whereAjustes = filtrosAjustes.length > 0 ? `WHERE ${filtrosAjustes.join(' AND ')}` : '';
+        const whereCargas = filtrosCargas.length > 0 ? `WHERE ${filtrosCargas.join(' AND ')}` : '';
+
+        const result = await pool.query(`
+            WITH ajustes AS (
+                SELECT 
+                    aj.*,
+                    CASE 
+                        WHEN aj.litros >= 0 THEN NULL
+                        WHEN COALESCE(aj.nivel_anterior, 0) > 0 THEN -aj.litros / aj.nivel_anterior * 100
+                        ELSE 100
+                    END as porcentaje_faltante,
+                    COALESCE(t.tolerancia_merma_pct, $1) as tolerancia_pct
+                FROM ajustes_tanque aj
+                JOIN tanques_combustible t ON t.id_tanque = aj.id_tanque
+                ${whereAjustes}
+            ),
+            ajustes_mes AS (
+                SELECT 
+                    aj.id_tanque,
+                    date_trunc('month', aj.fecha_operacion)::date as mes,
+                    SUM(CASE WHEN aj.tipo_ajuste = 'Merma' AND aj.litros < 0 THEN -aj.litros ELSE 0 END) as litros_merma,
+                    SUM(CASE WHEN aj.tipo_ajuste = 'Evaporación' AND aj.litros < 0 THEN -aj.litros ELSE 0 END) as litros_evaporacion,
+                    SUM(CASE WHEN aj.tipo_ajuste IN ('Robo', 'Fuga') AND aj.litros < 0 THEN -aj.litros ELSE 0 END) as litros_robo_fuga,
+                    SUM(CASE WHEN aj.litros < 0 THEN -aj.litros ELSE 0 END) as litros_faltantes,
+                    SUM(CASE WHEN aj.litros > 0 THEN aj.litros ELSE 0 END) as litros_sobrantes,
+                    SUM(aj.litros) as diferencia_neta,
+                    COUNT(*) as total_ajustes,
+                    MAX(aj.porcentaje_faltante) as porcentaje_faltante,
+                    COUNT(*) FILTER (WHERE aj.porcentaje_faltante > aj.tolerancia_pct) as ajustes_sospechosos
+                FROM ajustes aj
+                GROUP BY aj.id_tanque, date_trunc('month', aj.fecha_operacion)
+            ),
+            despachos_mes AS (
+                SELECT 
+                    ex.id_tanque,
+                    date_trunc('month', ex.fecha_operacion)::date as mes,
+                    SUM(ex.litros) as litros_despachados
+                FROM (${EXTRACCIONES_CARGAS_SQL}) ex
+                ${whereCargas}
+                GROUP BY ex.id_tanque, date_trunc('month', ex.fecha_operacion)
+            )
+            SELECT 
+                t.id_tanque,
+                t.nombre_tanque,
+                u.nombre_ubicacion,
+                COALESCE(am.mes, dm.mes) as mes,
+                COALESCE(dm.litros_despachados, 0) as litros_despachados,
+                COALESCE(am.litros_merma, 0) as litros_merma,
+                COALESCE(am.litros_evaporacion, 0) as litros_evaporacion,
+                COALESCE(am.litros_robo_fuga, 0) as litros_robo_fuga,
+                COALESCE(am.litros_faltantes, 0) as litros_faltantes,
+                COALESCE(am.litros_sobrantes, 0) as litros_sobrantes,
+                COALESCE(am.diferencia_neta, 0) as diferencia_neta,
+                COALESCE(am.total_ajustes, 0) as total_ajustes,
+                COALESCE(t.tolerancia_merma_pct, $1) as tolerancia_pct,
+                ROUND(am.porcentaje_faltante::numeric, 2) as porcentaje_faltante,
+                COALESCE(am.ajustes_sospechosos, 0) as ajustes_sospechosos,
+                COALESCE(am.ajustes_sospechosos, 0) > 0 as es_sospechoso
+            FROM ajustes_mes am
+            FULL OUTER JOIN despachos_mes dm ON am.id_tanque = dm.id_tanque AND am.mes = dm.mes
+            JOIN tanques_combustible t ON t.id_tanque = COALESCE(am.id_tanque, dm.id_tanque)
+            LEFT JOIN ubicaciones u ON t.id_ubicacion = u.id_ubicacion
+            ORDER BY mes DESC, u.nombre_ubicacion, t.nombre_tanque
+        `, params);
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error en reporte de mermas:', error);
+        res.status(500).json({ message: 'Error al generar el reporte de mermas' });
+    }
+});
+
 // --- POST /recargar/:id (Recargar un tanque y registrar en historial) ---
+// El costo de la compra se integra al costo promedio ponderado del tanque,
+// igual que insumo.costo_unitario_promedio con las entradas de insumos.
 router.post('/recargar/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'])], async (req, res) => {
     const { id } = req.params;
-    const { litros_a_cargar, fecha_operacion, observaciones } = req.body;
+    const { litros_a_cargar, fecha_operacion, observaciones, id_proveedor, factura, precio_litro, aplica_iva, tasa_iva } = req.body;
     const id_empleado = req.user.id;
 
     if (!litros_a_cargar || isNaN(litros_a_cargar) || litros_a_cargar <= 0) {
@@ -178,29 +674,56 @@ router.post('/recargar/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', '
         return res.status(400).json({ message: 'La fecha de operación es requerida.' });
     }
 
+    if (precio_litro === undefined || precio_litro === null || isNaN(precio_litro) || precio_litro < 0) {
+        return res.status(400).json({ message: 'El precio por litro es requerido y no puede ser negativo.' });
+    }
+
+    const litrosNuevos = parseFloat(litros_a_cargar);
+    const precioLitro = parseFloat(precio_litro);
+    const tasaIva = tasa_iva !== undefined && tasa_iva !== null ? parseFloat(tasa_iva) : TASA_IVA;
+    const montoIvaLitro = aplica_iva ? precioLitro * tasaIva : 0;
+    const costoLitro = precioLitro + montoIvaLitro;
+    const costoTotal = costoLitro * litrosNuevos;
+
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
 
-        // 1. Actualizar nivel del tanque
-        const updateResult = await client.query(
-            `UPDATE tanques_combustible 
-             SET nivel_actual_litros = nivel_actual_litros + $1 
-             WHERE id_tanque = $2 
-             RETURNING *`,
-            [litros_a_cargar, id]
+        const tanqueResult = await client.query(
+            'SELECT nivel_actual_litros, costo_promedio_litro FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE',
+            [id]
         );
 
-        if (updateResult.rows.length === 0) {
+        if (tanqueResult.rows.length === 0) {
             throw new Error('Tanque no encontrado.');
         }
 
-        // 2. Registrar en historial
+        // 1. Costo promedio ponderado (un nivel negativo por mermas no debe arrastrar valor)
+        const nivelViejo = Math.max(parseFloat(tanqueResult.rows[0].nivel_actual_litros), 0);
+        const costoViejo = parseFloat(tanqueResult.rows[0].costo_promedio_litro || 0);
+        const nivelNuevo = nivelViejo + litrosNuevos;
+        const nuevoCostoPromedio = nivelNuevo > 0 ? ((nivelViejo * costoViejo) + costoTotal) / nivelNuevo : costoLitro;
+
+        // 2. Actualizar nivel y costo del tanque
+        const updateResult = await client.query(
+            `UPDATE tanques_combustible 
+             SET nivel_actual_litros = nivel_actual_litros + $1, costo_promedio_litro = $2
+             WHERE id_tanque = $3 
+             RETURNING *`,
+            [litrosNuevos, nuevoCostoPromedio.toFixed(4), id]
+        );
+
+        // 3. Registrar en historial con el costo de la compra
         await client.query(
             `INSERT INTO historial_recargas 
-             (id_tanque, litros_cargados, fecha_operacion, id_empleado, observaciones)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [id, litros_a_cargar, fecha_operacion, id_empleado, observaciones || null]
+             (id_tanque, litros_cargados, fecha_operacion, id_empleado, observaciones,
+              id_proveedor, factura, precio_litro, monto_iva_litro, costo_litro, costo_total)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                id, litrosNuevos, fecha_operacion, id_empleado, observaciones || null,
+                id_proveedor || null, factura || null, precioLitro.toFixed(4), montoIvaLitro.toFixed(4),
+                costoLitro.toFixed(4), costoTotal.toFixed(2)
+            ]
         );
 
         await client.query('COMMIT');
@@ -213,9 +736,15 @@ router.post('/recargar/:id', [verifyToken, checkRole(['Admin', 'SuperUsuario', '
             id_recurso_afectado: id,
             detalles_cambio: {
                 mensaje: 'Se ingresaron litros al tanque (Recarga por Pipa/Proveedor).',
-                litros_cargados: litros_a_cargar,
+                litros_cargados: litrosNuevos,
                 fecha_operacion: fecha_operacion,
                 observaciones: observaciones,
+                id_proveedor: id_proveedor || null,
+                factura: factura || null,
+                costo_litro: costoLitro.toFixed(4),
+                costo_total: costoTotal.toFixed(2),
+                costo_promedio_anterior: costoViejo,
+                costo_promedio_nuevo: updateResult.rows[0].costo_promedio_litro,
                 nuevo_nivel_tanque: updateResult.rows[0].nivel_actual_litros
             },
             ip_address: req.ip
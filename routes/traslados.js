@@ -31,7 +31,7 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
 
         // 1. Verificar si el tanque de origen existe y tiene suficiente combustible
         const tanqueOrigen = await client.query(
-            'SELECT nivel_actual_litros FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE', 
+            'SELECT nivel_actual_litros, costo_promedio_litro FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE', 
             [id_tanque_origen]
         );
         if (tanqueOrigen.rows.length === 0) {
@@ -43,7 +43,7 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
 
         // 2. Verificar que el tanque destino existe
         const tanqueDestino = await client.query(
-            'SELECT id_tanque FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE',
+            'SELECT nivel_actual_litros, costo_promedio_litro FROM tanques_combustible WHERE id_tanque = $1 FOR UPDATE',
             [id_tanque_destino]
         );
         if (tanqueDestino.rows.length === 0) {
@@ -56,10 +56,18 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
             [litros_trasladados, id_tanque_origen]
         );
 
-        // 4. Sumar al tanque de destino
+        // 4. Sumar al tanque de destino; los litros llegan con el costo promedio del origen
+        // y se integran al costo promedio ponderado del destino, igual que una recarga
+        const litros = parseFloat(litros_trasladados);
+        const costoOrigen = parseFloat(tanqueOrigen.rows[0].costo_promedio_litro || 0);
+        const nivelDestino = Math.max(parseFloat(tanqueDestino.rows[0].nivel_actual_litros), 0);
+        const costoDestino = parseFloat(tanqueDestino.rows[0].costo_promedio_litro || 0);
+        const nivelNuevo = nivelDestino + litros;
+        const nuevoCostoDestino = nivelNuevo > 0 ? ((nivelDestino * costoDestino) + (litros * costoOrigen)) / nivelNuevo : costoOrigen;
+
         await client.query(
-            'UPDATE tanques_combustible SET nivel_actual_litros = nivel_actual_litros + $1 WHERE id_tanque = $2',
-            [litros_trasladados, id_tanque_destino]
+            'UPDATE tanques_combustible SET nivel_actual_litros = nivel_actual_litros + $1, costo_promedio_litro = $2 WHERE id_tanque = $3',
+            [litros_trasladados, nuevoCostoDestino.toFixed(4), id_tanque_destino]
         );
 
         // 5. Guardar el registro de traslado en historial
@@ -71,7 +79,11 @@ router.post('/', [verifyToken, checkRole(['Admin', 'SuperUsuario', 'AdminDiesel'
         );
 
         await client.query('COMMIT');
-        res.status(201).json({ message: 'Traslado de combustible registrado exitosamente.' });
+        res.status(201).json({
+            message: 'Traslado de combustible registrado exitosamente.',
+            costo_litro: costoOrigen,
+            costo_promedio_destino: Number(nuevoCostoDestino.toFixed(4))
+        });
 
     } catch (error) {
         await client.query('ROLLBACK');
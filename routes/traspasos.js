@@ -0,0 +1,381 @@
+const express = require('express');
+const pool = require('../db');
+const verifyToken = require('../middleware/verifyToken');
+const checkRole = require('../middleware/checkRole');
+
+const { registrarAuditoria } = require('../servicios/auditService');
+const { consumirLotes } = require('../servicios/lotesService');
+const { resolverUbicacion, moverExistenciaInsumo } = require('../servicios/existenciasService');
+const { verificarPeriodoAbierto } = require('../servicios/periodosService');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const ROLES_TRASPASO = ['Admin', 'Almacenista', 'SuperUsuario'];
+
+const TRASPASO_SQL = `
+  SELECT t.*, uo.nombre_ubicacion as ubicacion_origen, ud.nombre_ubicacion as ubicacion_destino,
+         ee.nombre as enviado_por_nombre, er.nombre as recibido_por_nombre,
+         (SELECT COUNT(*) FROM detalle_traspaso dt WHERE dt.id_traspaso = t.id_traspaso) as partidas,
+         (SELECT COALESCE(SUM(dt.cantidad * dt.costo_unitario), 0) FROM detalle_traspaso dt WHERE dt.id_traspaso = t.id_traspaso) as valor_total
+  FROM traspaso_almacen t
+  JOIN ubicaciones uo ON t.id_ubicacion_origen = uo.id_ubicacion
+  JOIN ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+  LEFT JOIN empleado ee ON t.enviado_por = ee.id_empleado
+  LEFT JOIN empleado er ON t.recibido_por = er.id_empleado
+`;
+
+// Bloquea el traspaso y valida que siga en tránsito
+const obtenerTraspasoEnTransito = async (client, id) => {
+  const result = await client.query('SELECT * FROM traspaso_almacen WHERE id_traspaso = $1 FOR UPDATE', [id]);
+  if (result.rows.length === 0) {
+    return { status: 404, message: 'Traspaso no encontrado.' };
+  }
+  const traspaso = result.rows[0];
+  if (traspaso.estado !== 'En tránsito') {
+    return { status: 400, message: `El traspaso ya está en estado '${traspaso.estado}'.` };
+  }
+  return { traspaso };
+};
+
+// =======================================================
+// LISTAR TRASPASOS
+// =======================================================
+router.get('/', async (req, res) => {
+  const { estado = '', id_ubicacion = '', fechaInicio = '', fechaFin = '' } = req.query;
+
+  try {
+    const params = [];
+    const whereClauses = [];
+    if (estado) {
+      params.push(estado);
+      whereClauses.push(`t.estado = $${params.length}`);
+    }
+    if (id_ubicacion) {
+      params.push(id_ubicacion);
+      whereClauses.push(`(t.id_ubicacion_origen = $${params.length} OR t.id_ubicacion_destino = $${params.length})`);
+    }
+    if (fechaInicio) {
+      params.push(fechaInicio);
+      whereClauses.push(`t.fecha_envio >= $${params.length}`);
+    }
+    if (fechaFin) {
+      params.push(fechaFin);
+      whereClauses.push(`t.fecha_envio < ($${params.length}::date + 1)`);
+    }
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const result = await pool.query(`${TRASPASO_SQL} ${whereString} ORDER BY t.fecha_envio DESC`, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener traspasos:', error);
+    res.status(500).json({ message: 'Error al obtener los traspasos' });
+  }
+});
+
+// =======================================================
+// MERCANCÍA EN TRÁNSITO (Ya salió del origen y no ha llegado al destino)
+// =======================================================
+router.get('/en-transito', async (req, res) => {
+  const { id_ubicacion_destino = '' } = req.query;
+
+  try {
+    const result = await pool.query(`
+      SELECT t.id_ubicacion_destino, ud.nombre_ubicacion as ubicacion_destino,
+             CASE WHEN dt.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END as tipo_item,
+             COALESCE(dt.id_refaccion, dt.id_insumo) as id_item,
+             COALESCE(r.nombre, i.nombre) as nombre_item,
+             SUM(dt.cantidad) as cantidad_en_transito,
+             SUM(dt.cantidad * dt.costo_unitario) as valor_en_transito,
+             ARRAY_AGG(DISTINCT t.id_traspaso) as traspasos
+      FROM detalle_traspaso dt
+      JOIN traspaso_almacen t ON dt.id_traspaso = t.id_traspaso
+      JOIN ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+      LEFT JOIN refaccion r ON dt.id_refaccion = r.id_refaccion
+      LEFT JOIN insumo i ON dt.id_insumo = i.id_insumo
+      WHERE t.estado = 'En tránsito' AND ($1::int IS NULL OR t.id_ubicacion_destino = $1)
+      GROUP BY t.id_ubicacion_destino, ud.nombre_ubicacion, dt.id_refaccion, dt.id_insumo, r.nombre, i.nombre
+      ORDER BY ud.nombre_ubicacion, nombre_item
+    `, [id_ubicacion_destino || null]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error al obtener la mercancía en tránsito:', error);
+    res.status(500).json({ message: 'Error al obtener la mercancía en tránsito' });
+  }
+});
+
+// =======================================================
+// DETALLE DE UN TRASPASO
+// =======================================================
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const traspasoResult = await pool.query(`${TRASPASO_SQL} WHERE t.id_traspaso = $1`, [id]);
+    if (traspasoResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Traspaso no encontrado.' });
+    }
+
+    const detallesResult = await pool.query(`
+      SELECT dt.*, COALESCE(r.nombre, i.nombre) as nombre_item, r.numero_parte,
+             CASE WHEN dt.id_refaccion IS NOT NULL THEN 'refaccion' ELSE 'insumo' END as tipo_item
+      FROM detalle_traspaso dt
+      LEFT JOIN refaccion r ON dt.id_refaccion = r.id_refaccion
+      LEFT JOIN insumo i ON dt.id_insumo = i.id_insumo
+      WHERE dt.id_traspaso = $1
+      ORDER BY dt.id_detalle_traspaso ASC
+    `, [id]);
+
+    res.json({ ...traspasoResult.rows[0], detalles: detallesResult.rows });
+  } catch (error) {
+    console.error('Error al obtener el traspaso:', error);
+    res.status(500).json({ message: 'Error al obtener el traspaso' });
+  }
+});
+
+// =======================================================
+// ENVIAR UN TRASPASO (Descuenta del origen; queda en tránsito)
+// =======================================================
+router.post('/', checkRole(ROLES_TRASPASO), async (req, res) => {
+  const { id_ubicacion_origen, id_ubicacion_destino, items, observaciones } = req.body;
+
+  if (!id_ubicacion_origen || !id_ubicacion_destino || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'Se requieren el almacén de origen, el de destino y al menos un artículo.' });
+  }
+  if (parseInt(id_ubicacion_origen, 10) === parseInt(id_ubicacion_destino, 10)) {
+    return res.status(400).json({ message: 'El almacén de origen y el de destino no pueden ser el mismo.' });
+  }
+  for (const item of items) {
+    if (!['refaccion', 'insumo'].includes(item.tipo) || !item.id || !(parseFloat(item.cantidad) > 0)) {
+      return res.status(400).json({ message: 'Cada artículo requiere tipo (refaccion o insumo), id y una cantidad positiva.' });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // El envío queda con la fecha de hoy
+    await verificarPeriodoAbierto(client, new Date());
+
+    const idOrigen = await resolverUbicacion(client, id_ubicacion_origen);
+    const idDestino = await resolverUbicacion(client, id_ubicacion_destino);
+
+    const traspasoResult = await client.query(
+      `INSERT INTO traspaso_almacen (id_ubicacion_origen, id_ubicacion_destino, estado, fecha_envio, enviado_por, observaciones)
+       VALUES ($1, $2, 'En tránsito', NOW(), $3, $4) RETURNING id_traspaso`,
+      [idOrigen, idDestino, req.user.id, observaciones || null]
+    );
+    const idTraspaso = traspasoResult.rows[0].id_traspaso;
+
+    for (const item of items) {
+      const cantidad = parseFloat(item.cantidad);
+
+      if (item.tipo === 'refaccion') {
+        // Un renglón por lote de origen, para reconstruir el lote con su costo en el destino
+        const { asignaciones } = await consumirLotes(client, {
+          id_refaccion: item.id,
+          cantidad,
+          estrategia: item.id_lote ? 'LOTE' : 'FIFO',
+          id_lote: item.id_lote || null,
+          id_ubicacion: idOrigen
+        });
+        for (const asignacion of asignaciones) {
+          await client.query(
+            `INSERT INTO detalle_traspaso (id_traspaso, id_refaccion, id_lote_origen, cantidad, costo_unitario)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [idTraspaso, item.id, asignacion.id_lote, asignacion.cantidad, asignacion.costo_unitario]
+          );
+        }
+      } else {
+        // El total de la empresa no cambia; solo se mueve el saldo del almacén
+        const insumo = await client.query('SELECT costo_unitario_promedio FROM insumo WHERE id_insumo = $1', [item.id]);
+        if (insumo.rows.length === 0) {
+          throw new Error(`El insumo con ID ${item.id} no fue encontrado.`);
+        }
+        await moverExistenciaInsumo(client, { id_insumo: item.id, id_ubicacion: idOrigen, cantidad: -cantidad });
+        await client.query(
+          `INSERT INTO detalle_traspaso (id_traspaso, id_insumo, cantidad, costo_unitario)
+           VALUES ($1, $2, $3, $4)`,
+          [idTraspaso, item.id, cantidad, insumo.rows[0].costo_unitario_promedio]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Envío de traspaso entre almacenes
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CREAR',
+      recurso_afectado: 'traspaso_almacen',
+      id_recurso_afectado: idTraspaso,
+      detalles_cambio: { id_ubicacion_origen: idOrigen, id_ubicacion_destino: idDestino, items },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: 'Traspaso enviado. La mercancía queda en tránsito hasta su recepción.', id_traspaso: idTraspaso });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'STOCK_INSUFICIENTE') {
+      return res.status(400).json({ message: error.message, faltante: error.faltante });
+    }
+    if (error.code === 'UBICACION_INVALIDA' || error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al enviar traspaso:', error);
+    res.status(500).json({ message: error.message || 'Error al enviar el traspaso.' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// RECIBIR UN TRASPASO (Da de alta la mercancía en el destino)
+// =======================================================
+router.put('/:id/recibir', checkRole(ROLES_TRASPASO), async (req, res) => {
+  const { id } = req.params;
+  const { observaciones } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await verificarPeriodoAbierto(client, new Date());
+
+    const { traspaso, status, message } = await obtenerTraspasoEnTransito(client, id);
+    if (!traspaso) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ message });
+    }
+
+    const detalles = await client.query('SELECT * FROM detalle_traspaso WHERE id_traspaso = $1 ORDER BY id_detalle_traspaso ASC', [id]);
+
+    for (const detalle of detalles.rows) {
+      if (detalle.id_refaccion) {
+        // Lote nuevo en el destino con el costo y antigüedad del lote de origen (PEPS sigue respetando la fecha original)
+        const loteResult = await client.query(
+          `INSERT INTO lote_refaccion
+            (id_refaccion, cantidad_disponible, costo_unitario_subtotal, monto_iva_unitario, costo_unitario_final,
+             fecha_ingreso, fecha_caducidad, id_ubicacion, id_lote_origen)
+           SELECT id_refaccion, $1, costo_unitario_subtotal, monto_iva_unitario, costo_unitario_final,
+                  fecha_ingreso, fecha_caducidad, $2, id_lote
+           FROM lote_refaccion WHERE id_lote = $3
+           RETURNING id_lote`,
+          [detalle.cantidad, traspaso.id_ubicacion_destino, detalle.id_lote_origen]
+        );
+        await client.query(
+          'UPDATE detalle_traspaso SET id_lote_destino = $1 WHERE id_detalle_traspaso = $2',
+          [loteResult.rows[0].id_lote, detalle.id_detalle_traspaso]
+        );
+      } else {
+        await moverExistenciaInsumo(client, {
+          id_insumo: detalle.id_insumo,
+          id_ubicacion: traspaso.id_ubicacion_destino,
+          cantidad: detalle.cantidad
+        });
+      }
+    }
+
+    await client.query(
+      `UPDATE traspaso_almacen
+       SET estado = 'Recibido', fecha_recepcion = NOW(), recibido_por = $1,
+           observaciones = COALESCE($2, observaciones)
+       WHERE id_traspaso = $3`,
+      [req.user.id, observaciones || null, id]
+    );
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Recepción de traspaso
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'ACTUALIZAR',
+      recurso_afectado: 'traspaso_almacen',
+      id_recurso_afectado: id,
+      detalles_cambio: { accion: 'RECEPCIÓN', id_ubicacion_destino: traspaso.id_ubicacion_destino, partidas: detalles.rows.length },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Traspaso recibido. La mercancía ya está disponible en el almacén de destino.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al recibir traspaso:', error);
+    res.status(500).json({ message: 'Error al recibir el traspaso.' });
+  } finally {
+    client.release();
+  }
+});
+
+// =======================================================
+// CANCELAR UN TRASPASO EN TRÁNSITO (Regresa la mercancía al origen)
+// =======================================================
+router.put('/:id/cancelar', checkRole(ROLES_TRASPASO), async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body;
+
+  if (!motivo) {
+    return res.status(400).json({ message: 'Se requiere un motivo para cancelar el traspaso.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await verificarPeriodoAbierto(client, new Date());
+
+    const { traspaso, status, message } = await obtenerTraspasoEnTransito(client, id);
+    if (!traspaso) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ message });
+    }
+
+    const detalles = await client.query('SELECT * FROM detalle_traspaso WHERE id_traspaso = $1', [id]);
+
+    for (const detalle of detalles.rows) {
+      if (detalle.id_refaccion) {
+        await client.query(
+          'UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible + $1 WHERE id_lote = $2',
+          [detalle.cantidad, detalle.id_lote_origen]
+        );
+      } else {
+        await moverExistenciaInsumo(client, {
+          id_insumo: detalle.id_insumo,
+          id_ubicacion: traspaso.id_ubicacion_origen,
+          cantidad: detalle.cantidad
+        });
+      }
+    }
+
+    await client.query(
+      `UPDATE traspaso_almacen SET estado = 'Cancelado', motivo_cancelacion = $1 WHERE id_traspaso = $2`,
+      [motivo, id]
+    );
+
+    await client.query('COMMIT');
+
+    // 🛡️ REGISTRO DE AUDITORÍA: Cancelación de traspaso
+    registrarAuditoria({
+      id_usuario: req.user.id,
+      tipo_accion: 'CANCELAR',
+      recurso_afectado: 'traspaso_almacen',
+      id_recurso_afectado: id,
+      detalles_cambio: { motivo, id_ubicacion_origen: traspaso.id_ubicacion_origen },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Traspaso cancelado. La mercancía regresó al almacén de origen.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === 'PERIODO_CERRADO') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error al cancelar traspaso:', error);
+    res.status(500).json({ message: 'Error al cancelar el traspaso.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -21,5 +21,50 @@ router.get('/', verifyToken, async (req, res) => {
     }
 });
 
+// GET /api/ubicaciones/:id/existencias - Existencias de refacciones e insumos en un almacén
+router.get('/:id/existencias', verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const { search = '' } = req.query;
+    const busqueda = search.trim() ? `%${search.trim()}%` : null;
+
+    try {
+        const refacciones = await pool.query(`
+            SELECT r.id_refaccion, r.nombre, r.numero_parte, r.categoria,
+                   SUM(l.cantidad_disponible) as existencia,
+                   SUM(l.cantidad_disponible * l.costo_unitario_final) as valor,
+                   COALESCE((
+                       SELECT SUM(dt.cantidad) FROM detalle_traspaso dt
+                       JOIN traspaso_almacen t ON dt.id_traspaso = t.id_traspaso
+                       WHERE t.estado = 'En tránsito' AND t.id_ubicacion_destino = $1 AND dt.id_refaccion = r.id_refaccion
+                   ), 0) as en_transito
+            FROM lote_refaccion l
+            JOIN refaccion r ON l.id_refaccion = r.id_refaccion
+            WHERE l.id_ubicacion = $1 AND l.cantidad_disponible > 0
+              AND ($2::text IS NULL OR r.nombre ILIKE $2 OR r.numero_parte ILIKE $2)
+            GROUP BY r.id_refaccion
+            ORDER BY r.nombre ASC
+        `, [id, busqueda]);
+
+        const insumos = await pool.query(`
+            SELECT i.id_insumo, i.nombre, i.unidad_medida, ei.cantidad as existencia,
+                   ei.cantidad * i.costo_unitario_promedio as valor,
+                   COALESCE((
+                       SELECT SUM(dt.cantidad) FROM detalle_traspaso dt
+                       JOIN traspaso_almacen t ON dt.id_traspaso = t.id_traspaso
+                       WHERE t.estado = 'En tránsito' AND t.id_ubicacion_destino = $1 AND dt.id_insumo = i.id_insumo
+                   ), 0) as en_transito
+            FROM existencia_insumo ei
+            JOIN insumo i ON ei.id_insumo = i.id_insumo
+            WHERE ei.id_ubicacion = $1 AND ei.cantidad > 0
+              AND ($2::text IS NULL OR i.nombre ILIKE $2 OR i.marca ILIKE $2)
+            ORDER BY i.nombre ASC
+        `, [id, busqueda]);
+
+        res.json({ refacciones: refacciones.rows, insumos: insumos.rows });
+    } catch (error) {
+        console.error('Error al obtener existencias por ubicación:', error);
+        res.status(500).json({ message: 'Error al obtener las existencias de la ubicación' });
+    }
+});
 
 module.exports = router;
\ No newline at end of file
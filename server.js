@@ -3,6 +3,8 @@ const express = require('express');
 require('dotenv').config();
 const cors = require('cors');
 const { swaggerUi, swaggerSpec } = require('./swagger');
+const pool = require('./db');
+const { migrarExistenciasSinUbicacion } = require('./servicios/existenciasService');
 const empleadosRouter = require('./routes/empleados');
 const authRouter = require('./routes/auth');
 const proveedoresRouter = require('./routes/proveedores');
@@ -25,6 +27,7 @@ const rolesRouter = require('./routes/roles');
 const inventarioInicialRoutes = require('./routes/inventarioInicial');
 const superadminRoutes = require('./routes/superAdmin');
 const cargasCombustibleRoutes = require('./routes/cargasCombustible');
+const alertasCombustibleRoutes = require('./routes/alertasCombustible');
 const rutasRoutes = require('./routes/rutas');
 const operadoresRoutes = require('./routes/operadores');
 const tanquesRoutes = require('./routes/tanques');
@@ -41,9 +44,19 @@ const ticketsRouter = require('./routes/tickets');
 const dashboardRrhhRouter = require('./routes/dashboard-rrhh');
 const recuperadosRouter = require('./routes/recuperados');
 const serviciosRouter = require('./routes/servicios');
+const planesMantenimientoRouter = require('./routes/planesMantenimiento');
 const vehiculosParticularesRoutes = require('./routes/vehiculosParticulares');
 const viajesTurismoRoutes = require('./routes/viajesTurismo');
 const granelRouter = require('./routes/granel');
+const comprasRouter = require('./routes/compras');
+const cfdiRouter = require('./routes/cfdi');
+const cuentasPagarRouter = require('./routes/cuentasPagar');
+const garantiasRouter = require('./routes/garantias');
+const traspasosRouter = require('./routes/traspasos');
+const posicionesRouter = require('./routes/posiciones');
+const etiquetasRouter = require('./routes/etiquetas');
+const scanRouter = require('./routes/scan');
+const periodosRouter = require('./routes/periodos');
 
 const app = express();
 app.set('trust proxy', true);
@@ -91,6 +104,7 @@ app.use('/api/roles', rolesRouter);
 app.use('/api/inventario-inicial', inventarioInicialRoutes);
 app.use('/api/superadmin', superadminRoutes);
 app.use('/api/cargas-combustible', cargasCombustibleRoutes);
+app.use('/api/alertas-combustible', alertasCombustibleRoutes);
 app.use('/api/operadores', operadoresRoutes);
 app.use('/api/rutas', rutasRoutes);
 app.use('/api/tanques', tanquesRoutes);
@@ -107,9 +121,19 @@ app.use('/api/tickets', ticketsRouter);
 app.use('/api/dashboard-rrhh', dashboardRrhhRouter);
 app.use('/api/recuperados', recuperadosRouter);
 app.use('/api/servicios', serviciosRouter);
+app.use('/api/planes-mantenimiento', planesMantenimientoRouter);
 app.use('/api/vehiculos-particulares', vehiculosParticularesRoutes);
 app.use('/api/viajes-turismo', viajesTurismoRoutes);
 app.use('/api/granel', granelRouter);
+app.use('/api/compras', comprasRouter);
+app.use('/api/cfdi', cfdiRouter);
+app.use('/api/cuentas-pagar', cuentasPagarRouter);
+app.use('/api/garantias', garantiasRouter);
+app.use('/api/traspasos', traspasosRouter);
+app.use('/api/posiciones', posicionesRouter);
+app.use('/api/etiquetas', etiquetasRouter);
+app.use('/api/scan', scanRouter);
+app.use('/api/periodos', periodosRouter);
 // Swagger
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.get('/swagger.json', (req, res) => {
@@ -118,8 +142,18 @@ app.get('/swagger.json', (req, res) => {
 });
 
 // Iniciar servidor
+// Las existencias capturadas antes de multialmacén se asignan al almacén principal antes de atender peticiones:
+// si un movimiento creara existencia_insumo primero, el stock anterior de ese insumo ya no se migraría
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Servidor corriendo en el puerto ${PORT}`);
-    console.log(`Documentación Swagger en http://localhost:${PORT}/api-docs`);
-});
+migrarExistenciasSinUbicacion(pool)
+    .then(({ lotes, insumos }) => {
+        if (lotes || insumos) console.log(`Existencias asignadas al almacén principal: ${lotes} lotes, ${insumos} insumos`);
+        app.listen(PORT, () => {
+            console.log(`Servidor corriendo en el puerto ${PORT}`);
+            console.log(`Documentación Swagger en http://localhost:${PORT}/api-docs`);
+        });
+    })
+    .catch((error) => {
+        console.error('Error al asignar existencias sin ubicación; el servidor no se inicia:', error);
+        process.exit(1);
+    });
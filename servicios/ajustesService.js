@@ -0,0 +1,98 @@
+const { consumirLotes } = require('./lotesService');
+const { moverExistenciaInsumo } = require('./existenciasService');
+
+/**
+ * Aplica al inventario un renglón de ajuste y guarda su detalle.
+ * Las salidas sin lote indicado se reparten por PEPS y generan un detalle por lote.
+ * Las entradas crean un lote nuevo, salvo que traigan sumar_a_lote (sobrantes de un conteo por lote).
+ * En insumos, la revalorización no mueve existencias: suma cantidad × costo_ajuste al valor del insumo
+ * y el costo promedio se recalcula sobre todo su stock.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {number} idAjuste
+ * @param {string} tipoAjuste - 'ENTRADA' | 'SALIDA' | 'REVALORIZACION'
+ * @param {number} idUbicacion - Almacén del ajuste
+ * @param {Object} detalle - { id_refaccion | id_insumo, id_lote, sumar_a_lote, id_posicion, cantidad (negativa en salidas de insumo), costo_ajuste }
+ * @returns {Promise<void>}
+ */
+const aplicarDetalleAjuste = async (client, idAjuste, tipoAjuste, idUbicacion, detalle) => {
+  if (detalle.id_insumo && tipoAjuste === 'REVALORIZACION') {
+    await client.query(
+      `UPDATE insumo SET costo_unitario_promedio = costo_unitario_promedio + ($1::numeric * $2::numeric) / stock_actual
+       WHERE id_insumo = $3 AND stock_actual > 0`,
+      [detalle.cantidad, detalle.costo_ajuste, detalle.id_insumo]
+    );
+  } else if (detalle.id_insumo) {
+    await client.query('UPDATE insumo SET stock_actual = stock_actual + $1 WHERE id_insumo = $2', [detalle.cantidad, detalle.id_insumo]);
+    await moverExistenciaInsumo(client, { id_insumo: detalle.id_insumo, id_ubicacion: idUbicacion, cantidad: detalle.cantidad });
+  }
+
+  let lotes = [{ id_lote: detalle.id_lote || null, cantidad: detalle.cantidad }];
+
+  if (detalle.id_refaccion) {
+    if (tipoAjuste === 'ENTRADA' && detalle.sumar_a_lote) {
+      const loteResult = await client.query(
+        `UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible + $1
+         WHERE id_lote = $2 AND id_refaccion = $3 AND id_ubicacion = $4 RETURNING id_lote`,
+        [detalle.cantidad, detalle.id_lote, detalle.id_refaccion, idUbicacion]
+      );
+      if (loteResult.rows.length === 0) {
+        throw new Error(`El lote ${detalle.id_lote} no corresponde a la refacción o al almacén del ajuste.`);
+      }
+    } else if (tipoAjuste === 'ENTRADA') {
+      const loteResult = await client.query(
+        `INSERT INTO lote_refaccion (id_refaccion, cantidad_disponible, costo_unitario_final, costo_unitario_subtotal, monto_iva_unitario, fecha_ingreso, id_ubicacion, id_posicion)
+         VALUES ($1, $2, $3, $3, 0, CURRENT_DATE, $4, $5) RETURNING id_lote`,
+        [detalle.id_refaccion, detalle.cantidad, detalle.costo_ajuste || 0, idUbicacion, detalle.id_posicion || null]
+      );
+      lotes = [{ id_lote: loteResult.rows[0].id_lote, cantidad: detalle.cantidad }];
+    } else if (tipoAjuste === 'SALIDA') {
+      const { asignaciones } = await consumirLotes(client, {
+        id_refaccion: detalle.id_refaccion,
+        cantidad: Math.abs(detalle.cantidad),
+        estrategia: detalle.id_lote ? 'LOTE' : 'FIFO',
+        id_lote: detalle.id_lote,
+        id_ubicacion: idUbicacion
+      });
+      // Conservamos el signo con el que se capturó la cantidad
+      const signo = detalle.cantidad < 0 ? -1 : 1;
+      lotes = asignaciones.map(a => ({ id_lote: a.id_lote, cantidad: signo * a.cantidad }));
+    } else if (tipoAjuste === 'REVALORIZACION') {
+      await client.query('UPDATE lote_refaccion SET costo_unitario_final = costo_unitario_final + $1 WHERE id_lote = $2', [detalle.costo_ajuste, detalle.id_lote]);
+    }
+  }
+
+  for (const lote of lotes) {
+    await client.query(
+      `INSERT INTO ajuste_inventario_detalle (id_ajuste, id_refaccion, id_insumo, id_lote_refaccion, cantidad, costo_ajuste) VALUES ($1, $2, $3, $4, $5, $6)`,
+      [idAjuste, detalle.id_refaccion, detalle.id_insumo, lote.id_lote, lote.cantidad, detalle.costo_ajuste]
+    );
+  }
+};
+
+/**
+ * Crea un documento de ajuste (maestro + detalles) y lo aplica al inventario.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} ajuste
+ * @param {number} ajuste.id_empleado
+ * @param {string} ajuste.tipo_ajuste
+ * @param {string} ajuste.motivo
+ * @param {number} ajuste.id_ubicacion
+ * @param {number} [ajuste.id_conteo] - Conteo de inventario que originó el ajuste
+ * @param {Array<Object>} ajuste.detalles - Renglones con el formato de aplicarDetalleAjuste
+ * @returns {Promise<number>} id_ajuste creado
+ */
+const crearAjuste = async (client, { id_empleado, tipo_ajuste, motivo, id_ubicacion, id_conteo = null, detalles }) => {
+  const maestroResult = await client.query(
+    `INSERT INTO ajuste_inventario_maestro (id_empleado, tipo_ajuste, motivo, fecha_ajuste, id_ubicacion, id_conteo)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4, $5) RETURNING id_ajuste`,
+    [id_empleado, tipo_ajuste, motivo, id_ubicacion, id_conteo]
+  );
+  const idAjuste = maestroResult.rows[0].id_ajuste;
+
+  for (const detalle of detalles) {
+    await aplicarDetalleAjuste(client, idAjuste, tipo_ajuste, id_ubicacion, detalle);
+  }
+  return idAjuste;
+};
+
+module.exports = { aplicarDetalleAjuste, crearAjuste };
@@ -0,0 +1,214 @@
+// Parámetros de las reglas de detección de anomalías en cargas de diésel
+const REGLAS_ALERTA = {
+  CARGAS_FUERA_RANGO_CONSECUTIVAS: 3,   // cargas seguidas con km/l fuera de la banda del modelo
+  HORAS_MINIMAS_ENTRE_CARGAS: 4,        // dos cargas del mismo autobús en menos horas es sospechoso
+  CARGAS_EVALUACION_OPERADOR: 10,       // ventana de cargas recientes del operador
+  CARGAS_CON_DESVIACION_OPERADOR: 7     // cuántas de esa ventana con litros de más lo vuelven crónico
+};
+
+const TIPOS_ALERTA = {
+  CAPACIDAD_EXCEDIDA: 'Capacidad excedida',
+  RENDIMIENTO_FUERA_RANGO: 'Rendimiento fuera de rango',
+  ODOMETRO_RETROCESO: 'Odómetro en retroceso',
+  CARGAS_SEGUIDAS: 'Cargas muy seguidas',
+  OPERADOR_DESVIACION_CRONICA: 'Operador con desviación crónica'
+};
+
+const ESTATUS_ALERTA = ['Abierta', 'Justificada', 'Cerrada'];
+
+// Banda de rendimiento de cada carga según el modelo del autobús y su ruta principal
+const RENDIMIENTO_CARGAS_SQL = `
+  SELECT
+    cc.id_carga,
+    cc.rendimiento_calculado,
+    rr.rendimiento_regular,
+    rr.rendimiento_excelente
+  FROM cargas_combustible cc
+  JOIN autobus a ON cc.id_autobus = a.id_autobus
+  LEFT JOIN rendimientos_referencia rr ON TRIM(UPPER(rr.modelo_autobus)) = TRIM(UPPER(a.modelo))
+    AND rr.activo = TRUE
+    AND rr.id_ruta = COALESCE(
+      cc.id_ruta_principal,
+      (SELECT ccr.id_ruta FROM cargas_combustible_rutas ccr WHERE ccr.id_carga = cc.id_carga ORDER BY ccr.id_ruta LIMIT 1)
+    )
+  WHERE cc.id_autobus = $1
+  ORDER BY cc.fecha_operacion DESC, cc.id_carga DESC
+  LIMIT $2
+`;
+
+// Evita duplicar una alerta recurrente mientras la anterior siga abierta
+const existeAlertaAbierta = async (client, { tipo_alerta, id_autobus = null, id_empleado_operador = null }) => {
+  const result = await client.query(
+    `SELECT 1 FROM alertas_combustible
+     WHERE tipo_alerta = $1 AND estatus = 'Abierta'
+       AND ($2::int IS NULL OR id_autobus = $2)
+       AND ($3::int IS NULL OR id_empleado_operador = $3)
+     LIMIT 1`,
+    [tipo_alerta, id_autobus, id_empleado_operador]
+  );
+  return result.rows.length > 0;
+};
+
+const reglaCapacidadExcedida = async (client, carga) => {
+  const result = await client.query('SELECT capacidad_tanque_litros FROM autobus WHERE id_autobus = $1', [carga.id_autobus]);
+  const capacidad = parseFloat(result.rows[0]?.capacidad_tanque_litros);
+  const litros = parseFloat(carga.litros_cargados);
+  if (!capacidad || litros <= capacidad) return null;
+
+  return {
+    tipo_alerta: TIPOS_ALERTA.CAPACIDAD_EXCEDIDA,
+    severidad: 'Alta',
+    descripcion: `Se cargaron ${litros.toFixed(2)} Lts y el tanque del autobús es de ${capacidad.toFixed(2)} Lts.`,
+    datos: { litros_cargados: litros, capacidad_tanque_litros: capacidad }
+  };
+};
+
+const reglaCargasSeguidas = async (client, carga) => {
+  const result = await client.query(
+    `SELECT id_carga, fecha_operacion,
+            ABS(EXTRACT(EPOCH FROM ($2::timestamp - fecha_operacion::timestamp))) / 3600 as horas
+     FROM cargas_combustible
+     WHERE id_autobus = $1 AND id_carga <> $3
+       AND ABS(EXTRACT(EPOCH FROM ($2::timestamp - fecha_operacion::timestamp))) / 3600 < $4
+     ORDER BY horas ASC LIMIT 1`,
+    [carga.id_autobus, carga.fecha_operacion, carga.id_carga, REGLAS_ALERTA.HORAS_MINIMAS_ENTRE_CARGAS]
+  );
+  if (result.rows.length === 0) return null;
+
+  const anterior = result.rows[0];
+  return {
+    tipo_alerta: TIPOS_ALERTA.CARGAS_SEGUIDAS,
+    severidad: 'Media',
+    descripcion: `El autobús ya tenía la carga #${anterior.id_carga} con ${parseFloat(anterior.horas).toFixed(1)} horas de diferencia.`,
+    datos: { id_carga_anterior: anterior.id_carga, horas: parseFloat(anterior.horas) }
+  };
+};
+
+const reglaRendimientoFueraRango = async (client, carga) => {
+  const n = REGLAS_ALERTA.CARGAS_FUERA_RANGO_CONSECUTIVAS;
+  const result = await client.query(RENDIMIENTO_CARGAS_SQL, [carga.id_autobus, n]);
+  if (result.rows.length < n) return null;
+
+  // Todas las últimas N cargas deben tener referencia y quedar fuera de la banda
+  const fueraDeRango = result.rows.every(c =>
+    c.rendimiento_regular !== null &&
+    (parseFloat(c.rendimiento_calculado) < parseFloat(c.rendimiento_regular) ||
+     parseFloat(c.rendimiento_calculado) > parseFloat(c.rendimiento_excelente))
+  );
+  if (!fueraDeRango) return null;
+  if (await existeAlertaAbierta(client, { tipo_alerta: TIPOS_ALERTA.RENDIMIENTO_FUERA_RANGO, id_autobus: carga.id_autobus })) return null;
+
+  return {
+    tipo_alerta: TIPOS_ALERTA.RENDIMIENTO_FUERA_RANGO,
+    severidad: 'Media',
+    descripcion: `Las últimas ${n} cargas del autobús tienen un rendimiento fuera de la banda de referencia de su modelo.`,
+    datos: {
+      cargas: result.rows.map(c => ({
+        id_carga: c.id_carga,
+        rendimiento: parseFloat(c.rendimiento_calculado),
+        minimo: parseFloat(c.rendimiento_regular),
+        maximo: parseFloat(c.rendimiento_excelente)
+      }))
+    }
+  };
+};
+
+const reglaOperadorDesviacionCronica = async (client, carga) => {
+  if (!carga.id_empleado_operador) return null;
+
+  const result = await client.query(
+    `SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE litros_desviacion > 0) as con_desviacion,
+            COALESCE(SUM(litros_desviacion) FILTER (WHERE litros_desviacion > 0), 0) as litros_de_mas
+     FROM (
+       SELECT litros_desviacion FROM cargas_combustible
+       WHERE id_empleado_operador = $1
+       ORDER BY fecha_operacion DESC, id_carga DESC LIMIT $2
+     ) ultimas`,
+    [carga.id_empleado_operador, REGLAS_ALERTA.CARGAS_EVALUACION_OPERADOR]
+  );
+  const { total, con_desviacion, litros_de_mas } = result.rows[0];
+  if (parseInt(total, 10) < REGLAS_ALERTA.CARGAS_EVALUACION_OPERADOR) return null;
+  if (parseInt(con_desviacion, 10) < REGLAS_ALERTA.CARGAS_CON_DESVIACION_OPERADOR) return null;
+  if (await existeAlertaAbierta(client, { tipo_alerta: TIPOS_ALERTA.OPERADOR_DESVIACION_CRONICA, id_empleado_operador: carga.id_empleado_operador })) return null;
+
+  return {
+    tipo_alerta: TIPOS_ALERTA.OPERADOR_DESVIACION_CRONICA,
+    severidad: 'Media',
+    descripcion: `${con_desviacion} de las últimas ${total} cargas del operador consumieron más litros de lo ideal.`,
+    datos: { cargas_evaluadas: parseInt(total, 10), cargas_con_desviacion: parseInt(con_desviacion, 10), litros_de_mas: parseFloat(litros_de_mas) }
+  };
+};
+
+const REGLAS = [
+  reglaCapacidadExcedida,
+  reglaCargasSeguidas,
+  reglaRendimientoFueraRango,
+  reglaOperadorDesviacionCronica
+];
+
+/**
+ * Corre todas las reglas de anomalías sobre una carga recién registrada y guarda las alertas que apliquen.
+ * Debe llamarse dentro de la transacción que insertó la carga.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {number} id_carga - Carga a evaluar
+ * @returns {Promise<Array<Object>>} Alertas generadas
+ */
+const evaluarCarga = async (client, id_carga) => {
+  const cargaResult = await client.query(
+    `SELECT id_carga, id_autobus, id_empleado_operador, fecha_operacion, km_inicial, km_final, litros_cargados
+     FROM cargas_combustible WHERE id_carga = $1`,
+    [id_carga]
+  );
+  if (cargaResult.rows.length === 0) return [];
+  const carga = cargaResult.rows[0];
+
+  const alertas = [];
+  for (const regla of REGLAS) {
+    const hallazgo = await regla(client, carga);
+    if (!hallazgo) continue;
+
+    const result = await client.query(
+      `INSERT INTO alertas_combustible
+       (id_carga, id_autobus, id_empleado_operador, tipo_alerta, severidad, descripcion, datos, estatus)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'Abierta') RETURNING *`,
+      [carga.id_carga, carga.id_autobus, carga.id_empleado_operador, hallazgo.tipo_alerta, hallazgo.severidad, hallazgo.descripcion, JSON.stringify(hallazgo.datos)]
+    );
+    alertas.push(result.rows[0]);
+  }
+
+  return alertas;
+};
+
+/**
+ * Deja abierta una alerta por una carga rechazada porque el odómetro retrocedía. La carga no existe
+ * (su transacción se revirtió), así que la alerta va sin id_carga y con lo que se intentó registrar.
+ * Debe llamarse fuera de la transacción rechazada.
+ * * @param {Object} db - Pool o cliente de pg sin la transacción revertida
+ * @param {Object} intento
+ * @param {number} intento.id_autobus
+ * @param {number} [intento.id_empleado_operador]
+ * @param {number} intento.km_final - Km capturado
+ * @param {number} intento.litros_cargados
+ * @param {string} intento.fecha_operacion
+ * @param {number} intento.id_empleado_despachador
+ * @param {Object} intento.detalle - error.detalle de registrarLectura
+ * @returns {Promise<Object>} La alerta generada
+ */
+const registrarIntentoRetroceso = async (db, { id_autobus, id_empleado_operador = null, km_final, litros_cargados, fecha_operacion, id_empleado_despachador, detalle }) => {
+  const lecturaReferencia = detalle.lectura_anterior ?? detalle.lectura_posterior;
+  const result = await db.query(
+    `INSERT INTO alertas_combustible
+     (id_carga, id_autobus, id_empleado_operador, tipo_alerta, severidad, descripcion, datos, estatus)
+     VALUES (NULL, $1, $2, $3, 'Alta', $4, $5, 'Abierta') RETURNING *`,
+    [
+      id_autobus,
+      id_empleado_operador,
+      TIPOS_ALERTA.ODOMETRO_RETROCESO,
+      `Se rechazó una carga con kilometraje final de ${km_final} km; el historial del odómetro marca ${lecturaReferencia} km.`,
+      JSON.stringify({ km_final, litros_cargados, fecha_operacion, id_empleado_despachador, ...detalle })
+    ]
+  );
+  return result.rows[0];
+};
+
+module.exports = { evaluarCarga, registrarIntentoRetroceso, REGLAS_ALERTA, TIPOS_ALERTA, ESTATUS_ALERTA };
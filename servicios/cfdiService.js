@@ -0,0 +1,190 @@
+// Lectura de facturas CFDI 4.0 (XML del SAT) para capturar entradas de almacén.
+// Los CFDI tienen una estructura plana de atributos, por lo que basta con leer etiquetas y atributos.
+
+const IMPUESTO_IVA = '002';
+
+const errorCfdi = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'CFDI_INVALIDO';
+  return error;
+};
+
+const decodificar = (valor) => valor
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Convierte el texto de atributos de una etiqueta en un objeto { Nombre: valor }
+const leerAtributos = (texto = '') => {
+  const atributos = {};
+  const regex = /([\w:]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = regex.exec(texto)) !== null) {
+    atributos[match[1]] = decodificar(match[2]);
+  }
+  return atributos;
+};
+
+// Primera etiqueta con ese nombre local (sin importar el prefijo del namespace)
+const buscarEtiqueta = (xml, nombre) => {
+  const match = new RegExp(`<(?:\\w+:)?${nombre}\\b([^>]*?)\\/?>`).exec(xml);
+  return match ? leerAtributos(match[1]) : null;
+};
+
+const numero = (valor) => (valor === undefined || valor === '' ? 0 : parseFloat(valor));
+
+/**
+ * Lee un CFDI 4.0 de tipo ingreso y regresa sus datos fiscales y conceptos con el costo unitario
+ * neto de descuento, el IVA trasladado por unidad y, por concepto, el importe de otros impuestos
+ * trasladados (IEPS) y de las retenciones. Los importes en otra moneda se convierten a MXN
+ * con el TipoCambio del comprobante.
+ * * @param {string} xml - Contenido del archivo XML
+ * @returns {Object} { uuid, serie, folio, fecha, moneda, tipo_cambio, subtotal, descuento, total, emisor, receptor, conceptos }
+ * @throws {Error} con code 'CFDI_INVALIDO' si el XML no es un CFDI 4.0 de ingreso timbrado
+ */
+const parsearCfdi = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw errorCfdi('No se recibió el contenido del XML.');
+  }
+
+  const comprobante = buscarEtiqueta(xml, 'Comprobante');
+  if (!comprobante) throw errorCfdi('El archivo no es un CFDI: no contiene el nodo Comprobante.');
+  if (comprobante.Version !== '4.0') {
+    throw errorCfdi(`Solo se aceptan CFDI versión 4.0 (el archivo es versión ${comprobante.Version || 'desconocida'}).`);
+  }
+  if (comprobante.TipoDeComprobante !== 'I') {
+    throw errorCfdi('Solo se pueden importar CFDI de ingreso (TipoDeComprobante "I").');
+  }
+
+  const timbre = buscarEtiqueta(xml, 'TimbreFiscalDigital');
+  if (!timbre || !timbre.UUID) throw errorCfdi('El CFDI no está timbrado: falta el UUID del TimbreFiscalDigital.');
+
+  const emisor = buscarEtiqueta(xml, 'Emisor');
+  if (!emisor || !emisor.Rfc) throw errorCfdi('El CFDI no contiene el RFC del emisor.');
+  const receptor = buscarEtiqueta(xml, 'Receptor') || {};
+
+  const moneda = comprobante.Moneda || 'MXN';
+  const tipoCambio = moneda === 'MXN' ? 1 : numero(comprobante.TipoCambio) || 1;
+
+  const conceptos = [];
+  const regexConcepto = /<(?:\w+:)?Concepto\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?Concepto>)/g;
+  let match;
+  while ((match = regexConcepto.exec(xml)) !== null) {
+    const atributos = leerAtributos(match[1]);
+    const cuerpo = match[2] || '';
+
+    let ivaImporte = 0;
+    let tasaIva = null;
+    let otrosImpuestos = 0;
+    const regexTraslado = /<(?:\w+:)?Traslado\b([^>]*?)\/?>/g;
+    let traslado;
+    while ((traslado = regexTraslado.exec(cuerpo)) !== null) {
+      const t = leerAtributos(traslado[1]);
+      if (t.Impuesto !== IMPUESTO_IVA) {
+        // IEPS u otro impuesto trasladado: forma parte del Total pero no del IVA de la línea
+        otrosImpuestos += numero(t.Importe);
+        continue;
+      }
+      if (t.TipoFactor === 'Exento') {
+        tasaIva = 0;
+        continue;
+      }
+      ivaImporte += numero(t.Importe);
+      tasaIva = numero(t.TasaOCuota);
+    }
+
+    let retenciones = 0;
+    const regexRetencion = /<(?:\w+:)?Retencion\b([^>]*?)\/?>/g;
+    let retencion;
+    while ((retencion = regexRetencion.exec(cuerpo)) !== null) {
+      retenciones += numero(leerAtributos(retencion[1]).Importe);
+    }
+
+    const cantidad = numero(atributos.Cantidad);
+    if (cantidad <= 0) throw errorCfdi(`El concepto "${atributos.Descripcion}" tiene una cantidad no válida.`);
+    const importeNeto = numero(atributos.Importe) - numero(atributos.Descuento);
+
+    conceptos.push({
+      indice: conceptos.length,
+      no_identificacion: atributos.NoIdentificacion || null,
+      clave_prod_serv: atributos.ClaveProdServ || null,
+      clave_unidad: atributos.ClaveUnidad || null,
+      unidad: atributos.Unidad || null,
+      descripcion: atributos.Descripcion || '',
+      cantidad,
+      valor_unitario: numero(atributos.ValorUnitario) * tipoCambio,
+      descuento: numero(atributos.Descuento) * tipoCambio,
+      costo_unitario_subtotal: (importeNeto / cantidad) * tipoCambio,
+      tasa_iva: tasaIva,
+      monto_iva_unitario: (ivaImporte / cantidad) * tipoCambio,
+      monto_otros_impuestos: otrosImpuestos * tipoCambio,
+      monto_retenciones: retenciones * tipoCambio
+    });
+  }
+  if (conceptos.length === 0) throw errorCfdi('El CFDI no contiene conceptos.');
+
+  return {
+    uuid: timbre.UUID.toUpperCase(),
+    serie: comprobante.Serie || null,
+    folio: comprobante.Folio || null,
+    fecha: comprobante.Fecha,
+    moneda,
+    tipo_cambio: tipoCambio,
+    subtotal: numero(comprobante.SubTotal) * tipoCambio,
+    descuento: numero(comprobante.Descuento) * tipoCambio,
+    total: numero(comprobante.Total) * tipoCambio,
+    emisor: { rfc: emisor.Rfc.toUpperCase(), nombre: emisor.Nombre || null, regimen_fiscal: emisor.RegimenFiscal || null },
+    receptor: { rfc: receptor.Rfc ? receptor.Rfc.toUpperCase() : null, nombre: receptor.Nombre || null },
+    conceptos
+  };
+};
+
+/**
+ * Propone artículos del catálogo para cada concepto: primero por número de parte
+ * (NoIdentificacion contra refaccion.numero_parte) y si no, por coincidencia de nombre
+ * contra refacciones e insumos.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {Array<Object>} conceptos - Conceptos de parsearCfdi
+ * @returns {Promise<Array<Object>>} Los conceptos con su arreglo de sugerencias
+ */
+const proponerCoincidencias = async (db, conceptos) => {
+  const resultado = [];
+  for (const concepto of conceptos) {
+    let sugerencias = [];
+
+    if (concepto.no_identificacion) {
+      const porParte = await db.query(
+        `SELECT 'refaccion' as tipo_item, id_refaccion as id_item, nombre, numero_parte, 'Alta' as confianza
+         FROM refaccion WHERE UPPER(TRIM(numero_parte)) = UPPER(TRIM($1))`,
+        [concepto.no_identificacion]
+      );
+      sugerencias = porParte.rows;
+    }
+
+    if (sugerencias.length === 0 && concepto.descripcion) {
+      const porNombre = await db.query(
+        `SELECT * FROM (
+           SELECT 'refaccion' as tipo_item, id_refaccion as id_item, nombre, numero_parte, 'Media' as confianza
+           FROM refaccion
+           WHERE $1 ILIKE '%' || nombre || '%' OR nombre ILIKE '%' || $1 || '%'
+              OR (numero_parte IS NOT NULL AND TRIM(numero_parte) <> '' AND $1 ILIKE '%' || numero_parte || '%')
+           UNION ALL
+           SELECT 'insumo' as tipo_item, id_insumo as id_item, nombre, NULL as numero_parte, 'Media' as confianza
+           FROM insumo
+           WHERE $1 ILIKE '%' || nombre || '%' OR nombre ILIKE '%' || $1 || '%'
+         ) candidatos
+         ORDER BY LENGTH(nombre) DESC
+         LIMIT 5`,
+        [concepto.descripcion.trim()]
+      );
+      sugerencias = porNombre.rows;
+    }
+
+    resultado.push({ ...concepto, sugerencias });
+  }
+  return resultado;
+};
+
+module.exports = { parsearCfdi, proponerCoincidencias };
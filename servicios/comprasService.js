@@ -0,0 +1,128 @@
+// Estados del ciclo de compra
+const ESTADOS_REQUISICION = ['Pendiente', 'Aprobada', 'Rechazada', 'Convertida', 'Cancelada'];
+const ESTADOS_ORDEN = ['Abierta', 'Parcial', 'Recibida', 'Cancelada'];
+
+// Al generar requisiciones por stock bajo se repone hasta este múltiplo del stock mínimo
+const FACTOR_REPOSICION_STOCK_MINIMO = 2;
+
+// Saldo pendiente de recibir por línea de orden de compra
+const SALDO_LINEA_SQL = '(doc.cantidad_ordenada - doc.cantidad_recibida)';
+
+const errorRecepcion = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'RECEPCION_ORDEN_INVALIDA';
+  return error;
+};
+
+/**
+ * Recalcula el estado de una orden según lo recibido en sus líneas.
+ * Las órdenes canceladas se quedan canceladas.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {number} id_orden_compra
+ * @returns {Promise<string>} El estado resultante
+ */
+const actualizarEstadoOrden = async (client, id_orden_compra) => {
+  const result = await client.query(
+    `UPDATE orden_compra oc
+     SET estado = CASE
+       WHEN oc.estado = 'Cancelada' THEN 'Cancelada'
+       WHEN t.recibido <= 0 THEN 'Abierta'
+       WHEN t.recibido < t.ordenado THEN 'Parcial'
+       ELSE 'Recibida'
+     END
+     FROM (
+       SELECT SUM(LEAST(cantidad_recibida, cantidad_ordenada)) as recibido, SUM(cantidad_ordenada) as ordenado
+       FROM detalle_orden_compra WHERE id_orden_compra = $1
+     ) t
+     WHERE oc.id_orden_compra = $1
+     RETURNING oc.estado`,
+    [id_orden_compra]
+  );
+  return result.rows[0]?.estado || null;
+};
+
+/**
+ * Liga una línea de entrada de almacén a su línea de orden de compra y suma lo recibido.
+ * Valida que la línea sea de la misma orden que la entrada, del mismo artículo y que no se reciba de más.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} recepcion
+ * @param {number} recepcion.id_entrada - Entrada de almacén que recibe
+ * @param {number} recepcion.id_detalle_orden - Línea de la orden de compra
+ * @param {number} [recepcion.id_refaccion]
+ * @param {number} [recepcion.id_insumo]
+ * @param {number} recepcion.cantidad
+ * @returns {Promise<Object>} La línea de la orden actualizada (con precio_unitario y aplica_iva pactados)
+ * @throws {Error} con code 'RECEPCION_ORDEN_INVALIDA' si la recepción no corresponde a la orden
+ */
+const registrarRecepcionOrden = async (client, { id_entrada, id_detalle_orden, id_refaccion = null, id_insumo = null, cantidad }) => {
+  const lineaResult = await client.query(
+    `SELECT doc.*, oc.estado as estado_orden, ea.id_orden_compra as orden_de_entrada
+     FROM detalle_orden_compra doc
+     JOIN orden_compra oc ON doc.id_orden_compra = oc.id_orden_compra
+     JOIN entrada_almacen ea ON ea.id_entrada = $2
+     WHERE doc.id_detalle_orden = $1
+     FOR UPDATE OF doc, oc`,
+    [id_detalle_orden, id_entrada]
+  );
+  if (lineaResult.rows.length === 0) {
+    throw errorRecepcion('La línea de la orden de compra o la entrada no existen.');
+  }
+  const linea = lineaResult.rows[0];
+
+  if (linea.orden_de_entrada !== linea.id_orden_compra) {
+    throw errorRecepcion(`La línea pertenece a la orden de compra #${linea.id_orden_compra}, que no es la orden de esta entrada.`);
+  }
+  if (linea.estado_orden === 'Cancelada' || linea.estado_orden === 'Recibida') {
+    throw errorRecepcion(`La orden de compra #${linea.id_orden_compra} está ${linea.estado_orden.toLowerCase()} y no admite recepciones.`);
+  }
+  if ((id_refaccion && linea.id_refaccion !== parseInt(id_refaccion, 10)) || (id_insumo && linea.id_insumo !== parseInt(id_insumo, 10))) {
+    throw errorRecepcion('El artículo recibido no corresponde al de la línea de la orden de compra.');
+  }
+
+  const saldo = parseFloat(linea.cantidad_ordenada) - parseFloat(linea.cantidad_recibida);
+  const recibido = parseFloat(cantidad);
+  if (recibido > saldo) {
+    throw errorRecepcion(`Se intentan recibir ${recibido} unidades pero la orden solo tiene ${saldo} pendientes en esa línea.`);
+  }
+
+  const updateResult = await client.query(
+    'UPDATE detalle_orden_compra SET cantidad_recibida = cantidad_recibida + $1 WHERE id_detalle_orden = $2 RETURNING *',
+    [recibido, id_detalle_orden]
+  );
+  await actualizarEstadoOrden(client, linea.id_orden_compra);
+
+  return updateResult.rows[0];
+};
+
+/**
+ * Ajusta lo recibido en una línea de orden (negativo al cancelar o reducir una entrada) y recalcula la orden.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {number} id_detalle_orden
+ * @param {number} diferencia - Cantidad a sumar (o restar) a lo recibido
+ */
+const ajustarRecepcionOrden = async (client, id_detalle_orden, diferencia) => {
+  if (!id_detalle_orden || !parseFloat(diferencia)) return;
+
+  const result = await client.query(
+    `UPDATE detalle_orden_compra SET cantidad_recibida = GREATEST(cantidad_recibida + $1, 0)
+     WHERE id_detalle_orden = $2 RETURNING id_orden_compra, cantidad_recibida, cantidad_ordenada`,
+    [diferencia, id_detalle_orden]
+  );
+  if (result.rows.length === 0) return;
+
+  const linea = result.rows[0];
+  if (parseFloat(linea.cantidad_recibida) > parseFloat(linea.cantidad_ordenada)) {
+    throw new Error(`La línea de la orden de compra #${linea.id_orden_compra} quedaría con más unidades recibidas que ordenadas.`);
+  }
+  await actualizarEstadoOrden(client, linea.id_orden_compra);
+};
+
+module.exports = {
+  registrarRecepcionOrden,
+  ajustarRecepcionOrden,
+  actualizarEstadoOrden,
+  ESTADOS_REQUISICION,
+  ESTADOS_ORDEN,
+  FACTOR_REPOSICION_STOCK_MINIMO,
+  SALDO_LINEA_SQL
+};
@@ -0,0 +1,163 @@
+// Tolerancias del cotejo orden de compra / recepción / factura
+const TOLERANCIAS_CONCILIACION = {
+  PRECIO_PORCENTAJE: 2,   // variación de precio unitario aceptada contra el precio pactado
+  MONTO_PESOS: 1          // diferencia aceptada entre el total facturado y el calculado (redondeos)
+};
+
+const TIPOS_DISCREPANCIA = {
+  PRECIO: 'Variación de precio',
+  FALTANTE: 'Faltante',          // se factura más de lo que se recibió
+  EXCEDENTE: 'Excedente',        // se recibió más de lo facturado o de lo ordenado
+  SIN_ORDEN: 'Línea sin orden',  // la entrada es de una orden pero la línea no está ligada a ella
+  MONTO: 'Monto de factura'
+};
+
+const ESTADOS_FACTURA = ['Pendiente', 'Con discrepancias', 'Conciliada', 'Por pagar'];
+
+// Líneas de la entrada con lo ordenado, lo recibido y lo facturado lado a lado
+const COMPARATIVO_SQL = `
+  SELECT 'refaccion' as tipo_item, de.id_detalle_entrada as id_detalle, de.id_refaccion as id_item, r.nombre as nombre_item,
+         de.id_detalle_orden, doc.cantidad_ordenada, doc.cantidad_recibida as recibido_en_orden, doc.precio_unitario as precio_pactado,
+         de.cantidad_recibida,
+         COALESCE(de.cantidad_facturada, de.cantidad_recibida) as cantidad_facturada,
+         COALESCE(de.precio_facturado, l.costo_unitario_subtotal) as precio_facturado,
+         COALESCE(l.monto_iva_unitario, 0) > 0 as aplica_iva,
+         COALESCE(l.monto_iva_unitario, 0) as monto_iva_unitario
+  FROM detalle_entrada de
+  JOIN refaccion r ON de.id_refaccion = r.id_refaccion
+  LEFT JOIN lote_refaccion l ON de.id_detalle_entrada = l.id_detalle_entrada
+  LEFT JOIN detalle_orden_compra doc ON de.id_detalle_orden = doc.id_detalle_orden
+  WHERE de.id_entrada = $1
+  UNION ALL
+  SELECT 'insumo' as tipo_item, dei.id_detalle_insumo as id_detalle, dei.id_insumo as id_item, i.nombre as nombre_item,
+         dei.id_detalle_orden, doc.cantidad_ordenada, doc.cantidad_recibida as recibido_en_orden, doc.precio_unitario as precio_pactado,
+         dei.cantidad_recibida,
+         COALESCE(dei.cantidad_facturada, dei.cantidad_recibida) as cantidad_facturada,
+         COALESCE(dei.precio_facturado, dei.costo_unitario_subtotal) as precio_facturado,
+         COALESCE(dei.monto_iva_unitario, 0) > 0 as aplica_iva,
+         COALESCE(dei.monto_iva_unitario, 0) as monto_iva_unitario
+  FROM detalle_entrada_insumo dei
+  JOIN insumo i ON dei.id_insumo = i.id_insumo
+  LEFT JOIN detalle_orden_compra doc ON dei.id_detalle_orden = doc.id_detalle_orden
+  WHERE dei.id_entrada = $1
+  ORDER BY tipo_item, id_detalle
+`;
+
+/**
+ * Regresa el comparativo de tres vías de una entrada (orden, recepción y factura) por línea.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {number} id_entrada
+ * @returns {Promise<Array<Object>>}
+ */
+const obtenerComparativo = async (db, id_entrada) => {
+  const result = await db.query(COMPARATIVO_SQL, [id_entrada]);
+  return result.rows;
+};
+
+// Compara una línea y regresa sus discrepancias (sin guardar)
+const evaluarLinea = (linea, tieneOrden) => {
+  const hallazgos = [];
+  const base = { tipo_item: linea.tipo_item, id_detalle: linea.id_detalle, id_detalle_orden: linea.id_detalle_orden };
+  const recibido = parseFloat(linea.cantidad_recibida);
+  const facturado = parseFloat(linea.cantidad_facturada);
+
+  if (facturado > recibido) {
+    hallazgos.push({ ...base, tipo_discrepancia: TIPOS_DISCREPANCIA.FALTANTE, valor_esperado: recibido, valor_real: facturado, diferencia: facturado - recibido });
+  } else if (recibido > facturado) {
+    hallazgos.push({ ...base, tipo_discrepancia: TIPOS_DISCREPANCIA.EXCEDENTE, valor_esperado: facturado, valor_real: recibido, diferencia: recibido - facturado });
+  }
+
+  if (!linea.id_detalle_orden) {
+    if (tieneOrden) {
+      hallazgos.push({ ...base, tipo_discrepancia: TIPOS_DISCREPANCIA.SIN_ORDEN, valor_esperado: null, valor_real: recibido, diferencia: recibido });
+    }
+    return hallazgos;
+  }
+
+  const ordenado = parseFloat(linea.cantidad_ordenada);
+  const recibidoEnOrden = parseFloat(linea.recibido_en_orden);
+  if (recibidoEnOrden > ordenado) {
+    hallazgos.push({ ...base, tipo_discrepancia: TIPOS_DISCREPANCIA.EXCEDENTE, valor_esperado: ordenado, valor_real: recibidoEnOrden, diferencia: recibidoEnOrden - ordenado });
+  }
+
+  const pactado = parseFloat(linea.precio_pactado);
+  const precio = parseFloat(linea.precio_facturado);
+  if (pactado > 0 && !isNaN(precio)) {
+    const porcentaje = ((precio - pactado) / pactado) * 100;
+    if (Math.abs(porcentaje) > TOLERANCIAS_CONCILIACION.PRECIO_PORCENTAJE) {
+      hallazgos.push({ ...base, tipo_discrepancia: TIPOS_DISCREPANCIA.PRECIO, valor_esperado: pactado, valor_real: precio, diferencia: precio - pactado, porcentaje });
+    }
+  }
+
+  return hallazgos;
+};
+
+/**
+ * Ejecuta el cotejo de tres vías de una entrada y deja su factura como 'Conciliada' o 'Con discrepancias'.
+ * Las discrepancias abiertas anteriores se reemplazan; las ya aprobadas se conservan y no se vuelven a levantar.
+ * Debe llamarse dentro de una transacción.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {number} id_entrada
+ * @returns {Promise<{estado_factura: string, discrepancias: Array<Object>}>} Discrepancias que siguen abiertas
+ */
+const conciliarEntrada = async (client, id_entrada) => {
+  const entradaResult = await client.query(
+    'SELECT id_orden_compra, monto_factura, monto_otros_impuestos, monto_retenciones FROM entrada_almacen WHERE id_entrada = $1 FOR UPDATE',
+    [id_entrada]
+  );
+  if (entradaResult.rows.length === 0) throw new Error('La entrada no existe.');
+  const entrada = entradaResult.rows[0];
+
+  const lineas = await obtenerComparativo(client, id_entrada);
+  const hallazgos = lineas.flatMap(linea => evaluarLinea(linea, !!entrada.id_orden_compra));
+
+  if (entrada.monto_factura !== null && entrada.monto_factura !== undefined) {
+    // El IVA es el que se capturó en cada línea; no todas las facturas llevan la tasa general.
+    // El total del CFDI también suma el IEPS y resta las retenciones, que no se capturan por línea.
+    const calculado = lineas.reduce((total, l) =>
+      total + parseFloat(l.cantidad_facturada) * (parseFloat(l.precio_facturado || 0) + parseFloat(l.monto_iva_unitario)), 0)
+      + parseFloat(entrada.monto_otros_impuestos || 0) - parseFloat(entrada.monto_retenciones || 0);
+    const facturado = parseFloat(entrada.monto_factura);
+    if (Math.abs(facturado - calculado) > TOLERANCIAS_CONCILIACION.MONTO_PESOS) {
+      hallazgos.push({ tipo_item: null, id_detalle: null, id_detalle_orden: null, tipo_discrepancia: TIPOS_DISCREPANCIA.MONTO, valor_esperado: calculado, valor_real: facturado, diferencia: facturado - calculado });
+    }
+  }
+
+  await client.query("DELETE FROM discrepancias_factura WHERE id_entrada = $1 AND estatus = 'Abierta'", [id_entrada]);
+
+  const aprobadasResult = await client.query(
+    "SELECT tipo_item, id_detalle, tipo_discrepancia, diferencia FROM discrepancias_factura WHERE id_entrada = $1 AND estatus = 'Aprobada'",
+    [id_entrada]
+  );
+  const yaAprobada = (h) => aprobadasResult.rows.some(a =>
+    a.tipo_item === h.tipo_item &&
+    a.id_detalle === h.id_detalle &&
+    a.tipo_discrepancia === h.tipo_discrepancia &&
+    Math.abs(parseFloat(a.diferencia) - h.diferencia) < 0.0001
+  );
+
+  const discrepancias = [];
+  for (const h of hallazgos) {
+    if (yaAprobada(h)) continue;
+    const result = await client.query(
+      `INSERT INTO discrepancias_factura
+       (id_entrada, tipo_item, id_detalle, id_detalle_orden, tipo_discrepancia, valor_esperado, valor_real, diferencia, porcentaje, estatus)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'Abierta') RETURNING *`,
+      [id_entrada, h.tipo_item, h.id_detalle, h.id_detalle_orden, h.tipo_discrepancia, h.valor_esperado, h.valor_real, h.diferencia, h.porcentaje ?? null]
+    );
+    discrepancias.push(result.rows[0]);
+  }
+
+  const estado_factura = discrepancias.length > 0 ? 'Con discrepancias' : 'Conciliada';
+  await client.query('UPDATE entrada_almacen SET estado_factura = $1 WHERE id_entrada = $2', [estado_factura, id_entrada]);
+
+  return { estado_factura, discrepancias };
+};
+
+module.exports = {
+  conciliarEntrada,
+  obtenerComparativo,
+  TOLERANCIAS_CONCILIACION,
+  TIPOS_DISCREPANCIA,
+  ESTADOS_FACTURA
+};
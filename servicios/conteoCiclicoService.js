@@ -0,0 +1,408 @@
+// Conteo cíclico: clasificación ABC por valor de consumo anual y generación de las listas diarias de conteo.
+// Las refacciones se cuentan por lote o por posición para que las diferencias se ajusten contra lotes concretos.
+const { ORDEN_RECORRIDO_SQL, JOIN_POSICION_LOTE_SQL } = require('./posicionesService');
+
+// Corte acumulado del valor de consumo y cada cuántos días se debe contar cada clase
+const CLASES_ABC = {
+  A: { corte: 0.80, frecuencia_dias: 30 },
+  B: { corte: 0.95, frecuencia_dias: 90 },
+  C: { corte: 1, frecuencia_dias: 365 }
+};
+
+// Diferencia a partir de la cual se pide un reconteo: la mayor entre unidades y porcentaje de lo que dice el sistema
+const TOLERANCIA_CONTEO_PORCENTAJE = parseFloat(process.env.TOLERANCIA_CONTEO_PORCENTAJE) || 2;
+const TOLERANCIA_CONTEO_UNIDADES = parseFloat(process.env.TOLERANCIA_CONTEO_UNIDADES) || 0;
+
+const errorConteo = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'CONTEO_DESACTUALIZADO';
+  return error;
+};
+
+const ESTADOS_CONTEO = {
+  EN_CONTEO: 'EN_CONTEO',
+  RECONTEO: 'RECONTEO',
+  COMPLETADO: 'COMPLETADO',
+  APROBADO: 'APROBADO',
+  APLICADO: 'APLICADO'
+};
+
+// LOTE: un renglón por lote con existencia (se identifica con su etiqueta LOT-).
+// POSICION: un renglón por posición con todo lo que haya en ella; los lotes sin posición se cuentan por lote.
+const MODOS_CONTEO_REFACCION = ['LOTE', 'POSICION'];
+
+// Consumo de los últimos 12 meses valuado al costo de salida (refacciones al costo del lote, insumos al del momento)
+const CONSUMO_ANUAL_SQL = `
+  SELECT 'refaccion' as tipo_item, r.id_refaccion as id_item,
+         COALESCE(SUM((ds.cantidad_despachada - COALESCE(ds.cantidad_devuelta, 0)) * l.costo_unitario_final), 0) as valor_consumo
+  FROM refaccion r
+  LEFT JOIN detalle_salida ds ON ds.id_refaccion = r.id_refaccion
+   AND ds.id_salida IN (SELECT id_salida FROM salida_almacen WHERE fecha_operacion >= CURRENT_DATE - INTERVAL '1 year')
+  LEFT JOIN lote_refaccion l ON ds.id_lote = l.id_lote
+  GROUP BY r.id_refaccion
+  UNION ALL
+  SELECT 'insumo', i.id_insumo,
+         COALESCE(SUM((dsi.cantidad_usada - COALESCE(dsi.cantidad_devuelta, 0)) * dsi.costo_al_momento), 0)
+  FROM insumo i
+  LEFT JOIN detalle_salida_insumo dsi ON dsi.id_insumo = i.id_insumo
+   AND dsi.id_salida IN (SELECT id_salida FROM salida_almacen WHERE fecha_operacion >= CURRENT_DATE - INTERVAL '1 year')
+  GROUP BY i.id_insumo
+`;
+
+/**
+ * Recalcula la clasificación ABC de refacciones e insumos y reemplaza la anterior.
+ * Se ordena por valor de consumo: A hasta el 80% acumulado, B hasta el 95% y C el resto (incluye lo que no se movió).
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @returns {Promise<Object>} Resumen por clase: { A: { articulos, valor_consumo }, ... }
+ */
+const recalcularClasificacionABC = async (client) => {
+  const consumo = await client.query(`${CONSUMO_ANUAL_SQL} ORDER BY valor_consumo DESC, tipo_item, id_item`);
+  const valorTotal = consumo.rows.reduce((total, fila) => total + parseFloat(fila.valor_consumo), 0);
+
+  const resumen = Object.fromEntries(Object.keys(CLASES_ABC).map((clase) => [clase, { articulos: 0, valor_consumo: 0 }]));
+
+  await client.query('DELETE FROM clasificacion_abc');
+
+  let acumulado = 0;
+  for (const fila of consumo.rows) {
+    const valor = parseFloat(fila.valor_consumo);
+    // El artículo entra en la clase donde empieza su tramo, para que el más consumido siempre sea A
+    const porcentajeInicio = valorTotal > 0 ? acumulado / valorTotal : 1;
+    acumulado += valor;
+    const porcentajeAcumulado = valorTotal > 0 ? acumulado / valorTotal : 1;
+    const clase = valor > 0
+      ? Object.keys(CLASES_ABC).find((c) => porcentajeInicio < CLASES_ABC[c].corte)
+      : 'C';
+
+    await client.query(
+      `INSERT INTO clasificacion_abc (id_refaccion, id_insumo, clase, valor_consumo_anual, porcentaje_acumulado, fecha_calculo)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        fila.tipo_item === 'refaccion' ? fila.id_item : null,
+        fila.tipo_item === 'insumo' ? fila.id_item : null,
+        clase,
+        valor.toFixed(2),
+        (porcentajeAcumulado * 100).toFixed(2)
+      ]
+    );
+    resumen[clase].articulos += 1;
+    resumen[clase].valor_consumo += valor;
+  }
+
+  return resumen;
+};
+
+// Artículos del almacén que toca contar: los que nunca se han contado primero, luego los de conteo más antiguo.
+// $1 = id_ubicacion. Solo se consideran los que tienen existencia o posición en el almacén y no están en otro conteo abierto.
+const ARTICULOS_POR_CONTAR_SQL = `
+  WITH articulos AS (
+    SELECT 'refaccion' as tipo_item, r.id_refaccion as id_item, COALESCE(abc.clase, 'C') as clase,
+           (SELECT MAX(cim.fecha_conteo) FROM conteo_inventario_detalle_refaccion cdr
+            JOIN conteo_inventario_maestro cim ON cdr.id_conteo = cim.id_conteo
+            WHERE cdr.id_refaccion = r.id_refaccion AND cim.id_ubicacion = $1 AND cim.estado = 'APLICADO') as ultimo_conteo,
+           EXISTS (SELECT 1 FROM conteo_inventario_detalle_refaccion cdr
+                   JOIN conteo_inventario_maestro cim ON cdr.id_conteo = cim.id_conteo
+                   WHERE cdr.id_refaccion = r.id_refaccion AND cim.id_ubicacion = $1 AND cim.estado NOT IN ('APLICADO', 'CANCELADO')) as en_conteo_abierto
+    FROM refaccion r
+    LEFT JOIN clasificacion_abc abc ON abc.id_refaccion = r.id_refaccion
+    WHERE EXISTS (SELECT 1 FROM lote_refaccion l WHERE l.id_refaccion = r.id_refaccion AND l.id_ubicacion = $1 AND l.cantidad_disponible > 0)
+       OR EXISTS (SELECT 1 FROM posicion_articulo pa WHERE pa.id_refaccion = r.id_refaccion AND pa.id_ubicacion = $1)
+    UNION ALL
+    SELECT 'insumo', i.id_insumo, COALESCE(abc.clase, 'C'),
+           (SELECT MAX(cim.fecha_conteo) FROM conteo_inventario_detalle_insumo cdi
+            JOIN conteo_inventario_maestro cim ON cdi.id_conteo = cim.id_conteo
+            WHERE cdi.id_insumo = i.id_insumo AND cim.id_ubicacion = $1 AND cim.estado = 'APLICADO'),
+           EXISTS (SELECT 1 FROM conteo_inventario_detalle_insumo cdi
+                   JOIN conteo_inventario_maestro cim ON cdi.id_conteo = cim.id_conteo
+                   WHERE cdi.id_insumo = i.id_insumo AND cim.id_ubicacion = $1 AND cim.estado NOT IN ('APLICADO', 'CANCELADO'))
+    FROM insumo i
+    LEFT JOIN clasificacion_abc abc ON abc.id_insumo = i.id_insumo
+    WHERE EXISTS (SELECT 1 FROM existencia_insumo ei WHERE ei.id_insumo = i.id_insumo AND ei.id_ubicacion = $1 AND ei.cantidad > 0)
+       OR EXISTS (SELECT 1 FROM posicion_articulo pa WHERE pa.id_insumo = i.id_insumo AND pa.id_ubicacion = $1)
+  )
+  SELECT * FROM articulos
+  WHERE NOT en_conteo_abierto
+  ORDER BY ultimo_conteo ASC NULLS FIRST, tipo_item, id_item
+`;
+
+/**
+ * Agrega a un conteo los renglones de una refacción según el modo de captura.
+ * Si no tiene existencia en el almacén se agrega un solo renglón, por si aparecen piezas.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.id_conteo
+ * @param {number} datos.id_refaccion
+ * @param {number} datos.id_ubicacion
+ * @param {string} [datos.modo_conteo='LOTE'] - 'LOTE' | 'POSICION'
+ * @returns {Promise<number>} Renglones agregados
+ */
+const agregarRenglonesRefaccion = async (client, { id_conteo, id_refaccion, id_ubicacion, modo_conteo = 'LOTE' }) => {
+  const lotesResult = await client.query(
+    `SELECT l.id_lote, pos.id_posicion
+     FROM lote_refaccion l
+     ${JOIN_POSICION_LOTE_SQL}
+     WHERE l.id_refaccion = $1 AND l.id_ubicacion = $2 AND l.cantidad_disponible > 0
+     ORDER BY l.fecha_ingreso ASC, l.id_lote ASC`,
+    [id_refaccion, id_ubicacion]
+  );
+
+  let renglones;
+  if (modo_conteo === 'POSICION') {
+    const posiciones = [...new Set(lotesResult.rows.filter((lote) => lote.id_posicion).map((lote) => lote.id_posicion))];
+    renglones = [
+      ...posiciones.map((idPosicion) => ({ id_lote: null, id_posicion: idPosicion })),
+      ...lotesResult.rows.filter((lote) => !lote.id_posicion).map((lote) => ({ id_lote: lote.id_lote, id_posicion: null }))
+    ];
+  } else {
+    renglones = lotesResult.rows.map((lote) => ({ id_lote: lote.id_lote, id_posicion: null }));
+  }
+  if (renglones.length === 0) {
+    renglones.push({ id_lote: null, id_posicion: null });
+  }
+
+  for (const renglon of renglones) {
+    await client.query(
+      'INSERT INTO conteo_inventario_detalle_refaccion (id_conteo, id_refaccion, id_lote, id_posicion) VALUES ($1, $2, $3, $4)',
+      [id_conteo, id_refaccion, renglon.id_lote, renglon.id_posicion]
+    );
+  }
+  return renglones.length;
+};
+
+/**
+ * Genera la lista de conteo del día para un almacén. De cada clase se toma la parte proporcional
+ * para completar el ciclo a tiempo (p. ej. 1/30 de los artículos A), escogiendo los ya vencidos.
+ * El conteo es ciego: el sistema guarda su cantidad hasta que se captura lo contado.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.id_ubicacion
+ * @param {number} datos.id_empleado - Quien va a contar
+ * @param {string} [datos.observaciones]
+ * @param {string} [datos.modo_conteo='LOTE'] - Cómo se capturan las refacciones: 'LOTE' | 'POSICION'
+ * @returns {Promise<{id_conteo: number|null, articulos: number, por_clase: Object}>} id_conteo null si no hay nada que contar hoy
+ */
+const generarListaConteo = async (client, { id_ubicacion, id_empleado, observaciones = null, modo_conteo = 'LOTE' }) => {
+  const articulosResult = await client.query(ARTICULOS_POR_CONTAR_SQL, [id_ubicacion]);
+
+  const hoy = new Date();
+  const seleccion = [];
+  const porClase = {};
+  for (const [clase, { frecuencia_dias: frecuencia }] of Object.entries(CLASES_ABC)) {
+    const deLaClase = articulosResult.rows.filter((articulo) => articulo.clase === clase);
+    const vencidos = deLaClase.filter((articulo) =>
+      !articulo.ultimo_conteo || (hoy - new Date(articulo.ultimo_conteo)) / 86400000 >= frecuencia
+    );
+    const cuota = Math.ceil(deLaClase.length / frecuencia);
+    const elegidos = vencidos.slice(0, cuota);
+    seleccion.push(...elegidos);
+    porClase[clase] = elegidos.length;
+  }
+
+  if (seleccion.length === 0) {
+    return { id_conteo: null, articulos: 0, por_clase: porClase };
+  }
+
+  const maestroResult = await client.query(
+    `INSERT INTO conteo_inventario_maestro (id_empleado, fecha_conteo, observaciones, estado, id_ubicacion, tipo_conteo, ciego, modo_conteo)
+     VALUES ($1, NOW(), $2, $3, $4, 'CICLICO', TRUE, $5) RETURNING id_conteo`,
+    [id_empleado, observaciones || 'Conteo cíclico generado automáticamente', ESTADOS_CONTEO.EN_CONTEO, id_ubicacion, modo_conteo]
+  );
+  const idConteo = maestroResult.rows[0].id_conteo;
+
+  for (const articulo of seleccion) {
+    if (articulo.tipo_item === 'refaccion') {
+      await agregarRenglonesRefaccion(client, { id_conteo: idConteo, id_refaccion: articulo.id_item, id_ubicacion, modo_conteo });
+    } else {
+      await client.query('INSERT INTO conteo_inventario_detalle_insumo (id_conteo, id_insumo) VALUES ($1, $2)', [idConteo, articulo.id_item]);
+    }
+  }
+
+  return { id_conteo: idConteo, articulos: seleccion.length, por_clase: porClase };
+};
+
+/**
+ * Indica si la diferencia entre lo contado y el sistema amerita un reconteo.
+ * * @param {number} cantidadSistema
+ * @param {number} cantidadContada
+ * @returns {boolean}
+ */
+const excedeTolerancia = (cantidadSistema, cantidadContada) => {
+  const diferencia = Math.abs(parseFloat(cantidadContada) - parseFloat(cantidadSistema));
+  const tolerancia = Math.max(TOLERANCIA_CONTEO_UNIDADES, Math.abs(parseFloat(cantidadSistema)) * TOLERANCIA_CONTEO_PORCENTAJE / 100);
+  return diferencia > tolerancia;
+};
+
+// Renglones de un conteo en orden de recorrido, para el contador. $1 = id_conteo, $2 = id_ubicacion.
+// La posición de un renglón de refacción es la suya (conteo por posición), la de su lote o la de la refacción.
+const RENGLONES_CONTEO_SQL = `
+  SELECT * FROM (
+    SELECT 'refaccion' as tipo_item, cdr.id_detalle_refaccion as id_detalle, r.id_refaccion as id_item, r.nombre as nombre_item,
+           r.numero_parte, NULL as unidad_medida, cdr.id_lote, l.fecha_ingreso as fecha_ingreso_lote,
+           cdr.cantidad_sistema, cdr.cantidad_contada, cdr.cantidad_primer_conteo, cdr.requiere_reconteo,
+           pos.id_posicion, pos.codigo as codigo_posicion, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+    FROM conteo_inventario_detalle_refaccion cdr
+    JOIN refaccion r ON cdr.id_refaccion = r.id_refaccion
+    LEFT JOIN lote_refaccion l ON cdr.id_lote = l.id_lote
+    LEFT JOIN posicion_almacen pos ON pos.id_posicion = COALESCE(
+      cdr.id_posicion,
+      l.id_posicion,
+      (SELECT pa.id_posicion FROM posicion_articulo pa WHERE pa.id_refaccion = cdr.id_refaccion AND pa.id_ubicacion = $2)
+    )
+    WHERE cdr.id_conteo = $1
+    UNION ALL
+    SELECT 'insumo', cdi.id_detalle_insumo, i.id_insumo, i.nombre, NULL, i.unidad_medida, NULL, NULL,
+           cdi.cantidad_sistema, cdi.cantidad_contada, cdi.cantidad_primer_conteo, cdi.requiere_reconteo,
+           pos.id_posicion, pos.codigo, pos.pasillo, pos.anaquel, pos.nivel, pos.orden_recorrido
+    FROM conteo_inventario_detalle_insumo cdi
+    JOIN insumo i ON cdi.id_insumo = i.id_insumo
+    LEFT JOIN posicion_articulo pa ON pa.id_insumo = cdi.id_insumo AND pa.id_ubicacion = $2
+    LEFT JOIN posicion_almacen pos ON pa.id_posicion = pos.id_posicion
+    WHERE cdi.id_conteo = $1
+  ) pos
+  ORDER BY (pos.codigo_posicion IS NULL), ${ORDEN_RECORRIDO_SQL}, pos.nombre_item, pos.fecha_ingreso_lote NULLS LAST
+`;
+
+/**
+ * Lotes del almacén que cubre un renglón de refacción de un conteo, en orden PEPS y bloqueados.
+ * Un renglón por lote cubre ese lote; uno por posición, los lotes de la posición que no tienen renglón propio;
+ * uno sin lote ni posición, lo que quede de la refacción fuera de los demás renglones (piezas encontradas).
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} renglon
+ * @param {number} renglon.id_conteo
+ * @param {number} renglon.id_refaccion
+ * @param {number} renglon.id_ubicacion
+ * @param {number|null} [renglon.id_lote]
+ * @param {number|null} [renglon.id_posicion]
+ * @returns {Promise<Array<{id_lote: number, cantidad_disponible: string, costo_unitario_final: string}>>}
+ */
+const lotesDelRenglon = async (client, { id_conteo, id_refaccion, id_ubicacion, id_lote = null, id_posicion = null }) => {
+  const consulta = (filtro, params) => client.query(
+    `SELECT l.id_lote, l.cantidad_disponible, l.costo_unitario_final
+     FROM lote_refaccion l
+     ${JOIN_POSICION_LOTE_SQL}
+     WHERE l.id_refaccion = $1 AND l.id_ubicacion = $2 AND ${filtro}
+     ORDER BY l.fecha_ingreso ASC, l.id_lote ASC
+     FOR UPDATE OF l`,
+    params
+  );
+  if (id_lote) {
+    return (await consulta('l.id_lote = $3', [id_refaccion, id_ubicacion, id_lote])).rows;
+  }
+
+  const lotesConRenglon = `SELECT cdr.id_lote FROM conteo_inventario_detalle_refaccion cdr
+                           WHERE cdr.id_conteo = $3 AND cdr.id_refaccion = $1 AND cdr.id_lote IS NOT NULL`;
+  if (id_posicion) {
+    return (await consulta(
+      `l.cantidad_disponible > 0 AND pos.id_posicion = $4 AND l.id_lote NOT IN (${lotesConRenglon})`,
+      [id_refaccion, id_ubicacion, id_conteo, id_posicion]
+    )).rows;
+  }
+  return (await consulta(
+    `l.cantidad_disponible > 0 AND l.id_lote NOT IN (${lotesConRenglon})
+     AND (pos.id_posicion IS NULL OR pos.id_posicion NOT IN (
+       SELECT cdr.id_posicion FROM conteo_inventario_detalle_refaccion cdr
+       WHERE cdr.id_conteo = $3 AND cdr.id_refaccion = $1 AND cdr.id_posicion IS NOT NULL))`,
+    [id_refaccion, id_ubicacion, id_conteo]
+  )).rows;
+};
+
+const sumarLotes = (lotes) => lotes.reduce((total, lote) => total + parseFloat(lote.cantidad_disponible), 0);
+
+/**
+ * Existencia en sistema de un renglón de conteo al momento de capturarlo.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} renglon
+ * @param {string} renglon.tipo_item - 'refaccion' | 'insumo'
+ * @param {number} renglon.id_item
+ * @param {number} renglon.id_ubicacion
+ * @param {number} [renglon.id_conteo] - Requeridos en refacciones para saber qué lotes cubre el renglón
+ * @param {number|null} [renglon.id_lote]
+ * @param {number|null} [renglon.id_posicion]
+ * @returns {Promise<number>}
+ */
+const obtenerCantidadSistema = async (client, { tipo_item, id_item, id_ubicacion, id_conteo, id_lote = null, id_posicion = null }) => {
+  if (tipo_item === 'refaccion') {
+    return sumarLotes(await lotesDelRenglon(client, { id_conteo, id_refaccion: id_item, id_ubicacion, id_lote, id_posicion }));
+  }
+  const result = await client.query(
+    'SELECT COALESCE(SUM(cantidad), 0) as cantidad FROM existencia_insumo WHERE id_insumo = $1 AND id_ubicacion = $2',
+    [id_item, id_ubicacion]
+  );
+  return parseFloat(result.rows[0].cantidad);
+};
+
+/**
+ * Renglones de ajuste para la diferencia de un renglón de refacción, cada uno contra un lote y a su costo.
+ * La diferencia es la de la captura (cantidad_sistema congelada), que es la que revisó quien aprobó; los movimientos
+ * posteriores ya quedaron en sus propios documentos. Solo los renglones sin captura se comparan contra los lotes actuales.
+ * Los faltantes se descuentan por PEPS de los lotes del renglón; los sobrantes se suman al lote contado
+ * (o al más reciente de la posición) y, si el renglón no tiene lotes, entran en un lote nuevo al último costo conocido.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} renglon - { id_conteo, id_ubicacion, id_refaccion, id_lote, id_posicion, cantidad_sistema, cantidad_contada }
+ * @returns {Promise<{cantidad_sistema: number, diferencia: number, sobrantes: Array<Object>, faltantes: Array<Object>}>}
+ * @throws {Error} con code 'CONTEO_DESACTUALIZADO' si los lotes ya no tienen las piezas faltantes
+ */
+const calcularAjusteRenglonRefaccion = async (client, renglon) => {
+  const { id_conteo, id_ubicacion, id_refaccion, id_lote, id_posicion, cantidad_contada } = renglon;
+  const lotes = await lotesDelRenglon(client, { id_conteo, id_refaccion, id_ubicacion, id_lote, id_posicion });
+  const cantidadSistema = renglon.cantidad_sistema !== null && renglon.cantidad_sistema !== undefined
+    ? parseFloat(renglon.cantidad_sistema)
+    : sumarLotes(lotes);
+  const diferencia = parseFloat(cantidad_contada) - cantidadSistema;
+  const sobrantes = [];
+  const faltantes = [];
+
+  if (diferencia < 0) {
+    let porDescontar = -diferencia;
+    for (const lote of lotes) {
+      const cantidad = Math.min(porDescontar, parseFloat(lote.cantidad_disponible));
+      if (cantidad <= 0) continue;
+      faltantes.push({ id_refaccion, id_lote: lote.id_lote, cantidad: -cantidad, costo_ajuste: parseFloat(lote.costo_unitario_final) });
+      porDescontar -= cantidad;
+      if (porDescontar <= 0) break;
+    }
+    if (porDescontar > 0) {
+      throw errorConteo(`Los lotes de la refacción ${id_refaccion} ya no tienen las ${porDescontar} piezas faltantes del conteo; hubo salidas después de la captura.`);
+    }
+  } else if (diferencia > 0) {
+    const loteDestino = lotes[lotes.length - 1];
+    if (loteDestino) {
+      sobrantes.push({
+        id_refaccion,
+        id_lote: loteDestino.id_lote,
+        sumar_a_lote: true,
+        cantidad: diferencia,
+        costo_ajuste: parseFloat(loteDestino.costo_unitario_final)
+      });
+    } else {
+      const costoResult = await client.query(
+        `SELECT costo_unitario_final FROM lote_refaccion WHERE id_refaccion = $1
+         ORDER BY (id_ubicacion = $2) DESC, fecha_ingreso DESC, id_lote DESC LIMIT 1`,
+        [id_refaccion, id_ubicacion]
+      );
+      sobrantes.push({
+        id_refaccion,
+        id_posicion,
+        cantidad: diferencia,
+        costo_ajuste: parseFloat(costoResult.rows[0]?.costo_unitario_final || 0)
+      });
+    }
+  }
+
+  return { cantidad_sistema: cantidadSistema, diferencia, sobrantes, faltantes };
+};
+
+module.exports = {
+  recalcularClasificacionABC,
+  generarListaConteo,
+  agregarRenglonesRefaccion,
+  excedeTolerancia,
+  obtenerCantidadSistema,
+  calcularAjusteRenglonRefaccion,
+  CLASES_ABC,
+  ESTADOS_CONTEO,
+  MODOS_CONTEO_REFACCION,
+  RENGLONES_CONTEO_SQL,
+  TOLERANCIA_CONTEO_PORCENTAJE,
+  TOLERANCIA_CONTEO_UNIDADES
+};
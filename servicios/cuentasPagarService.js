@@ -0,0 +1,261 @@
+// Cuentas por pagar a proveedores. Los cargos no se capturan aparte: salen de las entradas de almacén,
+// los servicios externos y las reparaciones de piezas recuperadas; los abonos son los pagos registrados.
+
+const METODOS_PAGO = ['Transferencia', 'Cheque', 'Efectivo', 'Tarjeta', 'Compensación'];
+
+const TIPOS_DOCUMENTO = {
+  ENTRADA: 'Entrada',
+  SERVICIO_EXTERNO: 'Servicio externo',
+  REPARACION: 'Reparación'
+};
+
+const errorPago = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'PAGO_INVALIDO';
+  return error;
+};
+
+// Rangos de antigüedad por días vencidos (el último sin tope)
+const RANGOS_ANTIGUEDAD = [
+  { clave: 'dias_0_30', desde: 0, hasta: 30 },
+  { clave: 'dias_31_60', desde: 31, hasta: 60 },
+  { clave: 'dias_61_90', desde: 61, hasta: 90 },
+  { clave: 'dias_90_mas', desde: 91, hasta: null }
+];
+
+// Documentos por pagar con lo ya aplicado y su vencimiento según los días de crédito del proveedor.
+// $1 = id_proveedor (o null para todos)
+const DOCUMENTOS_SQL = `
+  WITH Documentos AS (
+    SELECT '${TIPOS_DOCUMENTO.ENTRADA}'::varchar as tipo_documento, ea.id_entrada as id_documento, ea.id_proveedor,
+           COALESCE(ea.fecha_factura::date, ea.fecha_operacion::date) as fecha_documento,
+           ea.factura_proveedor::varchar as referencia, ea.razon_social::varchar as razon_social, ea.estado_factura::varchar as estado_factura,
+           COALESCE(ea.monto_factura, lineas.valor, 0) as monto
+    FROM entrada_almacen ea
+    LEFT JOIN (
+      SELECT id_entrada, SUM(total_linea) as valor FROM (
+        SELECT de.id_entrada, de.cantidad_recibida * l.costo_unitario_final as total_linea
+        FROM detalle_entrada de JOIN lote_refaccion l ON de.id_detalle_entrada = l.id_detalle_entrada
+        UNION ALL
+        SELECT dei.id_entrada, dei.cantidad_recibida * dei.costo_unitario_final as total_linea
+        FROM detalle_entrada_insumo dei
+      ) t GROUP BY id_entrada
+    ) lineas ON ea.id_entrada = lineas.id_entrada
+    WHERE ea.id_proveedor IS NOT NULL AND COALESCE(ea.estado, '') <> 'CANCELADO'
+    UNION ALL
+    SELECT '${TIPOS_DOCUMENTO.SERVICIO_EXTERNO}'::varchar, se.id_servicio, se.id_proveedor, se.fecha_servicio::date,
+           se.factura_nota::varchar, a.razon_social::varchar, NULL::varchar, se.costo_total
+    FROM servicio_externo se
+    LEFT JOIN autobus a ON se.id_autobus = a.id_autobus
+    WHERE se.id_proveedor IS NOT NULL AND se.estatus = 'Activo' AND se.costo_total > 0
+    UNION ALL
+    SELECT '${TIPOS_DOCUMENTO.REPARACION}'::varchar, pr.id_pieza_recuperada, pr.id_proveedor_reparacion, pr.fecha_retorno::date,
+           pr.factura_reparacion::varchar, NULL::varchar, NULL::varchar, pr.costo_reparacion
+    FROM pieza_recuperada pr
+    WHERE pr.id_proveedor_reparacion IS NOT NULL AND pr.estado IN ('Disponible', 'Instalada') AND pr.costo_reparacion > 0
+  ),
+  Aplicado AS (
+    SELECT ap.tipo_documento, ap.id_documento, SUM(ap.monto) as pagado
+    FROM aplicaciones_pago_proveedor ap
+    JOIN pagos_proveedor pp ON ap.id_pago = pp.id_pago
+    WHERE pp.estado = 'Aplicado'
+    GROUP BY ap.tipo_documento, ap.id_documento
+  )
+  SELECT d.*, p.nombre_proveedor,
+         d.fecha_documento + COALESCE(p.dias_credito, 0) as fecha_vencimiento,
+         CURRENT_DATE - (d.fecha_documento + COALESCE(p.dias_credito, 0)) as dias_vencido,
+         COALESCE(a.pagado, 0) as pagado,
+         d.monto - COALESCE(a.pagado, 0) as saldo
+  FROM Documentos d
+  JOIN proveedor p ON d.id_proveedor = p.id_proveedor
+  LEFT JOIN Aplicado a ON a.tipo_documento = d.tipo_documento AND a.id_documento = d.id_documento
+  WHERE ($1::int IS NULL OR d.id_proveedor = $1)
+`;
+
+/**
+ * Documentos por pagar de un proveedor (o de todos), del más antiguo al más reciente.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {number|null} id_proveedor
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.soloPendientes=false] - Solo documentos con saldo
+ * @returns {Promise<Array<Object>>}
+ */
+const obtenerDocumentos = async (db, id_proveedor, { soloPendientes = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM (${DOCUMENTOS_SQL}) docs
+     ${soloPendientes ? 'WHERE saldo > 0.005' : ''}
+     ORDER BY fecha_vencimiento ASC, fecha_documento ASC, id_documento ASC`,
+    [id_proveedor || null]
+  );
+  return result.rows;
+};
+
+/**
+ * Reparte los saldos de los documentos en los rangos de antigüedad. Lo que aún no vence va en por_vencer.
+ * * @param {Array<Object>} documentos - Documentos con saldo y dias_vencido
+ * @returns {Object} { por_vencer, dias_0_30, dias_31_60, dias_61_90, dias_90_mas, total }
+ */
+const calcularAntiguedad = (documentos) => {
+  const antiguedad = { por_vencer: 0, total: 0 };
+  RANGOS_ANTIGUEDAD.forEach(r => { antiguedad[r.clave] = 0; });
+
+  for (const doc of documentos) {
+    const saldo = parseFloat(doc.saldo);
+    if (saldo <= 0) continue;
+    const dias = parseInt(doc.dias_vencido, 10);
+    const rango = dias < 0 ? null : RANGOS_ANTIGUEDAD.find(r => dias >= r.desde && (r.hasta === null || dias <= r.hasta));
+    antiguedad[rango ? rango.clave : 'por_vencer'] += saldo;
+    antiguedad.total += saldo;
+  }
+  return antiguedad;
+};
+
+// Solo se pagan las entradas liberadas con PUT /:id/por-pagar; los servicios, las reparaciones y las entradas
+// anteriores a la conciliación no llevan estado de factura
+const documentoPagable = (doc) => doc.estado_factura === null || doc.estado_factura === 'Por pagar';
+
+// Decide qué documentos cubre un monto. Con aplicaciones explícitas se validan contra los saldos;
+// sin ellas se cubren los documentos pagables más antiguos primero (los demás se saltan).
+const planearAplicaciones = (pendientes, montoDisponible, aplicaciones) => {
+  const clave = (tipo, id) => `${tipo}|${id}`;
+  const porClave = new Map(pendientes.map(d => [clave(d.tipo_documento, d.id_documento), d]));
+
+  let aplicar = [];
+  if (Array.isArray(aplicaciones) && aplicaciones.length > 0) {
+    for (const ap of aplicaciones) {
+      const doc = porClave.get(clave(ap.tipo_documento, parseInt(ap.id_documento, 10)));
+      const montoAplicado = parseFloat(ap.monto);
+      if (!doc) {
+        throw errorPago(`El documento ${ap.tipo_documento} #${ap.id_documento} no es de este proveedor o ya no tiene saldo.`);
+      }
+      if (!(montoAplicado > 0) || montoAplicado > parseFloat(doc.saldo) + 0.005) {
+        throw errorPago(`El monto aplicado a ${ap.tipo_documento} #${ap.id_documento} debe ser mayor a cero y no exceder su saldo (${parseFloat(doc.saldo).toFixed(2)}).`);
+      }
+      aplicar.push({ doc, monto: montoAplicado });
+    }
+  } else {
+    let restante = montoDisponible;
+    for (const doc of pendientes) {
+      if (restante <= 0.005) break;
+      if (!documentoPagable(doc)) continue;
+      const montoAplicado = Math.min(restante, parseFloat(doc.saldo));
+      aplicar.push({ doc, monto: montoAplicado });
+      restante -= montoAplicado;
+    }
+  }
+
+  const totalAplicado = aplicar.reduce((s, a) => s + a.monto, 0);
+  if (totalAplicado > montoDisponible + 0.005) {
+    throw errorPago(`Las aplicaciones (${totalAplicado.toFixed(2)}) exceden el monto disponible del pago (${montoDisponible.toFixed(2)}).`);
+  }
+  const noPagable = aplicar.find(a => !documentoPagable(a.doc));
+  if (noPagable) {
+    throw errorPago(`La entrada #${noPagable.doc.id_documento} está en estado '${noPagable.doc.estado_factura}'; solo se pagan entradas liberadas 'Por pagar'.`);
+  }
+
+  return { aplicar, totalAplicado };
+};
+
+const guardarAplicaciones = async (client, id_pago, aplicar) => {
+  const aplicacionesGuardadas = [];
+  for (const a of aplicar) {
+    const result = await client.query(
+      `INSERT INTO aplicaciones_pago_proveedor (id_pago, tipo_documento, id_documento, monto)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [id_pago, a.doc.tipo_documento, a.doc.id_documento, a.monto]
+    );
+    aplicacionesGuardadas.push({ ...result.rows[0], referencia: a.doc.referencia, saldo_restante: parseFloat(a.doc.saldo) - a.monto });
+  }
+  return aplicacionesGuardadas;
+};
+
+// Bloquea al proveedor para que dos pagos simultáneos no apliquen sobre el mismo saldo
+const bloquearProveedor = async (client, id_proveedor) => {
+  const proveedorResult = await client.query('SELECT id_proveedor FROM proveedor WHERE id_proveedor = $1 FOR UPDATE', [id_proveedor]);
+  if (proveedorResult.rows.length === 0) throw errorPago('Proveedor no encontrado.');
+};
+
+/**
+ * Registra un pago a proveedor y lo aplica a sus documentos. Sin aplicaciones explícitas se aplica
+ * a los documentos más antiguos primero; lo que sobre queda como saldo a favor del proveedor.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} pago
+ * @param {number} pago.id_proveedor
+ * @param {number} pago.monto
+ * @param {string} pago.metodo_pago - Uno de METODOS_PAGO
+ * @param {string} [pago.referencia]
+ * @param {string} [pago.fecha_pago] - Por defecto, hoy
+ * @param {string} [pago.observaciones]
+ * @param {number} pago.registrado_por
+ * @param {Array<{tipo_documento: string, id_documento: number, monto: number}>} [pago.aplicaciones]
+ * @returns {Promise<Object>} El pago con sus aplicaciones y el monto sin aplicar
+ * @throws {Error} con code 'PAGO_INVALIDO'
+ */
+const registrarPago = async (client, { id_proveedor, monto, metodo_pago, referencia = null, fecha_pago = null, observaciones = null, registrado_por, aplicaciones = null }) => {
+  const montoPago = parseFloat(monto);
+
+  await bloquearProveedor(client, id_proveedor);
+  const pendientes = await obtenerDocumentos(client, id_proveedor, { soloPendientes: true });
+  const { aplicar, totalAplicado } = planearAplicaciones(pendientes, montoPago, aplicaciones);
+
+  const pagoResult = await client.query(
+    `INSERT INTO pagos_proveedor (id_proveedor, fecha_pago, monto, metodo_pago, referencia, observaciones, registrado_por, estado)
+     VALUES ($1, COALESCE($2::date, CURRENT_DATE), $3, $4, $5, $6, $7, 'Aplicado') RETURNING *`,
+    [id_proveedor, fecha_pago, montoPago, metodo_pago, referencia, observaciones, registrado_por]
+  );
+  const pago = pagoResult.rows[0];
+  const aplicacionesGuardadas = await guardarAplicaciones(client, pago.id_pago, aplicar);
+
+  return { ...pago, aplicaciones: aplicacionesGuardadas, sin_aplicar: montoPago - totalAplicado };
+};
+
+/**
+ * Aplica a documentos el saldo que un pago vigente dejó sin aplicar (saldo a favor del proveedor),
+ * con las mismas reglas que al registrarlo.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.id_pago
+ * @param {Array<{tipo_documento: string, id_documento: number, monto: number}>} [datos.aplicaciones]
+ * @returns {Promise<Object|null>} El pago con las aplicaciones nuevas y lo que sigue sin aplicar; null si no hay un pago vigente con ese id
+ * @throws {Error} con code 'PAGO_INVALIDO'
+ */
+const aplicarSaldoPago = async (client, { id_pago, aplicaciones = null }) => {
+  const pagoVigente = await client.query(
+    "SELECT id_proveedor FROM pagos_proveedor WHERE id_pago = $1 AND estado = 'Aplicado'",
+    [id_pago]
+  );
+  if (pagoVigente.rows.length === 0) return null;
+
+  await bloquearProveedor(client, pagoVigente.rows[0].id_proveedor);
+  const pagoResult = await client.query(
+    `SELECT pp.*, pp.monto - COALESCE((SELECT SUM(ap.monto) FROM aplicaciones_pago_proveedor ap WHERE ap.id_pago = pp.id_pago), 0) as sin_aplicar
+     FROM pagos_proveedor pp WHERE pp.id_pago = $1 AND pp.estado = 'Aplicado' FOR UPDATE`,
+    [id_pago]
+  );
+  if (pagoResult.rows.length === 0) return null;
+  const { sin_aplicar: sinAplicar, ...pago } = pagoResult.rows[0];
+  const disponible = parseFloat(sinAplicar);
+  if (disponible <= 0.005) {
+    throw errorPago('El pago ya está aplicado por completo.');
+  }
+
+  const pendientes = await obtenerDocumentos(client, pago.id_proveedor, { soloPendientes: true });
+  const { aplicar, totalAplicado } = planearAplicaciones(pendientes, disponible, aplicaciones);
+  if (aplicar.length === 0) {
+    throw errorPago('El proveedor no tiene documentos pendientes a los cuales aplicar el saldo.');
+  }
+  const aplicacionesGuardadas = await guardarAplicaciones(client, pago.id_pago, aplicar);
+
+  return { ...pago, aplicaciones: aplicacionesGuardadas, sin_aplicar: disponible - totalAplicado };
+};
+
+module.exports = {
+  obtenerDocumentos,
+  calcularAntiguedad,
+  registrarPago,
+  aplicarSaldoPago,
+  DOCUMENTOS_SQL,
+  METODOS_PAGO,
+  TIPOS_DOCUMENTO,
+  RANGOS_ANTIGUEDAD
+};
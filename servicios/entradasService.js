@@ -0,0 +1,90 @@
+const { moverExistenciaInsumo, obtenerUbicacionEntrada } = require('./existenciasService');
+
+// Tasa de IVA general; las facturas con otra tasa (frontera, exentos) la traen por línea
+const TASA_IVA = 0.16;
+// Tasas de IVA que se aceptan al capturar una línea: exenta/tasa cero, frontera y general
+const TASAS_IVA = [0, 0.08, 0.16];
+
+/**
+ * Registra una línea de refacción en una entrada y crea su lote, en el almacén de la entrada, con el desglose de costo.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} linea
+ * @param {number} linea.id_entrada
+ * @param {number} linea.id_refaccion
+ * @param {number} linea.cantidad
+ * @param {number} linea.costo_unitario_subtotal - Costo unitario sin impuestos
+ * @param {number} linea.monto_iva_unitario - IVA trasladado por unidad
+ * @param {number} [linea.id_detalle_orden] - Línea de la orden de compra que se recibe
+ * @param {string} [linea.fecha_caducidad] - Caducidad del lote (YYYY-MM-DD); la usa la estrategia FEFO
+ * @returns {Promise<number>} id_detalle_entrada creado
+ */
+const guardarDetalleRefaccion = async (client, { id_entrada, id_refaccion, cantidad, costo_unitario_subtotal, monto_iva_unitario, id_detalle_orden = null, fecha_caducidad = null }) => {
+  const costoUnitarioFinal = costo_unitario_subtotal + monto_iva_unitario;
+
+  const detalleResult = await client.query(
+    // Se usa el costo final calculado para el detalle de entrada
+    `INSERT INTO detalle_entrada (id_entrada, id_refaccion, cantidad_recibida, costo_unitario_entrada, id_detalle_orden)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id_detalle_entrada`,
+    [id_entrada, id_refaccion, cantidad, costoUnitarioFinal, id_detalle_orden]
+  );
+  const nuevoDetalleId = detalleResult.rows[0].id_detalle_entrada;
+
+  // Se guarda el desglose completo en la tabla de lotes
+  const idUbicacion = await obtenerUbicacionEntrada(client, id_entrada);
+  await client.query(
+    `INSERT INTO lote_refaccion (id_refaccion, id_detalle_entrada, cantidad_disponible, costo_unitario_subtotal, monto_iva_unitario, costo_unitario_final, id_ubicacion, fecha_caducidad)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [id_refaccion, nuevoDetalleId, cantidad, costo_unitario_subtotal, monto_iva_unitario, costoUnitarioFinal, idUbicacion, fecha_caducidad]
+  );
+
+  return nuevoDetalleId;
+};
+
+/**
+ * Registra una línea de insumo en una entrada, sumando stock (total y del almacén de la entrada)
+ * y recalculando el costo promedio ponderado.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} linea - Mismos campos que guardarDetalleRefaccion, con id_insumo
+ * @returns {Promise<number>} id_detalle_insumo creado
+ */
+const guardarDetalleInsumo = async (client, { id_entrada, id_insumo, cantidad, costo_unitario_subtotal, monto_iva_unitario, id_detalle_orden = null }) => {
+  const cantidadNueva = parseFloat(cantidad);
+  const costoUnitarioFinal = costo_unitario_subtotal + monto_iva_unitario;
+  const costoTotalCompraFinal = costoUnitarioFinal * cantidadNueva;
+
+  const insumoActualResult = await client.query(
+    'SELECT stock_actual, costo_unitario_promedio FROM insumo WHERE id_insumo = $1 FOR UPDATE',
+    [id_insumo]
+  );
+
+  if (insumoActualResult.rows.length === 0) {
+    throw new Error(`El insumo con ID ${id_insumo} no fue encontrado.`);
+  }
+
+  const stockViejo = parseFloat(insumoActualResult.rows[0].stock_actual);
+  const costoViejo = parseFloat(insumoActualResult.rows[0].costo_unitario_promedio);
+
+  const valorTotalViejo = stockViejo * costoViejo;
+  const nuevoStockTotal = stockViejo + cantidadNueva;
+  const nuevoCostoPromedio = nuevoStockTotal > 0 ? (valorTotalViejo + costoTotalCompraFinal) / nuevoStockTotal : 0;
+
+  await client.query(
+    `UPDATE insumo SET stock_actual = $1, costo_unitario_promedio = $2 WHERE id_insumo = $3`,
+    [nuevoStockTotal, nuevoCostoPromedio.toFixed(4), id_insumo]
+  );
+  await moverExistenciaInsumo(client, {
+    id_insumo,
+    id_ubicacion: await obtenerUbicacionEntrada(client, id_entrada),
+    cantidad: cantidadNueva
+  });
+
+  const detalleResult = await client.query(
+    `INSERT INTO detalle_entrada_insumo (id_entrada, id_insumo, cantidad_recibida, costo_unitario_subtotal, monto_iva_unitario, costo_unitario_final, id_detalle_orden)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id_detalle_insumo`,
+    [id_entrada, id_insumo, cantidadNueva, costo_unitario_subtotal.toFixed(2), monto_iva_unitario.toFixed(2), costoUnitarioFinal.toFixed(2), id_detalle_orden]
+  );
+
+  return detalleResult.rows[0].id_detalle_insumo;
+};
+
+module.exports = { guardarDetalleRefaccion, guardarDetalleInsumo, TASA_IVA, TASAS_IVA };
@@ -0,0 +1,73 @@
+// Códigos estables para etiquetar refacciones, insumos y lotes, y su impresión en ZPL (impresoras Zebra).
+// El código se deriva del id (p. ej. LOT-000123), así que no cambia y no hay que guardarlo aparte.
+const PREFIJOS_CODIGO = {
+  refaccion: 'REF',
+  insumo: 'INS',
+  lote: 'LOT'
+};
+
+const SIMBOLOGIAS = ['code128', 'qr'];
+
+// Tamaño de la etiqueta en puntos (203 dpi): 4" x 2" por defecto
+const ETIQUETA_ANCHO = parseInt(process.env.ETIQUETA_ANCHO_DOTS, 10) || 812;
+const ETIQUETA_ALTO = parseInt(process.env.ETIQUETA_ALTO_DOTS, 10) || 406;
+
+/**
+ * Código de un artículo o lote.
+ * * @param {string} tipo - 'refaccion' | 'insumo' | 'lote'
+ * @param {number} id
+ * @returns {string}
+ */
+const generarCodigo = (tipo, id) => `${PREFIJOS_CODIGO[tipo]}-${String(id).padStart(6, '0')}`;
+
+/**
+ * Interpreta un código escaneado.
+ * * @param {string} codigo
+ * @returns {{tipo: string, id: number}|null} null si no tiene el formato de los códigos del sistema
+ */
+const interpretarCodigo = (codigo) => {
+  const coincidencia = /^([A-Z]{3})-?(\d+)$/.exec(String(codigo).trim().toUpperCase());
+  if (!coincidencia) return null;
+  const tipo = Object.keys(PREFIJOS_CODIGO).find((clave) => PREFIJOS_CODIGO[clave] === coincidencia[1]);
+  return tipo ? { tipo, id: parseInt(coincidencia[2], 10) } : null;
+};
+
+// ZPL no admite ^ ni ~ dentro de los campos; se quitan junto con los acentos para el tipo de letra de la impresora
+const limpiarTextoZpl = (texto, largo) =>
+  String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\^~]/g, ' ').slice(0, largo);
+
+/**
+ * Arma las etiquetas en ZPL; cada una se imprime tantas veces como indique su campo copias.
+ * * @param {Array<Object>} etiquetas - { codigo, titulo, subtitulo, detalle, copias }
+ * @param {string} [simbologia='code128'] - 'code128' | 'qr'
+ * @returns {string} Documento ZPL listo para enviar a la impresora
+ */
+const generarZpl = (etiquetas, simbologia = 'code128') => {
+  const bloques = etiquetas.map((etiqueta) => {
+    const codigo = limpiarTextoZpl(etiqueta.codigo, 40);
+    const barras = simbologia === 'qr'
+      ? `^FO${ETIQUETA_ANCHO - 240},30^BQN,2,6^FDQA,${codigo}^FS`
+      : `^FO30,200^BY2^BCN,100,Y,N,N^FD${codigo}^FS`;
+
+    return [
+      '^XA',
+      `^PW${ETIQUETA_ANCHO}`,
+      `^LL${ETIQUETA_ALTO}`,
+      `^FO30,30^A0N,40,40^FD${limpiarTextoZpl(etiqueta.titulo, 32)}^FS`,
+      `^FO30,85^A0N,30,30^FD${limpiarTextoZpl(etiqueta.subtitulo, 40)}^FS`,
+      `^FO30,130^A0N,26,26^FD${limpiarTextoZpl(etiqueta.detalle, 46)}^FS`,
+      barras,
+      `^PQ${Math.max(parseInt(etiqueta.copias, 10) || 1, 1)}`,
+      '^XZ'
+    ].join('\n');
+  });
+  return bloques.join('\n');
+};
+
+module.exports = {
+  generarCodigo,
+  interpretarCodigo,
+  generarZpl,
+  PREFIJOS_CODIGO,
+  SIMBOLOGIAS
+};
@@ -0,0 +1,122 @@
+// Existencias por almacén (tabla ubicaciones). Los lotes de refacciones traen su id_ubicacion y los insumos
+// llevan su saldo por ubicación en existencia_insumo; insumo.stock_actual sigue siendo el total de la empresa
+// y el costo promedio es uno solo para todas las ubicaciones.
+
+// Almacén al que se cargan los movimientos que no indican ubicación (clientes anteriores a multialmacén)
+const ID_UBICACION_PRINCIPAL = parseInt(process.env.ID_UBICACION_PRINCIPAL, 10) || 1;
+
+const ESTADOS_TRASPASO = ['En tránsito', 'Recibido', 'Cancelado'];
+
+const errorUbicacion = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'UBICACION_INVALIDA';
+  return error;
+};
+
+/**
+ * Valida la ubicación indicada o regresa la principal si no se indicó.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {number} [id_ubicacion]
+ * @returns {Promise<number>} id_ubicacion válido
+ * @throws {Error} con code 'UBICACION_INVALIDA' si no existe
+ */
+const resolverUbicacion = async (db, id_ubicacion) => {
+  const id = id_ubicacion ? parseInt(id_ubicacion, 10) : ID_UBICACION_PRINCIPAL;
+  const result = await db.query('SELECT id_ubicacion FROM ubicaciones WHERE id_ubicacion = $1', [id]);
+  if (result.rows.length === 0) {
+    throw errorUbicacion(`La ubicación ${id} no existe.`);
+  }
+  return id;
+};
+
+// Almacén de un documento; los anteriores a multialmacén se cargan a la principal
+const obtenerUbicacionDocumento = async (client, tabla, columnaId, id) => {
+  const result = await client.query(`SELECT id_ubicacion FROM ${tabla} WHERE ${columnaId} = $1`, [id]);
+  return result.rows[0]?.id_ubicacion || ID_UBICACION_PRINCIPAL;
+};
+const obtenerUbicacionEntrada = (client, id_entrada) => obtenerUbicacionDocumento(client, 'entrada_almacen', 'id_entrada', id_entrada);
+const obtenerUbicacionSalida = (client, id_salida) => obtenerUbicacionDocumento(client, 'salida_almacen', 'id_salida', id_salida);
+
+/**
+ * Suma (o resta, con cantidad negativa) existencia de un insumo en una ubicación.
+ * Solo mueve el saldo por ubicación; insumo.stock_actual lo sigue actualizando quien llama.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} movimiento
+ * @param {number} movimiento.id_insumo
+ * @param {number} movimiento.id_ubicacion
+ * @param {number} movimiento.cantidad - Positiva para entradas, negativa para salidas
+ * @returns {Promise<number>} Existencia resultante en la ubicación
+ * @throws {Error} con code 'STOCK_INSUFICIENTE' si la ubicación queda en negativo
+ */
+const moverExistenciaInsumo = async (client, { id_insumo, id_ubicacion, cantidad }) => {
+  const delta = parseFloat(cantidad);
+  const result = await client.query(
+    `INSERT INTO existencia_insumo (id_insumo, id_ubicacion, cantidad)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (id_insumo, id_ubicacion) DO UPDATE SET cantidad = existencia_insumo.cantidad + EXCLUDED.cantidad
+     RETURNING cantidad`,
+    [id_insumo, id_ubicacion, delta]
+  );
+  const existencia = parseFloat(result.rows[0].cantidad);
+
+  if (existencia < 0) {
+    const disponible = existencia - delta;
+    const error = new Error(`Stock insuficiente del insumo en esta ubicación. Disponible: ${disponible}, Solicitado: ${-delta}`);
+    error.code = 'STOCK_INSUFICIENTE';
+    error.faltante = { id_insumo, id_ubicacion, requerido: -delta, disponible, faltante: -existencia };
+    throw error;
+  }
+  return existencia;
+};
+
+/**
+ * Pasa a la ubicación principal las existencias anteriores a multialmacén: lotes sin id_ubicacion e insumos con
+ * stock_actual que todavía no tienen renglones en existencia_insumo. Solo toca lo que falta, así que puede correr en cada arranque.
+ * * @param {Object} db - Pool o cliente de pg
+ * @returns {Promise<{lotes: number, insumos: number}>} Renglones migrados
+ */
+const migrarExistenciasSinUbicacion = async (db) => {
+  const lotes = await db.query('UPDATE lote_refaccion SET id_ubicacion = $1 WHERE id_ubicacion IS NULL', [ID_UBICACION_PRINCIPAL]);
+  const insumos = await db.query(
+    `INSERT INTO existencia_insumo (id_insumo, id_ubicacion, cantidad)
+     SELECT i.id_insumo, $1, i.stock_actual
+     FROM insumo i
+     WHERE i.stock_actual <> 0
+       AND NOT EXISTS (SELECT 1 FROM existencia_insumo ei WHERE ei.id_insumo = i.id_insumo)
+     ON CONFLICT (id_insumo, id_ubicacion) DO NOTHING`,
+    [ID_UBICACION_PRINCIPAL]
+  );
+  return { lotes: lotes.rowCount, insumos: insumos.rowCount };
+};
+
+/**
+ * Fija la existencia de un insumo en una ubicación (conteos) y regresa la diferencia aplicada.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.id_insumo
+ * @param {number} datos.id_ubicacion
+ * @param {number} datos.cantidad - Existencia física contada
+ * @returns {Promise<number>} Diferencia contra la existencia anterior de la ubicación
+ */
+const fijarExistenciaInsumo = async (client, { id_insumo, id_ubicacion, cantidad }) => {
+  const anterior = await client.query(
+    'SELECT cantidad FROM existencia_insumo WHERE id_insumo = $1 AND id_ubicacion = $2 FOR UPDATE',
+    [id_insumo, id_ubicacion]
+  );
+  const diferencia = parseFloat(cantidad) - parseFloat(anterior.rows[0]?.cantidad || 0);
+  if (diferencia !== 0) {
+    await moverExistenciaInsumo(client, { id_insumo, id_ubicacion, cantidad: diferencia });
+  }
+  return diferencia;
+};
+
+module.exports = {
+  resolverUbicacion,
+  obtenerUbicacionEntrada,
+  obtenerUbicacionSalida,
+  moverExistenciaInsumo,
+  fijarExistenciaInsumo,
+  migrarExistenciasSinUbicacion,
+  ID_UBICACION_PRINCIPAL,
+  ESTADOS_TRASPASO
+};
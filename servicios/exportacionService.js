@@ -0,0 +1,214 @@
+// Exportación de tablas a CSV y XLSX sin dependencias externas.
+// El XLSX se arma a mano: un ZIP sin compresión con las partes mínimas de un libro de Excel (una hoja, textos en línea).
+
+const FORMATOS_EXPORTACION = ['csv', 'xlsx'];
+
+const TIPOS_CONTENIDO = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const valorCelda = (fila, columna) => {
+  const valor = fila[columna.clave];
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) {
+    // Fecha local del servidor, igual que la muestra pg; toISOString la correría a UTC
+    const dosDigitos = (n) => String(n).padStart(2, '0');
+    return `${valor.getFullYear()}-${dosDigitos(valor.getMonth() + 1)}-${dosDigitos(valor.getDate())}`;
+  }
+  return valor;
+};
+
+// Un texto que empieza con =, +, - o @ Excel lo evalúa como fórmula; se antepone un apóstrofo para que quede como texto.
+// Los números (pg regresa los numeric como texto, p. ej. '-12.50') se dejan tal cual.
+const PATRON_NUMERO = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const neutralizarFormula = (texto) => (/^[=+\-@]/.test(texto) && !PATRON_NUMERO.test(texto) ? `'${texto}` : texto);
+
+const escaparCsv = (valor) => {
+  const texto = neutralizarFormula(String(valor));
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Genera un CSV con encabezados. Lleva BOM para que Excel respete los acentos.
+ * * @param {Array<{clave: string, titulo: string}>} columnas
+ * @param {Array<Object>} filas
+ * @returns {Buffer}
+ */
+const generarCsv = (columnas, filas) => {
+  const lineas = [columnas.map((c) => escaparCsv(c.titulo)).join(',')];
+  for (const fila of filas) {
+    lineas.push(columnas.map((c) => escaparCsv(valorCelda(fila, c))).join(','));
+  }
+  return Buffer.from(`\uFEFF${lineas.join('\r\n')}\r\n`, 'utf8');
+};
+
+// --- ZIP (solo almacenado, sin compresión) ---
+const TABLA_CRC = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = TABLA_CRC[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const generarZip = (archivos) => {
+  const locales = [];
+  const centrales = [];
+  let desplazamiento = 0;
+
+  for (const { nombre, contenido } of archivos) {
+    const nombreBuffer = Buffer.from(nombre, 'utf8');
+    const datos = Buffer.from(contenido, 'utf8');
+    const crc = crc32(datos);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // Nombres en UTF-8
+    local.writeUInt16LE(0, 8); // Sin compresión
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(datos.length, 18);
+    local.writeUInt32LE(datos.length, 22);
+    local.writeUInt16LE(nombreBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(datos.length, 20);
+    central.writeUInt32LE(datos.length, 24);
+    central.writeUInt16LE(nombreBuffer.length, 28);
+    central.writeUInt32LE(desplazamiento, 42);
+
+    locales.push(local, nombreBuffer, datos);
+    centrales.push(central, nombreBuffer);
+    desplazamiento += local.length + nombreBuffer.length + datos.length;
+  }
+
+  const directorio = Buffer.concat(centrales);
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);
+  fin.writeUInt16LE(archivos.length, 8);
+  fin.writeUInt16LE(archivos.length, 10);
+  fin.writeUInt32LE(directorio.length, 12);
+  fin.writeUInt32LE(desplazamiento, 16);
+
+  return Buffer.concat([...locales, directorio, fin]);
+};
+
+// --- XLSX ---
+const escaparXml = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Caracteres de control que XML no admite
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const letraColumna = (indice) => {
+  let letra = '';
+  for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letra = String.fromCharCode(65 + ((n - 1) % 26)) + letra;
+  }
+  return letra;
+};
+
+const celdaXml = (valor, referencia) => {
+  if (typeof valor === 'number' && Number.isFinite(valor)) {
+    return `<c r="${referencia}"><v>${valor}</v></c>`;
+  }
+  return `<c r="${referencia}" t="inlineStr"><is><t xml:space="preserve">${escaparXml(neutralizarFormula(String(valor)))}</t></is></c>`;
+};
+
+/**
+ * Genera un libro XLSX de una hoja con encabezados. Los números se guardan como números para poder sumarlos en Excel.
+ * * @param {Array<{clave: string, titulo: string}>} columnas
+ * @param {Array<Object>} filas
+ * @param {string} [nombreHoja='Hoja1'] - Máximo 31 caracteres
+ * @returns {Buffer}
+ */
+const generarXlsx = (columnas, filas, nombreHoja = 'Hoja1') => {
+  const filasXml = [columnas.map((c) => c.titulo), ...filas.map((fila) => columnas.map((c) => valorCelda(fila, c)))]
+    .map((valores, i) => `<row r="${i + 1}">${valores.map((valor, j) => celdaXml(valor, `${letraColumna(j)}${i + 1}`)).join('')}</row>`)
+    .join('');
+
+  const hoja = nombreHoja.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+
+  return generarZip([
+    {
+      nombre: '[Content_Types].xml',
+      contenido: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      nombre: '_rels/.rels',
+      contenido: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      nombre: 'xl/workbook.xml',
+      contenido: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escaparXml(hoja)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      nombre: 'xl/_rels/workbook.xml.rels',
+      contenido: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      nombre: 'xl/worksheets/sheet1.xml',
+      contenido: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${filasXml}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+};
+
+/**
+ * Envía una tabla como archivo descargable.
+ * * @param {Object} res - Respuesta de Express
+ * @param {Object} opciones
+ * @param {string} opciones.formato - 'csv' | 'xlsx'
+ * @param {string} opciones.nombreArchivo - Sin extensión
+ * @param {Array<{clave: string, titulo: string}>} opciones.columnas
+ * @param {Array<Object>} opciones.filas
+ * @param {string} [opciones.nombreHoja]
+ */
+const enviarExportacion = (res, { formato, nombreArchivo, columnas, filas, nombreHoja }) => {
+  const contenido = formato === 'xlsx' ? generarXlsx(columnas, filas, nombreHoja) : generarCsv(columnas, filas);
+  res.set('Content-Type', TIPOS_CONTENIDO[formato]);
+  res.set('Content-Disposition', `attachment; filename="${nombreArchivo}.${formato}"`);
+  res.send(contenido);
+};
+
+module.exports = {
+  generarCsv,
+  generarXlsx,
+  enviarExportacion,
+  FORMATOS_EXPORTACION
+};
@@ -0,0 +1,207 @@
+// Garantías de servicios externos y de refacciones instaladas, y sus reclamaciones al proveedor
+const TIPOS_GARANTIA = {
+  REFACCION: 'Refacción',
+  SERVICIO_EXTERNO: 'Servicio externo'
+};
+const ESTADOS_RECLAMACION = ['Abierta', 'Enviada a proveedor', 'Resuelta', 'Rechazada'];
+const RESOLUCIONES_RECLAMACION = ['Nota de crédito', 'Reemplazo', 'Reparación sin costo'];
+
+// Vencimiento de la garantía de un servicio externo: la fecha capturada o, si no hay, la fecha del servicio más los días
+const VENCIMIENTO_SERVICIO_SQL = `COALESCE(se.fecha_vencimiento_garantia, se.fecha_servicio::date + COALESCE(se.dias_garantia, 0))`;
+
+// Garantías vigentes de un autobús. $1 = id_autobus, $2 = id_refaccion (o null), $3 = id_servicio a excluir (o null).
+// Las de refacciones vencen por fecha o por kilometraje, lo que ocurra primero.
+const GARANTIAS_VIGENTES_SQL = `
+  SELECT '${TIPOS_GARANTIA.REFACCION}' as tipo_garantia, g.id_garantia, NULL::int as id_servicio, g.id_refaccion,
+         r.nombre as componente, g.id_proveedor, p.nombre_proveedor, g.fecha_instalacion as fecha_inicio,
+         g.fecha_vencimiento, g.km_vencimiento, a.kilometraje_actual,
+         g.fecha_vencimiento - CURRENT_DATE as dias_restantes,
+         g.km_vencimiento - a.kilometraje_actual as km_restantes
+  FROM garantia_refaccion g
+  JOIN refaccion r ON g.id_refaccion = r.id_refaccion
+  JOIN autobus a ON g.id_autobus = a.id_autobus
+  LEFT JOIN proveedor p ON g.id_proveedor = p.id_proveedor
+  WHERE g.id_autobus = $1 AND g.estado = 'Vigente'
+    AND g.fecha_vencimiento >= CURRENT_DATE
+    AND (g.km_vencimiento IS NULL OR a.kilometraje_actual <= g.km_vencimiento)
+    AND ($2::int IS NULL OR g.id_refaccion = $2)
+  UNION ALL
+  SELECT '${TIPOS_GARANTIA.SERVICIO_EXTERNO}', NULL, se.id_servicio, NULL,
+         se.descripcion, se.id_proveedor, p.nombre_proveedor, se.fecha_servicio,
+         ${VENCIMIENTO_SERVICIO_SQL}, NULL, a.kilometraje_actual,
+         ${VENCIMIENTO_SERVICIO_SQL} - CURRENT_DATE, NULL
+  FROM servicio_externo se
+  JOIN autobus a ON se.id_autobus = a.id_autobus
+  LEFT JOIN proveedor p ON se.id_proveedor = p.id_proveedor
+  WHERE se.id_autobus = $1 AND se.estatus = 'Activo' AND se.tiene_garantia
+    AND ${VENCIMIENTO_SERVICIO_SQL} >= CURRENT_DATE
+    AND $2::int IS NULL
+    AND ($3::int IS NULL OR se.id_servicio <> $3)
+  ORDER BY fecha_vencimiento ASC
+`;
+
+const errorGarantia = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'GARANTIA_INVALIDA';
+  return error;
+};
+
+/**
+ * Garantías vigentes de un autobús, para advertir antes de volver a pagar por el mismo componente.
+ * Con id_refaccion solo se buscan garantías de esa refacción; sin ella, todas las del autobús
+ * (los servicios externos no identifican el componente, así que se advierten siempre).
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {Object} filtros
+ * @param {number} filtros.id_autobus
+ * @param {number} [filtros.id_refaccion]
+ * @param {number} [filtros.excluir_servicio] - Servicio recién registrado que no debe advertirse a sí mismo
+ * @returns {Promise<Array<Object>>}
+ */
+const obtenerGarantiasVigentes = async (db, { id_autobus, id_refaccion = null, excluir_servicio = null }) => {
+  if (!id_autobus) return [];
+  const result = await db.query(GARANTIAS_VIGENTES_SQL, [id_autobus, id_refaccion, excluir_servicio]);
+  return result.rows;
+};
+
+/**
+ * Registra la garantía de una refacción instalada a partir de su detalle de salida.
+ * El autobús, la fecha y el kilometraje salen del vale; el proveedor, del lote surtido.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.id_detalle_salida
+ * @param {number} datos.dias_garantia
+ * @param {number} [datos.km_garantia] - Kilómetros de cobertura desde la instalación
+ * @param {number} [datos.id_proveedor] - Para sobreescribir el proveedor del lote
+ * @param {string} [datos.observaciones]
+ * @param {number} datos.registrado_por
+ * @returns {Promise<Object>} La garantía creada
+ * @throws {Error} con code 'GARANTIA_INVALIDA' si el detalle no es una instalación en autobús
+ */
+const registrarGarantiaRefaccion = async (client, { id_detalle_salida, dias_garantia, km_garantia = null, id_proveedor = null, observaciones = null, registrado_por }) => {
+  const detalleResult = await client.query(
+    `SELECT ds.id_detalle_salida, ds.id_refaccion, sa.id_autobus, sa.fecha_operacion, sa.kilometraje_autobus,
+            ea.id_proveedor as proveedor_lote
+     FROM detalle_salida ds
+     JOIN salida_almacen sa ON ds.id_salida = sa.id_salida
+     -- Un lote creado por traspaso no tiene entrada propia; se sigue id_lote_origen hasta el lote que sí la tiene
+     LEFT JOIN LATERAL (
+       WITH RECURSIVE cadena AS (
+         SELECT id_lote, id_lote_origen, id_detalle_entrada, 0 as nivel FROM lote_refaccion WHERE id_lote = ds.id_lote
+         UNION ALL
+         SELECT o.id_lote, o.id_lote_origen, o.id_detalle_entrada, c.nivel + 1
+         FROM lote_refaccion o JOIN cadena c ON o.id_lote = c.id_lote_origen
+       )
+       SELECT id_detalle_entrada FROM cadena WHERE id_detalle_entrada IS NOT NULL ORDER BY nivel LIMIT 1
+     ) l ON TRUE
+     LEFT JOIN detalle_entrada de ON l.id_detalle_entrada = de.id_detalle_entrada
+     LEFT JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+     WHERE ds.id_detalle_salida = $1`,
+    [id_detalle_salida]
+  );
+  if (detalleResult.rows.length === 0) {
+    throw errorGarantia('El detalle de salida no existe.');
+  }
+  const detalle = detalleResult.rows[0];
+  if (!detalle.id_autobus) {
+    throw errorGarantia('Solo se registran garantías de refacciones instaladas en un autobús.');
+  }
+
+  const existente = await client.query(
+    `SELECT id_garantia FROM garantia_refaccion WHERE id_detalle_salida = $1 AND estado = 'Vigente'`,
+    [id_detalle_salida]
+  );
+  if (existente.rows.length > 0) {
+    throw errorGarantia(`Este detalle de salida ya tiene la garantía #${existente.rows[0].id_garantia}.`);
+  }
+
+  const kmInstalacion = detalle.kilometraje_autobus ? parseInt(detalle.kilometraje_autobus, 10) : null;
+  if (km_garantia && kmInstalacion === null) {
+    throw errorGarantia('El vale no tiene kilometraje; no se puede registrar una garantía por kilómetros.');
+  }
+
+  const result = await client.query(
+    `INSERT INTO garantia_refaccion
+      (id_detalle_salida, id_refaccion, id_autobus, id_proveedor, fecha_instalacion, kilometraje_instalacion,
+       dias_garantia, km_garantia, fecha_vencimiento, km_vencimiento, observaciones, registrado_por, estado)
+     VALUES ($1, $2, $3, $4, $5::date, $6, $7, $8, $5::date + $7::int, $9, $10, $11, 'Vigente')
+     RETURNING *`,
+    [
+      id_detalle_salida,
+      detalle.id_refaccion,
+      detalle.id_autobus,
+      id_proveedor || detalle.proveedor_lote,
+      detalle.fecha_operacion,
+      kmInstalacion,
+      dias_garantia,
+      km_garantia || null,
+      km_garantia ? kmInstalacion + parseInt(km_garantia, 10) : null,
+      observaciones,
+      registrado_por
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Valida que la garantía que se reclama exista y estuviera vigente en la fecha de la falla.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {string} datos.tipo_garantia - Uno de TIPOS_GARANTIA
+ * @param {number} [datos.id_garantia] - Para refacciones
+ * @param {number} [datos.id_servicio] - Para servicios externos
+ * @param {string} datos.fecha_falla
+ * @param {number} [datos.kilometraje_falla]
+ * @returns {Promise<Object>} { id_proveedor, id_autobus } de la garantía
+ * @throws {Error} con code 'GARANTIA_INVALIDA'
+ */
+const validarGarantiaReclamable = async (client, { tipo_garantia, id_garantia, id_servicio, fecha_falla, kilometraje_falla }) => {
+  let garantia;
+  if (tipo_garantia === TIPOS_GARANTIA.REFACCION) {
+    const result = await client.query(
+      `SELECT id_proveedor, id_autobus, fecha_instalacion as fecha_inicio, fecha_vencimiento, km_vencimiento, estado
+       FROM garantia_refaccion WHERE id_garantia = $1`,
+      [id_garantia]
+    );
+    garantia = result.rows[0];
+  } else if (tipo_garantia === TIPOS_GARANTIA.SERVICIO_EXTERNO) {
+    const result = await client.query(
+      `SELECT se.id_proveedor, se.id_autobus, se.fecha_servicio as fecha_inicio, ${VENCIMIENTO_SERVICIO_SQL} as fecha_vencimiento,
+              NULL as km_vencimiento, CASE WHEN se.tiene_garantia AND se.estatus = 'Activo' THEN 'Vigente' ELSE 'Sin garantía' END as estado
+       FROM servicio_externo se WHERE se.id_servicio = $1`,
+      [id_servicio]
+    );
+    garantia = result.rows[0];
+  } else {
+    throw errorGarantia(`Tipo de garantía no válido. Use ${Object.values(TIPOS_GARANTIA).join(', ')}.`);
+  }
+
+  if (!garantia) {
+    throw errorGarantia('La garantía que se reclama no existe.');
+  }
+  if (garantia.estado !== 'Vigente') {
+    throw errorGarantia('El registro no tiene una garantía vigente.');
+  }
+  if (!garantia.id_proveedor) {
+    throw errorGarantia('La garantía no tiene proveedor al cual reclamar.');
+  }
+
+  const fecha = new Date(fecha_falla);
+  if (fecha < new Date(garantia.fecha_inicio) || fecha > new Date(garantia.fecha_vencimiento)) {
+    throw errorGarantia('La falla ocurrió fuera del periodo de garantía.');
+  }
+  if (garantia.km_vencimiento && kilometraje_falla && parseInt(kilometraje_falla, 10) > parseInt(garantia.km_vencimiento, 10)) {
+    throw errorGarantia(`La falla ocurrió después del kilometraje cubierto (${garantia.km_vencimiento} km).`);
+  }
+
+  return { id_proveedor: garantia.id_proveedor, id_autobus: garantia.id_autobus };
+};
+
+module.exports = {
+  obtenerGarantiasVigentes,
+  registrarGarantiaRefaccion,
+  validarGarantiaReclamable,
+  TIPOS_GARANTIA,
+  ESTADOS_RECLAMACION,
+  RESOLUCIONES_RECLAMACION,
+  VENCIMIENTO_SERVICIO_SQL
+};
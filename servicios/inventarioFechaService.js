@@ -0,0 +1,192 @@
+// Inventario a una fecha pasada y cierres mensuales. Cada cierre guarda cantidad y valor por artículo al último día del mes;
+// el inventario a cualquier fecha parte del cierre más reciente y le aplica los movimientos posteriores,
+// así lo ya cerrado no cambia aunque después se corrijan documentos de ese periodo.
+const { obtenerMovimientos, acumularMovimientos, TIPOS_ITEM } = require('./movimientosInventarioService');
+
+const errorCierre = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'CIERRE_INVALIDO';
+  return error;
+};
+
+/**
+ * Saldos por artículo al cierre del día indicado.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {Object} [filtros] - Para calcular un solo artículo
+ * @param {string} [filtros.tipo_item] - 'refaccion' | 'insumo'
+ * @param {number} [filtros.id_item] - Requiere tipo_item
+ * @returns {Promise<{cierre: Object|null, saldos: {refaccion: Map, insumo: Map}}>} cierre es el que se usó como punto de partida
+ */
+const calcularSaldosAFecha = async (client, fecha, { tipo_item = null, id_item = null } = {}) => {
+  const cierreResult = await client.query(
+    `SELECT id_cierre, anio, mes, fecha_corte::text as fecha_corte
+     FROM cierre_inventario WHERE fecha_corte <= $1::date
+     ORDER BY fecha_corte DESC LIMIT 1`,
+    [fecha]
+  );
+  const cierre = cierreResult.rows[0] || null;
+
+  const saldosIniciales = { refaccion: new Map(), insumo: new Map() };
+  if (cierre) {
+    const detalleResult = await client.query(
+      `SELECT id_refaccion, id_insumo, cantidad, valor FROM cierre_inventario_detalle
+       WHERE id_cierre = $1 AND ($2::int IS NULL OR ${tipo_item === 'insumo' ? 'id_insumo' : 'id_refaccion'} = $2)`,
+      [cierre.id_cierre, id_item]
+    );
+    for (const fila of detalleResult.rows) {
+      const tipo = fila.id_refaccion ? 'refaccion' : 'insumo';
+      saldosIniciales[tipo].set(fila.id_refaccion || fila.id_insumo, { cantidad: fila.cantidad, valor: fila.valor });
+    }
+  }
+
+  const saldos = {};
+  for (const tipo of TIPOS_ITEM) {
+    if (tipo_item && tipo_item !== tipo) {
+      saldos[tipo] = new Map();
+      continue;
+    }
+    const movimientos = await obtenerMovimientos(client, { tipo_item: tipo, desde: cierre ? cierre.fecha_corte : null, hasta: fecha, id_item });
+    saldos[tipo] = acumularMovimientos(movimientos, saldosIniciales[tipo]);
+  }
+  return { cierre, saldos };
+};
+
+/**
+ * Inventario valuado a una fecha, por artículo y con subtotales por categoría.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {Object} filtros
+ * @param {string} filtros.fecha - YYYY-MM-DD
+ * @param {string} [filtros.tipo_item] - 'refaccion' | 'insumo'; ambos si no se indica
+ * @param {string} [filtros.categoria]
+ * @param {boolean} [filtros.incluir_ceros=false] - Incluir artículos sin existencia ni valor
+ * @returns {Promise<Object>} { fecha, cierre_base, articulos, categorias, totales }
+ */
+const calcularInventarioAFecha = async (client, { fecha, tipo_item = null, categoria = null, incluir_ceros = false }) => {
+  const { cierre, saldos } = await calcularSaldosAFecha(client, fecha);
+
+  const catalogos = {
+    refaccion: await client.query(`
+      SELECT id_refaccion as id_item, nombre, numero_parte, COALESCE(NULLIF(categoria, ''), 'Sin categoría') as categoria
+      FROM refaccion
+    `),
+    insumo: await client.query(`
+      SELECT id_insumo as id_item, nombre, NULL as numero_parte, COALESCE(tipo_insumo::text, 'Sin categoría') as categoria
+      FROM insumo
+    `)
+  };
+
+  const articulos = [];
+  for (const tipo of TIPOS_ITEM) {
+    if (tipo_item && tipo_item !== tipo) continue;
+    for (const item of catalogos[tipo].rows) {
+      if (categoria && item.categoria !== categoria) continue;
+      const saldo = saldos[tipo].get(item.id_item) || { cantidad: 0, valor: 0 };
+      if (!incluir_ceros && saldo.cantidad === 0 && saldo.valor === 0) continue;
+      articulos.push({
+        tipo_item: tipo,
+        ...item,
+        cantidad: saldo.cantidad,
+        valor: Number(saldo.valor.toFixed(2)),
+        costo_promedio: saldo.cantidad > 0 ? Number((saldo.valor / saldo.cantidad).toFixed(4)) : 0
+      });
+    }
+  }
+
+  const porCategoria = new Map();
+  for (const articulo of articulos) {
+    const clave = `${articulo.tipo_item}|${articulo.categoria}`;
+    const subtotal = porCategoria.get(clave) || { tipo_item: articulo.tipo_item, categoria: articulo.categoria, articulos: 0, cantidad: 0, valor: 0 };
+    subtotal.articulos += 1;
+    subtotal.cantidad += articulo.cantidad;
+    subtotal.valor += articulo.valor;
+    porCategoria.set(clave, subtotal);
+  }
+  const categorias = [...porCategoria.values()]
+    .map((subtotal) => ({ ...subtotal, valor: Number(subtotal.valor.toFixed(2)) }))
+    .sort((a, b) => a.tipo_item.localeCompare(b.tipo_item) || a.categoria.localeCompare(b.categoria));
+
+  const sumar = (tipo) => Number(articulos.filter((a) => a.tipo_item === tipo).reduce((total, a) => total + a.valor, 0).toFixed(2));
+  const totales = { refacciones: sumar('refaccion'), insumos: sumar('insumo') };
+  totales.total = Number((totales.refacciones + totales.insumos).toFixed(2));
+
+  return {
+    fecha,
+    cierre_base: cierre,
+    origen: cierre && cierre.fecha_corte === fecha ? 'cierre' : 'movimientos',
+    articulos,
+    categorias,
+    totales
+  };
+};
+
+/**
+ * Cierra un mes: guarda el inventario valuado a su último día. Los meses se cierran en orden y una sola vez.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.anio
+ * @param {number} datos.mes - 1 a 12
+ * @param {number} datos.id_usuario
+ * @returns {Promise<Object>} { id_cierre, fecha_corte, valor_refacciones, valor_insumos, articulos }
+ * @throws {Error} con code 'CIERRE_INVALIDO'
+ */
+const cerrarMes = async (client, { anio, mes, id_usuario }) => {
+  const anioNum = parseInt(anio, 10);
+  const mesNum = parseInt(mes, 10);
+  if (!anioNum || !mesNum || mesNum < 1 || mesNum > 12) {
+    throw errorCierre('Indique un año y un mes (1 a 12) válidos.');
+  }
+  // Día 0 del mes siguiente = último día del mes
+  const fechaCorte = new Date(Date.UTC(anioNum, mesNum, 0)).toISOString().slice(0, 10);
+
+  await client.query('LOCK TABLE cierre_inventario IN EXCLUSIVE MODE');
+
+  const terminadoResult = await client.query('SELECT $1::date < CURRENT_DATE as terminado', [fechaCorte]);
+  if (!terminadoResult.rows[0].terminado) {
+    throw errorCierre('Solo se pueden cerrar meses que ya terminaron.');
+  }
+  const posteriorResult = await client.query(
+    'SELECT anio, mes FROM cierre_inventario WHERE fecha_corte >= $1::date ORDER BY fecha_corte DESC LIMIT 1',
+    [fechaCorte]
+  );
+  if (posteriorResult.rows.length > 0) {
+    const { anio: anioCerrado, mes: mesCerrado } = posteriorResult.rows[0];
+    throw errorCierre(`El periodo ya está cerrado (último cierre: ${String(mesCerrado).padStart(2, '0')}/${anioCerrado}).`);
+  }
+
+  const { saldos } = await calcularSaldosAFecha(client, fechaCorte);
+  const valorDe = (tipo) => [...saldos[tipo].values()].reduce((total, saldo) => total + saldo.valor, 0);
+
+  const cierreResult = await client.query(
+    `INSERT INTO cierre_inventario (anio, mes, fecha_corte, valor_refacciones, valor_insumos, id_usuario, fecha_registro)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING id_cierre`,
+    [anioNum, mesNum, fechaCorte, valorDe('refaccion').toFixed(2), valorDe('insumo').toFixed(2), id_usuario]
+  );
+  const idCierre = cierreResult.rows[0].id_cierre;
+
+  let articulos = 0;
+  for (const tipo of TIPOS_ITEM) {
+    for (const [idItem, saldo] of saldos[tipo]) {
+      if (saldo.cantidad === 0 && saldo.valor === 0) continue;
+      await client.query(
+        'INSERT INTO cierre_inventario_detalle (id_cierre, id_refaccion, id_insumo, cantidad, valor) VALUES ($1, $2, $3, $4, $5)',
+        [idCierre, tipo === 'refaccion' ? idItem : null, tipo === 'insumo' ? idItem : null, saldo.cantidad, saldo.valor.toFixed(4)]
+      );
+      articulos += 1;
+    }
+  }
+
+  return {
+    id_cierre: idCierre,
+    fecha_corte: fechaCorte,
+    valor_refacciones: Number(valorDe('refaccion').toFixed(2)),
+    valor_insumos: Number(valorDe('insumo').toFixed(2)),
+    articulos
+  };
+};
+
+module.exports = {
+  calcularSaldosAFecha,
+  calcularInventarioAFecha,
+  cerrarMes
+};
@@ -0,0 +1,118 @@
+// Kardex de un artículo: sus movimientos en un rango de fechas con existencia, valor y costo acumulados,
+// a partir del saldo con el que abrió el rango. Usa el mismo libro de movimientos que el inventario a fecha.
+const { obtenerMovimientos, acumularMovimientos, TIPOS_ITEM } = require('./movimientosInventarioService');
+const { calcularSaldosAFecha } = require('./inventarioFechaService');
+
+const errorKardex = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'KARDEX_INVALIDO';
+  return error;
+};
+
+const redondear = (valor, decimales) => Number(valor.toFixed(decimales));
+
+// Día anterior a una fecha YYYY-MM-DD
+const diaAnterior = (fecha) => {
+  const dia = new Date(`${fecha}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() - 1);
+  return dia.toISOString().slice(0, 10);
+};
+
+/**
+ * Kardex de una refacción o un insumo.
+ * En refacciones el costo unitario de cada movimiento es el del lote que entró o salió; en insumos, el promedio del momento.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {Object} filtros
+ * @param {string} filtros.tipo_item - 'refaccion' | 'insumo'
+ * @param {number} filtros.id_item
+ * @param {string} [filtros.fecha_desde] - YYYY-MM-DD; sin ella el kardex empieza en cero desde el primer movimiento
+ * @param {string} filtros.fecha_hasta - YYYY-MM-DD
+ * @returns {Promise<Object|null>} { articulo, saldo_inicial, movimientos, saldo_final, totales }; null si el artículo no existe
+ * @throws {Error} con code 'KARDEX_INVALIDO'
+ */
+const obtenerKardex = async (client, { tipo_item, id_item, fecha_desde = null, fecha_hasta }) => {
+  if (!TIPOS_ITEM.includes(tipo_item)) {
+    throw errorKardex(`Tipo de artículo no válido. Use ${TIPOS_ITEM.join(' o ')}.`);
+  }
+  if (fecha_desde && fecha_desde > fecha_hasta) {
+    throw errorKardex('La fecha inicial no puede ser posterior a la final.');
+  }
+
+  const articuloResult = await client.query(
+    tipo_item === 'refaccion'
+      ? 'SELECT id_refaccion as id_item, nombre, numero_parte, marca, unidad_medida FROM refaccion WHERE id_refaccion = $1'
+      : 'SELECT id_insumo as id_item, nombre, NULL as numero_parte, marca, unidad_medida FROM insumo WHERE id_insumo = $1',
+    [id_item]
+  );
+  if (articuloResult.rows.length === 0) return null;
+
+  // Saldo al cierre del día anterior al rango
+  const saldosIniciales = new Map();
+  if (fecha_desde) {
+    const { saldos } = await calcularSaldosAFecha(client, diaAnterior(fecha_desde), { tipo_item, id_item });
+    const saldo = saldos[tipo_item].get(articuloResult.rows[0].id_item);
+    if (saldo) saldosIniciales.set(articuloResult.rows[0].id_item, saldo);
+  }
+  const apertura = saldosIniciales.get(articuloResult.rows[0].id_item) || { cantidad: 0, valor: 0 };
+
+  const ubicacionesResult = await client.query('SELECT id_ubicacion, nombre_ubicacion FROM ubicaciones');
+  const nombreUbicacion = new Map(ubicacionesResult.rows.map((u) => [u.id_ubicacion, u.nombre_ubicacion]));
+
+  const movimientos = await obtenerMovimientos(client, {
+    tipo_item,
+    desde: fecha_desde ? diaAnterior(fecha_desde) : null,
+    hasta: fecha_hasta,
+    id_item: articuloResult.rows[0].id_item
+  });
+
+  const renglones = [];
+  const totales = { entradas: 0, salidas: 0, importe_entradas: 0, importe_salidas: 0 };
+  const saldosFinales = acumularMovimientos(movimientos, saldosIniciales, (movimiento, importe, saldo) => {
+    const cantidad = parseFloat(movimiento.cantidad);
+    if (cantidad > 0 || (cantidad === 0 && importe > 0)) {
+      totales.entradas += cantidad;
+      totales.importe_entradas += importe;
+    } else {
+      totales.salidas -= cantidad;
+      totales.importe_salidas -= importe;
+    }
+    renglones.push({
+      fecha: movimiento.fecha,
+      tipo_movimiento: movimiento.tipo_movimiento,
+      referencia: movimiento.referencia,
+      ubicacion: nombreUbicacion.get(movimiento.id_ubicacion) || null,
+      entrada: cantidad > 0 ? cantidad : 0,
+      salida: cantidad < 0 ? -cantidad : 0,
+      costo_unitario: cantidad !== 0 ? redondear(Math.abs(importe / cantidad), 4) : null,
+      importe: redondear(importe, 2),
+      existencia: saldo.cantidad,
+      valor: redondear(saldo.valor, 2),
+      costo_promedio: redondear(saldo.costo_promedio, 4)
+    });
+  });
+  const cierre = saldosFinales.get(articuloResult.rows[0].id_item) || { cantidad: 0, valor: 0, costo_promedio: 0 };
+
+  return {
+    articulo: { tipo_item, ...articuloResult.rows[0] },
+    fecha_desde,
+    fecha_hasta,
+    saldo_inicial: {
+      cantidad: parseFloat(apertura.cantidad),
+      valor: redondear(parseFloat(apertura.valor), 2)
+    },
+    movimientos: renglones,
+    saldo_final: {
+      cantidad: cierre.cantidad,
+      valor: redondear(cierre.valor, 2),
+      costo_promedio: redondear(cierre.costo_promedio, 4)
+    },
+    totales: {
+      entradas: totales.entradas,
+      salidas: totales.salidas,
+      importe_entradas: redondear(totales.importe_entradas, 2),
+      importe_salidas: redondear(totales.importe_salidas, 2)
+    }
+  };
+};
+
+module.exports = { obtenerKardex };
@@ -0,0 +1,117 @@
+const { ID_UBICACION_PRINCIPAL } = require('./existenciasService');
+
+// Orden de consumo de lotes para cada estrategia
+const ORDEN_ESTRATEGIA = {
+  FIFO: 'fecha_ingreso ASC, id_lote ASC',
+  LIFO: 'fecha_ingreso DESC, id_lote DESC',
+  FEFO: 'fecha_caducidad ASC NULLS LAST, fecha_ingreso ASC, id_lote ASC'
+};
+
+const ESTRATEGIAS = [...Object.keys(ORDEN_ESTRATEGIA), 'LOTE'];
+
+const errorStockInsuficiente = (mensaje, { id_refaccion, requerido, disponible }) => {
+  const error = new Error(mensaje);
+  error.code = 'STOCK_INSUFICIENTE';
+  error.faltante = { id_refaccion, requerido, disponible, faltante: requerido - disponible };
+  return error;
+};
+
+/**
+ * Reparte una cantidad de una refacción entre sus lotes con stock, SIN descontar.
+ * Bloquea los lotes (FOR UPDATE), por lo que debe llamarse dentro de una transacción.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} opciones
+ * @param {number} opciones.id_refaccion - Refacción a surtir
+ * @param {number} opciones.cantidad - Cantidad total requerida
+ * @param {string} [opciones.estrategia='FIFO'] - 'FIFO' | 'FEFO' | 'LIFO' | 'LOTE'
+ * @param {number} [opciones.id_lote] - Lote específico (requerido con la estrategia 'LOTE')
+ * @param {number} [opciones.id_ubicacion] - Almacén del que se surte (sin él, de cualquiera); los lotes sin ubicación cuentan como de la principal
+ * @returns {Promise<{asignaciones: Array<{id_lote: number, cantidad: number, costo_unitario: number}>, costo_total: number}>}
+ * @throws {Error} con code 'STOCK_INSUFICIENTE' y el detalle en error.faltante
+ */
+const asignarLotes = async (client, { id_refaccion, cantidad, estrategia = 'FIFO', id_lote = null, id_ubicacion = null }) => {
+  const requerido = parseFloat(cantidad);
+  if (!requerido || requerido <= 0) {
+    throw new Error('La cantidad a surtir debe ser un número positivo.');
+  }
+  if (!ESTRATEGIAS.includes(estrategia)) {
+    throw new Error(`Estrategia de lotes no válida: ${estrategia}. Use ${ESTRATEGIAS.join(', ')}.`);
+  }
+
+  if (estrategia === 'LOTE') {
+    if (!id_lote) throw new Error('Debe indicar el lote a surtir.');
+
+    const loteResult = await client.query(
+      `SELECT id_lote, cantidad_disponible, costo_unitario_final FROM lote_refaccion
+       WHERE id_lote = $1 AND id_refaccion = $2 AND ($3::int IS NULL OR COALESCE(id_ubicacion, $4) = $3) FOR UPDATE`,
+      [id_lote, id_refaccion, id_ubicacion, ID_UBICACION_PRINCIPAL]
+    );
+    if (loteResult.rows.length === 0) {
+      throw new Error('El lote seleccionado no existe para esta refacción en este almacén.');
+    }
+
+    const lote = loteResult.rows[0];
+    const disponible = parseFloat(lote.cantidad_disponible);
+    if (disponible < requerido) {
+      throw errorStockInsuficiente(`Stock insuficiente en este lote. Disponible: ${disponible}`, { id_refaccion, requerido, disponible });
+    }
+
+    const costo = parseFloat(lote.costo_unitario_final || 0);
+    return {
+      asignaciones: [{ id_lote: lote.id_lote, cantidad: requerido, costo_unitario: costo }],
+      costo_total: requerido * costo
+    };
+  }
+
+  const lotesResult = await client.query(
+    `SELECT id_lote, cantidad_disponible, costo_unitario_final
+     FROM lote_refaccion
+     WHERE id_refaccion = $1 AND cantidad_disponible > 0 AND ($2::int IS NULL OR COALESCE(id_ubicacion, $3) = $2)
+     ORDER BY ${ORDEN_ESTRATEGIA[estrategia]}
+     FOR UPDATE`,
+    [id_refaccion, id_ubicacion, ID_UBICACION_PRINCIPAL]
+  );
+
+  const asignaciones = [];
+  let pendiente = requerido;
+  let costoTotal = 0;
+
+  for (const lote of lotesResult.rows) {
+    if (pendiente <= 0) break;
+    const cantidadDelLote = Math.min(parseFloat(lote.cantidad_disponible), pendiente);
+    const costo = parseFloat(lote.costo_unitario_final || 0);
+
+    asignaciones.push({ id_lote: lote.id_lote, cantidad: cantidadDelLote, costo_unitario: costo });
+    costoTotal += cantidadDelLote * costo;
+    pendiente -= cantidadDelLote;
+  }
+
+  if (pendiente > 0) {
+    const disponible = requerido - pendiente;
+    throw errorStockInsuficiente(
+      `Stock insuficiente para la refacción${id_ubicacion ? ' en este almacén' : ''}. Disponible: ${disponible}, Solicitado: ${requerido}`,
+      { id_refaccion, requerido, disponible }
+    );
+  }
+
+  return { asignaciones, costo_total: costoTotal };
+};
+
+/**
+ * Igual que asignarLotes, pero además descuenta la cantidad de cada lote asignado.
+ * * @returns {Promise<{asignaciones: Array<{id_lote: number, cantidad: number, costo_unitario: number}>, costo_total: number}>}
+ */
+const consumirLotes = async (client, opciones) => {
+  const resultado = await asignarLotes(client, opciones);
+
+  for (const asignacion of resultado.asignaciones) {
+    await client.query(
+      'UPDATE lote_refaccion SET cantidad_disponible = cantidad_disponible - $1 WHERE id_lote = $2',
+      [asignacion.cantidad, asignacion.id_lote]
+    );
+  }
+
+  return resultado;
+};
+
+module.exports = { asignarLotes, consumirLotes, ESTRATEGIAS };
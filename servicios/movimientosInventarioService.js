@@ -0,0 +1,256 @@
+// Libro de movimientos de inventario: une todo lo que mueve existencias (entradas, salidas, devoluciones,
+// ajustes, préstamos, producción, apertura de granel y carga inicial) para reconstruir saldos a cualquier fecha.
+// Los traspasos entre almacenes no cambian el total de la empresa (lo que va en tránsito sigue siendo propio).
+
+const TIPOS_ITEM = ['refaccion', 'insumo'];
+
+// Parámetros de ambos libros: $1 = fecha ya incluida en el saldo inicial (se toman los movimientos de días posteriores; null = desde el inicio),
+// $2 = fecha final incluida, $3 = id del artículo (null = todos).
+// importe null significa que el movimiento no trae costo propio y se valúa al costo promedio del momento.
+const MOVIMIENTOS_REFACCION_SQL = `
+  SELECT * FROM (
+    SELECT cim.fecha_conteo::timestamp as fecha, 0 as orden, 'INVENTARIO_INICIAL' as tipo_movimiento, cid.id_refaccion as id_item,
+           cid.cantidad_contada as cantidad, cid.cantidad_contada * cid.costo_unitario_asignado as importe,
+           'Inventario inicial #' || cim.id_conteo as referencia, cim.id_ubicacion
+    FROM conteo_inventario_detalle cid
+    JOIN conteo_inventario_maestro cim ON cid.id_conteo = cim.id_conteo
+    UNION ALL
+    SELECT ea.fecha_operacion::timestamp, 1, 'ENTRADA', de.id_refaccion,
+           de.cantidad_recibida, de.cantidad_recibida * de.costo_unitario_entrada,
+           'Entrada #' || ea.id_entrada, ea.id_ubicacion
+    FROM detalle_entrada de
+    JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+    UNION ALL
+    SELECT COALESCE(ea.fecha_cancelacion, ea.fecha_operacion)::timestamp, 2, 'CANCELACION_ENTRADA', de.id_refaccion,
+           -de.cantidad_recibida, -de.cantidad_recibida * de.costo_unitario_entrada,
+           'Cancelación de entrada #' || ea.id_entrada, ea.id_ubicacion
+    FROM detalle_entrada de
+    JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+    WHERE ea.estado IN ('CANCELADO', 'CANCELADA')
+    UNION ALL
+    SELECT sa.fecha_operacion::timestamp, 2, 'SALIDA', ds.id_refaccion,
+           -ds.cantidad_despachada, -ds.cantidad_despachada * l.costo_unitario_final,
+           'Salida #' || sa.id_salida, sa.id_ubicacion
+    FROM detalle_salida ds
+    JOIN salida_almacen sa ON ds.id_salida = sa.id_salida
+    LEFT JOIN lote_refaccion l ON ds.id_lote = l.id_lote
+    UNION ALL
+    SELECT ai.fecha_ajuste::timestamp, 1, 'DEVOLUCION_SALIDA', l.id_refaccion,
+           adr.cantidad_ajustada, adr.cantidad_ajustada * l.costo_unitario_final,
+           'Devolución #' || ai.id_ajuste, l.id_ubicacion
+    FROM ajuste_detalle_refaccion adr
+    JOIN ajuste_inventario ai ON adr.id_ajuste = ai.id_ajuste
+    JOIN lote_refaccion l ON adr.id_lote = l.id_lote
+    UNION ALL
+    SELECT aim.fecha_ajuste::timestamp, CASE WHEN aim.tipo_ajuste = 'SALIDA' THEN 2 ELSE 1 END, 'AJUSTE_' || aim.tipo_ajuste, aid.id_refaccion,
+           CASE aim.tipo_ajuste WHEN 'ENTRADA' THEN ABS(aid.cantidad) WHEN 'SALIDA' THEN -ABS(aid.cantidad) ELSE 0 END,
+           CASE aim.tipo_ajuste
+             WHEN 'ENTRADA' THEN ABS(aid.cantidad) * aid.costo_ajuste
+             WHEN 'SALIDA' THEN -ABS(aid.cantidad) * NULLIF(aid.costo_ajuste, 0)
+             ELSE aid.cantidad * aid.costo_ajuste
+           END,
+           'Ajuste #' || aim.id_ajuste, aim.id_ubicacion
+    FROM ajuste_inventario_detalle aid
+    JOIN ajuste_inventario_maestro aim ON aid.id_ajuste = aim.id_ajuste
+    WHERE aid.id_refaccion IS NOT NULL
+    UNION ALL
+    SELECT p.fecha_prestamo::timestamp, 2, 'PRESTAMO', dp.id_item,
+           -dp.cantidad_prestada, NULL,
+           'Préstamo #' || p.id_prestamo, p.id_ubicacion
+    FROM detalle_prestamo dp
+    JOIN prestamos p ON dp.id_prestamo = p.id_prestamo
+    WHERE dp.tipo_item = 'refaccion'
+    UNION ALL
+    SELECT dp.fecha_devolucion::timestamp, 1, 'DEVOLUCION_PRESTAMO', dp.id_item,
+           dp.cantidad_devuelta, NULL,
+           'Préstamo #' || p.id_prestamo, p.id_ubicacion
+    FROM detalle_prestamo dp
+    JOIN prestamos p ON dp.id_prestamo = p.id_prestamo
+    WHERE dp.tipo_item = 'refaccion' AND dp.estado_devolucion = 'BUENO' AND dp.cantidad_devuelta > 0
+    UNION ALL
+    SELECT cg.fecha_apertura::timestamp, 2, 'APERTURA_GRANEL', cg.id_refaccion,
+           -1, -cg.costo_total_tambor,
+           'Granel #' || cg.id_consumible_granel, NULL
+    FROM consumible_granel cg
+    WHERE cg.id_refaccion IS NOT NULL
+    UNION ALL
+    SELECT op.fecha_operacion::timestamp, 1, 'PRODUCCION', op.id_refaccion_producida,
+           op.cantidad_producida, op.cantidad_producida * op.costo_unitario,
+           'Producción #' || op.id_orden_produccion, op.id_ubicacion
+    FROM orden_produccion op
+    UNION ALL
+    SELECT op.fecha_operacion::timestamp, 2, 'CONSUMO_PRODUCCION', dop.id_refaccion,
+           -dop.cantidad, -dop.costo_total,
+           'Producción #' || op.id_orden_produccion, op.id_ubicacion
+    FROM detalle_orden_produccion dop
+    JOIN orden_produccion op ON dop.id_orden_produccion = op.id_orden_produccion
+    WHERE dop.id_refaccion IS NOT NULL
+    UNION ALL
+    -- Órdenes anteriores al registro de componentes: se usa la receta
+    SELECT op.fecha_operacion::timestamp, 2, 'CONSUMO_PRODUCCION', rc.id_refaccion_hijo,
+           -(rc.cantidad_necesaria * op.cantidad_producida), NULL,
+           'Producción #' || op.id_orden_produccion, op.id_ubicacion
+    FROM orden_produccion op
+    JOIN refaccion_componentes rc ON rc.id_refaccion_padre = op.id_refaccion_producida
+    WHERE rc.id_refaccion_hijo IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM detalle_orden_produccion dop WHERE dop.id_orden_produccion = op.id_orden_produccion)
+  ) mov
+  WHERE ($1::date IS NULL OR mov.fecha >= $1::date + 1)
+    AND mov.fecha < $2::date + 1
+    AND ($3::int IS NULL OR mov.id_item = $3)
+  ORDER BY mov.fecha, mov.orden, mov.id_item
+`;
+
+const MOVIMIENTOS_INSUMO_SQL = `
+  SELECT * FROM (
+    SELECT cim.fecha_conteo::timestamp as fecha, 0 as orden, 'INVENTARIO_INICIAL' as tipo_movimiento, cdi.id_insumo as id_item,
+           cdi.cantidad_contada as cantidad, cdi.cantidad_contada * cdi.costo_unitario_asignado as importe,
+           'Inventario inicial #' || cim.id_conteo as referencia, cim.id_ubicacion
+    FROM conteo_inventario_detalle_insumo cdi
+    JOIN conteo_inventario_maestro cim ON cdi.id_conteo = cim.id_conteo
+    WHERE cim.tipo_conteo = 'INICIAL'
+       OR EXISTS (SELECT 1 FROM conteo_inventario_detalle cid WHERE cid.id_conteo = cim.id_conteo)
+    UNION ALL
+    SELECT ea.fecha_operacion::timestamp, 1, 'ENTRADA', dei.id_insumo,
+           dei.cantidad_recibida, dei.cantidad_recibida * dei.costo_unitario_final,
+           'Entrada #' || ea.id_entrada, ea.id_ubicacion
+    FROM detalle_entrada_insumo dei
+    JOIN entrada_almacen ea ON dei.id_entrada = ea.id_entrada
+    UNION ALL
+    SELECT COALESCE(ea.fecha_cancelacion, ea.fecha_operacion)::timestamp, 2, 'CANCELACION_ENTRADA', dei.id_insumo,
+           -dei.cantidad_recibida, -dei.cantidad_recibida * dei.costo_unitario_final,
+           'Cancelación de entrada #' || ea.id_entrada, ea.id_ubicacion
+    FROM detalle_entrada_insumo dei
+    JOIN entrada_almacen ea ON dei.id_entrada = ea.id_entrada
+    WHERE ea.estado IN ('CANCELADO', 'CANCELADA')
+    UNION ALL
+    SELECT ei.fecha_entrada::timestamp, 1, 'ENTRADA', dei.id_insumo,
+           dei.cantidad_recibida, dei.cantidad_recibida * dei.costo_unitario_final,
+           'Entrada de insumos #' || ei.id_entrada_insumo, ei.id_ubicacion
+    FROM detalle_entrada_insumo dei
+    JOIN entrada_insumo ei ON dei.id_entrada_insumo = ei.id_entrada_insumo
+    UNION ALL
+    SELECT sa.fecha_operacion::timestamp, 2, 'SALIDA', dsi.id_insumo,
+           -dsi.cantidad_usada, -dsi.cantidad_usada * dsi.costo_al_momento,
+           'Salida #' || sa.id_salida, sa.id_ubicacion
+    FROM detalle_salida_insumo dsi
+    JOIN salida_almacen sa ON dsi.id_salida = sa.id_salida
+    UNION ALL
+    SELECT ai.fecha_ajuste::timestamp, 1, 'DEVOLUCION_SALIDA', adi.id_insumo,
+           adi.cantidad_ajustada, NULL,
+           'Devolución #' || ai.id_ajuste, NULL
+    FROM ajuste_detalle_insumo adi
+    JOIN ajuste_inventario ai ON adi.id_ajuste = ai.id_ajuste
+    UNION ALL
+    -- En insumos la cantidad del ajuste ya trae su signo; en una revalorización son las unidades revaluadas y no se mueven
+    SELECT aim.fecha_ajuste::timestamp, CASE WHEN aid.cantidad < 0 THEN 2 ELSE 1 END, 'AJUSTE_' || aim.tipo_ajuste, aid.id_insumo,
+           CASE WHEN aim.tipo_ajuste = 'REVALORIZACION' THEN 0 ELSE aid.cantidad END,
+           CASE WHEN aim.tipo_ajuste IN ('ENTRADA', 'REVALORIZACION') THEN aid.cantidad * aid.costo_ajuste END,
+           'Ajuste #' || aim.id_ajuste, aim.id_ubicacion
+    FROM ajuste_inventario_detalle aid
+    JOIN ajuste_inventario_maestro aim ON aid.id_ajuste = aim.id_ajuste
+    WHERE aid.id_insumo IS NOT NULL
+    UNION ALL
+    SELECT p.fecha_prestamo::timestamp, 2, 'PRESTAMO', dp.id_item,
+           -dp.cantidad_prestada, NULL,
+           'Préstamo #' || p.id_prestamo, p.id_ubicacion
+    FROM detalle_prestamo dp
+    JOIN prestamos p ON dp.id_prestamo = p.id_prestamo
+    WHERE dp.tipo_item = 'insumo'
+    UNION ALL
+    SELECT dp.fecha_devolucion::timestamp, 1, 'DEVOLUCION_PRESTAMO', dp.id_item,
+           dp.cantidad_devuelta, NULL,
+           'Préstamo #' || p.id_prestamo, p.id_ubicacion
+    FROM detalle_prestamo dp
+    JOIN prestamos p ON dp.id_prestamo = p.id_prestamo
+    WHERE dp.tipo_item = 'insumo' AND dp.estado_devolucion = 'BUENO' AND dp.cantidad_devuelta > 0
+    UNION ALL
+    SELECT cg.fecha_apertura::timestamp, 2, 'APERTURA_GRANEL', cg.id_insumo,
+           -1, -cg.costo_total_tambor,
+           'Granel #' || cg.id_consumible_granel, NULL
+    FROM consumible_granel cg
+    WHERE cg.id_insumo IS NOT NULL
+    UNION ALL
+    SELECT op.fecha_operacion::timestamp, 2, 'CONSUMO_PRODUCCION', dop.id_insumo,
+           -dop.cantidad, -dop.costo_total,
+           'Producción #' || op.id_orden_produccion, op.id_ubicacion
+    FROM detalle_orden_produccion dop
+    JOIN orden_produccion op ON dop.id_orden_produccion = op.id_orden_produccion
+    WHERE dop.id_insumo IS NOT NULL
+    UNION ALL
+    SELECT op.fecha_operacion::timestamp, 2, 'CONSUMO_PRODUCCION', rc.id_insumo_hijo,
+           -(rc.cantidad_necesaria * op.cantidad_producida), NULL,
+           'Producción #' || op.id_orden_produccion, op.id_ubicacion
+    FROM orden_produccion op
+    JOIN refaccion_componentes rc ON rc.id_refaccion_padre = op.id_refaccion_producida
+    WHERE rc.id_insumo_hijo IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM detalle_orden_produccion dop WHERE dop.id_orden_produccion = op.id_orden_produccion)
+  ) mov
+  WHERE ($1::date IS NULL OR mov.fecha >= $1::date + 1)
+    AND mov.fecha < $2::date + 1
+    AND ($3::int IS NULL OR mov.id_item = $3)
+  ORDER BY mov.fecha, mov.orden, mov.id_item
+`;
+
+const MOVIMIENTOS_SQL = { refaccion: MOVIMIENTOS_REFACCION_SQL, insumo: MOVIMIENTOS_INSUMO_SQL };
+
+/**
+ * Movimientos de refacciones o insumos en un rango de fechas, en orden cronológico.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {Object} filtros
+ * @param {string} filtros.tipo_item - 'refaccion' | 'insumo'
+ * @param {string|null} filtros.desde - Último día ya incluido en el saldo inicial (null = desde el inicio)
+ * @param {string} filtros.hasta - Último día a incluir (YYYY-MM-DD)
+ * @param {number|null} [filtros.id_item]
+ * @returns {Promise<Array<Object>>} { fecha, orden, tipo_movimiento, id_item, cantidad, importe, referencia, id_ubicacion }
+ */
+const obtenerMovimientos = async (client, { tipo_item, desde, hasta, id_item = null }) => {
+  const result = await client.query(MOVIMIENTOS_SQL[tipo_item], [desde, hasta, id_item]);
+  return result.rows;
+};
+
+/**
+ * Aplica movimientos a los saldos de cada artículo, en cantidad y valor a costo promedio.
+ * Los movimientos sin importe propio se valúan al costo promedio del momento; al quedar en cero el valor también se limpia.
+ * * @param {Array<Object>} movimientos - En orden cronológico, como los entrega obtenerMovimientos
+ * @param {Map<number, Object>} [saldosIniciales] - id_item → { cantidad, valor }
+ * @param {Function} [alAplicar] - Se llama con (movimiento, importe, saldo) después de cada movimiento
+ * @returns {Map<number, {cantidad: number, valor: number, costo_promedio: number}>}
+ */
+const acumularMovimientos = (movimientos, saldosIniciales = new Map(), alAplicar = null) => {
+  const saldos = new Map();
+  for (const [idItem, saldo] of saldosIniciales) {
+    const cantidad = parseFloat(saldo.cantidad);
+    const valor = parseFloat(saldo.valor);
+    saldos.set(idItem, { cantidad, valor, costo_promedio: cantidad > 0 ? valor / cantidad : 0 });
+  }
+
+  for (const movimiento of movimientos) {
+    const saldo = saldos.get(movimiento.id_item) || { cantidad: 0, valor: 0, costo_promedio: 0 };
+    const cantidad = parseFloat(movimiento.cantidad);
+    const importe = movimiento.importe !== null ? parseFloat(movimiento.importe) : cantidad * saldo.costo_promedio;
+
+    saldo.cantidad += cantidad;
+    saldo.valor += importe;
+    if (Math.abs(saldo.cantidad) < 1e-9) {
+      saldo.cantidad = 0;
+      saldo.valor = 0;
+    } else if (saldo.cantidad > 0) {
+      saldo.costo_promedio = saldo.valor / saldo.cantidad;
+    }
+    // Sin existencia se conserva el último costo conocido para valuar lo que vuelva a entrar sin costo
+    if (saldo.cantidad <= 0 && movimiento.importe !== null && cantidad !== 0) {
+      saldo.costo_promedio = Math.abs(importe / cantidad);
+    }
+
+    saldos.set(movimiento.id_item, saldo);
+    if (alAplicar) alAplicar(movimiento, importe, saldo);
+  }
+  return saldos;
+};
+
+module.exports = {
+  obtenerMovimientos,
+  acumularMovimientos,
+  TIPOS_ITEM
+};
@@ -0,0 +1,171 @@
+// Origen de cada lectura registrada en el historial del odómetro
+const ORIGENES_LECTURA = {
+  CARGA_COMBUSTIBLE: 'Carga de combustible',
+  SINCRONIZACION: 'Sincronización manual',
+  SERVICIO_PREVENTIVO: 'Servicio preventivo',
+  SERVICIO_EXTERNO: 'Servicio externo',
+  CAMBIO_ODOMETRO: 'Cambio de odómetro'
+};
+
+const errorOdometroRetroceso = (mensaje, detalle) => {
+  const error = new Error(mensaje);
+  error.code = 'ODOMETRO_RETROCESO';
+  error.detalle = detalle;
+  return error;
+};
+
+// Bloquea el autobús y regresa su offset vigente y la fecha del último cambio de odómetro
+const obtenerAutobus = async (client, id_autobus) => {
+  const result = await client.query(
+    `SELECT a.id_autobus, a.economico, COALESCE(a.offset_odometro, 0) as offset_odometro,
+            GREATEST(COALESCE(a.kilometraje_actual, 0), COALESCE(a.kilometraje_ultima_carga, 0)) as kilometraje_registrado,
+            (SELECT MAX(co.fecha_cambio) FROM cambios_odometro co WHERE co.id_autobus = a.id_autobus) as fecha_ultimo_cambio
+     FROM autobus a WHERE a.id_autobus = $1 FOR UPDATE`,
+    [id_autobus]
+  );
+  if (result.rows.length === 0) throw new Error('Autobús no encontrado.');
+  return result.rows[0];
+};
+
+/**
+ * Valida y guarda una lectura del odómetro. La lectura no puede ser menor a la última anterior a su fecha
+ * ni mayor a una posterior (desde el último cambio de odómetro); para reiniciar el conteo
+ * hay que declarar el cambio con registrarCambioOdometro.
+ * Debe llamarse dentro de una transacción.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} lectura
+ * @param {number} lectura.id_autobus
+ * @param {number} lectura.lectura - Km que marca el odómetro
+ * @param {string} lectura.origen - Uno de ORIGENES_LECTURA
+ * @param {number} [lectura.id_referencia] - Registro que originó la lectura (carga, servicio...)
+ * @param {string} [lectura.fecha_lectura] - Por defecto, ahora
+ * @param {number} [lectura.id_empleado]
+ * @param {string} [lectura.observaciones]
+ * @returns {Promise<Object>} La lectura guardada, con su km_acumulado de vida
+ * @throws {Error} con code 'ODOMETRO_RETROCESO' y el detalle en error.detalle
+ */
+const registrarLectura = async (client, { id_autobus, lectura, origen, id_referencia = null, fecha_lectura = null, id_empleado = null, observaciones = null }) => {
+  const km = parseFloat(lectura);
+  if (isNaN(km) || km < 0) {
+    throw new Error('La lectura del odómetro debe ser un número positivo.');
+  }
+
+  const autobus = await obtenerAutobus(client, id_autobus);
+
+  const vecinasResult = await client.query(
+    `SELECT
+       (SELECT row_to_json(l) FROM (
+          SELECT lectura, fecha_lectura FROM lecturas_odometro
+          WHERE id_autobus = $1 AND fecha_lectura <= COALESCE($2::timestamp, NOW())
+            AND ($3::timestamp IS NULL OR fecha_lectura >= $3::timestamp)
+          ORDER BY fecha_lectura DESC, id_lectura DESC LIMIT 1) l) as anterior,
+       (SELECT row_to_json(l) FROM (
+          SELECT lectura, fecha_lectura FROM lecturas_odometro
+          WHERE id_autobus = $1 AND fecha_lectura > COALESCE($2::timestamp, NOW())
+            AND ($3::timestamp IS NULL OR fecha_lectura >= $3::timestamp)
+          ORDER BY lectura ASC LIMIT 1) l) as posterior,
+       EXISTS (SELECT 1 FROM lecturas_odometro WHERE id_autobus = $1) as tiene_historial`,
+    [id_autobus, fecha_lectura, autobus.fecha_ultimo_cambio]
+  );
+  const { anterior, posterior, tiene_historial } = vecinasResult.rows[0];
+
+  // Sin historial todavía, el punto de partida es el kilometraje guardado en el autobús
+  const lecturaAnterior = anterior
+    ? parseFloat(anterior.lectura)
+    : (!tiene_historial && !autobus.fecha_ultimo_cambio ? parseFloat(autobus.kilometraje_registrado) : null);
+
+  if (lecturaAnterior !== null && km < lecturaAnterior) {
+    throw errorOdometroRetroceso(
+      `El odómetro del autobús ${autobus.economico} no puede retroceder: la última lectura es ${lecturaAnterior} km y se intentó registrar ${km} km. Si se reemplazó el odómetro, declare el cambio primero.`,
+      { id_autobus, lectura: km, lectura_anterior: lecturaAnterior, fecha_lectura_anterior: anterior?.fecha_lectura || null }
+    );
+  }
+  if (posterior && km > parseFloat(posterior.lectura)) {
+    throw errorOdometroRetroceso(
+      `La lectura de ${km} km es mayor a una lectura posterior de ${posterior.lectura} km del autobús ${autobus.economico}.`,
+      { id_autobus, lectura: km, lectura_posterior: parseFloat(posterior.lectura), fecha_lectura_posterior: posterior.fecha_lectura }
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO lecturas_odometro
+     (id_autobus, lectura, km_acumulado, origen, id_referencia, fecha_lectura, id_empleado, observaciones)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, NOW()), $7, $8) RETURNING *`,
+    [id_autobus, km, km + parseFloat(autobus.offset_odometro), origen, id_referencia, fecha_lectura, id_empleado, observaciones]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Declara el reemplazo (o reinicio) del odómetro de un autobús. Acumula en offset_odometro los km
+ * del odómetro anterior para que el km de vida siga siendo continuo, y deja la lectura inicial
+ * del nuevo odómetro como kilometraje actual y de última carga.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} cambio
+ * @param {number} cambio.id_autobus
+ * @param {number} cambio.lectura_inicial - Lo que marca el odómetro nuevo
+ * @param {number} [cambio.lectura_final_anterior] - Última lectura del odómetro retirado (por defecto, la última registrada)
+ * @param {string} [cambio.motivo]
+ * @param {string} [cambio.fecha_cambio] - Por defecto, ahora
+ * @param {number} [cambio.id_empleado]
+ * @returns {Promise<Object>} El cambio registrado con el offset resultante
+ */
+const registrarCambioOdometro = async (client, { id_autobus, lectura_inicial, lectura_final_anterior = null, motivo = null, fecha_cambio = null, id_empleado = null }) => {
+  const kmInicial = parseFloat(lectura_inicial);
+  if (isNaN(kmInicial) || kmInicial < 0) {
+    throw new Error('La lectura inicial del nuevo odómetro debe ser un número positivo.');
+  }
+
+  const autobus = await obtenerAutobus(client, id_autobus);
+
+  const ultimaResult = await client.query(
+    `SELECT lectura FROM lecturas_odometro
+     WHERE id_autobus = $1 AND ($2::timestamp IS NULL OR fecha_lectura >= $2::timestamp)
+     ORDER BY fecha_lectura DESC, id_lectura DESC LIMIT 1`,
+    [id_autobus, autobus.fecha_ultimo_cambio]
+  );
+  const ultimaLectura = ultimaResult.rows.length > 0
+    ? parseFloat(ultimaResult.rows[0].lectura)
+    : parseFloat(autobus.kilometraje_registrado);
+
+  const kmFinalAnterior = lectura_final_anterior !== null && lectura_final_anterior !== undefined && lectura_final_anterior !== ''
+    ? parseFloat(lectura_final_anterior)
+    : ultimaLectura;
+
+  if (isNaN(kmFinalAnterior) || kmFinalAnterior < ultimaLectura) {
+    throw errorOdometroRetroceso(
+      `La lectura final del odómetro retirado (${kmFinalAnterior} km) no puede ser menor a la última registrada (${ultimaLectura} km).`,
+      { id_autobus, lectura: kmFinalAnterior, lectura_anterior: ultimaLectura }
+    );
+  }
+
+  const offsetAnterior = parseFloat(autobus.offset_odometro);
+  const offsetNuevo = offsetAnterior + kmFinalAnterior - kmInicial;
+
+  const cambioResult = await client.query(
+    `INSERT INTO cambios_odometro
+     (id_autobus, lectura_final_anterior, lectura_inicial, offset_anterior, offset_nuevo, motivo, fecha_cambio, id_empleado)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamp, NOW()), $8) RETURNING *`,
+    [id_autobus, kmFinalAnterior, kmInicial, offsetAnterior, offsetNuevo, motivo, fecha_cambio, id_empleado]
+  );
+  const cambio = cambioResult.rows[0];
+
+  await client.query(
+    `UPDATE autobus
+     SET offset_odometro = $1, kilometraje_actual = $2, kilometraje_ultima_carga = $2
+     WHERE id_autobus = $3`,
+    [offsetNuevo, kmInicial, id_autobus]
+  );
+
+  // Primera lectura del odómetro nuevo, ya con el offset actualizado
+  await client.query(
+    `INSERT INTO lecturas_odometro
+     (id_autobus, lectura, km_acumulado, origen, id_referencia, fecha_lectura, id_empleado, observaciones)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [id_autobus, kmInicial, kmInicial + offsetNuevo, ORIGENES_LECTURA.CAMBIO_ODOMETRO, cambio.id_cambio, cambio.fecha_cambio, id_empleado, motivo]
+  );
+
+  return cambio;
+};
+
+module.exports = { registrarLectura, registrarCambioOdometro, ORIGENES_LECTURA };
@@ -0,0 +1,210 @@
+// Periodos contables (un mes cada uno). Al cerrar un periodo se guarda el cierre de inventario del mes y, desde ese momento,
+// ningún documento con fecha dentro del periodo puede crearse, modificarse ni eliminarse hasta que se reabra con un motivo.
+const { cerrarMes } = require('./inventarioFechaService');
+
+const errorPeriodo = (mensaje, code = 'PERIODO_CERRADO') => {
+  const error = new Error(mensaje);
+  error.code = code;
+  return error;
+};
+
+const nombrePeriodo = (anio, mes) => `${String(mes).padStart(2, '0')}/${anio}`;
+
+// Fecha de operación de cada tipo de documento a partir de su id, para validar ediciones y eliminaciones
+const FECHA_DOCUMENTO_SQL = {
+  entrada: 'SELECT fecha_operacion as fecha FROM entrada_almacen WHERE id_entrada = $1',
+  salida: 'SELECT fecha_operacion as fecha FROM salida_almacen WHERE id_salida = $1',
+  detalle_salida: `SELECT sa.fecha_operacion as fecha FROM detalle_salida ds
+                   JOIN salida_almacen sa ON ds.id_salida = sa.id_salida WHERE ds.id_detalle_salida = $1`
+};
+
+/**
+ * Rechaza la operación si alguna de las fechas cae en un periodo cerrado. Las fechas vacías se ignoran.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {...(string|Date|null)} fechas - Fechas de operación involucradas (p. ej. la anterior y la nueva de un documento)
+ * @returns {Promise<void>}
+ * @throws {Error} con code 'PERIODO_CERRADO'
+ */
+const verificarPeriodoAbierto = async (client, ...fechas) => {
+  for (const fecha of fechas) {
+    if (!fecha) continue;
+    const result = await client.query(
+      `SELECT anio, mes FROM periodo_contable
+       WHERE estado = 'CERRADO'
+         AND anio = EXTRACT(YEAR FROM $1::date) AND mes = EXTRACT(MONTH FROM $1::date)`,
+      [fecha]
+    );
+    if (result.rows.length > 0) {
+      const { anio, mes } = result.rows[0];
+      throw errorPeriodo(`El periodo ${nombrePeriodo(anio, mes)} está cerrado; no se pueden registrar ni modificar documentos con esa fecha.`);
+    }
+  }
+};
+
+/**
+ * Rechaza la operación si el documento existente tiene fecha en un periodo cerrado.
+ * * @param {Object} client - Cliente o pool de pg
+ * @param {string} documento - 'entrada' | 'salida' | 'detalle_salida'
+ * @param {number} id - Id del documento o renglón
+ * @returns {Promise<void>} No valida nada si el documento no existe; de eso se encarga la ruta
+ * @throws {Error} con code 'PERIODO_CERRADO'
+ */
+const verificarDocumentoAbierto = async (client, documento, id) => {
+  const result = await client.query(FECHA_DOCUMENTO_SQL[documento], [id]);
+  if (result.rows.length > 0) {
+    await verificarPeriodoAbierto(client, result.rows[0].fecha);
+  }
+};
+
+// Los cierres de inventario guardados antes de existir los periodos contables no tienen renglón en periodo_contable.
+// Se dan de alta como periodo cerrado (con la fecha y el usuario del cierre) para poder reabrirlos o confirmarlos.
+const adoptarCierreSinPeriodo = async (client, anio, mes) => {
+  if (!anio || !mes) return null;
+  const cierreResult = await client.query(
+    `SELECT c.id_cierre, c.fecha_corte, c.valor_refacciones, c.valor_insumos, c.fecha_registro, c.id_usuario,
+            (SELECT COUNT(*) FROM cierre_inventario_detalle d WHERE d.id_cierre = c.id_cierre)::int as articulos
+     FROM cierre_inventario c
+     WHERE c.anio = $1 AND c.mes = $2
+       AND NOT EXISTS (SELECT 1 FROM periodo_contable p WHERE p.anio = c.anio AND p.mes = c.mes AND p.estado = 'CERRADO')`,
+    [anio, mes]
+  );
+  if (cierreResult.rows.length === 0) return null;
+  const cierre = cierreResult.rows[0];
+
+  let periodoResult = await client.query(
+    `UPDATE periodo_contable SET estado = 'CERRADO', fecha_cierre = $3, cerrado_por = $4
+     WHERE anio = $1 AND mes = $2 RETURNING id_periodo`,
+    [anio, mes, cierre.fecha_registro, cierre.id_usuario]
+  );
+  if (periodoResult.rows.length === 0) {
+    periodoResult = await client.query(
+      `INSERT INTO periodo_contable (anio, mes, estado, fecha_cierre, cerrado_por)
+       VALUES ($1, $2, 'CERRADO', $3, $4) RETURNING id_periodo`,
+      [anio, mes, cierre.fecha_registro, cierre.id_usuario]
+    );
+  }
+
+  return {
+    id_periodo: periodoResult.rows[0].id_periodo,
+    cierre: {
+      id_cierre: cierre.id_cierre,
+      fecha_corte: cierre.fecha_corte,
+      valor_refacciones: Number(cierre.valor_refacciones),
+      valor_insumos: Number(cierre.valor_insumos),
+      articulos: cierre.articulos
+    }
+  };
+};
+
+/**
+ * Cierra un periodo: genera el cierre de inventario del mes y bloquea sus documentos.
+ * Si el mes ya tenía un cierre de inventario sin periodo (anterior a los periodos contables), se conserva ese cierre.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.anio
+ * @param {number} datos.mes - 1 a 12
+ * @param {number} datos.id_empleado
+ * @returns {Promise<Object>} { id_periodo, anio, mes, cierre }
+ * @throws {Error} con code 'CIERRE_INVALIDO'
+ */
+const cerrarPeriodo = async (client, { anio, mes, id_empleado }) => {
+  const anioNum = parseInt(anio, 10);
+  const mesNum = parseInt(mes, 10);
+
+  await client.query('LOCK TABLE cierre_inventario IN EXCLUSIVE MODE');
+  const adoptado = await adoptarCierreSinPeriodo(client, anioNum, mesNum);
+  if (adoptado) {
+    return { id_periodo: adoptado.id_periodo, anio: anioNum, mes: mesNum, cierre: adoptado.cierre };
+  }
+
+  const cierre = await cerrarMes(client, { anio, mes, id_usuario: id_empleado });
+
+  // Un periodo reabierto ya tiene renglón; se vuelve a cerrar sobre el mismo
+  let periodoResult = await client.query(
+    `UPDATE periodo_contable SET estado = 'CERRADO', fecha_cierre = NOW(), cerrado_por = $3
+     WHERE anio = $1 AND mes = $2 RETURNING id_periodo`,
+    [anioNum, mesNum, id_empleado]
+  );
+  if (periodoResult.rows.length === 0) {
+    periodoResult = await client.query(
+      `INSERT INTO periodo_contable (anio, mes, estado, fecha_cierre, cerrado_por)
+       VALUES ($1, $2, 'CERRADO', NOW(), $3) RETURNING id_periodo`,
+      [anioNum, mesNum, id_empleado]
+    );
+  }
+
+  return { id_periodo: periodoResult.rows[0].id_periodo, anio: anioNum, mes: mesNum, cierre };
+};
+
+/**
+ * Reabre el último periodo cerrado. Se descarta su cierre de inventario (se vuelve a generar al cerrarlo de nuevo)
+ * y el cambio queda en log_modificaciones con el motivo.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number} datos.anio
+ * @param {number} datos.mes - 1 a 12
+ * @param {string} datos.motivo
+ * @param {number} datos.id_empleado
+ * @returns {Promise<Object>} { id_periodo, anio, mes }
+ * @throws {Error} con code 'CIERRE_INVALIDO'
+ */
+const reabrirPeriodo = async (client, { anio, mes, motivo, id_empleado }) => {
+  if (!motivo || !motivo.trim()) {
+    throw errorPeriodo('Se requiere un motivo para reabrir el periodo.', 'CIERRE_INVALIDO');
+  }
+  const anioNum = parseInt(anio, 10);
+  const mesNum = parseInt(mes, 10);
+
+  await client.query('LOCK TABLE cierre_inventario IN EXCLUSIVE MODE');
+  await adoptarCierreSinPeriodo(client, anioNum, mesNum);
+
+  const periodoResult = await client.query(
+    `SELECT id_periodo FROM periodo_contable WHERE anio = $1 AND mes = $2 AND estado = 'CERRADO' FOR UPDATE`,
+    [anioNum, mesNum]
+  );
+  if (periodoResult.rows.length === 0) {
+    throw errorPeriodo(`El periodo ${nombrePeriodo(anioNum, mesNum)} no está cerrado.`, 'CIERRE_INVALIDO');
+  }
+  const idPeriodo = periodoResult.rows[0].id_periodo;
+
+  // Los cierres posteriores partieron del saldo de este mes; hay que reabrirlos primero
+  // (todo periodo cerrado tiene su cierre de inventario, y los cierres sin periodo también cuentan)
+  const posteriorResult = await client.query(
+    `SELECT anio, mes FROM cierre_inventario
+     WHERE anio > $1 OR (anio = $1 AND mes > $2)
+     ORDER BY anio DESC, mes DESC LIMIT 1`,
+    [anioNum, mesNum]
+  );
+  if (posteriorResult.rows.length > 0) {
+    const { anio: anioPosterior, mes: mesPosterior } = posteriorResult.rows[0];
+    throw errorPeriodo(`Primero debe reabrir el periodo ${nombrePeriodo(anioPosterior, mesPosterior)}.`, 'CIERRE_INVALIDO');
+  }
+
+  await client.query(
+    `DELETE FROM cierre_inventario_detalle
+     WHERE id_cierre IN (SELECT id_cierre FROM cierre_inventario WHERE anio = $1 AND mes = $2)`,
+    [anioNum, mesNum]
+  );
+  await client.query('DELETE FROM cierre_inventario WHERE anio = $1 AND mes = $2', [anioNum, mesNum]);
+
+  await client.query(
+    `UPDATE periodo_contable SET estado = 'ABIERTO', fecha_reapertura = NOW(), reabierto_por = $2, motivo_reapertura = $3
+     WHERE id_periodo = $1`,
+    [idPeriodo, id_empleado, motivo]
+  );
+  await client.query(
+    `INSERT INTO log_modificaciones
+     (id_empleado, tabla_modificada, id_registro_modificado, campo_modificado, valor_anterior, valor_nuevo, motivo)
+     VALUES ($1, 'periodo_contable', $2, 'estado', 'CERRADO', 'ABIERTO', $3)`,
+    [id_empleado, idPeriodo, motivo]
+  );
+
+  return { id_periodo: idPeriodo, anio: anioNum, mes: mesNum };
+};
+
+module.exports = {
+  verificarPeriodoAbierto,
+  verificarDocumentoAbierto,
+  cerrarPeriodo,
+  reabrirPeriodo
+};
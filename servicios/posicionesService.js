@@ -0,0 +1,94 @@
+// Posiciones físicas dentro de cada almacén (pasillo → anaquel → nivel) y su asignación a artículos y lotes.
+// Cada refacción o insumo tiene una posición por almacén en posicion_articulo; un lote que quedó
+// separado del resto puede traer la suya en lote_refaccion.id_posicion, que tiene prioridad.
+
+// Orden en que el almacenista recorre el almacén; sin orden capturado se sigue pasillo, anaquel y nivel
+const ORDEN_RECORRIDO_SQL = 'pos.orden_recorrido ASC NULLS LAST, pos.pasillo ASC, pos.anaquel ASC, pos.nivel ASC';
+
+// Posición efectiva de un lote (alias l): la propia del lote o la de su refacción en el almacén del lote
+const JOIN_POSICION_LOTE_SQL = `
+  LEFT JOIN posicion_almacen pos ON pos.id_posicion = COALESCE(
+    l.id_posicion,
+    (SELECT pa.id_posicion FROM posicion_articulo pa WHERE pa.id_refaccion = l.id_refaccion AND pa.id_ubicacion = l.id_ubicacion)
+  )
+`;
+
+const errorPosicion = (mensaje) => {
+  const error = new Error(mensaje);
+  error.code = 'POSICION_INVALIDA';
+  return error;
+};
+
+/**
+ * Código legible de una posición, p. ej. "P03-A12-N2".
+ * * @param {Object} posicion
+ * @param {string|number} posicion.pasillo
+ * @param {string|number} posicion.anaquel
+ * @param {string|number} posicion.nivel
+ * @returns {string}
+ */
+const armarCodigoPosicion = ({ pasillo, anaquel, nivel }) => {
+  const parte = (valor) => String(valor).trim().toUpperCase().padStart(2, '0');
+  return `P${parte(pasillo)}-A${parte(anaquel)}-N${String(nivel).trim().toUpperCase()}`;
+};
+
+/**
+ * Asigna una posición a una refacción, a un insumo o a un lote. Para artículos reemplaza la
+ * posición que tuvieran en ese almacén; id_posicion null quita la asignación.
+ * * @param {Object} client - Cliente de pg con transacción abierta
+ * @param {Object} datos
+ * @param {number|null} datos.id_posicion
+ * @param {number} [datos.id_refaccion]
+ * @param {number} [datos.id_insumo]
+ * @param {number} [datos.id_lote]
+ * @param {number} [datos.id_ubicacion] - Almacén, requerido para quitar la posición de un artículo
+ * @returns {Promise<void>}
+ * @throws {Error} con code 'POSICION_INVALIDA'
+ */
+const asignarPosicion = async (client, { id_posicion = null, id_refaccion = null, id_insumo = null, id_lote = null, id_ubicacion = null }) => {
+  if ([id_refaccion, id_insumo, id_lote].filter(Boolean).length !== 1) {
+    throw errorPosicion('Indique solo uno: refacción, insumo o lote.');
+  }
+
+  let idUbicacion = id_ubicacion ? parseInt(id_ubicacion, 10) : null;
+  if (id_posicion) {
+    const posicion = await client.query('SELECT id_ubicacion, activo FROM posicion_almacen WHERE id_posicion = $1', [id_posicion]);
+    if (posicion.rows.length === 0 || !posicion.rows[0].activo) {
+      throw errorPosicion('La posición no existe o está dada de baja.');
+    }
+    idUbicacion = posicion.rows[0].id_ubicacion;
+  }
+
+  if (id_lote) {
+    const lote = await client.query('SELECT id_ubicacion FROM lote_refaccion WHERE id_lote = $1 FOR UPDATE', [id_lote]);
+    if (lote.rows.length === 0) {
+      throw errorPosicion('El lote no existe.');
+    }
+    if (id_posicion && lote.rows[0].id_ubicacion !== idUbicacion) {
+      throw errorPosicion('La posición pertenece a otro almacén que el lote.');
+    }
+    await client.query('UPDATE lote_refaccion SET id_posicion = $1 WHERE id_lote = $2', [id_posicion, id_lote]);
+    return;
+  }
+
+  if (!idUbicacion) {
+    throw errorPosicion('Indique el almacén del que se quita la posición.');
+  }
+  const columna = id_refaccion ? 'id_refaccion' : 'id_insumo';
+  const idArticulo = id_refaccion || id_insumo;
+
+  await client.query(`DELETE FROM posicion_articulo WHERE ${columna} = $1 AND id_ubicacion = $2`, [idArticulo, idUbicacion]);
+  if (id_posicion) {
+    await client.query(
+      `INSERT INTO posicion_articulo (id_posicion, id_ubicacion, ${columna}) VALUES ($1, $2, $3)`,
+      [id_posicion, idUbicacion, idArticulo]
+    );
+  }
+};
+
+module.exports = {
+  armarCodigoPosicion,
+  asignarPosicion,
+  ORDEN_RECORRIDO_SQL,
+  JOIN_POSICION_LOTE_SQL
+};
@@ -0,0 +1,112 @@
+// Variación (en %) contra la compra anterior a partir de la cual una entrada se marca con alerta de precio.
+// Se puede ajustar con la variable de entorno UMBRAL_ALERTA_PRECIO.
+const UMBRAL_ALERTA_PRECIO = parseFloat(process.env.UMBRAL_ALERTA_PRECIO) || 10;
+
+// Compras de una refacción (solo lotes que vienen de entradas vigentes; no ajustes ni inventario inicial)
+const COMPRAS_REFACCION_SQL = `
+  SELECT l.id_lote, de.id_detalle_entrada, ea.id_entrada, ea.fecha_operacion, ea.factura_proveedor,
+         ea.id_proveedor, p.nombre_proveedor, de.cantidad_recibida as cantidad,
+         l.costo_unitario_subtotal, l.monto_iva_unitario, l.costo_unitario_final
+  FROM lote_refaccion l
+  JOIN detalle_entrada de ON l.id_detalle_entrada = de.id_detalle_entrada
+  JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+  LEFT JOIN proveedor p ON ea.id_proveedor = p.id_proveedor
+  WHERE l.id_refaccion = $1 AND COALESCE(ea.estado, '') <> 'CANCELADO'
+`;
+
+const variacion = (anterior, nuevo) => (anterior > 0 ? ((nuevo - anterior) / anterior) * 100 : null);
+
+/**
+ * Compara el costo de una compra nueva (sin IVA) contra la última compra de la refacción.
+ * Debe llamarse antes de guardar la línea nueva.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {number} id_refaccion
+ * @param {number} costo_unitario_subtotal
+ * @param {number} [umbral] - Porcentaje de variación tolerado
+ * @returns {Promise<Object|null>} La alerta si la variación supera el umbral
+ */
+const detectarCambioPrecio = async (db, id_refaccion, costo_unitario_subtotal, umbral = UMBRAL_ALERTA_PRECIO) => {
+  const result = await db.query(
+    `${COMPRAS_REFACCION_SQL} ORDER BY ea.fecha_operacion DESC, l.id_lote DESC LIMIT 1`,
+    [id_refaccion]
+  );
+  if (result.rows.length === 0) return null;
+
+  const anterior = result.rows[0];
+  const precioAnterior = parseFloat(anterior.costo_unitario_subtotal);
+  const precioNuevo = parseFloat(costo_unitario_subtotal);
+  const porcentaje = variacion(precioAnterior, precioNuevo);
+  if (porcentaje === null || Math.abs(porcentaje) <= umbral) return null;
+
+  return {
+    id_refaccion,
+    precio_anterior: precioAnterior,
+    precio_nuevo: precioNuevo,
+    variacion_porcentaje: porcentaje,
+    umbral_porcentaje: umbral,
+    fecha_compra_anterior: anterior.fecha_operacion,
+    proveedor_anterior: anterior.nombre_proveedor,
+    mensaje: `El precio sin IVA ${porcentaje > 0 ? 'subió' : 'bajó'} ${Math.abs(porcentaje).toFixed(1)}% contra la compra anterior (${precioAnterior.toFixed(2)} → ${precioNuevo.toFixed(2)}).`
+  };
+};
+
+/**
+ * Historial de compras de una refacción con la variación de cada compra contra la anterior,
+ * resumen de precios y el proveedor más barato (por precio promedio sin IVA).
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {number} id_refaccion
+ * @param {number} [umbral] - Porcentaje de variación a partir del cual se marca la compra
+ * @returns {Promise<Object>} { compras, resumen, por_proveedor }
+ */
+const obtenerHistorialPrecios = async (db, id_refaccion, umbral = UMBRAL_ALERTA_PRECIO) => {
+  const result = await db.query(`${COMPRAS_REFACCION_SQL} ORDER BY ea.fecha_operacion ASC, l.id_lote ASC`, [id_refaccion]);
+
+  let precioAnterior = null;
+  const compras = result.rows.map(c => {
+    const precio = parseFloat(c.costo_unitario_subtotal);
+    const cambio = precioAnterior === null ? null : variacion(precioAnterior, precio);
+    precioAnterior = precio;
+    return { ...c, variacion_porcentaje: cambio, alerta_precio: cambio !== null && Math.abs(cambio) > umbral };
+  });
+
+  const precios = compras.map(c => parseFloat(c.costo_unitario_subtotal));
+  const cantidadTotal = compras.reduce((s, c) => s + parseFloat(c.cantidad), 0);
+  const ultima = compras[compras.length - 1] || null;
+
+  const proveedores = new Map();
+  for (const c of compras) {
+    const clave = c.id_proveedor || 0;
+    if (!proveedores.has(clave)) {
+      proveedores.set(clave, { id_proveedor: c.id_proveedor, nombre_proveedor: c.nombre_proveedor || 'Sin proveedor', compras: 0, cantidad: 0, importe: 0, ultimo_precio: null, fecha_ultima_compra: null });
+    }
+    const p = proveedores.get(clave);
+    p.compras++;
+    p.cantidad += parseFloat(c.cantidad);
+    p.importe += parseFloat(c.cantidad) * parseFloat(c.costo_unitario_subtotal);
+    p.ultimo_precio = parseFloat(c.costo_unitario_subtotal);
+    p.fecha_ultima_compra = c.fecha_operacion;
+  }
+  const porProveedor = [...proveedores.values()]
+    .map(p => ({ ...p, precio_promedio: p.cantidad > 0 ? p.importe / p.cantidad : null }))
+    .sort((a, b) => a.precio_promedio - b.precio_promedio);
+
+  return {
+    compras: [...compras].reverse(),
+    resumen: {
+      compras: compras.length,
+      umbral_alerta_porcentaje: umbral,
+      precio_minimo: precios.length ? Math.min(...precios) : null,
+      precio_maximo: precios.length ? Math.max(...precios) : null,
+      precio_promedio: precios.length ? precios.reduce((s, p) => s + p, 0) / precios.length : null,
+      precio_promedio_ponderado: cantidadTotal > 0 ? compras.reduce((s, c) => s + parseFloat(c.cantidad) * parseFloat(c.costo_unitario_subtotal), 0) / cantidadTotal : null,
+      ultimo_precio: ultima ? parseFloat(ultima.costo_unitario_subtotal) : null,
+      ultimo_costo_final: ultima ? parseFloat(ultima.costo_unitario_final) : null,
+      fecha_ultima_compra: ultima ? ultima.fecha_operacion : null,
+      proveedor_ultima_compra: ultima ? ultima.nombre_proveedor : null,
+      proveedor_mas_barato: porProveedor[0] || null
+    },
+    por_proveedor: porProveedor
+  };
+};
+
+module.exports = { detectarCambioPrecio, obtenerHistorialPrecios, UMBRAL_ALERTA_PRECIO };
@@ -0,0 +1,246 @@
+// Indicadores de desempeño de proveedores. Todas las consultas reciben
+// $1 = fecha inicio, $2 = fecha fin (exclusiva) y $3 = id_proveedor (o null para todos).
+
+// Metas contra las que se califica cada indicador (0 a 1) y su peso en el puntaje
+const METAS_SCORECARD = {
+  DIAS_ENTREGA: 7,        // días de la orden a la primera recepción
+  DIAS_REPARACION: 15     // días que un casco pasa en el taller
+};
+const PESOS_PUNTAJE = {
+  surtido: 40,
+  entrega: 25,
+  garantias: 20,
+  reparacion: 15
+};
+
+// El surtido solo se mide en órdenes que ya debían entregarse: recibidas, parciales o abiertas con la fecha estimada vencida.
+// Una orden abierta que aún está en plazo no baja la tasa.
+const ORDEN_EVALUABLE_SQL = `(oc.estado IN ('Recibida', 'Parcial') OR oc.fecha_entrega_estimada < CURRENT_DATE)`;
+
+const ENTREGAS_SQL = `
+  SELECT oc.id_proveedor,
+         COUNT(DISTINCT oc.id_orden_compra) as ordenes,
+         AVG(primera.fecha::date - oc.fecha_emision::date) as dias_entrega_promedio,
+         MAX(primera.fecha::date - oc.fecha_emision::date) as dias_entrega_maximo,
+         SUM(lineas.recibido) FILTER (WHERE ${ORDEN_EVALUABLE_SQL})
+           / NULLIF(SUM(lineas.ordenado) FILTER (WHERE ${ORDEN_EVALUABLE_SQL}), 0) as tasa_surtido
+  FROM orden_compra oc
+  JOIN (
+    SELECT id_orden_compra, SUM(LEAST(cantidad_recibida, cantidad_ordenada)) as recibido, SUM(cantidad_ordenada) as ordenado
+    FROM detalle_orden_compra GROUP BY id_orden_compra
+  ) lineas ON oc.id_orden_compra = lineas.id_orden_compra
+  LEFT JOIN (
+    SELECT id_orden_compra, MIN(fecha_operacion) as fecha
+    FROM entrada_almacen WHERE COALESCE(estado, '') <> 'CANCELADO' AND id_orden_compra IS NOT NULL
+    GROUP BY id_orden_compra
+  ) primera ON oc.id_orden_compra = primera.id_orden_compra
+  WHERE oc.fecha_emision >= $1 AND oc.fecha_emision < $2 AND oc.estado <> 'Cancelada'
+    AND ($3::int IS NULL OR oc.id_proveedor = $3)
+  GROUP BY oc.id_proveedor
+`;
+
+// Garantías otorgadas en el periodo: servicios externos con garantía y refacciones instaladas con garantía registrada
+const GARANTIAS_SQL = `
+  SELECT id_proveedor,
+         COUNT(*) FILTER (WHERE origen = 'servicio') as servicios_con_garantia,
+         COUNT(*) FILTER (WHERE origen = 'refaccion') as refacciones_con_garantia
+  FROM (
+    SELECT se.id_proveedor, 'servicio' as origen
+    FROM servicio_externo se
+    WHERE se.estatus = 'Activo' AND se.tiene_garantia AND se.fecha_servicio >= $1 AND se.fecha_servicio < $2
+    UNION ALL
+    SELECT g.id_proveedor, 'refaccion'
+    FROM garantia_refaccion g
+    WHERE g.fecha_instalacion >= $1 AND g.fecha_instalacion < $2
+  ) otorgadas
+  WHERE id_proveedor IS NOT NULL AND ($3::int IS NULL OR id_proveedor = $3)
+  GROUP BY id_proveedor
+`;
+
+// Reclamaciones de garantía abiertas en el periodo. Las rechazadas por el proveedor no cuentan como falla.
+const RECLAMACIONES_SQL = `
+  SELECT rg.id_proveedor,
+         COUNT(*) FILTER (WHERE rg.estado <> 'Rechazada') as reclamaciones_garantia,
+         COUNT(*) FILTER (WHERE rg.estado IN ('Abierta', 'Enviada a proveedor')) as reclamaciones_abiertas,
+         COUNT(*) FILTER (WHERE rg.estado = 'Rechazada') as reclamaciones_rechazadas,
+         COALESCE(SUM(rg.monto_credito) FILTER (WHERE rg.estado = 'Resuelta'), 0) as monto_credito_garantias
+  FROM reclamacion_garantia rg
+  WHERE rg.fecha_falla >= $1 AND rg.fecha_falla < $2
+    AND ($3::int IS NULL OR rg.id_proveedor = $3)
+  GROUP BY rg.id_proveedor
+`;
+
+const REPARACIONES_SQL = `
+  SELECT pr.id_proveedor_reparacion as id_proveedor,
+         COUNT(*) FILTER (WHERE pr.fecha_retorno >= $1 AND pr.fecha_retorno < $2) as reparaciones,
+         AVG(pr.fecha_retorno::date - pr.fecha_envio::date) FILTER (WHERE pr.fecha_retorno >= $1 AND pr.fecha_retorno < $2) as dias_reparacion_promedio,
+         COUNT(*) FILTER (WHERE pr.estado = 'En Reparación') as en_reparacion,
+         MAX(CURRENT_DATE - pr.fecha_envio::date) FILTER (WHERE pr.estado = 'En Reparación') as dias_en_taller_mas_antiguo
+  FROM pieza_recuperada pr
+  WHERE pr.id_proveedor_reparacion IS NOT NULL AND pr.fecha_envio IS NOT NULL
+    AND ($3::int IS NULL OR pr.id_proveedor_reparacion = $3)
+  GROUP BY pr.id_proveedor_reparacion
+`;
+
+// Mismo universo de compras que el reporte compras-proveedor, abierto por razón social
+const GASTO_SQL = `
+  SELECT id_proveedor, razon_social, SUM(costo_total) as total
+  FROM (
+    SELECT ea.id_proveedor, COALESCE(ea.razon_social::varchar, 'Sin Razón Social') as razon_social, sub.total_entrada as costo_total
+    FROM entrada_almacen ea
+    JOIN (
+      SELECT id_entrada, SUM(cantidad_recibida * costo_unitario_final) as total_entrada
+      FROM (
+        SELECT de.id_entrada, de.cantidad_recibida, l.costo_unitario_final FROM detalle_entrada de JOIN lote_refaccion l ON de.id_detalle_entrada = l.id_detalle_entrada
+        UNION ALL SELECT dei.id_entrada, dei.cantidad_recibida, dei.costo_unitario_final FROM detalle_entrada_insumo dei
+      ) t GROUP BY id_entrada
+    ) sub ON ea.id_entrada = sub.id_entrada
+    WHERE ea.fecha_operacion >= $1 AND ea.fecha_operacion < $2 AND COALESCE(ea.estado, '') <> 'CANCELADO'
+    UNION ALL
+    SELECT se.id_proveedor, COALESCE(a.razon_social::varchar, 'Sin Razón Social'), se.costo_total
+    FROM servicio_externo se LEFT JOIN autobus a ON se.id_autobus = a.id_autobus
+    WHERE se.fecha_servicio >= $1 AND se.fecha_servicio < $2 AND se.estatus = 'Activo'
+    UNION ALL
+    SELECT pr.id_proveedor_reparacion, 'N/A'::varchar, pr.costo_reparacion
+    FROM pieza_recuperada pr
+    WHERE pr.fecha_retorno >= $1 AND pr.fecha_retorno < $2 AND pr.estado IN ('Disponible', 'Instalada') AND pr.costo_reparacion > 0
+  ) compras
+  WHERE id_proveedor IS NOT NULL AND ($3::int IS NULL OR id_proveedor = $3)
+  GROUP BY id_proveedor, razon_social
+`;
+
+// Precio unitario sin IVA de cada artículo comprado al proveedor, primera y última compra del periodo
+const TENDENCIA_PRECIOS_SQL = `
+  WITH Compras AS (
+    SELECT 'refaccion' as tipo_item, de.id_refaccion as id_item, r.nombre, r.numero_parte, ea.fecha_operacion as fecha, l.costo_unitario_subtotal as precio
+    FROM detalle_entrada de
+    JOIN lote_refaccion l ON de.id_detalle_entrada = l.id_detalle_entrada
+    JOIN refaccion r ON de.id_refaccion = r.id_refaccion
+    JOIN entrada_almacen ea ON de.id_entrada = ea.id_entrada
+    WHERE ea.id_proveedor = $3 AND ea.fecha_operacion >= $1 AND ea.fecha_operacion < $2 AND COALESCE(ea.estado, '') <> 'CANCELADO'
+    UNION ALL
+    SELECT 'insumo', dei.id_insumo, i.nombre, NULL, ea.fecha_operacion, dei.costo_unitario_subtotal
+    FROM detalle_entrada_insumo dei
+    JOIN insumo i ON dei.id_insumo = i.id_insumo
+    JOIN entrada_almacen ea ON dei.id_entrada = ea.id_entrada
+    WHERE ea.id_proveedor = $3 AND ea.fecha_operacion >= $1 AND ea.fecha_operacion < $2 AND COALESCE(ea.estado, '') <> 'CANCELADO'
+  )
+  SELECT tipo_item, id_item, nombre, numero_parte,
+         COUNT(*) as compras,
+         (array_agg(precio ORDER BY fecha ASC))[1] as precio_inicial,
+         (array_agg(precio ORDER BY fecha DESC))[1] as precio_final,
+         MIN(precio) as precio_minimo,
+         MAX(precio) as precio_maximo,
+         AVG(precio) as precio_promedio,
+         json_agg(json_build_object('fecha', fecha, 'precio', precio) ORDER BY fecha) as historial
+  FROM Compras
+  GROUP BY tipo_item, id_item, nombre, numero_parte
+  ORDER BY compras DESC, nombre ASC
+`;
+
+const num = (valor) => (valor === null || valor === undefined ? null : parseFloat(valor));
+
+// Califica cada indicador disponible y reparte los pesos solo entre los que tienen datos
+const calcularPuntaje = (s) => {
+  const garantiasOtorgadas = s.servicios_con_garantia + s.refacciones_con_garantia;
+  const calificaciones = {
+    surtido: s.tasa_surtido,
+    entrega: s.dias_entrega_promedio === null ? null : Math.min(1, METAS_SCORECARD.DIAS_ENTREGA / Math.max(s.dias_entrega_promedio, 1)),
+    garantias: garantiasOtorgadas > 0 ? Math.max(0, 1 - s.reclamaciones_garantia / garantiasOtorgadas) : null,
+    reparacion: s.dias_reparacion_promedio === null ? null : Math.min(1, METAS_SCORECARD.DIAS_REPARACION / Math.max(s.dias_reparacion_promedio, 1))
+  };
+
+  let suma = 0;
+  let pesos = 0;
+  for (const [clave, valor] of Object.entries(calificaciones)) {
+    if (valor === null || isNaN(valor)) continue;
+    suma += valor * PESOS_PUNTAJE[clave];
+    pesos += PESOS_PUNTAJE[clave];
+  }
+  return { calificaciones, puntaje: pesos > 0 ? Math.round((suma / pesos) * 100) : null };
+};
+
+/**
+ * Calcula el scorecard de uno o todos los proveedores en un periodo.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {Object} filtros
+ * @param {string} filtros.fechaInicio
+ * @param {string} filtros.fechaFinExclusiva - Día siguiente al fin del periodo
+ * @param {number|null} [filtros.id_proveedor]
+ * @returns {Promise<Array<Object>>} Un scorecard por proveedor con actividad, de mayor a menor puntaje
+ */
+const calcularScorecards = async (db, { fechaInicio, fechaFinExclusiva, id_proveedor = null }) => {
+  const params = [fechaInicio, fechaFinExclusiva, id_proveedor];
+  const [proveedores, entregas, garantias, reclamaciones, reparaciones, gasto] = await Promise.all([
+    db.query(`SELECT id_proveedor, nombre_proveedor FROM proveedor WHERE ($1::int IS NULL OR id_proveedor = $1)`, [id_proveedor]),
+    db.query(ENTREGAS_SQL, params),
+    db.query(GARANTIAS_SQL, params),
+    db.query(RECLAMACIONES_SQL, params),
+    db.query(REPARACIONES_SQL, params),
+    db.query(GASTO_SQL, params)
+  ]);
+
+  const porId = (rows) => new Map(rows.map(r => [r.id_proveedor, r]));
+  const entregasMap = porId(entregas.rows);
+  const garantiasMap = porId(garantias.rows);
+  const reclamacionesMap = porId(reclamaciones.rows);
+  const reparacionesMap = porId(reparaciones.rows);
+
+  const scorecards = [];
+  for (const p of proveedores.rows) {
+    const e = entregasMap.get(p.id_proveedor) || {};
+    const g = garantiasMap.get(p.id_proveedor) || {};
+    const rg = reclamacionesMap.get(p.id_proveedor) || {};
+    const r = reparacionesMap.get(p.id_proveedor) || {};
+    const gastoProveedor = gasto.rows.filter(x => x.id_proveedor === p.id_proveedor);
+    const gastoTotal = gastoProveedor.reduce((s, x) => s + parseFloat(x.total), 0);
+
+    const scorecard = {
+      id_proveedor: p.id_proveedor,
+      nombre_proveedor: p.nombre_proveedor,
+      ordenes: parseInt(e.ordenes || 0, 10),
+      dias_entrega_promedio: num(e.dias_entrega_promedio),
+      dias_entrega_maximo: num(e.dias_entrega_maximo),
+      tasa_surtido: num(e.tasa_surtido),
+      servicios_con_garantia: parseInt(g.servicios_con_garantia || 0, 10),
+      refacciones_con_garantia: parseInt(g.refacciones_con_garantia || 0, 10),
+      reclamaciones_garantia: parseInt(rg.reclamaciones_garantia || 0, 10),
+      reclamaciones_abiertas: parseInt(rg.reclamaciones_abiertas || 0, 10),
+      reclamaciones_rechazadas: parseInt(rg.reclamaciones_rechazadas || 0, 10),
+      monto_credito_garantias: parseFloat(rg.monto_credito_garantias || 0),
+      reparaciones: parseInt(r.reparaciones || 0, 10),
+      dias_reparacion_promedio: num(r.dias_reparacion_promedio),
+      en_reparacion: parseInt(r.en_reparacion || 0, 10),
+      dias_en_taller_mas_antiguo: num(r.dias_en_taller_mas_antiguo),
+      gasto_total: gastoTotal,
+      gasto_por_razon_social: gastoProveedor
+        .map(x => ({ razon_social: x.razon_social, total: parseFloat(x.total) }))
+        .sort((a, b) => b.total - a.total)
+    };
+
+    const sinActividad = scorecard.ordenes === 0 && gastoTotal === 0 && scorecard.reparaciones === 0 && scorecard.en_reparacion === 0
+      && scorecard.reclamaciones_abiertas === 0;
+    if (sinActividad && !id_proveedor) continue;
+
+    scorecards.push({ ...scorecard, ...calcularPuntaje(scorecard) });
+  }
+
+  return scorecards.sort((a, b) => (b.puntaje ?? -1) - (a.puntaje ?? -1) || b.gasto_total - a.gasto_total);
+};
+
+/**
+ * Evolución del precio unitario (sin IVA) de cada artículo comprado a un proveedor en el periodo.
+ * * @param {Object} db - Pool o cliente de pg
+ * @param {Object} filtros - Mismos que calcularScorecards; id_proveedor es requerido
+ * @returns {Promise<Array<Object>>} Por artículo: precio inicial, final, variación % e historial
+ */
+const obtenerTendenciaPrecios = async (db, { fechaInicio, fechaFinExclusiva, id_proveedor }) => {
+  const result = await db.query(TENDENCIA_PRECIOS_SQL, [fechaInicio, fechaFinExclusiva, id_proveedor]);
+  return result.rows.map(row => {
+    const inicial = parseFloat(row.precio_inicial);
+    const final = parseFloat(row.precio_final);
+    return { ...row, variacion_porcentaje: inicial > 0 ? ((final - inicial) / inicial) * 100 : null };
+  });
+};
+
+module.exports = { calcularScorecards, obtenerTendenciaPrecios, METAS_SCORECARD, PESOS_PUNTAJE };